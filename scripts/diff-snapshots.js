@@ -0,0 +1,25 @@
+/**
+ * Compares two snapshot files and prints a changelog.
+ * Run: npm run diff -- <old.json> <new.json> [--json]
+ */
+import { readFileSync } from 'fs';
+import { diffSnapshots, formatChangelog } from '../src/data/snapshot-diff.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const [oldPath, newPath] = args.filter(a => !a.startsWith('--'));
+
+if (!oldPath || !newPath) {
+  console.error('Usage: node scripts/diff-snapshots.js <old.json> <new.json> [--json]');
+  process.exit(1);
+}
+
+try {
+  const previous = JSON.parse(readFileSync(oldPath, 'utf8'));
+  const next = JSON.parse(readFileSync(newPath, 'utf8'));
+  const diff = diffSnapshots(previous, next);
+  console.log(asJson ? JSON.stringify(diff, null, 2) : formatChangelog(diff));
+} catch (err) {
+  console.error('Diff failed:', err.message);
+  process.exit(1);
+}
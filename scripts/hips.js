@@ -0,0 +1,751 @@
+#!/usr/bin/env node
+/**
+ * Headless query CLI over the snapshot, using the same graph code as the app
+ * (insights, flow matrix, centrality, k-hop neighbourhoods, Dijkstra paths).
+ * Run: npm run hips -- <command> [args] [--json] [--data <snapshot.json>]
+ *
+ *   neighbours <hazard> [--hops N] [--direction out|in|both]
+ *                           Hazards caused by / causing a hazard, up to N hops
+ *   path <from> <to>        Shortest directed causal path
+ *   paths <from> <to> [--k N | --all [--max-length N]]
+ *                           K shortest paths (Yen), or every path up to a length
+ *     Path constraints (path, paths): --via <h1,h2> --avoid <h1,h2>
+ *       --avoid-type <type,...> --declared-only --inferred-weight N
+ *   top [--metric <measure>] [--limit N] [--hide-type <type,...>] [--declared-only]
+ *                           Hazards ranked by a centrality metric (pageRank, betweenness,
+ *                           closeness, harmonic, hub, authority, inDegree, outDegree, katz)
+ *                           or by downstream/upstream reach; with filters, ranked within the
+ *                           filtered graph and compared with the full network
+ *   flow [--level type|cluster] [--order total|hierarchy|seriation] [--csv]
+ *                           Type-to-type or cluster-to-cluster flow matrix; --csv prints it as CSV
+ *   loops [--max-length N] [--declared-only] [--limit N]
+ *                           Feedback loops (causal cycles) and loop systems
+ *   communities [--resolution R] [--limit N]
+ *                           Causal communities compared with the HIPs clusters
+ *   simulate <hazard> [<hazard>...] [--model independent|threshold] [--runs N]
+ *            [--p-declared P] [--p-inferred P] [--p-target-only P] [--random-seed N] [--limit N]
+ *                           Monte Carlo cascade from seed hazards: who is likely to follow
+ *   robustness [--strategy <metric> [--steps N] | --remove <h1,h2,...>] [--limit N]
+ *                           Degradation as hazards are removed, and the critical cut hazards
+ *   similar <hazard> [--limit N]
+ *                           Most similar hazards (shared triggers/effects, SimRank, text), with reasons
+ *   links [--kind reciprocate|new] [--limit N] [--csv]
+ *                           Candidate causal links for curators (one-sided links, shared mediators,
+ *                           scope-note mentions), ranked; --csv prints the review list as CSV
+ *   insights                Network statistics shown in the Insights panel
+ *
+ * Hazards can be given by identifier (MH0600), full ID URI or exact label.
+ * --json prints machine-readable output for scripting and regression checks.
+ */
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import cytoscape from 'cytoscape';
+import { transformToElements } from '../src/data/transform.js';
+import { computeInsights } from '../src/data/insights.js';
+import {
+  computeFlowMatrix, computeClusterFlowMatrix, orderFlowMatrix, flowMatrixToCsv, FLOW_ORDERS,
+} from '../src/data/flow-matrix.js';
+import { computeCentrality, isFiltered, CENTRALITY_MEASURES } from '../src/data/centrality.js';
+import {
+  buildAdjacency, kHopNeighbourhood, findShortestPath, findKShortestPaths, findSimplePaths,
+  DEFAULT_K_PATHS, DEFAULT_MAX_PATH_LENGTH,
+} from '../src/data/graph-queries.js';
+import {
+  createProvenanceLookup, PROVENANCE_LABELS, DECLARED, INFERRED, TARGET_ONLY,
+} from '../src/data/edge-provenance.js';
+import { getTypeDef, HAZARD_TYPES } from '../src/data/hazard-types.js';
+import { findFeedbackLoops, DEFAULT_MAX_CYCLE_LENGTH } from '../src/data/cycles.js';
+import { detectCommunities, DEFAULT_RESOLUTION } from '../src/data/communities.js';
+import { simulateCascade, MODELS, DEFAULT_RUNS, DEFAULT_RANDOM_SEED } from '../src/data/cascade-simulation.js';
+import { buildAdjacencyIndex } from '../src/views/cascade/cascade-data.js';
+import {
+  degradationCurve, findCutHazards, removalOrder, DEFAULT_REMOVAL_STEPS,
+} from '../src/data/robustness.js';
+import { computeSimilarity, DEFAULT_SIMILAR_LIMIT } from '../src/data/similarity.js';
+import {
+  suggestLinks, suggestionAction, linkSuggestionsToCsv, SUGGESTION_KINDS,
+} from '../src/data/link-prediction.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DATA_PATH = join(__dirname, '..', 'public', 'data', 'hips.json');
+const METRICS = [...CENTRALITY_MEASURES.map(m => m.key), 'downstream', 'upstream'];
+
+/** Reach metrics are hazard counts; they also carry a share of the network. */
+const REACH_METRICS = ['downstream', 'upstream'];
+const DIRECTIONS = ['out', 'in', 'both'];
+
+/** Levels `flow` aggregates at. */
+const FLOW_LEVELS = ['type', 'cluster'];
+
+const USAGE = `Usage: hips <command> [args] [--json] [--data <snapshot.json>]
+
+Commands:
+  neighbours <hazard> [--hops N] [--direction out|in|both]
+  path <from> <to>
+  paths <from> <to> [--k N | --all [--max-length N]]
+    constraints: [--via <hazards>] [--avoid <hazards>] [--avoid-type <types>]
+                 [--declared-only] [--inferred-weight N]
+  top [--metric ${METRICS.join('|')}] [--limit N] [--hide-type <types>] [--declared-only]
+  flow [--level ${FLOW_LEVELS.join('|')}] [--order ${FLOW_ORDERS.join('|')}] [--csv]
+  loops [--max-length N] [--declared-only] [--limit N]
+  communities [--resolution R] [--limit N]
+  simulate <hazard> [<hazard>...] [--model ${MODELS.join('|')}] [--runs N]
+           [--p-declared P] [--p-inferred P] [--p-target-only P] [--random-seed N] [--limit N]
+  robustness [--strategy ${METRICS.join('|')} [--steps N] | --remove <hazards>] [--limit N]
+  similar <hazard> [--limit N]
+  links [--kind ${SUGGESTION_KINDS.join('|')}] [--limit N] [--csv]
+  insights
+
+Hazards can be given by identifier (MH0600), ID URI or exact label.`;
+
+/** Flags that take a value, so their values are not read as positional args. */
+const VALUE_FLAGS = ['--data', '--hops', '--direction', '--metric', '--limit', '--max-length', '--resolution', '--k',
+  '--via', '--avoid', '--avoid-type', '--inferred-weight',
+  '--model', '--runs', '--p-declared', '--p-inferred', '--p-target-only', '--random-seed',
+  '--strategy', '--steps', '--remove', '--hide-type', '--kind', '--level', '--order'];
+
+/**
+ * Read the value following a flag, e.g. `--hops 2`.
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|null}
+ */
+function argValue(args, flag) {
+  const i = args.indexOf(flag);
+  if (i === -1) return null;
+  const value = args[i + 1];
+  if (value === undefined || value.startsWith('--')) throw new Error(`${flag} needs a value`);
+  return value;
+}
+
+/**
+ * Positional arguments (everything that is not a flag or a flag's value).
+ * @param {string[]} args
+ * @returns {string[]}
+ */
+function positionals(args) {
+  return args.filter((a, i) => !a.startsWith('--') && !VALUE_FLAGS.includes(args[i - 1]));
+}
+
+/**
+ * Parse a positive integer flag.
+ * @param {string[]} args
+ * @param {string} flag
+ * @param {number} fallback
+ * @returns {number}
+ */
+function intArg(args, flag, fallback) {
+  const raw = argValue(args, flag);
+  if (raw === null) return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) throw new Error(`${flag} must be a positive integer`);
+  return value;
+}
+
+/**
+ * Find a hazard by identifier, ID or label (case-insensitive).
+ * @param {Object[]} nodes
+ * @param {string} query
+ * @returns {Object} The hazard node
+ * @throws {Error} If nothing matches
+ */
+function resolveHazard(nodes, query) {
+  const q = query.trim().toLowerCase();
+  const match = nodes.find(n => n.identifier?.toLowerCase() === q)
+    || nodes.find(n => n.id.toLowerCase() === q)
+    || nodes.find(n => n.label?.toLowerCase() === q);
+  if (!match) throw new Error(`Unknown hazard: ${query}`);
+  return match;
+}
+
+/**
+ * Comma-separated hazard types from a flag, as full or short names (e.g. "Geological,Bio").
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string[]} Full type names
+ * @throws {Error} On unknown types
+ */
+function typeList(args, flag) {
+  const typeNames = Object.keys(HAZARD_TYPES);
+  return (argValue(args, flag) || '').split(',').map(s => s.trim()).filter(Boolean).map(t => {
+    const match = typeNames.find(name => [name, HAZARD_TYPES[name].short].some(v => v.toLowerCase() === t.toLowerCase()));
+    if (!match) throw new Error(`Unknown hazard type: ${t}`);
+    return match;
+  });
+}
+
+/**
+ * Path constraints from the command line. Lists are comma-separated; types
+ * can be full names or short names (e.g. "Geological,Bio").
+ * @param {string[]} args
+ * @param {Object[]} nodes
+ * @returns {import('../src/types.js').PathConstraints}
+ * @throws {Error} On unknown hazards or types, or a bad weight
+ */
+function pathConstraints(args, nodes) {
+  const list = (flag) => (argValue(args, flag) || '').split(',').map(s => s.trim()).filter(Boolean);
+  const excludeTypes = typeList(args, '--avoid-type');
+  const inferredWeight = Number(argValue(args, '--inferred-weight') ?? 1);
+  if (!(inferredWeight >= 1)) throw new Error('--inferred-weight must be a number ≥ 1');
+
+  return {
+    excludeTypes,
+    excludeNodes: list('--avoid').map(q => resolveHazard(nodes, q).id),
+    waypoints: list('--via').map(q => resolveHazard(nodes, q).id),
+    declaredOnly: args.includes('--declared-only'),
+    inferredWeight,
+  };
+}
+
+/**
+ * Compact hazard record for JSON output.
+ * @param {Object} n - Hazard node
+ * @returns {{ id: string, identifier: string, label: string, type: string, cluster: string }}
+ */
+function hazardRef(n) {
+  return { id: n.id, identifier: n.identifier, label: n.label, type: n.typeName, cluster: n.clusterName };
+}
+
+/**
+ * One-line hazard description for text output.
+ * @param {Object} ref - Hazard record from hazardRef()
+ * @returns {string}
+ */
+function hazardLine(ref) {
+  return `${(ref.identifier || '').padEnd(7)} ${ref.label} (${getTypeDef(ref.type).short || ref.type})`;
+}
+
+/**
+ * Build a headless Cytoscape instance, as the app does.
+ * @param {Object} data - Snapshot data
+ * @returns {Object} Cytoscape instance
+ */
+function createHeadlessCy(data) {
+  const { elements } = transformToElements(data, 'type');
+  return cytoscape({ headless: true, elements });
+}
+
+/**
+ * `neighbours`: direct causes/caused-by links with provenance, plus the wider
+ * neighbourhood by hop distance when --hops > 1.
+ */
+function neighbours(data, args, nodeById) {
+  const [query] = positionals(args).slice(1);
+  if (!query) throw new Error('neighbours needs a hazard');
+  const hazard = resolveHazard(data.nodes, query);
+  const hops = intArg(args, '--hops', 1);
+  const direction = argValue(args, '--direction') || 'both';
+  if (!DIRECTIONS.includes(direction)) throw new Error(`--direction must be one of ${DIRECTIONS.join(', ')}`);
+
+  const provenanceOf = createProvenanceLookup(data.nodes);
+  const known = new Set(nodeById.keys());
+  const direct = (dir) => [...(buildAdjacency(data.edges, dir, known).get(hazard.id) || [])]
+    .map(id => {
+      const [source, target] = dir === 'out' ? [hazard.id, id] : [id, hazard.id];
+      return { ...hazardRef(nodeById.get(id)), provenance: provenanceOf(source, target) };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  const causes = direction === 'in' ? [] : direct('out');
+  const causedBy = direction === 'out' ? [] : direct('in');
+
+  const distances = kHopNeighbourhood(buildAdjacency(data.edges, direction, known), hazard.id, hops);
+  const byHop = [];
+  for (const [id, hop] of distances) {
+    if (hop === 0) continue;
+    (byHop[hop - 1] ||= []).push(hazardRef(nodeById.get(id)));
+  }
+  byHop.forEach(list => list.sort((a, b) => a.label.localeCompare(b.label)));
+
+  return {
+    json: { hazard: hazardRef(hazard), direction, hops, causes, causedBy, byHop },
+    text() {
+      const lines = [hazardLine(hazardRef(hazard)), `${hazard.typeName} › ${hazard.clusterName}`, ''];
+      const section = (title, arrow, list) => {
+        if (direction === (arrow === '→' ? 'in' : 'out')) return;
+        lines.push(`${title} (${list.length})`);
+        for (const n of list) lines.push(`  ${arrow} ${hazardLine(n)}  [${PROVENANCE_LABELS[n.provenance]}]`);
+        lines.push('');
+      };
+      section('Causes', '→', causes);
+      section('Caused by', '←', causedBy);
+      if (hops > 1) {
+        byHop.forEach((list, i) => {
+          lines.push(`${i + 1} hop${i ? 's' : ''} (${list.length})`);
+          for (const n of list) lines.push(`  ${hazardLine(n)}`);
+          lines.push('');
+        });
+      }
+      return lines.join('\n').trimEnd();
+    },
+  };
+}
+
+/** `path`: shortest directed causal path between two hazards. */
+function path(data, args, nodeById) {
+  const [from, to] = positionals(args).slice(1);
+  if (!from || !to) throw new Error('path needs two hazards');
+  const source = resolveHazard(data.nodes, from);
+  const target = resolveHazard(data.nodes, to);
+
+  const result = findShortestPath(createHeadlessCy(data), source.id, target.id, pathConstraints(args, data.nodes));
+  const hazards = result ? result.nodeIds.map(id => hazardRef(nodeById.get(id))) : [];
+
+  return {
+    json: {
+      source: hazardRef(source),
+      target: hazardRef(target),
+      distance: result?.distance ?? null,
+      hops: result?.hops ?? null,
+      path: hazards,
+    },
+    text() {
+      if (!result) return `No directed path from ${source.label} to ${target.label}.`;
+      const cost = result.distance !== result.hops ? ` (cost ${result.distance})` : '';
+      const lines = [`${result.hops} hop${result.hops !== 1 ? 's' : ''}${cost}: ${source.label} → ${target.label}`, ''];
+      hazards.forEach((n, i) => lines.push(`  ${String(i).padStart(2)}. ${hazardLine(n)}`));
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `paths`: ranked alternative causal paths, with declared/inferred composition. */
+function paths(data, args, nodeById) {
+  const [from, to] = positionals(args).slice(1);
+  if (!from || !to) throw new Error('paths needs two hazards');
+  const source = resolveHazard(data.nodes, from);
+  const target = resolveHazard(data.nodes, to);
+  const cy = createHeadlessCy(data);
+
+  const all = args.includes('--all');
+  const maxLength = intArg(args, '--max-length', DEFAULT_MAX_PATH_LENGTH);
+  const constraints = pathConstraints(args, data.nodes);
+  const result = all
+    ? findSimplePaths(cy, source.id, target.id, { maxLength }, constraints)
+    : { paths: findKShortestPaths(cy, source.id, target.id, intArg(args, '--k', DEFAULT_K_PATHS), constraints), truncated: false };
+  const label = (id) => nodeById.get(id)?.label || id;
+
+  return {
+    json: {
+      source: hazardRef(source),
+      target: hazardRef(target),
+      mode: all ? 'all' : 'k-shortest',
+      truncated: result.truncated,
+      paths: result.paths,
+    },
+    text() {
+      if (!result.paths.length) {
+        return `No directed path from ${source.label} to ${target.label}${all ? ` of up to ${maxLength} links` : ''}.`;
+      }
+      const lines = [`${result.paths.length}${result.truncated ? '+' : ''} paths: ${source.label} → ${target.label}`, ''];
+      result.paths.forEach((p, i) => {
+        const counts = new Map();
+        for (const e of p.edges) counts.set(e.provenance, (counts.get(e.provenance) || 0) + 1);
+        const composition = [...counts].map(([prov, n]) => `${n} ${PROVENANCE_LABELS[prov]}`).join(', ');
+        lines.push(`  ${String(i + 1).padStart(3)}. [${p.hops}] ${p.nodeIds.map(label).join(' → ')}  (${composition})`);
+      });
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `top`: hazards ranked by a centrality or reach metric, optionally within a filtered graph. */
+function top(data, args, nodeById) {
+  const metric = argValue(args, '--metric') || 'pageRank';
+  if (!METRICS.includes(metric)) throw new Error(`--metric must be one of ${METRICS.join(', ')}`);
+  const limit = intArg(args, '--limit', 10);
+  const isReach = REACH_METRICS.includes(metric);
+  const hiddenTypes = typeList(args, '--hide-type');
+  const filter = { hiddenTypes: new Set(hiddenTypes), declaredOnly: args.includes('--declared-only') };
+  const filtered = isFiltered(filter);
+
+  const cy = createHeadlessCy(data);
+  const full = computeCentrality(cy);
+  const metrics = filtered ? computeCentrality(cy, filter) : full;
+  const ranked = [...metrics.entries()]
+    .sort((a, b) => a[1][`${metric}Rank`] - b[1][`${metric}Rank`])
+    .slice(0, limit)
+    .map(([id, m]) => ({
+      rank: m[`${metric}Rank`],
+      ...hazardRef(nodeById.get(id)),
+      value: m[metric],
+      ...(isReach && { share: m[`${metric}Share`] }),
+      ...(filtered && { fullRank: full.get(id)[`${metric}Rank`], fullValue: full.get(id)[metric] }),
+    }));
+  const format = (r) => isReach ? `${r.value} (${(r.share * 100).toFixed(1)}%)` : r.value.toFixed(4);
+  const delta = (r) => {
+    const d = r.fullRank - r.rank;
+    return `${d > 0 ? '+' : d < 0 ? '-' : '='}${d ? Math.abs(d) : ''}`.padStart(5);
+  };
+
+  return {
+    json: { metric, limit, filter: { hiddenTypes, declaredOnly: filter.declaredOnly }, hazards: ranked },
+    text() {
+      const scope = [
+        hiddenTypes.length && `without ${hiddenTypes.join(', ')}`,
+        filter.declaredOnly && 'declared links only',
+      ].filter(Boolean).join(', ');
+      const lines = [`Top ${ranked.length} by ${metric}${scope ? ` (${scope})` : ''}`, ''];
+      if (filtered) lines.push('  rank        value  vs full  hazard');
+      for (const r of ranked) {
+        const compare = filtered ? ` ${delta(r)} #${String(r.fullRank).padEnd(3)}` : '';
+        lines.push(`  ${String(r.rank).padStart(3)}. ${format(r).padStart(12)}${compare}  ${hazardLine(r)}`);
+      }
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `flow`: type-to-type or cluster-to-cluster flow matrix (rows cause columns). */
+function flow(data, args) {
+  const level = argValue(args, '--level') || 'type';
+  if (!FLOW_LEVELS.includes(level)) throw new Error(`--level must be one of: ${FLOW_LEVELS.join(', ')}`);
+  const order = argValue(args, '--order') || 'hierarchy';
+  if (!FLOW_ORDERS.includes(order)) throw new Error(`--order must be one of: ${FLOW_ORDERS.join(', ')}`);
+
+  const result = level === 'cluster' ? computeClusterFlowMatrix(data) : computeFlowMatrix(data);
+  const names = level === 'cluster' ? result.clusters.map(c => c.name) : result.typeNames;
+  const { rows, cols } = orderFlowMatrix(result.matrix, order, true);
+  const matrix = rows.map(ri => cols.map(ci => result.matrix[ri][ci]));
+  const rowNames = rows.map(i => names[i]);
+  const colNames = cols.map(i => names[i]);
+
+  return {
+    json: level === 'cluster'
+      ? { typeNames: result.typeNames, clusters: rows.map(i => result.clusters[i]), matrix }
+      : { typeNames: rowNames, matrix },
+    text() {
+      if (args.includes('--csv')) return flowMatrixToCsv(rowNames, colNames, matrix).trimEnd();
+      // Clusters are too many for named columns: number them instead
+      const short = level === 'cluster'
+        ? rowNames.map((_, i) => String(i + 1))
+        : rowNames.map(t => getTypeDef(t).short || t);
+      const rowHeads = level === 'cluster'
+        ? rowNames.map((name, i) => `${String(i + 1).padStart(2)} ${name.length > 28 ? name.slice(0, 27) + '…' : name}`)
+        : short;
+      const rowWidth = Math.max(...rowHeads.map(s => s.length));
+      const colWidth = level === 'cluster'
+        ? Math.max(2, ...matrix.flat().map(v => String(v).length))
+        : Math.max(5, ...short.map(s => Math.min(s.length, 10)));
+      const head = ' '.repeat(rowWidth) + ' │' + short.map(s => s.slice(0, 10).padStart(colWidth + 1)).join('');
+      const lines = [`Causal links from row ${level} to column ${level} (${order} order)`, '', head, '─'.repeat(rowWidth + 1) + '┼' + '─'.repeat(head.length - rowWidth - 2)];
+      matrix.forEach((row, i) => {
+        lines.push(rowHeads[i].padEnd(rowWidth) + ' │' + row.map(v => String(level === 'cluster' && !v ? '·' : v).padStart(colWidth + 1)).join(''));
+      });
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `loops`: feedback loops (elementary cycles) and the loop systems containing them. */
+function loops(data, args, nodeById) {
+  const maxLength = intArg(args, '--max-length', DEFAULT_MAX_CYCLE_LENGTH);
+  if (maxLength < 2) throw new Error('--max-length must be at least 2');
+  const limit = intArg(args, '--limit', 20);
+  const result = findFeedbackLoops(data, { maxLength, declaredOnly: args.includes('--declared-only') });
+  const label = (id) => nodeById.get(id)?.label || id;
+
+  return {
+    json: {
+      ...result,
+      components: result.components.map(c => c.nodeIds.map(id => hazardRef(nodeById.get(id)))),
+      cycles: result.cycles.slice(0, limit),
+    },
+    text() {
+      const lines = [
+        `${result.cycles.length}${result.truncated ? '+' : ''} loops of up to ${maxLength} links in ${result.components.length} loop systems`
+          + (result.declaredOnly ? ' (declared links only)' : ''),
+        '',
+      ];
+      result.components.forEach((c, i) => lines.push(`  System ${i + 1}: ${c.nodeIds.length} hazards`));
+      lines.push('');
+      for (const cycle of result.cycles.slice(0, limit)) {
+        lines.push(`  [${cycle.length}] ${[...cycle.nodeIds, cycle.nodeIds[0]].map(label).join(' → ')}`);
+      }
+      if (result.cycles.length > limit) lines.push(`  … ${result.cycles.length - limit} more (--limit)`);
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `communities`: Louvain communities and how far they agree with the editorial types and clusters. */
+function communities(data, args, nodeById) {
+  const raw = argValue(args, '--resolution');
+  const resolution = raw === null ? DEFAULT_RESOLUTION : Number(raw);
+  if (!(resolution > 0)) throw new Error('--resolution must be a positive number');
+  const limit = intArg(args, '--limit', 20);
+  const result = detectCommunities(data, { resolution });
+  const pct = (v) => `${Math.round(v * 100)}%`;
+
+  return {
+    json: {
+      ...result,
+      membership: Object.fromEntries(result.membership),
+      communities: result.communities.map(({ nodeIds, ...c }) => ({ ...c, hazards: nodeIds.map(id => hazardRef(nodeById.get(id))) })),
+    },
+    text() {
+      const { type, cluster } = result.agreement;
+      const lines = [
+        `${result.communities.length} communities (resolution ${resolution}, modularity ${result.modularity.toFixed(3)}); ${result.unconnected.length} hazards without causal links`,
+        `Agreement with types:    NMI ${type.nmi.toFixed(2)}  ARI ${type.ari.toFixed(2)}`,
+        `Agreement with clusters: NMI ${cluster.nmi.toFixed(2)}  ARI ${cluster.ari.toFixed(2)}`,
+        '',
+      ];
+      for (const c of result.communities) {
+        lines.push(`  ${c.label}: ${c.nodeIds.length} hazards, ${pct(c.clusterPurity)} from that cluster, ${pct(c.typePurity)} ${getTypeDef(c.dominantType).short || c.dominantType}`);
+      }
+      lines.push('', `Outside their cluster's community: ${result.outliers.length}`);
+      for (const o of result.outliers.slice(0, limit)) {
+        lines.push(`  ${hazardLine(hazardRef(nodeById.get(o.id)))}: ${o.clusterName}, C${o.clusterCommunity + 1} → C${o.community + 1}`);
+      }
+      if (result.outliers.length > limit) lines.push(`  … ${result.outliers.length - limit} more (--limit)`);
+      return lines.join('\n');
+    },
+  };
+}
+
+/** Probability flags for `simulate`, by link provenance. */
+const PROBABILITY_FLAGS = { [DECLARED]: '--p-declared', [INFERRED]: '--p-inferred', [TARGET_ONLY]: '--p-target-only' };
+
+/** `simulate`: Monte Carlo cascade from seed hazards, ranked by activation probability. */
+function simulate(data, args, nodeById) {
+  const queries = positionals(args).slice(1);
+  if (!queries.length) throw new Error('simulate needs at least one seed hazard');
+  const seeds = queries.map(q => resolveHazard(data.nodes, q).id);
+  const model = argValue(args, '--model') || 'independent';
+  const probabilities = {};
+  for (const [provenance, flag] of Object.entries(PROBABILITY_FLAGS)) {
+    const raw = argValue(args, flag);
+    if (raw === null) continue;
+    probabilities[provenance] = Number(raw);
+    if (!(probabilities[provenance] >= 0 && probabilities[provenance] <= 1)) throw new Error(`${flag} must be between 0 and 1`);
+  }
+  const limit = intArg(args, '--limit', 20);
+
+  const result = simulateCascade(buildAdjacencyIndex(data).effectsIndex, seeds, {
+    model,
+    probabilities,
+    runs: intArg(args, '--runs', DEFAULT_RUNS),
+    randomSeed: intArg(args, '--random-seed', DEFAULT_RANDOM_SEED),
+  });
+  const followers = [...result.activation]
+    .filter(([id]) => !result.seeds.includes(id))
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, probability]) => ({ ...hazardRef(nodeById.get(id)), probability, meanStep: result.meanStep.get(id) }));
+
+  return {
+    json: {
+      model: result.model,
+      runs: result.runs,
+      probabilities: result.probabilities,
+      seeds: result.seeds.map(id => hazardRef(nodeById.get(id))),
+      meanSize: result.meanSize,
+      medianSize: result.medianSize,
+      maxSize: result.maxSize,
+      hazards: followers,
+    },
+    text() {
+      const probs = Object.entries(result.probabilities).map(([p, v]) => `${PROVENANCE_LABELS[p]} ${v}`).join(', ');
+      const lines = [
+        `${result.model === 'threshold' ? 'Linear threshold' : 'Independent cascade'}, ${result.runs} runs (${probs})`,
+        `Seeds: ${result.seeds.map(id => nodeById.get(id).label).join(', ')}`,
+        `Hazards following per run: mean ${result.meanSize.toFixed(1)}, median ${result.medianSize}, max ${result.maxSize}`,
+        '',
+      ];
+      for (const f of followers.slice(0, limit)) {
+        lines.push(`  ${`${(f.probability * 100).toFixed(1)}%`.padStart(6)}  step ${f.meanStep.toFixed(1)}  ${hazardLine(f)}`);
+      }
+      if (followers.length > limit) lines.push(`  … ${followers.length - limit} more (--limit)`);
+      return lines.join('\n');
+    },
+  };
+}
+
+/**
+ * `robustness`: degradation curve for a removal order (targeted by a
+ * centrality metric, or given with --remove), plus the single hazards whose
+ * removal disconnects the most other pairs.
+ */
+function robustness(data, args, nodeById) {
+  const remove = argValue(args, '--remove');
+  const strategy = argValue(args, '--strategy') || 'betweenness';
+  if (!METRICS.includes(strategy)) throw new Error(`--strategy must be one of ${METRICS.join(', ')}`);
+  const limit = intArg(args, '--limit', 10);
+
+  const order = remove
+    ? remove.split(',').map(s => s.trim()).filter(Boolean).map(q => resolveHazard(data.nodes, q).id)
+    : removalOrder(computeCentrality(createHeadlessCy(data)), strategy, intArg(args, '--steps', DEFAULT_REMOVAL_STEPS));
+  const steps = degradationCurve(data, order);
+  const cuts = findCutHazards(data);
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+  return {
+    json: {
+      strategy: remove ? 'chosen' : strategy,
+      steps: steps.map(({ removedId, ...s }) => ({ ...s, hazard: removedId ? hazardRef(nodeById.get(removedId)) : null })),
+      cuts: cuts.slice(0, limit).map(({ id, ...c }) => ({ ...hazardRef(nodeById.get(id)), ...c })),
+    },
+    text() {
+      const lines = [
+        `Removal order: ${remove ? 'as given' : `highest ${strategy} first`}`,
+        '',
+        '  Step  Reachable pairs   Largest SCC  Avg path  Removed',
+      ];
+      for (const s of steps) {
+        lines.push(`  ${String(s.removed).padStart(4)}  ${`${s.reachablePairs} (${pct(s.reachableShare)})`.padEnd(16)}  ${String(s.largestScc).padStart(11)}  ${s.avgPathLength.toFixed(2).padStart(8)}  ${s.removedId ? hazardLine(hazardRef(nodeById.get(s.removedId))) : '(intact network)'}`);
+      }
+      lines.push('', `Cut hazards: ${cuts.length} disconnect other hazard pairs when removed alone`);
+      for (const c of cuts.slice(0, limit)) {
+        lines.push(`  ${String(c.disconnectedPairs).padStart(6)} pairs (${pct(c.disconnectedShare)})  ${hazardLine(hazardRef(nodeById.get(c.id)))}`);
+      }
+      if (cuts.length > limit) lines.push(`  … ${cuts.length - limit} more (--limit)`);
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `similar`: hazards most similar to one hazard, with the reasons for each match. */
+function similar(data, args, nodeById) {
+  const [query] = positionals(args).slice(1);
+  if (!query) throw new Error('similar needs a hazard');
+  const hazard = resolveHazard(data.nodes, query);
+  const limit = intArg(args, '--limit', DEFAULT_SIMILAR_LIMIT);
+
+  const matches = computeSimilarity(data, { limit }).get(hazard.id).map(m => ({
+    ...hazardRef(nodeById.get(m.id)),
+    score: m.score,
+    linked: m.linked,
+    nearDuplicate: m.nearDuplicate,
+    reasons: m.reasons,
+  }));
+  const reasonText = (r) => {
+    if (r.kind === 'text') return `text ${r.score.toFixed(2)} (${r.terms.join(', ')})`;
+    if (r.kind === 'simrank') return `SimRank ${r.score.toFixed(2)}`;
+    return `${r.shared.length} shared ${r.kind} (${r.score.toFixed(2)})`;
+  };
+
+  return {
+    json: { hazard: hazardRef(hazard), matches },
+    text() {
+      const lines = [`Most similar to ${hazardLine(hazardRef(hazard))}`, ''];
+      for (const m of matches) {
+        const tags = [m.nearDuplicate && 'possible duplicate', !m.linked && 'not linked'].filter(Boolean);
+        lines.push(`  ${m.score.toFixed(3)}  ${hazardLine(m)}${tags.length ? `  [${tags.join(', ')}]` : ''}`);
+        if (m.reasons.length) lines.push(`         ${m.reasons.map(reasonText).join(' · ')}`);
+      }
+      return lines.join('\n');
+    },
+  };
+}
+
+/** Suggestions listed by `links` unless --limit or --csv is given. */
+const DEFAULT_LINKS_LIMIT = 30;
+
+/** `links`: candidate causal links for curators, best first. */
+function links(data, args, nodeById) {
+  const kind = argValue(args, '--kind');
+  if (kind && !SUGGESTION_KINDS.includes(kind)) {
+    throw new Error(`--kind must be one of: ${SUGGESTION_KINDS.join(', ')}`);
+  }
+  const csv = args.includes('--csv');
+  const all = suggestLinks(data, { kind: kind || undefined });
+  const suggestions = all.slice(0, intArg(args, '--limit', csv ? all.length : DEFAULT_LINKS_LIMIT));
+  const label = (id) => nodeById.get(id)?.label || id;
+
+  return {
+    json: {
+      total: all.length,
+      suggestions: suggestions.map(s => ({
+        ...s,
+        source: hazardRef(nodeById.get(s.source)),
+        target: hazardRef(nodeById.get(s.target)),
+        action: suggestionAction(s, label),
+        mediators: s.mediators.map(id => hazardRef(nodeById.get(id))),
+      })),
+    },
+    text() {
+      if (csv) return linkSuggestionsToCsv(suggestions, nodeById).trimEnd();
+      const lines = [`${all.length} candidate links${kind ? ` (${kind})` : ''}; showing ${suggestions.length}`, ''];
+      for (const s of suggestions) {
+        const evidence = [
+          s.provenance && `already ${PROVENANCE_LABELS[s.provenance]}`,
+          s.mediators.length && `${s.mediators.length} mediators, Adamic-Adar ${s.adamicAdar.toFixed(2)}`,
+          ...s.mentions.map(m => `named in ${label(m.hazardId)} ${m.section}`),
+          s.reverseExists && 'reverse link exists',
+        ].filter(Boolean);
+        lines.push(`  ${s.score.toFixed(3)}  ${hazardLine(hazardRef(nodeById.get(s.source)))} → ${hazardLine(hazardRef(nodeById.get(s.target)))}`);
+        lines.push(`         ${suggestionAction(s, label)}`);
+        lines.push(`         ${evidence.join(' · ')}`);
+      }
+      return lines.join('\n');
+    },
+  };
+}
+
+/** `insights`: the network statistics behind the Insights panel cards. */
+function insights(data, _args, nodeById) {
+  const result = computeInsights(data);
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  return {
+    json: result,
+    text() {
+      const mc = result.mostConnected;
+      return [
+        `Hazards:                 ${data.nodes.length}`,
+        `Causal links:            ${data.edges.length}`,
+        `Average degree:          ${result.avgDegree.toFixed(2)} (declared ${result.avgDeclaredDegree.toFixed(2)})`,
+        `Most connected:          ${mc.label} (${nodeById.get(mc.id)?.identifier || mc.id}), ${mc.degree} links, ${mc.declaredDegree} declared`,
+        `Most connected type:     ${result.topType.name} (${result.topType.edgeCount} link endpoints)`,
+        `Densest cluster:         ${result.densestCluster.name} (${pct(result.densestCluster.density)})`,
+        `Cross-type links:        ${pct(result.crossTypeRatio)}`,
+        `Reciprocation rate:      ${pct(result.reciprocationRate)}`,
+        `Target-attested links:   ${result.targetOnlyEdgeCount} (${pct(result.targetOnlyRate)})`,
+        `Feedback loops:          ${result.feedbackLoops.cycleCount}${result.feedbackLoops.truncated ? '+' : ''} of ≤${result.feedbackLoops.maxLength} links in ${result.feedbackLoops.componentCount} loop systems (largest ${result.feedbackLoops.largestComponent.length} hazards)`,
+        `Causal communities:      ${result.communities.count} (modularity ${result.communities.modularity.toFixed(2)}, NMI vs clusters ${result.communities.clusterNmi.toFixed(2)}, ${result.communities.outlierIds.length} outside their cluster)`,
+        `Isolated hazards:        ${result.isolatedNodes.length}`,
+        `Inferred-only hazards:   ${result.inferredOnlyNodes.length}`,
+        `Reference coverage:      ${pct(result.referenceCoverage)}`,
+        ...Object.values(result.relationshipLayers).map(layerLine),
+      ].join('\n');
+
+      /** One relationship layer: links, coverage, and references that name no hazard. */
+      function layerLine(l) {
+        const head = `${l.label} layer:`.padEnd(25);
+        const links = `${l.linkCount} ${l.property} links between ${l.hazardIds.length} hazards`;
+        const detail = l.linkCount
+          ? `, ${pct(l.crossTypeRate)} cross-type${l.reciprocationRate !== null ? `, ${pct(l.reciprocationRate)} reciprocated` : ''}`
+          : '';
+        const unresolved = l.unresolvedCount
+          ? `; ${l.unresolvedCount} values name no hazard (top: ${l.topUnresolved.map(u => `${u.value} ×${u.count}`).join(', ')})`
+          : '';
+        return `${head}${links}${detail}${unresolved}`;
+      }
+    },
+  };
+}
+
+const COMMANDS = { neighbours, neighbors: neighbours, path, paths, top, flow, loops, communities, simulate, robustness, similar, links, insights };
+
+function main() {
+  const args = process.argv.slice(2);
+  const [command] = positionals(args);
+  if (!command || args.includes('--help') || args.includes('-h')) {
+    console.log(USAGE);
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+
+  const data = JSON.parse(readFileSync(argValue(args, '--data') || DEFAULT_DATA_PATH, 'utf8'));
+  const nodeById = new Map(data.nodes.map(n => [n.id, n]));
+  const result = run(data, args, nodeById);
+  console.log(args.includes('--json') ? JSON.stringify(result.json, null, 2) : result.text());
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`hips: ${err.message}`);
+  process.exit(1);
+}
@@ -1,145 +1,130 @@
 /**
- * Fetches the HIPs API data and writes an optimized snapshot to public/data/hips.json
- * Run: npm run snapshot
+ * Builds the optimized snapshot at public/data/hips.json from the HIPs JSON-LD,
+ * either fetched from the live PreventionWeb API or read from a local dump.
+ * Run: npm run snapshot [-- --input <file|-> --fetched-at <iso> --out <path> --strict]
+ *
+ *   --input <file>     Read a raw JSON-LD dump instead of fetching ("-" reads stdin)
+ *   --fetched-at <iso> Pin meta.fetchedAt (for reproducible builds; default: now)
+ *   --out <path>       Write somewhere other than public/data/hips.json
+ *   --strict           Refuse to write when validation reports warnings, not just errors
  */
-import { writeFileSync, mkdirSync } from 'fs';
+import { writeFileSync, mkdirSync, readFileSync, existsSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
-import { str, refId, toArray } from '../src/utils/jsonld.js';
+import { transformHipsJsonLd, HIPS_API_URL } from '../src/data/jsonld-transform.js';
+import { diffSnapshots, formatChangelog } from '../src/data/snapshot-diff.js';
+import { validateSnapshot, formatValidationReport } from '../src/data/validate-snapshot.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const API_URL = 'https://www.preventionweb.net/api/terms/hips';
-const OUT_PATH = join(__dirname, '..', 'public', 'data', 'hips.json');
+const DEFAULT_OUT_PATH = join(__dirname, '..', 'public', 'data', 'hips.json');
 
 /**
- * Fetch the full HIPs JSON-LD dataset from PreventionWeb, extract hazard nodes
- * and causal edges, and write the optimized snapshot to public/data/hips.json.
+ * Read the value following a flag, e.g. `--input dump.json`.
+ * @param {string[]} args
+ * @param {string} flag
+ * @returns {string|null}
  */
-async function fetchAndTransform() {
-  console.log(`Fetching from ${API_URL}...`);
-  const res = await fetch(API_URL);
-  if (!res.ok) throw new Error(`API returned ${res.status}`);
-  const raw = await res.json();
-
-  const graph = raw['@graph'] || raw;
-  console.log(`Received ${graph.length} items`);
-
-  const nodes = [];
-  const edges = [];
-  const typeMap = new Map();
-  const clusterMap = new Map();
-
-  for (const item of graph) {
-    const id = item['@id'];
-    const types = toArray(item['@type']);
-
-    // Skip non-Concept items (ConceptScheme, Collection, etc.)
-    if (!types.includes('skos:Concept')) continue;
-
-    // Determine hazard type and cluster from skos:broader
-    const broaders = toArray(item['skos:broader']);
-
-    let typeId = null;
-    let typeName = null;
-    let clusterId = null;
-    let clusterName = null;
-
-    for (const b of broaders) {
-      if (typeof b !== 'object') continue;
-      const bId = b['@id'];
-      const bDctType = str(b['dct:type']);
-      const bLabel = str(b['skos:prefLabel']);
-
-      if (bDctType === 'type') {
-        typeId = bId;
-        typeName = bLabel;
-      } else if (bDctType === 'cluster') {
-        clusterId = bId;
-        clusterName = bLabel;
-      }
-    }
-
-    // Parse scope notes
-    const scopeNotes = {};
-    for (const note of toArray(item['skos:scopeNote'])) {
-      const noteType = str(note?.['dct:type']);
-      const noteValue = str(note);
-      if (noteType && noteValue) {
-        scopeNotes[noteType] = noteValue;
-      }
-    }
+function argValue(args, flag) {
+  const i = args.indexOf(flag);
+  if (i === -1) return null;
+  const value = args[i + 1];
+  if (value === undefined || (value.startsWith('--') && value !== '-')) {
+    throw new Error(`${flag} needs a value`);
+  }
+  return value;
+}
 
-    // Parse causes/causedBy
-    const causes = toArray(item['xkos:causes']).map(refId).filter(Boolean);
-    const causedBy = toArray(item['xkos:causedBy']).map(refId).filter(Boolean);
+/**
+ * Read all of stdin as a string.
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
 
-    // Parse link fields
-    const getLinks = (field) => toArray(item[field]).map(v => refId(v) || str(v)).filter(Boolean);
+/**
+ * Load the raw JSON-LD from the live API, a file, or stdin.
+ * @param {string|null} input - File path, "-" for stdin, or null to fetch
+ * @returns {Promise<Object>}
+ */
+async function loadRaw(input) {
+  if (!input) {
+    console.log(`Fetching from ${HIPS_API_URL}...`);
+    const res = await fetch(HIPS_API_URL);
+    if (!res.ok) throw new Error(`API returned ${res.status}`);
+    return res.json();
+  }
+  if (input === '-') {
+    console.log('Reading JSON-LD from stdin...');
+    return JSON.parse(await readStdin());
+  }
+  console.log(`Reading JSON-LD from ${input}...`);
+  return JSON.parse(readFileSync(input, 'utf8'));
+}
 
-    // Parse alt labels
-    const altLabels = toArray(item['skos:altLabel']).map(str).filter(Boolean);
+/**
+ * Load the HIPs JSON-LD dataset, extract hazard nodes and causal edges,
+ * validate the result, and write the optimized snapshot.
+ */
+async function buildSnapshot() {
+  const args = process.argv.slice(2);
+  const outPath = argValue(args, '--out') || DEFAULT_OUT_PATH;
+  const fetchedAt = argValue(args, '--fetched-at');
+  if (fetchedAt && Number.isNaN(Date.parse(fetchedAt))) {
+    throw new Error(`--fetched-at is not a valid date: ${fetchedAt}`);
+  }
 
-    // Track types and clusters
-    if (typeId && typeName) typeMap.set(typeId, typeName);
-    if (clusterId && clusterName) clusterMap.set(clusterId, { name: clusterName, typeId });
+  const raw = await loadRaw(argValue(args, '--input'));
+  const graph = raw['@graph'] || raw;
+  console.log(`Received ${Array.isArray(graph) ? graph.length : 0} items`);
 
-    nodes.push({
-      id,
-      label: str(item['skos:prefLabel']),
-      identifier: str(item['dct:identifier']),
-      definition: str(item['skos:definition']),
-      altLabels,
-      typeId,
-      typeName,
-      clusterId,
-      clusterName,
-      scopeNotes,
-      causes,
-      causedBy,
-      sources: getLinks('dct:source'),
-      quotedFrom: getLinks('prov:wasQuotedFrom'),
-      references: getLinks('dct:references'),
-      influencedBy: getLinks('prov:wasInfluencedBy'),
-      conformsTo: getLinks('dct:conformsTo'),
-      hasPart: getLinks('dct:hasPart'),
-      related: getLinks('skos:related'),
-      versionInfo: str(item['owl:versionInfo']),
-      rights: str(item['dct:rights']),
-    });
+  // A dump is a saved API response, so meta.source names the API either way
+  const snapshot = transformHipsJsonLd(raw, { source: HIPS_API_URL, ...(fetchedAt && { fetchedAt }) });
+  const { nodes, edges, meta } = snapshot;
 
-    // Create edges from causes
-    for (const target of causes) {
-      edges.push({ source: id, target, type: 'causes' });
-    }
+  const report = validateSnapshot(snapshot);
+  console.log(formatValidationReport(report));
+  if (!report.ok || (args.includes('--strict') && report.warnings > 0)) {
+    throw new Error(`Validation failed; ${outPath} was not written`);
   }
 
-  const snapshot = {
-    meta: {
-      source: API_URL,
-      fetchedAt: new Date().toISOString(),
-      nodeCount: nodes.length,
-      edgeCount: edges.length,
-      types: Object.fromEntries(typeMap),
-      clusters: Object.fromEntries(
-        [...clusterMap.entries()].map(([k, v]) => [k, v])
-      ),
-    },
-    nodes,
-    edges,
-  };
+  const previous = readPreviousSnapshot(outPath);
 
   const json = JSON.stringify(snapshot);
-  mkdirSync(dirname(OUT_PATH), { recursive: true });
-  writeFileSync(OUT_PATH, json);
+  mkdirSync(dirname(outPath), { recursive: true });
+  writeFileSync(outPath, json);
 
   const sizeMB = (Buffer.byteLength(json) / 1024 / 1024).toFixed(2);
-  console.log(`Written ${OUT_PATH}`);
-  console.log(`  ${nodes.length} nodes, ${edges.length} edges`);
-  console.log(`  ${typeMap.size} types, ${clusterMap.size} clusters`);
+  console.log(`Written ${outPath}`);
+  const targetOnly = edges.filter(e => e.type === 'causedBy').length;
+  console.log(`  ${nodes.length} nodes, ${edges.length} edges (${targetOnly} from causedBy only)`);
+  console.log(`  ${Object.keys(meta.types).length} types, ${Object.keys(meta.clusters).length} clusters`);
   console.log(`  ${sizeMB} MB`);
+
+  if (previous) {
+    console.log('');
+    console.log(formatChangelog(diffSnapshots(previous, snapshot)));
+  }
+}
+
+/**
+ * Read the snapshot currently on disk so the new one can be diffed against it.
+ * @param {string} path - Snapshot path about to be overwritten
+ * @returns {Object|null} Previous snapshot, or null if missing or unreadable
+ */
+function readPreviousSnapshot(path) {
+  if (!existsSync(path)) return null;
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    console.warn(`Could not read previous snapshot: ${err.message}`);
+    return null;
+  }
 }
 
-fetchAndTransform().catch(err => {
+buildSnapshot().catch(err => {
   console.error('Snapshot failed:', err);
   process.exit(1);
 });
@@ -0,0 +1,24 @@
+/**
+ * Validates a snapshot file and prints a data-quality report.
+ * Exits non-zero when the snapshot has errors (or warnings, with --strict).
+ * Run: npm run validate -- [snapshot.json] [--json] [--strict]
+ */
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { validateSnapshot, formatValidationReport } from '../src/data/validate-snapshot.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const strict = args.includes('--strict');
+const path = args.find(a => !a.startsWith('--')) || join(__dirname, '..', 'public', 'data', 'hips.json');
+
+try {
+  const report = validateSnapshot(JSON.parse(readFileSync(path, 'utf8')));
+  console.log(asJson ? JSON.stringify(report, null, 2) : formatValidationReport(report));
+  if (!report.ok || (strict && report.warnings > 0)) process.exit(1);
+} catch (err) {
+  console.error('Validation failed:', err.message);
+  process.exit(1);
+}
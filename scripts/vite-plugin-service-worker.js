@@ -0,0 +1,72 @@
+/**
+ * Vite build plugin that emits the service worker (sw.js) next to index.html.
+ * Reads src/service-worker.js and injects the precache list — every emitted
+ * chunk and asset plus every file in public/ — and a cache version hashed from
+ * their contents, so each deploy gets a fresh cache and unchanged builds keep
+ * theirs.
+ */
+import { readFileSync, readdirSync } from 'fs';
+import { join, relative, sep } from 'path';
+import { createHash } from 'crypto';
+
+const SW_FILE = 'sw.js';
+
+/**
+ * List files under a directory, recursively, as paths relative to it.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listFiles(path));
+    else files.push(path);
+  }
+  return files;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.src - Path of the service worker source
+ * @returns {import('vite').Plugin}
+ */
+export function serviceWorker({ src }) {
+  let publicDir = null;
+
+  return {
+    name: 'hips-service-worker',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(config) {
+      publicDir = config.publicDir || null;
+    },
+
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256');
+      const paths = [];
+
+      for (const file of Object.values(bundle)) {
+        if (file.fileName.endsWith('.map')) continue;
+        paths.push(file.fileName);
+        hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source);
+      }
+
+      if (publicDir) {
+        for (const path of listFiles(publicDir)) {
+          const name = relative(publicDir, path).split(sep).join('/');
+          paths.push(name);
+          hash.update(name).update(readFileSync(path));
+        }
+      }
+
+      paths.sort();
+      const source = readFileSync(src, 'utf8')
+        .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(paths));
+
+      this.emitFile({ type: 'asset', fileName: SW_FILE, source });
+    },
+  };
+}
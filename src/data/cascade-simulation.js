@@ -0,0 +1,206 @@
+/**
+ * @module data/cascade-simulation
+ * Monte Carlo cascade propagation over the cascade view's effectsIndex:
+ * "if these hazards start, what is likely to follow?"
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * Two diffusion models are supported:
+ * - Independent cascade: each newly active hazard gets one chance to
+ *   activate each of its effects, with the link's probability.
+ * - Linear threshold: each hazard draws a random threshold in [0, 1) and
+ *   activates once the summed weights of its active triggers reach it.
+ *   A hazard's incoming weights are the link probabilities, scaled down
+ *   when they sum to more than 1.
+ *
+ * Link probabilities depend on provenance, so declared links (recorded by
+ * both hazards) can be trusted more than inferred or target-only ones.
+ * Runs use a seeded generator, so results are reproducible.
+ */
+import { DECLARED, INFERRED, TARGET_ONLY } from './edge-provenance.js';
+
+/** Diffusion models accepted by simulateCascade(). */
+export const MODELS = ['independent', 'threshold'];
+
+/** Default activation probability per link provenance. */
+export const DEFAULT_EDGE_PROBABILITIES = {
+  [DECLARED]: 0.3,
+  [INFERRED]: 0.15,
+  [TARGET_ONLY]: 0.1,
+};
+
+/** Default number of Monte Carlo runs. */
+export const DEFAULT_RUNS = 1000;
+
+/** Default generator seed. */
+export const DEFAULT_RANDOM_SEED = 1;
+
+/**
+ * Small seeded PRNG (mulberry32).
+ * @param {number} seed
+ * @returns {() => number} Uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Weighted successor lists, one entry per distinct link.
+ * @param {Map<string, Array<{id: string, provenance: string}>>} effectsIndex
+ * @param {Object<string, number>} probabilities - Provenance -> probability
+ * @returns {Map<string, Array<{id: string, p: number}>>}
+ */
+function weightedEffects(effectsIndex, probabilities) {
+  const out = new Map();
+  for (const [source, effects] of effectsIndex) {
+    const seen = new Set();
+    const list = [];
+    for (const { id, provenance } of effects) {
+      if (id === source || seen.has(id)) continue;
+      seen.add(id);
+      const p = probabilities[provenance] ?? 0;
+      if (p > 0) list.push({ id, p });
+    }
+    out.set(source, list);
+  }
+  return out;
+}
+
+/**
+ * One independent-cascade run.
+ * @returns {Map<string, number>} Activated hazard -> step it activated at
+ */
+function runIndependent(effects, seeds, random) {
+  const step = new Map(seeds.map(id => [id, 0]));
+  let frontier = seeds;
+  for (let t = 1; frontier.length; t++) {
+    const next = [];
+    for (const u of frontier) {
+      for (const { id, p } of effects.get(u) || []) {
+        if (!step.has(id) && random() < p) {
+          step.set(id, t);
+          next.push(id);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return step;
+}
+
+/**
+ * One linear-threshold run.
+ * @param {Map<string, Array<{id: string, p: number}>>} effects - Weights already normalised per target
+ * @returns {Map<string, number>} Activated hazard -> step it activated at
+ */
+function runThreshold(effects, seeds, random) {
+  const step = new Map(seeds.map(id => [id, 0]));
+  const threshold = new Map();
+  const pressure = new Map();
+  let frontier = seeds;
+  for (let t = 1; frontier.length; t++) {
+    const next = [];
+    for (const u of frontier) {
+      for (const { id, p } of effects.get(u) || []) {
+        if (step.has(id)) continue;
+        if (!threshold.has(id)) threshold.set(id, random());
+        const total = (pressure.get(id) || 0) + p;
+        pressure.set(id, total);
+        if (total >= threshold.get(id)) {
+          step.set(id, t);
+          next.push(id);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return step;
+}
+
+/**
+ * Scale each hazard's incoming weights so they sum to at most 1.
+ * @param {Map<string, Array<{id: string, p: number}>>} effects
+ * @returns {Map<string, Array<{id: string, p: number}>>}
+ */
+function normaliseIncoming(effects) {
+  const incoming = new Map();
+  for (const list of effects.values()) {
+    for (const { id, p } of list) incoming.set(id, (incoming.get(id) || 0) + p);
+  }
+  return new Map([...effects].map(([source, list]) => [
+    source,
+    list.map(({ id, p }) => ({ id, p: p / Math.max(1, incoming.get(id)) })),
+  ]));
+}
+
+/**
+ * Simulate cascades from one or more seed hazards.
+ * @param {Map<string, Array<{id: string, provenance: string}>>} effectsIndex - From buildAdjacencyIndex()
+ * @param {string[]} seeds - Hazards active at step 0
+ * @param {Object} [options]
+ * @param {'independent'|'threshold'} [options.model='independent']
+ * @param {Object<string, number>} [options.probabilities] - Provenance -> link probability,
+ *   merged over DEFAULT_EDGE_PROBABILITIES
+ * @param {number} [options.runs=DEFAULT_RUNS]
+ * @param {number} [options.randomSeed=DEFAULT_RANDOM_SEED]
+ * @returns {import('../types.js').CascadeSimulation}
+ * @throws {Error} On an unknown model, no seeds, bad run count, or probabilities outside [0, 1]
+ */
+export function simulateCascade(effectsIndex, seeds, {
+  model = 'independent',
+  probabilities = {},
+  runs = DEFAULT_RUNS,
+  randomSeed = DEFAULT_RANDOM_SEED,
+} = {}) {
+  if (!MODELS.includes(model)) throw new Error(`Model must be one of ${MODELS.join(', ')}`);
+  const seedList = [...new Set(seeds)];
+  if (!seedList.length) throw new Error('At least one seed hazard is needed');
+  if (!Number.isInteger(runs) || runs < 1) throw new Error('Runs must be a positive integer');
+  const linkProbabilities = { ...DEFAULT_EDGE_PROBABILITIES, ...probabilities };
+  for (const [provenance, p] of Object.entries(linkProbabilities)) {
+    if (!(p >= 0 && p <= 1)) throw new Error(`Probability for ${provenance} links must be between 0 and 1`);
+  }
+
+  let effects = weightedEffects(effectsIndex, linkProbabilities);
+  if (model === 'threshold') effects = normaliseIncoming(effects);
+  const runOnce = model === 'threshold' ? runThreshold : runIndependent;
+  const random = createRandom(randomSeed);
+
+  const counts = new Map();
+  const stepSums = new Map();
+  const sizes = [];
+  for (let r = 0; r < runs; r++) {
+    const activated = runOnce(effects, seedList, random);
+    sizes.push(activated.size - seedList.length);
+    for (const [id, t] of activated) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+      stepSums.set(id, (stepSums.get(id) || 0) + t);
+    }
+  }
+
+  const activation = new Map();
+  const meanStep = new Map();
+  for (const [id, n] of counts) {
+    activation.set(id, n / runs);
+    meanStep.set(id, stepSums.get(id) / n);
+  }
+
+  sizes.sort((a, b) => a - b);
+  return {
+    model,
+    seeds: seedList,
+    runs,
+    probabilities: linkProbabilities,
+    activation,
+    meanStep,
+    meanSize: sizes.reduce((s, n) => s + n, 0) / runs,
+    medianSize: sizes[Math.floor(runs / 2)],
+    maxSize: sizes[sizes.length - 1],
+  };
+}
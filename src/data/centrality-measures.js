@@ -0,0 +1,79 @@
+/**
+ * @module data/centrality-measures
+ * Centrality measure definitions and filter keys, without the algorithms,
+ * so UI modules can list measures without loading Cytoscape.js.
+ * The metrics themselves come from data/centrality.
+ */
+
+/**
+ * Centrality measures, in display order. Every key has a matching
+ * `${key}Rank` in the computeCentrality() results.
+ * @type {Array<{key: string, label: string, description: string}>}
+ */
+export const CENTRALITY_MEASURES = [
+  {
+    key: 'betweenness',
+    label: 'Betweenness',
+    description: 'How often this hazard lies on the shortest path between other hazards. High values indicate key bridges in causal chains.',
+  },
+  {
+    key: 'pageRank',
+    label: 'PageRank',
+    description: 'Importance based on being caused by other important hazards. High values mean many significant triggers.',
+  },
+  {
+    key: 'closeness',
+    label: 'Closeness',
+    description: 'How quickly this hazard can reach all others via causal links. High values mean fewer steps to the rest of the network.',
+  },
+  {
+    key: 'harmonic',
+    label: 'Harmonic',
+    description: 'Closeness that also counts how much of the network is reachable: the average of 1 / distance to every other hazard, with unreachable hazards adding 0.',
+  },
+  {
+    key: 'hub',
+    label: 'Hub',
+    description: 'HITS hub score: high when this hazard causes many good authorities, i.e. it is a broad driver of important effects.',
+  },
+  {
+    key: 'authority',
+    label: 'Authority',
+    description: 'HITS authority score: high when this hazard is caused by many good hubs, i.e. it is a common outcome of broad drivers.',
+  },
+  {
+    key: 'inDegree',
+    label: 'In-degree',
+    description: 'Share of the other hazards that directly cause this one.',
+  },
+  {
+    key: 'outDegree',
+    label: 'Out-degree',
+    description: 'Share of the other hazards this one directly causes.',
+  },
+  {
+    key: 'katz',
+    label: 'Katz',
+    description: 'Eigenvector-style importance from incoming causal chains of every length, longer chains counting less. Unlike plain eigenvector centrality it stays meaningful for hazards outside feedback loops.',
+  },
+];
+
+/**
+ * Whether a filter removes anything from the graph.
+ * @param {import('../types.js').CentralityFilter} [filter]
+ * @returns {boolean}
+ */
+export function isFiltered({ hiddenTypes = new Set(), declaredOnly = false } = {}) {
+  return hiddenTypes.size > 0 || declaredOnly;
+}
+
+/**
+ * Stable cache key for a filter combination; '' for the full graph.
+ * @param {import('../types.js').CentralityFilter} [filter]
+ * @returns {string}
+ */
+export function centralityFilterKey({ hiddenTypes = new Set(), declaredOnly = false } = {}) {
+  const parts = [...hiddenTypes].sort();
+  if (declaredOnly) parts.push('declared-only');
+  return parts.join('\u0000');
+}
@@ -1,15 +1,62 @@
 /**
  * @module data/centrality
- * Compute centrality metrics (betweenness, PageRank, closeness) for all nodes.
- * Uses Cytoscape.js built-in graph algorithms.
+ * Compute centrality metrics for all nodes: betweenness and PageRank
+ * (Cytoscape.js built-in algorithms), plus closeness, harmonic closeness,
+ * HITS hub and authority, in/out-degree and Katz centrality for the directed
+ * causal graph, and downstream reach and upstream exposure (closure sizes).
+ *
+ * Metrics can also be computed for the graph the user is looking at — with
+ * hazard types hidden or only declared links kept — and cached per filter
+ * combination with createCentralityCache().
  */
+import cytoscape from 'cytoscape';
+import { computeReachability } from './reachability.js';
+import { DECLARED } from './edge-provenance.js';
+import { buildAdjacency, kHopNeighbourhood } from './graph-queries.js';
+import { CENTRALITY_MEASURES, centralityFilterKey, isFiltered } from './centrality-measures.js';
+
+export { CENTRALITY_MEASURES, centralityFilterKey, isFiltered };
+
+/** Katz attenuation as a fraction of 1 / (largest eigenvalue); below 1 so the series converges. */
+const KATZ_ALPHA_FACTOR = 0.85;
+
+/** Power iterations stop after this many rounds or when scores move less than the tolerance. */
+const MAX_ITERATIONS = 500;
+const TOLERANCE = 1e-10;
+
+/**
+ * Separate headless instance holding only the hazards and links a filter keeps.
+ * A fresh instance is needed because Cytoscape's betweenness follows edges
+ * outside the collection it is called on.
+ * @param {object} cy - Cytoscape instance
+ * @param {import('../types.js').CentralityFilter} filter
+ * @returns {object} Cytoscape instance without compound nodes
+ */
+function filteredInstance(cy, { hiddenTypes = new Set(), declaredOnly = false }) {
+  const nodes = cy.nodes('[!isCompound]').filter(n => !hiddenTypes.has(n.data('typeName')));
+  const kept = new Set(nodes.map(n => n.id()));
+  const edges = cy.edges().filter(e => kept.has(e.data('source')) && kept.has(e.data('target'))
+    && (!declaredOnly || e.data('provenance') === DECLARED));
+  return cytoscape({
+    headless: true,
+    elements: [
+      ...nodes.map(n => ({ group: 'nodes', data: { ...n.data(), parent: undefined } })),
+      ...edges.map(e => ({ group: 'edges', data: { ...e.data() } })),
+    ],
+  });
+}
 
 /**
  * Compute centrality metrics for all non-compound nodes.
+ * With a filter, metrics are computed on the filtered graph alone, so hidden
+ * hazards are left out of the results and ranks run over the hazards kept.
  * @param {object} cy - Cytoscape instance
- * @returns {Map<string, object>} Map of nodeId -> { betweenness, pageRank, closeness, betweennessRank, pageRankRank, closenessRank }
+ * @param {import('../types.js').CentralityFilter} [filter] - Defaults to the full graph
+ * @returns {Map<string, import('../types.js').CentralityMetrics>} Map of nodeId -> a value and a
+ *   `${key}Rank` for every CENTRALITY_MEASURES key, plus ReachStats with downstreamRank and upstreamRank
  */
-export function computeCentrality(cy) {
+export function computeCentrality(cy, filter = {}) {
+  if (isFiltered(filter)) cy = filteredInstance(cy, filter);
   const nodes = cy.nodes('[!isCompound]');
   const elements = cy.elements().filter('[!isCompound]');
   const metrics = new Map();
@@ -22,44 +69,51 @@ export function computeCentrality(cy) {
 
   // Collect raw values
   nodes.forEach(node => {
-    const id = node.id();
-    metrics.set(id, {
+    metrics.set(node.id(), {
       betweenness: bc.betweenness(node),
       pageRank: pr.rank(node),
-      closeness: 0,
     });
   });
 
-  // Closeness centrality: average shortest path distance from each node
-  // Using dijkstra from each node (directed)
-  nodes.forEach(node => {
-    const dijkstra = elements.dijkstra({
-      root: node,
-      directed: true,
-      weight: () => 1,
-    });
-    let totalDist = 0;
-    let reachable = 0;
-    nodes.forEach(other => {
-      if (other.id() === node.id()) return;
-      const d = dijkstra.distanceTo(other);
-      if (d !== Infinity && isFinite(d)) {
-        totalDist += d;
-        reachable++;
-      }
-    });
-    const m = metrics.get(node.id());
-    m.closeness = reachable > 0 ? reachable / totalDist : 0;
+  const ids = nodes.map(n => n.id());
+  const edges = cy.edges().map(e => ({ source: e.data('source'), target: e.data('target') }));
+
+  // Directed-graph measures
+  const directed = computeDirectedMeasures(ids, edges);
+  ids.forEach((id, i) => {
+    const m = metrics.get(id);
+    for (const [key, values] of Object.entries(directed)) m[key] = values[i];
   });
 
+  // Downstream reach and upstream exposure
+  const reach = computeReachability(nodes.map(n => ({ id: n.id(), typeName: n.data('typeName') })), edges);
+  for (const [id, m] of metrics) Object.assign(m, reach.get(id));
+
   // Compute ranks for each metric
-  addRanks(metrics, 'betweenness', 'betweennessRank');
-  addRanks(metrics, 'pageRank', 'pageRankRank');
-  addRanks(metrics, 'closeness', 'closenessRank');
+  for (const { key } of CENTRALITY_MEASURES) addRanks(metrics, key, `${key}Rank`);
+  addRanks(metrics, 'downstream', 'downstreamRank');
+  addRanks(metrics, 'upstream', 'upstreamRank');
 
   return metrics;
 }
 
+/**
+ * Memoise computeCentrality() per filter combination. Toggling back to an
+ * earlier filter state reuses its results instead of recomputing.
+ * @param {object} cy - Cytoscape instance
+ * @returns {{ get: (filter?: import('../types.js').CentralityFilter) => Map<string, import('../types.js').CentralityMetrics> }}
+ */
+export function createCentralityCache(cy) {
+  const cache = new Map();
+  return {
+    get(filter = {}) {
+      const key = centralityFilterKey(filter);
+      if (!cache.has(key)) cache.set(key, computeCentrality(cy, filter));
+      return cache.get(key);
+    },
+  };
+}
+
 /**
  * Add integer rank values for a given metric key.
  * Rank 1 = highest value.
@@ -70,3 +124,113 @@ function addRanks(metrics, valueKey, rankKey) {
     m[rankKey] = i + 1;
   });
 }
+
+/**
+ * Scale a vector to unit Euclidean length (left as is when all zero).
+ * @param {Float64Array} v
+ * @returns {Float64Array} The same vector
+ */
+function normalise(v) {
+  const norm = Math.hypot(...v);
+  if (norm > 0) for (let i = 0; i < v.length; i++) v[i] /= norm;
+  return v;
+}
+
+/**
+ * Largest change between two score vectors.
+ * @param {Float64Array} a
+ * @param {Float64Array} b
+ * @returns {number}
+ */
+function maxDelta(a, b) {
+  let d = 0;
+  for (let i = 0; i < a.length; i++) d = Math.max(d, Math.abs(a[i] - b[i]));
+  return d;
+}
+
+/**
+ * Centrality measures that treat the causal graph as directed: closeness,
+ * harmonic closeness, HITS hub/authority, in/out-degree and Katz.
+ * Duplicate links and self-loops are ignored.
+ * @param {string[]} ids
+ * @param {Array<{source: string, target: string}>} edges
+ * @returns {Object<string, number[]>} Measure key -> value per ID, in `ids` order
+ */
+function computeDirectedMeasures(ids, edges) {
+  const n = ids.length;
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const outAdj = buildAdjacency(edges.filter(e => e.source !== e.target), 'out', new Set(ids));
+  const succ = ids.map(id => [...(outAdj.get(id) || [])].map(t => index.get(t)));
+  const pred = ids.map(() => []);
+  succ.forEach((list, u) => list.forEach(v => pred[v].push(u)));
+  const others = Math.max(1, n - 1);
+
+  // Closeness (reachable hazards / total distance to them) and harmonic
+  // closeness, both over outgoing distances
+  const closeness = [];
+  const harmonic = [];
+  for (const id of ids) {
+    let reachable = 0;
+    let totalDist = 0;
+    let sum = 0;
+    for (const d of kHopNeighbourhood(outAdj, id, Infinity).values()) {
+      if (d === 0) continue;
+      reachable++;
+      totalDist += d;
+      sum += 1 / d;
+    }
+    closeness.push(reachable > 0 ? reachable / totalDist : 0);
+    harmonic.push(sum / others);
+  }
+
+  // HITS: authorities are caused by good hubs; hubs cause good authorities
+  let hub = new Float64Array(n).fill(1);
+  let authority = new Float64Array(n);
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const nextAuthority = new Float64Array(n);
+    pred.forEach((list, v) => { for (const u of list) nextAuthority[v] += hub[u]; });
+    normalise(nextAuthority);
+    const nextHub = new Float64Array(n);
+    succ.forEach((list, u) => { for (const v of list) nextHub[u] += nextAuthority[v]; });
+    normalise(nextHub);
+    const delta = Math.max(maxDelta(hub, nextHub), maxDelta(authority, nextAuthority));
+    hub = nextHub;
+    authority = nextAuthority;
+    if (delta < TOLERANCE) break;
+  }
+
+  // Katz: x = α Aᵀx + 1, with α below 1 / λmax. λmax comes from power
+  // iteration on Aᵀ + I, which converges even when cycles make Aᵀ periodic.
+  let x = new Float64Array(n).fill(1);
+  let lambda = 0;
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const next = Float64Array.from(x);
+    pred.forEach((list, v) => { for (const u of list) next[v] += x[u]; });
+    const growth = Math.hypot(...next) / Math.hypot(...x);
+    normalise(next);
+    const delta = maxDelta(x, next);
+    x = next;
+    lambda = growth - 1;
+    if (delta < TOLERANCE) break;
+  }
+  const alpha = KATZ_ALPHA_FACTOR / Math.max(1, lambda);
+  let katz = new Float64Array(n).fill(1);
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const next = new Float64Array(n).fill(1);
+    pred.forEach((list, v) => { for (const u of list) next[v] += alpha * katz[u]; });
+    const delta = maxDelta(katz, next);
+    katz = next;
+    if (delta < TOLERANCE * n) break;
+  }
+  normalise(katz);
+
+  return {
+    closeness,
+    harmonic,
+    hub: [...hub],
+    authority: [...authority],
+    inDegree: pred.map(list => list.length / others),
+    outDegree: succ.map(list => list.length / others),
+    katz: [...katz],
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * @module data/communities
+ * Causal community detection (Louvain modularity optimisation) compared with
+ * the editorial Type/Cluster hierarchy.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * Communities are found on the undirected causal graph: a pair of hazards is
+ * linked with weight 2 when each causes the other, 1 when only one direction
+ * is recorded. Nodes are visited in snapshot order, so results are
+ * deterministic. Hazards without causal links carry no structural signal;
+ * they are reported as unconnected and left out of the agreement scores.
+ */
+
+/** Default resolution (γ). Higher values give more, smaller communities. */
+export const DEFAULT_RESOLUTION = 1;
+
+/**
+ * Louvain method: repeated local moving then aggregation until no move
+ * improves modularity.
+ * @param {Array<Map<number, number>>} adjacency - Symmetric weighted adjacency, index -> (index -> weight)
+ * @param {number} resolution
+ * @returns {number[]} Community index per node
+ */
+function louvain(adjacency, resolution) {
+  let graph = adjacency;
+  let membership = adjacency.map((_, i) => i);
+
+  for (;;) {
+    const n = graph.length;
+    const k = graph.map(row => [...row.values()].reduce((s, w) => s + w, 0));
+    const m2 = k.reduce((s, v) => s + v, 0);
+    if (m2 === 0) break;
+
+    const comm = graph.map((_, i) => i);
+    const tot = k.slice();
+    let moved = false;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < n; i++) {
+        const current = comm[i];
+        const links = new Map(); // community -> weight from i
+        for (const [j, w] of graph[i]) {
+          if (j !== i) links.set(comm[j], (links.get(comm[j]) || 0) + w);
+        }
+
+        tot[current] -= k[i];
+        let best = current;
+        let bestGain = (links.get(current) || 0) - resolution * tot[current] * k[i] / m2;
+        for (const [c, w] of links) {
+          const gain = w - resolution * tot[c] * k[i] / m2;
+          if (gain > bestGain + 1e-12) {
+            best = c;
+            bestGain = gain;
+          }
+        }
+        tot[best] += k[i];
+
+        if (best !== current) {
+          comm[i] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+    if (!moved) break;
+
+    // Renumber communities and collapse each into one node
+    const remap = new Map();
+    for (const c of comm) if (!remap.has(c)) remap.set(c, remap.size);
+    membership = membership.map(c => remap.get(comm[c]));
+
+    const next = Array.from({ length: remap.size }, () => new Map());
+    graph.forEach((row, i) => {
+      const ci = remap.get(comm[i]);
+      for (const [j, w] of row) {
+        const cj = remap.get(comm[j]);
+        next[ci].set(cj, (next[ci].get(cj) || 0) + w);
+      }
+    });
+    graph = next;
+  }
+
+  return membership;
+}
+
+/**
+ * Newman modularity of a partition.
+ * @param {Array<Map<number, number>>} adjacency
+ * @param {number[]} membership
+ * @param {number} resolution
+ * @returns {number}
+ */
+function modularity(adjacency, membership, resolution) {
+  const k = adjacency.map(row => [...row.values()].reduce((s, w) => s + w, 0));
+  const m2 = k.reduce((s, v) => s + v, 0);
+  if (m2 === 0) return 0;
+  const inside = new Map();
+  const total = new Map();
+  adjacency.forEach((row, i) => {
+    const c = membership[i];
+    total.set(c, (total.get(c) || 0) + k[i]);
+    for (const [j, w] of row) {
+      if (membership[j] === c) inside.set(c, (inside.get(c) || 0) + w);
+    }
+  });
+  let q = 0;
+  for (const [c, t] of total) q += (inside.get(c) || 0) / m2 - resolution * (t / m2) ** 2;
+  return q;
+}
+
+/**
+ * Agreement between two labelings of the same items.
+ * NMI uses arithmetic-mean normalisation; ARI is the Hubert–Arabie adjusted Rand index.
+ * @param {Array<string|number>} a
+ * @param {Array<string|number>} b
+ * @returns {{ nmi: number, ari: number }}
+ */
+export function comparePartitions(a, b) {
+  const n = a.length;
+  if (n === 0) return { nmi: 1, ari: 1 };
+
+  const countA = new Map();
+  const countB = new Map();
+  const joint = new Map(); // label in a -> (label in b -> count)
+  for (let i = 0; i < n; i++) {
+    countA.set(a[i], (countA.get(a[i]) || 0) + 1);
+    countB.set(b[i], (countB.get(b[i]) || 0) + 1);
+    if (!joint.has(a[i])) joint.set(a[i], new Map());
+    const row = joint.get(a[i]);
+    row.set(b[i], (row.get(b[i]) || 0) + 1);
+  }
+
+  const entropy = (counts) => [...counts.values()].reduce((h, c) => h - (c / n) * Math.log(c / n), 0);
+  const cells = [];
+  let mutual = 0;
+  for (const [x, row] of joint) {
+    for (const [y, c] of row) {
+      cells.push(c);
+      mutual += (c / n) * Math.log((c * n) / (countA.get(x) * countB.get(y)));
+    }
+  }
+  const hA = entropy(countA);
+  const hB = entropy(countB);
+  const nmi = hA + hB === 0 ? 1 : (2 * mutual) / (hA + hB);
+
+  const pairs = (x) => (x * (x - 1)) / 2;
+  const sumJoint = cells.reduce((s, c) => s + pairs(c), 0);
+  const sumA = [...countA.values()].reduce((s, c) => s + pairs(c), 0);
+  const sumB = [...countB.values()].reduce((s, c) => s + pairs(c), 0);
+  const expected = (sumA * sumB) / pairs(n);
+  const maxIndex = (sumA + sumB) / 2;
+  const ari = maxIndex === expected ? 1 : (sumJoint - expected) / (maxIndex - expected);
+
+  return { nmi, ari };
+}
+
+/**
+ * Most common value and its share.
+ * @param {string[]} values
+ * @returns {{ value: string, share: number }}
+ */
+function dominant(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = { value: '', count: 0 };
+  for (const [value, count] of counts) if (count > best.count) best = { value, count };
+  return { value: best.value, share: values.length ? best.count / values.length : 0 };
+}
+
+/**
+ * Detect causal communities and compare them with the Type/Cluster hierarchy.
+ * @param {Object} data - Snapshot data with nodes, edges
+ * @param {Object} [options]
+ * @param {number} [options.resolution=DEFAULT_RESOLUTION]
+ * @returns {import('../types.js').CommunityAnalysis}
+ */
+export function detectCommunities(data, { resolution = DEFAULT_RESOLUTION } = {}) {
+  const nodeById = new Map(data.nodes.map(n => [n.id, n]));
+
+  // Undirected weights: one per recorded direction
+  const weights = new Map();
+  for (const e of data.edges) {
+    if (e.source === e.target || !nodeById.has(e.source) || !nodeById.has(e.target)) continue;
+    const [u, v] = e.source < e.target ? [e.source, e.target] : [e.target, e.source];
+    const key = `${u}\u0000${v}`;
+    weights.set(key, (weights.get(key) || 0) + 1);
+  }
+
+  const linked = new Set();
+  for (const key of weights.keys()) key.split('\u0000').forEach(id => linked.add(id));
+  const ids = data.nodes.map(n => n.id).filter(id => linked.has(id));
+  const index = new Map(ids.map((id, i) => [id, i]));
+
+  const adjacency = ids.map(() => new Map());
+  for (const [key, w] of weights) {
+    const [u, v] = key.split('\u0000').map(id => index.get(id));
+    adjacency[u].set(v, w);
+    adjacency[v].set(u, w);
+  }
+
+  const raw = louvain(adjacency, resolution);
+
+  // Number communities by size, largest first
+  const groups = new Map();
+  raw.forEach((c, i) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(ids[i]);
+  });
+  const ordered = [...groups.values()].sort((a, b) => b.length - a.length);
+  const membership = new Map();
+  ordered.forEach((nodeIds, i) => nodeIds.forEach(id => membership.set(id, i)));
+
+  const communities = ordered.map((nodeIds, i) => {
+    const cluster = dominant(nodeIds.map(id => nodeById.get(id).clusterName || 'Unclustered'));
+    const type = dominant(nodeIds.map(id => nodeById.get(id).typeName || 'Unknown'));
+    return {
+      index: i,
+      label: `C${i + 1} · ${cluster.value}`,
+      nodeIds,
+      dominantCluster: cluster.value,
+      clusterPurity: cluster.share,
+      dominantType: type.value,
+      typePurity: type.share,
+    };
+  });
+
+  // Agreement with the editorial hierarchy (linked hazards only)
+  const communityLabels = ids.map(id => membership.get(id));
+  const agreement = {
+    type: comparePartitions(communityLabels, ids.map(id => nodeById.get(id).typeName || 'Unknown')),
+    cluster: comparePartitions(communityLabels, ids.map(id => nodeById.get(id).clusterName || 'Unclustered')),
+  };
+
+  // A cluster "belongs" to the community holding most of its linked hazards;
+  // hazards placed in any other community are outliers.
+  const clusterMembers = new Map();
+  for (const id of ids) {
+    const cluster = nodeById.get(id).clusterName || 'Unclustered';
+    if (!clusterMembers.has(cluster)) clusterMembers.set(cluster, []);
+    clusterMembers.get(cluster).push(id);
+  }
+  const clusterHome = new Map();
+  for (const [cluster, members] of clusterMembers) {
+    clusterHome.set(cluster, Number(dominant(members.map(id => String(membership.get(id)))).value));
+  }
+  const outliers = ids
+    .filter(id => membership.get(id) !== clusterHome.get(nodeById.get(id).clusterName || 'Unclustered'))
+    .map(id => {
+      const n = nodeById.get(id);
+      return {
+        id,
+        label: n.label,
+        typeName: n.typeName,
+        clusterName: n.clusterName,
+        community: membership.get(id),
+        clusterCommunity: clusterHome.get(n.clusterName || 'Unclustered'),
+      };
+    });
+
+  return {
+    resolution,
+    modularity: modularity(adjacency, raw, resolution),
+    communities,
+    membership,
+    unconnected: data.nodes.map(n => n.id).filter(id => !linked.has(id)),
+    agreement,
+    outliers,
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * @module data/csv
+ * Minimal CSV serialisation (RFC 4180) for review lists and matrices.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+
+/**
+ * Quote a field when it contains a comma, quote or line break.
+ * @param {string|number|boolean|null|undefined} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialise rows to CSV text, one line per row.
+ * @param {Array<Array<string|number|boolean|null|undefined>>} rows - Header row first
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
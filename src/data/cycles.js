@@ -0,0 +1,167 @@
+/**
+ * @module data/cycles
+ * Causal feedback loops: strongly connected components (Tarjan) and the
+ * elementary cycles inside them, up to a maximum length.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+import { createProvenanceLookup, DECLARED } from './edge-provenance.js';
+
+/** Default longest cycle (in links) enumerated. Longer loops grow combinatorially. */
+export const DEFAULT_MAX_CYCLE_LENGTH = 4;
+
+/** Enumeration stops after this many cycles and reports the result as truncated. */
+export const MAX_CYCLES = 20000;
+
+/**
+ * Build a directed adjacency list over known hazards, without self-loops or
+ * duplicate links.
+ * @param {Array<{id: string}>} nodes
+ * @param {Array<{source: string, target: string}>} edges
+ * @returns {Map<string, string[]>} nodeId -> successor IDs
+ */
+function successorsOf(nodes, edges) {
+  const adj = new Map(nodes.map(n => [n.id, new Set()]));
+  for (const e of edges) {
+    if (e.source === e.target || !adj.has(e.source) || !adj.has(e.target)) continue;
+    adj.get(e.source).add(e.target);
+  }
+  return new Map([...adj].map(([id, set]) => [id, [...set]]));
+}
+
+/**
+ * Strongly connected components (iterative Tarjan).
+ * @param {Map<string, string[]>} adj - Directed adjacency list; every successor must be a key
+ * @returns {string[][]} Components, largest first; single hazards included
+ */
+export function stronglyConnectedComponents(adj) {
+  let counter = 0;
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const components = [];
+
+  for (const root of adj.keys()) {
+    if (index.has(root)) continue;
+    const work = [[root, 0]];
+    index.set(root, counter);
+    low.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const [v, i] = frame;
+      const succ = adj.get(v);
+      if (i < succ.length) {
+        frame[1]++;
+        const w = succ[i];
+        if (!index.has(w)) {
+          index.set(w, counter);
+          low.set(w, counter++);
+          stack.push(w);
+          onStack.add(w);
+          work.push([w, 0]);
+        } else if (onStack.has(w)) {
+          low.set(v, Math.min(low.get(v), index.get(w)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1][0];
+        low.set(parent, Math.min(low.get(parent), low.get(v)));
+      }
+      if (low.get(v) === index.get(v)) {
+        const component = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack.delete(w);
+          component.push(w);
+        } while (w !== v);
+        components.push(component);
+      }
+    }
+  }
+
+  return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find feedback loops in the causal graph.
+ *
+ * Each elementary cycle is reported once, starting from its first hazard in
+ * snapshot order: the search from hazard s only visits later hazards in the
+ * same strongly connected component, and only up to maxLength links.
+ *
+ * @param {Object} data - Snapshot data with nodes, edges
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=DEFAULT_MAX_CYCLE_LENGTH] - Longest cycle, in links (≥ 2)
+ * @param {boolean} [options.declaredOnly=false] - Only follow declared (reciprocated) links
+ * @returns {import('../types.js').LoopAnalysis}
+ */
+export function findFeedbackLoops(data, { maxLength = DEFAULT_MAX_CYCLE_LENGTH, declaredOnly = false } = {}) {
+  const provenanceOf = createProvenanceLookup(data.nodes);
+  const edges = declaredOnly
+    ? data.edges.filter(e => provenanceOf(e.source, e.target) === DECLARED)
+    : data.edges;
+  const adj = successorsOf(data.nodes, edges);
+
+  const components = stronglyConnectedComponents(adj).filter(c => c.length > 1);
+  const componentOf = new Map();
+  components.forEach((c, i) => c.forEach(id => componentOf.set(id, i)));
+
+  const order = new Map(data.nodes.map((n, i) => [n.id, i]));
+  const cycles = [];
+  let truncated = false;
+
+  for (const start of data.nodes.map(n => n.id)) {
+    if (truncated) break;
+    const comp = componentOf.get(start);
+    if (comp === undefined) continue;
+    const startOrder = order.get(start);
+    const eligible = (id) => componentOf.get(id) === comp && order.get(id) > startOrder;
+
+    // Depth-first search for paths that return to start
+    const path = [start];
+    const onPath = new Set(path);
+    const work = [adj.get(start)[Symbol.iterator]()];
+
+    while (work.length && !truncated) {
+      const next = work[work.length - 1].next();
+      if (next.done) {
+        work.pop();
+        onPath.delete(path.pop());
+        continue;
+      }
+      const w = next.value;
+      if (w === start) {
+        cycles.push([...path]);
+        if (cycles.length >= MAX_CYCLES) truncated = true;
+      } else if (path.length < maxLength && !onPath.has(w) && eligible(w)) {
+        path.push(w);
+        onPath.add(w);
+        work.push(adj.get(w)[Symbol.iterator]());
+      }
+    }
+  }
+
+  return {
+    maxLength,
+    declaredOnly,
+    truncated,
+    components: components.map(nodeIds => ({ nodeIds })),
+    cycles: cycles
+      .map(nodeIds => ({
+        nodeIds,
+        length: nodeIds.length,
+        edges: nodeIds.map((source, i) => {
+          const target = nodeIds[(i + 1) % nodeIds.length];
+          return { source, target, provenance: provenanceOf(source, target) };
+        }),
+      }))
+      .sort((a, b) => a.length - b.length),
+  };
+}
@@ -0,0 +1,222 @@
+/**
+ * @module data/data-cache
+ * IndexedDB store of dated snapshot versions.
+ * Each version records when it was stored, where it came from (api/snapshot),
+ * its counts and a content hash, plus the changes relative to the version
+ * before it. Payloads live in a separate object store so listing versions
+ * never loads the full datasets.
+ * Resolves to empty results (never throws) when IndexedDB is unavailable.
+ */
+import { diffSnapshots } from './snapshot-diff.js';
+
+const DB_NAME = 'hips-cache';
+const DB_VERSION = 1;
+const VERSIONS = 'versions';
+const PAYLOADS = 'payloads';
+const PIN_KEY = 'hips-data-pin';
+
+/** Number of versions kept; older unpinned versions are pruned on write. */
+export const MAX_VERSIONS = 5;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise.
+ * @param {IDBRequest} req
+ * @returns {Promise<*>}
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Resolve once a transaction commits.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Open (and on first use, create) the cache database.
+ * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore(VERSIONS, { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore(PAYLOADS, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Fast content hash (FNV-1a, 32-bit) of a snapshot's nodes and edges.
+ * Ignores meta, so re-fetching unchanged data gives the same hash.
+ * @param {import('../types.js').SnapshotData} data
+ * @returns {string} 8-digit hex hash
+ */
+export function hashSnapshot(data) {
+  const text = JSON.stringify([data.nodes, data.edges]);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * List stored versions, newest first (metadata only, no payloads).
+ * @returns {Promise<import('../types.js').CachedVersion[]>}
+ */
+export async function listVersions() {
+  const db = await openDb();
+  if (!db) return [];
+  try {
+    const all = await request(db.transaction(VERSIONS).objectStore(VERSIONS).getAll());
+    return all.sort((a, b) => b.id - a.id);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load one version with its data.
+ * @param {number} id - Version id
+ * @returns {Promise<{version: import('../types.js').CachedVersion, data: Object}|null>}
+ */
+export async function getVersion(id) {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const tx = db.transaction([VERSIONS, PAYLOADS]);
+    const [version, payload] = await Promise.all([
+      request(tx.objectStore(VERSIONS).get(id)),
+      request(tx.objectStore(PAYLOADS).get(id)),
+    ]);
+    return version && payload ? { version, data: payload.data } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store newly loaded data as a version. If the content matches the newest
+ * stored version, that version is marked as re-checked instead of duplicated.
+ * The diff against the previous version is kept for the "What changed" panel.
+ * @param {import('../types.js').SnapshotData} data
+ * @param {'api'|'snapshot'|'legacy'} source - Where the data was loaded from
+ * @param {Object} [options]
+ * @param {number} [options.checkedAt=Date.now()] - When the data was last checked against its source
+ * @returns {Promise<import('../types.js').CachedVersion|null>} The stored (or refreshed) version
+ */
+export async function putVersion(data, source, { checkedAt = Date.now() } = {}) {
+  const db = await openDb();
+  if (!db) return null;
+  try {
+    const hash = hashSnapshot(data);
+    const now = Date.now();
+    const [latest] = await listVersions();
+
+    if (latest && latest.hash === hash) {
+      const refreshed = { ...latest, checkedAt: Math.max(latest.checkedAt || 0, checkedAt) };
+      const tx = db.transaction(VERSIONS, 'readwrite');
+      tx.objectStore(VERSIONS).put(refreshed);
+      await done(tx);
+      return refreshed;
+    }
+
+    let changes = null;
+    if (latest) {
+      const previous = await getVersion(latest.id);
+      if (previous) {
+        changes = diffSnapshots(previous.data, data);
+        changes.recordedAt = new Date(now).toISOString();
+      }
+    }
+
+    const version = {
+      storedAt: now,
+      checkedAt,
+      source,
+      fetchedAt: data.meta?.fetchedAt || null,
+      nodeCount: data.nodes.length,
+      edgeCount: data.edges.length,
+      hash,
+      changes,
+    };
+    const tx = db.transaction([VERSIONS, PAYLOADS], 'readwrite');
+    const id = await request(tx.objectStore(VERSIONS).add(version));
+    tx.objectStore(PAYLOADS).put({ id, data });
+    await done(tx);
+
+    await pruneVersions();
+    return { ...version, id };
+  } catch (err) {
+    // Quota exceeded or storage disabled — keep running without a cache
+    console.warn('Could not cache data:', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Drop the oldest versions beyond MAX_VERSIONS, never the pinned one.
+ * @returns {Promise<void>}
+ */
+async function pruneVersions() {
+  const db = await openDb();
+  if (!db) return;
+  const pinned = getPinnedVersionId();
+  const stale = (await listVersions()).slice(MAX_VERSIONS).filter(v => v.id !== pinned);
+  if (!stale.length) return;
+  const tx = db.transaction([VERSIONS, PAYLOADS], 'readwrite');
+  for (const v of stale) {
+    tx.objectStore(VERSIONS).delete(v.id);
+    tx.objectStore(PAYLOADS).delete(v.id);
+  }
+  await done(tx);
+}
+
+/**
+ * Id of the version the user pinned, if any.
+ * @returns {number|null}
+ */
+export function getPinnedVersionId() {
+  try {
+    const id = parseInt(localStorage.getItem(PIN_KEY), 10);
+    return Number.isFinite(id) ? id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pin a version so it is loaded instead of the latest data, or unpin with null.
+ * @param {number|null} id
+ */
+export function setPinnedVersionId(id) {
+  try {
+    if (id === null) localStorage.removeItem(PIN_KEY);
+    else localStorage.setItem(PIN_KEY, String(id));
+  } catch {
+    // Storage unavailable — pinning is best-effort
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * @module data/edge-provenance
+ * Classifies causal edges by which endpoint attests them.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * - declared:    source lists target in `causes` AND target lists source in `causedBy`
+ * - inferred:    only the source attests it (`xkos:causes`)
+ * - target-only: only the target attests it (`xkos:causedBy`)
+ */
+
+export const DECLARED = 'declared';
+export const INFERRED = 'inferred';
+export const TARGET_ONLY = 'target-only';
+
+/** Short human-readable labels for each provenance class. */
+export const PROVENANCE_LABELS = {
+  [DECLARED]: 'declared',
+  [INFERRED]: 'inferred',
+  [TARGET_ONLY]: 'target-attested',
+};
+
+/**
+ * Build a provenance classifier for a set of hazard nodes.
+ * @param {Array<{id: string, causes?: string[], causedBy?: string[]}>} nodes - Snapshot nodes
+ * @returns {(source: string, target: string) => 'declared'|'inferred'|'target-only'}
+ */
+export function createProvenanceLookup(nodes) {
+  const causesSet = new Map();
+  const causedBySet = new Map();
+  for (const node of nodes) {
+    causesSet.set(node.id, new Set(node.causes || []));
+    causedBySet.set(node.id, new Set(node.causedBy || []));
+  }
+
+  return (source, target) => {
+    const bySource = causesSet.get(source)?.has(target) || false;
+    const byTarget = causedBySet.get(target)?.has(source) || false;
+    if (bySource && byTarget) return DECLARED;
+    if (bySource) return INFERRED;
+    return TARGET_ONLY;
+  };
+}
@@ -1,16 +1,26 @@
 /**
  * @module data/fetch-hips
- * Fetches HIPs data from the local snapshot (preferred) or live API.
- * Caches data in localStorage (1-hour TTL) so repeated visits avoid re-fetching.
+ * Fetches HIPs data stale-while-revalidate: the app renders from the fastest
+ * source (versioned IndexedDB cache, else the same-origin snapshot) and then
+ * checks the live API in the background. New data is stored as a cached version
+ * and reported to the caller, which offers to reload the views.
  * Falls back gracefully when the live API is blocked by CORS/network rules.
+ * Every loaded dataset is annotated with `_source` and `_version` (the cached
+ * version record, including the changes since the previous version for the
+ * "What changed" panel).
  */
-import { str, refId, toArray } from '../utils/jsonld.js';
+import { transformHipsJsonLd, HIPS_API_URL } from './jsonld-transform.js';
+import {
+  listVersions, getVersion, putVersion, getPinnedVersionId, setPinnedVersionId, hashSnapshot,
+} from './data-cache.js';
+import { diffSnapshots } from './snapshot-diff.js';
 
 const SNAPSHOT_URL = import.meta.env.BASE_URL + 'data/hips.json';
-const API_URL = 'https://www.preventionweb.net/api/terms/hips';
-const CACHE_KEY = 'hips-data';
-const CACHE_TS_KEY = 'hips-data-ts';
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const API_TIMEOUT_MS = 8000;
+
+/** localStorage keys used by the single-blob cache this module replaced. */
+const LEGACY_KEYS = ['hips-data', 'hips-data-ts', 'hips-data-changes'];
 
 /**
  * Validate that data has the expected shape with nodes and edges arrays.
@@ -26,37 +36,6 @@ function validateData(data) {
   }
 }
 
-/**
- * Try to read cached data from localStorage.
- * @returns {object|null} Cached data if valid and fresh, null otherwise
- */
-function readCache() {
-  try {
-    const ts = parseInt(localStorage.getItem(CACHE_TS_KEY), 10);
-    if (!ts || Date.now() - ts > CACHE_TTL) return null;
-    const raw = localStorage.getItem(CACHE_KEY);
-    if (!raw) return null;
-    const data = JSON.parse(raw);
-    validateData(data);
-    return data;
-  } catch {
-    return null;
-  }
-}
-
-/**
- * Write data to localStorage cache.
- * @param {object} data - Validated data to cache
- */
-function writeCache(data) {
-  try {
-    localStorage.setItem(CACHE_KEY, JSON.stringify(data));
-    localStorage.setItem(CACHE_TS_KEY, String(Date.now()));
-  } catch {
-    // localStorage full or unavailable — ignore
-  }
-}
-
 /**
  * Detect whether a fetch error is likely a CORS or network block.
  * @param {Error} err
@@ -68,143 +47,192 @@ function isCorsOrNetworkError(err) {
 }
 
 /**
- * Load HIPs hazard data. Priority:
- *   1. localStorage cache (if < 1 hour old)
- *   2. Live API (freshest data, 8s timeout)
- *   3. Static snapshot (same-origin file, always available)
- *   4. Stale localStorage cache (any age)
- * @returns {Promise<{meta: Object, nodes: Array, edges: Array, _source: string}>} Normalized hazard dataset
+ * Move data from the old localStorage cache into IndexedDB, once, and free the
+ * localStorage quota it used. The version keeps the legacy cache's timestamp
+ * as its check time, so old data is revalidated rather than treated as fresh.
+ * @returns {Promise<void>}
  */
-export async function fetchHipsData() {
-  // 1. Try localStorage cache (< 1 hour old)
-  const cached = readCache();
-  if (cached) {
-    console.log(`Using cached data: ${cached.nodes.length} nodes (${cached.meta?.source || 'cache'})`);
-    cached._source = 'cache';
-    return cached;
+async function migrateLegacyCache() {
+  let raw;
+  let checkedAt;
+  try {
+    raw = localStorage.getItem(LEGACY_KEYS[0]);
+    checkedAt = parseInt(localStorage.getItem(LEGACY_KEYS[1]), 10) || 0;
+  } catch {
+    return;
+  }
+  if (!raw) return;
+  try {
+    const data = JSON.parse(raw);
+    validateData(data);
+    if (!(await putVersion(data, 'legacy', { checkedAt }))) return; // no IndexedDB — leave it in place
+  } catch {
+    // Unreadable legacy cache — drop it
   }
+  for (const key of LEGACY_KEYS) localStorage.removeItem(key);
+}
 
-  // 2. Try live API first (freshest data, with timeout)
+/**
+ * Load from the live PreventionWeb API (8s timeout).
+ * @returns {Promise<{data: Object, source: 'api'}|null>}
+ */
+async function fetchFromApi() {
   try {
     console.log('Fetching from live API...');
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
-    const res = await fetch(API_URL, { signal: controller.signal });
+    const timeout = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+    const res = await fetch(HIPS_API_URL, { signal: controller.signal });
     clearTimeout(timeout);
     if (!res.ok) throw new Error(`API returned ${res.status}`);
-    const raw = await res.json();
-    const result = transformRawApi(raw);
-    validateData(result);
-    writeCache(result);
-    result._source = 'api';
-    return result;
+    const data = transformHipsJsonLd(await res.json());
+    validateData(data);
+    return { data, source: 'api' };
   } catch (e) {
     if (isCorsOrNetworkError(e)) {
       console.warn('Live API blocked (CORS/network):', e.message);
     } else {
       console.warn('Live API failed:', e.message);
     }
+    return null;
   }
+}
 
-  // 3. Fall back to static snapshot
+/**
+ * Load the static snapshot (same-origin file, always deployed with the app).
+ * @returns {Promise<{data: Object, source: 'snapshot'}|null>}
+ */
+async function fetchFromSnapshot() {
   try {
     const res = await fetch(SNAPSHOT_URL);
-    if (res.ok) {
-      const data = await res.json();
-      if (data.nodes && data.edges) {
-        validateData(data);
-        console.log(`Loaded snapshot: ${data.nodes.length} nodes, ${data.edges.length} edges`);
-        writeCache(data);
-        data._source = 'snapshot';
-        return data;
-      }
-    }
+    if (!res.ok) throw new Error(`Snapshot returned ${res.status}`);
+    const data = await res.json();
+    validateData(data);
+    console.log(`Loaded snapshot: ${data.nodes.length} nodes, ${data.edges.length} edges`);
+    return { data, source: 'snapshot' };
   } catch (e) {
     console.warn('Snapshot not available:', e.message);
+    return null;
   }
+}
 
-  // 4. Try stale localStorage cache (any age)
-  const stale = readStaleCache();
-  if (stale) {
-    console.warn('Using stale cached data as fallback');
-    stale._source = 'stale-cache';
-    return stale;
-  }
+/**
+ * Whether newly fetched data differs from what is on screen.
+ * Node/edge counts are compared first as a cheap check, then the content hash.
+ * fetchedAt alone is not used: every API response is stamped with the time of
+ * the request, so it would always look new.
+ * @param {Object} current - Loaded dataset (annotated by fetchHipsData)
+ * @param {Object} next - Freshly fetched dataset
+ * @returns {boolean}
+ */
+function hasChanged(current, next) {
+  if (current.nodes.length !== next.nodes.length || current.edges.length !== next.edges.length) return true;
+  return (current._version?.hash || hashSnapshot(current)) !== hashSnapshot(next);
+}
 
-  throw new Error(
-    'Unable to load hazard data. The data source may be blocked by your network. ' +
-    'Try refreshing or accessing from a different network.'
-  );
+/**
+ * Whether the loaded data should be checked against the network in the
+ * background: not when the user pinned a version, nor when it came straight
+ * from the API or a cache entry checked within the last hour.
+ * @param {Object} data - Dataset returned by fetchHipsData()
+ * @returns {boolean}
+ */
+export function needsRevalidation(data) {
+  return data._source === 'stale-cache' || data._source === 'snapshot';
 }
 
 /**
- * Read cache ignoring TTL — used as a last-resort fallback.
- * @returns {object|null}
+ * The static snapshot, if it was fetched later than the loaded data. A cache
+ * filled from the live API is usually newer than the bundled snapshot, and
+ * must not be replaced by it.
+ * @param {Object} current - Loaded dataset
+ * @returns {Promise<{data: Object, source: 'snapshot'}|null>}
  */
-function readStaleCache() {
-  try {
-    const raw = localStorage.getItem(CACHE_KEY);
-    if (!raw) return null;
-    const data = JSON.parse(raw);
-    validateData(data);
-    return data;
-  } catch {
-    return null;
-  }
+async function fetchNewerSnapshot(current) {
+  const loaded = await fetchFromSnapshot();
+  if (!loaded) return null;
+  const loadedAt = Date.parse(loaded.data.meta?.fetchedAt);
+  const currentAt = Date.parse(current.meta?.fetchedAt);
+  return loadedAt > currentAt ? loaded : null;
 }
 
 /**
- * Minimal client-side transform of raw JSON-LD API response into the snapshot format.
- * Used as a fallback when the pre-built snapshot is unavailable.
- * @param {Object} raw - Raw JSON-LD response from the PreventionWeb API
- * @returns {{meta: Object, nodes: Array, edges: Array}}
+ * Background half of stale-while-revalidate: fetch the live API (or the
+ * snapshot, when it is newer than the stale cache on screen) and report how it
+ * differs from the loaded data. Data that matches is marked as re-checked
+ * right away; changed data is only stored as a cached version by `accept()`,
+ * so the loaded version stays current until the user takes the update.
+ * @param {Object} current - Dataset returned by fetchHipsData()
+ * @returns {Promise<{data: Object, changes: import('../types.js').SnapshotDiff|null, accept: () => Promise<void>}|null>}
+ *   changes is null when the fetched data matches what is loaded; the whole
+ *   result is null when no source could be reached, or only an older snapshot
  */
-function transformRawApi(raw) {
-  const graph = raw['@graph'] || raw;
-  const nodes = [];
-  const edges = [];
-
-  for (const item of graph) {
-    const types = toArray(item['@type']);
-    if (!types.includes('skos:Concept')) continue;
-
-    const id = item['@id'];
-    const broaders = toArray(item['skos:broader']);
-
-    let typeId = null, typeName = null, clusterId = null, clusterName = null;
-    for (const b of broaders) {
-      if (typeof b !== 'object') continue;
-      const bDctType = str(b['dct:type']);
-      if (bDctType === 'type') { typeId = b['@id']; typeName = str(b['skos:prefLabel']); }
-      else if (bDctType === 'cluster') { clusterId = b['@id']; clusterName = str(b['skos:prefLabel']); }
-    }
+export async function revalidate(current) {
+  const loaded = (await fetchFromApi()) || (current._source === 'snapshot' ? null : await fetchNewerSnapshot(current));
+  if (!loaded) return null;
+  const accept = async () => {
+    await putVersion(loaded.data, loaded.source);
+  };
+  if (!hasChanged(current, loaded.data)) {
+    await accept();
+    return { data: loaded.data, changes: null, accept };
+  }
+  return { data: loaded.data, changes: diffSnapshots(current, loaded.data), accept };
+}
 
-    const causes = toArray(item['xkos:causes']).map(refId).filter(Boolean);
-    const causedBy = toArray(item['xkos:causedBy']).map(refId).filter(Boolean);
+/**
+ * Tag a dataset with where it came from and which cached version it is.
+ * @param {Object} data
+ * @param {string} source
+ * @param {import('../types.js').CachedVersion|null} version
+ * @returns {Object} The same data object
+ */
+function annotate(data, source, version) {
+  data._source = source;
+  data._version = version;
+  return data;
+}
 
-    const scopeNotes = {};
-    for (const note of toArray(item['skos:scopeNote'])) {
-      const noteType = str(note?.['dct:type']);
-      const noteValue = str(note);
-      if (noteType && noteValue) scopeNotes[noteType] = noteValue;
+/**
+ * Load HIPs hazard data from the fastest available source. Priority:
+ *   1. The cached version the user pinned
+ *   2. The newest cached version
+ *   3. Static snapshot, stored as a new version
+ *   4. Live API (only when the snapshot is missing), stored as a new version
+ * Callers check needsRevalidation() and run revalidate() in the background.
+ * @returns {Promise<{meta: Object, nodes: Array, edges: Array, _source: string, _version: Object|null}>} Normalized hazard dataset
+ */
+export async function fetchHipsData() {
+  await migrateLegacyCache();
+
+  // 1. Pinned version
+  const pinnedId = getPinnedVersionId();
+  if (pinnedId !== null) {
+    const pinned = await getVersion(pinnedId);
+    if (pinned) {
+      console.log(`Using pinned data version #${pinnedId}`);
+      return annotate(pinned.data, 'pinned', pinned.version);
     }
+    setPinnedVersionId(null); // pinned version no longer exists
+  }
 
-    nodes.push({
-      id, label: str(item['skos:prefLabel']), identifier: str(item['dct:identifier']),
-      definition: str(item['skos:definition']),
-      altLabels: toArray(item['skos:altLabel']).map(str).filter(Boolean),
-      typeId, typeName, clusterId, clusterName, scopeNotes, causes, causedBy,
-      sources: [], quotedFrom: [], references: [], influencedBy: [],
-      conformsTo: [], hasPart: [], related: [],
-    });
-
-    for (const target of causes) {
-      edges.push({ source: id, target, type: 'causes' });
-    }
+  // 2. Newest cached version
+  const [latest] = await listVersions();
+  const cached = latest && await getVersion(latest.id);
+  if (cached) {
+    const fresh = Date.now() - latest.checkedAt < CACHE_TTL;
+    console.log(`Using cached data version #${latest.id} (${latest.source}${fresh ? '' : ', stale'})`);
+    return annotate(cached.data, fresh ? 'cache' : 'stale-cache', cached.version);
   }
 
-  return {
-    meta: { source: API_URL, fetchedAt: new Date().toISOString(), nodeCount: nodes.length, edgeCount: edges.length },
-    nodes, edges,
-  };
+  // 3–4. Network
+  const loaded = (await fetchFromSnapshot()) || (await fetchFromApi());
+  if (loaded) {
+    const version = await putVersion(loaded.data, loaded.source);
+    return annotate(loaded.data, loaded.source, version);
+  }
+
+  throw new Error(
+    'Unable to load hazard data. The data source may be blocked by your network. ' +
+    'Try refreshing or accessing from a different network.'
+  );
 }
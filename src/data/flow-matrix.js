@@ -1,8 +1,14 @@
 /**
  * @module data/flow-matrix
- * Compute a type-to-type flow matrix from edge data.
- * Counts directed edges from each hazard type to each other type.
+ * Compute type-to-type and cluster-to-cluster flow matrices from edge data.
+ * Counts directed edges from each hazard type (or cluster) to each other one,
+ * and orders and exports the matrices for the flow panel.
  */
+import { createProvenanceLookup, PROVENANCE_LABELS } from './edge-provenance.js';
+import { toCsv } from './csv.js';
+
+/** Row and column orders offered by the flow panel. */
+export const FLOW_ORDERS = ['total', 'hierarchy', 'seriation'];
 
 /**
  * Build the flow matrix from snapshot data.
@@ -19,27 +25,206 @@ export function computeFlowMatrix(data) {
   // Collect unique type names in a stable order
   const typeNames = [...new Set(data.nodes.map(n => n.typeName))].filter(Boolean).sort();
   const typeIndex = new Map(typeNames.map((name, i) => [name, i]));
-  const n = typeNames.length;
 
-  // Initialize matrix and edge map
+  const { matrix, edgeMap } = countFlows(data.edges, id => typeIndex.get(nodeType.get(id)), typeNames.length);
+  return { typeNames, matrix, edgeMap };
+}
+
+/**
+ * Build the cluster-to-cluster flow matrix. Clusters are in hierarchical
+ * order: by type (in computeFlowMatrix() order), then by name. Edge map
+ * entries also carry the link's provenance, for listing hazard pairs.
+ * @param {object} data - Snapshot data with nodes and edges arrays
+ * @returns {{ typeNames: string[], clusters: Array<{name: string, typeName: string}>, matrix: number[][],
+ *   edgeMap: Map<string, Array<{source: string, target: string, provenance: string}>> }}
+ */
+export function computeClusterFlowMatrix(data) {
+  const typeNames = [...new Set(data.nodes.map(n => n.typeName))].filter(Boolean).sort();
+  const typeIndex = new Map(typeNames.map((name, i) => [name, i]));
+
+  // Cluster names can repeat across types, so key clusters by both
+  const clusterKey = (node) => `${node.typeName}\t${node.clusterName || 'Unclustered'}`;
+  const clusters = [...new Map(
+    data.nodes
+      .filter(n => typeIndex.has(n.typeName))
+      .map(n => [clusterKey(n), { name: n.clusterName || 'Unclustered', typeName: n.typeName }]),
+  ).values()].sort((a, b) => typeIndex.get(a.typeName) - typeIndex.get(b.typeName) || a.name.localeCompare(b.name));
+  const clusterIndex = new Map(clusters.map((c, i) => [`${c.typeName}\t${c.name}`, i]));
+
+  const nodeCluster = new Map();
+  for (const node of data.nodes) nodeCluster.set(node.id, clusterIndex.get(clusterKey(node)));
+
+  const provenanceOf = createProvenanceLookup(data.nodes);
+  const { matrix, edgeMap } = countFlows(data.edges, id => nodeCluster.get(id), clusters.length, provenanceOf);
+  return { typeNames, clusters, matrix, edgeMap };
+}
+
+/**
+ * Count edges between groups of hazards.
+ * @param {Array<{source: string, target: string}>} edges
+ * @param {(id: string) => number|undefined} groupOf - Hazard ID -> row/column index
+ * @param {number} n - Number of groups
+ * @param {Function} [provenanceOf] - When given, edge map entries carry the link's provenance
+ * @returns {{ matrix: number[][], edgeMap: Map<string, Object[]> }}
+ */
+function countFlows(edges, groupOf, n, provenanceOf) {
   const matrix = Array.from({ length: n }, () => Array(n).fill(0));
   const edgeMap = new Map(); // "row,col" -> [{source, target}]
 
-  for (const edge of data.edges) {
-    const srcType = nodeType.get(edge.source);
-    const tgtType = nodeType.get(edge.target);
-    if (!srcType || !tgtType) continue;
-
-    const ri = typeIndex.get(srcType);
-    const ci = typeIndex.get(tgtType);
+  for (const edge of edges) {
+    const ri = groupOf(edge.source);
+    const ci = groupOf(edge.target);
     if (ri === undefined || ci === undefined) continue;
 
     matrix[ri][ci]++;
 
     const key = `${ri},${ci}`;
     if (!edgeMap.has(key)) edgeMap.set(key, []);
-    edgeMap.get(key).push({ source: edge.source, target: edge.target });
+    const entry = { source: edge.source, target: edge.target };
+    if (provenanceOf) entry.provenance = provenanceOf(edge.source, edge.target);
+    edgeMap.get(key).push(entry);
   }
 
-  return { typeNames, matrix, edgeMap };
+  return { matrix, edgeMap };
+}
+
+/**
+ * Order the rows and columns of a flow matrix.
+ * - total: largest row (column) total first
+ * - hierarchy: as given, i.e. by type, then cluster name
+ * - seriation: similar rows (columns) next to each other, by average-linkage
+ *   clustering of their flow profiles (cosine similarity)
+ * When rows and columns are the same groups, both get one order (from row
+ * plus column totals, or from the joined in- and out-flow profiles) so the
+ * diagonal of within-group flows stays on the diagonal.
+ * @param {number[][]} matrix
+ * @param {'total'|'hierarchy'|'seriation'} mode
+ * @param {boolean} [sameGroups=false] - Rows and columns are the same groups, in the same order
+ * @returns {{ rows: number[], cols: number[] }} Row and column indices in display order
+ */
+export function orderFlowMatrix(matrix, mode, sameGroups = false) {
+  const rowCount = matrix.length;
+  const colCount = matrix[0]?.length || 0;
+  const rowProfiles = matrix;
+  const colProfiles = Array.from({ length: colCount }, (_, ci) => matrix.map(row => row[ci]));
+
+  if (mode === 'hierarchy') {
+    return { rows: range(rowCount), cols: range(colCount) };
+  }
+
+  if (mode === 'total') {
+    const sum = (v) => v.reduce((s, x) => s + x, 0);
+    const byTotal = (totals) => range(totals.length).sort((a, b) => totals[b] - totals[a] || a - b);
+    if (sameGroups) {
+      const order = byTotal(rowProfiles.map((row, i) => sum(row) + sum(colProfiles[i])));
+      return { rows: order, cols: order };
+    }
+    return { rows: byTotal(rowProfiles.map(sum)), cols: byTotal(colProfiles.map(sum)) };
+  }
+
+  if (mode === 'seriation') {
+    if (sameGroups) {
+      const order = seriate(rowProfiles.map((row, i) => [...row, ...colProfiles[i]]));
+      return { rows: order, cols: order };
+    }
+    return { rows: seriate(rowProfiles), cols: seriate(colProfiles) };
+  }
+
+  throw new Error(`Unknown flow order: ${mode}`);
+}
+
+/**
+ * Seriation by average-linkage agglomerative clustering: repeatedly join the
+ * two most similar groups, flipping either so that the two most similar ends
+ * meet. Profiles with no flows are left out and put at the end.
+ * @param {number[][]} profiles
+ * @returns {number[]} Profile indices in order
+ */
+function seriate(profiles) {
+  const n = profiles.length;
+  const norms = profiles.map(p => Math.sqrt(p.reduce((s, x) => s + x * x, 0)));
+  const sim = profiles.map((a, i) => profiles.map((b, j) => {
+    if (!norms[i] || !norms[j]) return 0;
+    let dot = 0;
+    for (let k = 0; k < a.length; k++) dot += a[k] * b[k];
+    return dot / (norms[i] * norms[j]);
+  }));
+
+  const empty = range(n).filter(i => !norms[i]);
+  let groups = range(n).filter(i => norms[i]).map(i => [i]);
+  while (groups.length > 1) {
+    let best = null;
+    for (let g = 0; g < groups.length; g++) {
+      for (let h = g + 1; h < groups.length; h++) {
+        let total = 0;
+        for (const i of groups[g]) for (const j of groups[h]) total += sim[i][j];
+        const linkage = total / (groups[g].length * groups[h].length);
+        if (!best || linkage > best.linkage) best = { g, h, linkage };
+      }
+    }
+
+    const a = groups[best.g];
+    const b = groups[best.h];
+    const candidates = [
+      [a, b], [a, [...b].reverse()], [[...a].reverse(), b], [[...a].reverse(), [...b].reverse()],
+    ];
+    let joined = null;
+    let joinSim = -Infinity;
+    for (const [first, second] of candidates) {
+      const s = sim[first[first.length - 1]][second[0]];
+      if (s > joinSim) {
+        joinSim = s;
+        joined = [...first, ...second];
+      }
+    }
+    groups = groups.filter((_, i) => i !== best.g && i !== best.h);
+    groups.splice(best.g, 0, joined);
+  }
+  return [...(groups[0] || []), ...empty];
+}
+
+/** @param {number} n @returns {number[]} 0 … n-1 */
+function range(n) {
+  return Array.from({ length: n }, (_, i) => i);
+}
+
+/**
+ * A flow matrix (or part of one) as CSV, with row and column totals.
+ * @param {string[]} rowLabels
+ * @param {string[]} colLabels
+ * @param {number[][]} matrix - Rows and columns in the order of the labels
+ * @returns {string}
+ */
+export function flowMatrixToCsv(rowLabels, colLabels, matrix) {
+  const rowTotals = matrix.map(row => row.reduce((s, v) => s + v, 0));
+  const colTotals = colLabels.map((_, ci) => matrix.reduce((s, row) => s + row[ci], 0));
+  const grandTotal = rowTotals.reduce((s, v) => s + v, 0);
+  return toCsv([
+    ['Source \\ Target', ...colLabels, 'Total'],
+    ...matrix.map((row, ri) => [rowLabels[ri], ...row, rowTotals[ri]]),
+    ['Total', ...colTotals, grandTotal],
+  ]);
+}
+
+/**
+ * The hazard pairs behind one cluster cell as CSV.
+ * @param {Array<{source: string, target: string, provenance: string}>} edges
+ * @param {Map<string, Object>} nodeById - Hazard ID -> snapshot node
+ * @returns {string}
+ */
+export function flowPairsToCsv(edges, nodeById) {
+  const rows = [[
+    'source_id', 'source_identifier', 'source_label', 'source_cluster',
+    'target_id', 'target_identifier', 'target_label', 'target_cluster', 'link',
+  ]];
+  for (const e of edges) {
+    const s = nodeById.get(e.source);
+    const t = nodeById.get(e.target);
+    rows.push([
+      e.source, s?.identifier || '', s?.label || e.source, s?.clusterName || '',
+      e.target, t?.identifier || '', t?.label || e.target, t?.clusterName || '',
+      PROVENANCE_LABELS[e.provenance] || '',
+    ]);
+  }
+  return toCsv(rows);
 }
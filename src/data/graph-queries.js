@@ -0,0 +1,362 @@
+/**
+ * @module data/graph-queries
+ * Neighbourhood and path queries shared by the UI and the `hips` CLI.
+ * Pure computation — no DOM; path queries take a (headless) Cytoscape instance.
+ *
+ * Path queries accept PathConstraints: hazard types and hazards to avoid,
+ * waypoints to pass through in order, declared links only, and an extra cost
+ * for links that are not declared by both sides. The source, target and
+ * waypoints are always allowed, even when their type is avoided.
+ */
+import { DECLARED } from './edge-provenance.js';
+
+/** Default number of paths returned by findKShortestPaths(). */
+export const DEFAULT_K_PATHS = 5;
+
+/** Default longest path, in links, for findSimplePaths(). */
+export const DEFAULT_MAX_PATH_LENGTH = 5;
+
+/** findSimplePaths() stops after this many paths and reports the result as truncated. */
+export const MAX_SIMPLE_PATHS = 500;
+
+/**
+ * Build an adjacency map from edges between known hazards.
+ * @param {Array<{source: string, target: string}>} edges
+ * @param {'out'|'in'|'both'} [direction='both'] - 'out' follows causes,
+ *   'in' follows caused-by, 'both' ignores direction
+ * @param {Set<string>} [nodeIds] - Known hazard IDs; edges to anything else are skipped
+ * @returns {Map<string, Set<string>>} nodeId -> neighbour IDs
+ */
+export function buildAdjacency(edges, direction = 'both', nodeIds = null) {
+  const adj = new Map();
+  const link = (from, to) => {
+    if (!adj.has(from)) adj.set(from, new Set());
+    adj.get(from).add(to);
+  };
+  for (const e of edges) {
+    if (nodeIds && (!nodeIds.has(e.source) || !nodeIds.has(e.target))) continue;
+    if (direction !== 'in') link(e.source, e.target);
+    if (direction !== 'out') link(e.target, e.source);
+  }
+  return adj;
+}
+
+/**
+ * Breadth-first k-hop neighbourhood.
+ * @param {Map<string, Set<string>>} adjacency - From buildAdjacency() or a view's getAdjacency()
+ * @param {string} nodeId - Start node
+ * @param {number} hops - Maximum distance
+ * @returns {Map<string, number>} nodeId -> hop distance, including the start node at 0
+ */
+export function kHopNeighbourhood(adjacency, nodeId, hops) {
+  const distances = new Map([[nodeId, 0]]);
+  let frontier = [nodeId];
+
+  for (let hop = 1; hop <= hops && frontier.length; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const nId of adjacency.get(id) || []) {
+        if (distances.has(nId)) continue;
+        distances.set(nId, hop);
+        next.push(nId);
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+/**
+ * Shortest directed causal path between two hazards.
+ * @param {Object} cy - Cytoscape instance built from transformToElements()
+ * @param {string} sourceId
+ * @param {string} targetId
+ * @param {import('../types.js').PathConstraints} [constraints]
+ * @returns {(import('../types.js').CausalPath & { distance: number })|null}
+ *   The path, with its total cost as `distance` (the hop count unless inferred
+ *   links are weighted); null when there is no directed path
+ * @throws {Error} If a hazard is not in the graph, the endpoints are the same or a waypoint repeats
+ */
+export function findShortestPath(cy, sourceId, targetId, constraints = {}) {
+  const { out, weight, stops } = preparePathSearch(cy, sourceId, targetId, constraints);
+  const best = route(out, stops, weight);
+  if (!best) return null;
+  return { distance: best.cost, ...describePath(out, best.nodeIds, weight) };
+}
+
+/**
+ * Look up a hazard node, failing loudly for unknown IDs.
+ * @param {Object} cy
+ * @param {string} id
+ * @returns {Object} Cytoscape node
+ * @throws {Error} If the node is not in the graph
+ */
+function requireNode(cy, id) {
+  const node = cy.getElementById(id);
+  if (node.empty()) throw new Error(`Unknown hazard: ${id}`);
+  return node;
+}
+
+/**
+ * Validate endpoints and waypoints, and build the constrained graph and link cost.
+ * @param {Object} cy
+ * @param {string} sourceId
+ * @param {string} targetId
+ * @param {import('../types.js').PathConstraints} constraints
+ * @returns {{ out: Map<string, Map<string, string>>, weight: (edge: import('../types.js').PathEdge) => number, stops: string[] }}
+ */
+function preparePathSearch(cy, sourceId, targetId, { waypoints = [], inferredWeight = 1, ...filters }) {
+  const stops = [sourceId, ...waypoints, targetId];
+  stops.forEach(id => requireNode(cy, id));
+  if (sourceId === targetId) throw new Error('Source and target must differ');
+  if (new Set(stops).size !== stops.length) {
+    throw new Error('Waypoints must be distinct and differ from the source and target');
+  }
+  return {
+    out: successorsOf(cy, filters, stops),
+    weight: (e) => (e.provenance === DECLARED ? 1 : inferredWeight),
+    stops,
+  };
+}
+
+/**
+ * Directed successor map with each link's provenance, from the Cytoscape edges.
+ * @param {Object} cy
+ * @param {Object} [filters]
+ * @param {Iterable<string>} [filters.excludeTypes] - Type names to avoid
+ * @param {Iterable<string>} [filters.excludeNodes] - Hazard IDs to avoid
+ * @param {boolean} [filters.declaredOnly=false] - Skip links not declared by both sides
+ * @param {Iterable<string>} [keep] - Hazards allowed regardless of the filters
+ * @returns {Map<string, Map<string, string>>} source -> (target -> provenance)
+ */
+function successorsOf(cy, { excludeTypes = [], excludeNodes = [], declaredOnly = false } = {}, keep = []) {
+  const avoidTypes = new Set(excludeTypes);
+  const avoidNodes = new Set(excludeNodes);
+  const always = new Set(keep);
+  const allowed = (id) => always.has(id)
+    || (!avoidNodes.has(id) && !avoidTypes.has(cy.getElementById(id).data('typeName')));
+
+  const out = new Map();
+  cy.edges().forEach(e => {
+    const source = e.data('source');
+    const target = e.data('target');
+    const provenance = e.data('provenance');
+    if (source === target || (declaredOnly && provenance !== DECLARED)) return;
+    if (!allowed(source) || !allowed(target)) return;
+    if (!out.has(source)) out.set(source, new Map());
+    out.get(source).set(target, provenance);
+  });
+  return out;
+}
+
+/**
+ * Dijkstra over a successor map, avoiding some nodes and links.
+ * Ties are broken by edge order, so results are deterministic.
+ * @param {Map<string, Map<string, string>>} out
+ * @param {string} sourceId
+ * @param {string} targetId
+ * @param {(edge: import('../types.js').PathEdge) => number} weight
+ * @param {Set<string>} [blockedNodes]
+ * @param {Set<string>} [blockedEdges] - "source->target" keys
+ * @returns {{ nodeIds: string[], cost: number }|null}
+ */
+function dijkstra(out, sourceId, targetId, weight, blockedNodes = new Set(), blockedEdges = new Set()) {
+  const dist = new Map([[sourceId, 0]]);
+  const prev = new Map();
+  const done = new Set();
+  const queue = [sourceId];
+
+  while (queue.length) {
+    let best = 0;
+    for (let i = 1; i < queue.length; i++) {
+      if (dist.get(queue[i]) < dist.get(queue[best])) best = i;
+    }
+    const u = queue.splice(best, 1)[0];
+    if (done.has(u)) continue;
+    done.add(u);
+    if (u === targetId) break;
+
+    for (const [v, provenance] of out.get(u) || []) {
+      if (done.has(v) || blockedNodes.has(v) || blockedEdges.has(`${u}->${v}`)) continue;
+      const d = dist.get(u) + weight({ source: u, target: v, provenance });
+      if (d < (dist.get(v) ?? Infinity)) {
+        dist.set(v, d);
+        prev.set(v, u);
+        queue.push(v);
+      }
+    }
+  }
+
+  if (!done.has(targetId)) return null;
+  const nodeIds = [targetId];
+  while (nodeIds[0] !== sourceId) nodeIds.unshift(prev.get(nodeIds[0]));
+  return { nodeIds, cost: dist.get(targetId) };
+}
+
+/**
+ * Cheapest loopless route through a sequence of stops, leg by leg. Each leg
+ * avoids the hazards already on the route and the stops still ahead, so a
+ * route can be missed when only a costlier first leg leaves the rest open.
+ * @param {Map<string, Map<string, string>>} out
+ * @param {string[]} stops - Source, waypoints in order, target
+ * @param {(edge: import('../types.js').PathEdge) => number} weight
+ * @param {Set<string>} [blockedNodes]
+ * @param {Set<string>} [blockedEdges] - "source->target" keys, applied to the first leg
+ * @returns {{ nodeIds: string[], cost: number }|null}
+ */
+function route(out, stops, weight, blockedNodes = new Set(), blockedEdges = new Set()) {
+  let nodeIds = [stops[0]];
+  let cost = 0;
+  for (let i = 1; i < stops.length; i++) {
+    const avoid = new Set([...blockedNodes, ...nodeIds.slice(0, -1), ...stops.slice(i + 1)]);
+    const leg = dijkstra(out, nodeIds[nodeIds.length - 1], stops[i], weight, avoid, i === 1 ? blockedEdges : new Set());
+    if (!leg) return null;
+    nodeIds = nodeIds.concat(leg.nodeIds.slice(1));
+    cost += leg.cost;
+  }
+  return { nodeIds, cost };
+}
+
+/**
+ * Describe a path: hop count, cost and each link with its provenance.
+ * @param {Map<string, Map<string, string>>} out
+ * @param {string[]} nodeIds
+ * @param {(edge: import('../types.js').PathEdge) => number} weight
+ * @returns {import('../types.js').CausalPath}
+ */
+function describePath(out, nodeIds, weight) {
+  const edges = nodeIds.slice(1).map((target, i) => {
+    const source = nodeIds[i];
+    return { source, target, provenance: out.get(source)?.get(target) };
+  });
+  return { nodeIds, hops: edges.length, cost: edges.reduce((sum, e) => sum + weight(e), 0), edges };
+}
+
+/**
+ * The k cheapest loopless directed paths between two hazards (Yen's
+ * algorithm), cheapest first. Paths of equal cost keep the order in which
+ * they were found.
+ * @param {Object} cy - Cytoscape instance built from transformToElements()
+ * @param {string} sourceId
+ * @param {string} targetId
+ * @param {number} [k=DEFAULT_K_PATHS]
+ * @param {import('../types.js').PathConstraints} [constraints]
+ * @returns {import('../types.js').CausalPath[]} Up to k paths; empty when there is no directed path
+ * @throws {Error} If a hazard is not in the graph, the endpoints are the same or a waypoint repeats
+ */
+export function findKShortestPaths(cy, sourceId, targetId, k = DEFAULT_K_PATHS, constraints = {}) {
+  const { out, weight, stops } = preparePathSearch(cy, sourceId, targetId, constraints);
+  const waypoints = stops.slice(1, -1);
+
+  const first = route(out, stops, weight);
+  if (!first) return [];
+
+  const found = [first];
+  const candidates = [];
+  const seen = new Set([first.nodeIds.join('\n')]);
+
+  while (found.length < k) {
+    const last = found[found.length - 1].nodeIds;
+
+    // Branch off the previous path at each hazard (the spur), reusing its
+    // prefix but not any link already taken from that prefix
+    for (let i = 0; i < last.length - 1; i++) {
+      const prefix = last.slice(0, i + 1);
+      const blockedEdges = new Set();
+      for (const { nodeIds } of found) {
+        if (prefix.every((id, j) => nodeIds[j] === id)) blockedEdges.add(`${nodeIds[i]}->${nodeIds[i + 1]}`);
+      }
+      const remaining = waypoints.filter(id => !prefix.includes(id));
+      const spur = route(out, [last[i], ...remaining, targetId], weight, new Set(prefix.slice(0, -1)), blockedEdges);
+      if (!spur) continue;
+
+      const nodeIds = [...prefix.slice(0, -1), ...spur.nodeIds];
+      const key = nodeIds.join('\n');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push({ nodeIds, cost: describePath(out, prefix, weight).cost + spur.cost });
+    }
+
+    if (!candidates.length) break;
+    let best = 0;
+    for (let i = 1; i < candidates.length; i++) {
+      if (candidates[i].cost < candidates[best].cost) best = i;
+    }
+    found.push(candidates.splice(best, 1)[0]);
+  }
+
+  return found.map(p => describePath(out, p.nodeIds, weight));
+}
+
+/**
+ * Every loopless directed path between two hazards up to a maximum length,
+ * cheapest first (then fewest links). Branches that cannot reach the target
+ * within the remaining links are pruned; with waypoints, only paths visiting
+ * them in order are kept.
+ * @param {Object} cy - Cytoscape instance built from transformToElements()
+ * @param {string} sourceId
+ * @param {string} targetId
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=DEFAULT_MAX_PATH_LENGTH] - Longest path, in links
+ * @param {number} [options.limit=MAX_SIMPLE_PATHS] - Stop after this many paths
+ * @param {import('../types.js').PathConstraints} [constraints]
+ * @returns {{ paths: import('../types.js').CausalPath[], truncated: boolean }}
+ * @throws {Error} If a hazard is not in the graph, the endpoints are the same or a waypoint repeats
+ */
+export function findSimplePaths(cy, sourceId, targetId, { maxLength = DEFAULT_MAX_PATH_LENGTH, limit = MAX_SIMPLE_PATHS } = {}, constraints = {}) {
+  const { out, weight, stops } = preparePathSearch(cy, sourceId, targetId, constraints);
+  const waypoints = stops.slice(1, -1);
+  const visitsWaypoints = (nodeIds) => {
+    let next = 0;
+    for (const id of nodeIds) if (id === waypoints[next]) next++;
+    return next === waypoints.length;
+  };
+
+  // Hops from each hazard to the target, for pruning
+  const predecessors = new Map();
+  for (const [source, targets] of out) {
+    for (const target of targets.keys()) {
+      if (!predecessors.has(target)) predecessors.set(target, []);
+      predecessors.get(target).push(source);
+    }
+  }
+  const toTarget = kHopNeighbourhood(predecessors, targetId, maxLength);
+
+  const paths = [];
+  let truncated = false;
+  if ((toTarget.get(sourceId) ?? Infinity) <= maxLength) {
+    const path = [sourceId];
+    const onPath = new Set(path);
+    const work = [(out.get(sourceId) || new Map()).keys()];
+
+    while (work.length) {
+      const next = work[work.length - 1].next();
+      if (next.done) {
+        work.pop();
+        onPath.delete(path.pop());
+        continue;
+      }
+      const w = next.value;
+      if (onPath.has(w) || path.length + (toTarget.get(w) ?? Infinity) > maxLength) continue;
+      if (w === targetId) {
+        if (!visitsWaypoints(path)) continue;
+        paths.push([...path, w]);
+        if (paths.length >= limit) {
+          truncated = true;
+          break;
+        }
+        continue;
+      }
+      path.push(w);
+      onPath.add(w);
+      work.push((out.get(w) || new Map()).keys());
+    }
+  }
+
+  return {
+    paths: paths
+      .map(nodeIds => describePath(out, nodeIds, weight))
+      .sort((a, b) => a.cost - b.cost || a.hops - b.hops),
+    truncated,
+  };
+}
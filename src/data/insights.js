@@ -3,11 +3,15 @@
  * Compute network-level insights/factoids from the snapshot data.
  * Pure computation — no DOM or Cytoscape dependencies.
  */
+import { createProvenanceLookup, DECLARED, TARGET_ONLY } from './edge-provenance.js';
+import { findFeedbackLoops } from './cycles.js';
+import { detectCommunities } from './communities.js';
+import { relationshipStats } from './relationships.js';
 
 /**
  * Compute network-level insights/factoids from the snapshot data.
  * @param {Object} data - Snapshot data with nodes, edges
- * @returns {Object} Computed insights for the 9 factoid cards
+ * @returns {Object} Computed insights for the factoid cards
  */
 export function computeInsights(data) {
   const { nodes, edges } = data;
@@ -98,24 +102,26 @@ export function computeInsights(data) {
     }
   }
 
-  // 7. Declared/inferred edge analysis
-  const causedBySet = new Map();
-  for (const n of nodes) {
-    causedBySet.set(n.id, new Set(n.causedBy || []));
-  }
+  // 7. Declared/inferred/target-only edge analysis
+  const provenanceOf = createProvenanceLookup(nodes);
 
   let declaredEdgeCount = 0;
+  let targetOnlyEdgeCount = 0;
   const declaredDeg = new Map();
   for (const n of nodes) declaredDeg.set(n.id, 0);
   const inferredEdgeNodeIds = new Set();
+  const targetOnlyEdgeNodeIds = new Set();
 
   for (const e of edges) {
-    const targetCausedBy = causedBySet.get(e.target);
-    const isDeclared = targetCausedBy ? targetCausedBy.has(e.source) : false;
-    if (isDeclared) {
+    const provenance = provenanceOf(e.source, e.target);
+    if (provenance === DECLARED) {
       declaredEdgeCount++;
       if (declaredDeg.has(e.source)) declaredDeg.set(e.source, declaredDeg.get(e.source) + 1);
       if (declaredDeg.has(e.target)) declaredDeg.set(e.target, declaredDeg.get(e.target) + 1);
+    } else if (provenance === TARGET_ONLY) {
+      targetOnlyEdgeCount++;
+      targetOnlyEdgeNodeIds.add(e.source);
+      targetOnlyEdgeNodeIds.add(e.target);
     } else {
       inferredEdgeNodeIds.add(e.source);
       inferredEdgeNodeIds.add(e.target);
@@ -123,12 +129,14 @@ export function computeInsights(data) {
   }
 
   const reciprocationRate = edges.length ? declaredEdgeCount / edges.length : 0;
+  const targetOnlyRate = edges.length ? targetOnlyEdgeCount / edges.length : 0;
 
   // Average declared degree
   const totalDeclaredDegree = [...declaredDeg.values()].reduce((s, d) => s + d, 0);
   const avgDeclaredDegree = nodes.length ? totalDeclaredDegree / nodes.length : 0;
 
   // Inferred-only nodes: have graph connections but zero declared degree
+  // (every link is one-sided, whether inferred or target-only)
   const inferredOnlyNodes = nodes
     .filter(n => degree.get(n.id) > 0 && declaredDeg.get(n.id) === 0)
     .map(n => n.id);
@@ -147,6 +155,28 @@ export function computeInsights(data) {
   }
   const referenceCoverage = nodes.length ? referencedCount / nodes.length : 0;
 
+  // 9. Feedback loops (cycles up to the default length)
+  const loops = findFeedbackLoops(data);
+  const feedbackLoops = {
+    cycleCount: loops.cycles.length,
+    maxLength: loops.maxLength,
+    truncated: loops.truncated,
+    componentCount: loops.components.length,
+    largestComponent: loops.components[0]?.nodeIds || [],
+  };
+
+  // 10. Causal communities vs editorial clusters
+  const detected = detectCommunities(data);
+  const communities = {
+    count: detected.communities.length,
+    modularity: detected.modularity,
+    clusterNmi: detected.agreement.cluster.nmi,
+    outlierIds: detected.outliers.map(o => o.id),
+  };
+
+  // 11. Causal, associative and partitive relationship layers
+  const relationshipLayers = relationshipStats(data);
+
   return {
     avgDegree,
     avgDeclaredDegree,
@@ -157,6 +187,9 @@ export function computeInsights(data) {
     inferredOnlyNodes,
     reciprocationRate,
     inferredEdgeNodeIds: [...inferredEdgeNodeIds],
+    targetOnlyEdgeCount,
+    targetOnlyRate,
+    targetOnlyEdgeNodeIds: [...targetOnlyEdgeNodeIds],
     crossTypeRatio,
     crossTypeEdgeIds,
     crossTypeNodeIds: [...crossTypeNodeIds],
@@ -165,5 +198,8 @@ export function computeInsights(data) {
     densestCluster,
     referenceCoverage,
     unreferencedNodes,
+    feedbackLoops,
+    communities,
+    relationshipLayers,
   };
 }
@@ -0,0 +1,139 @@
+/**
+ * @module data/jsonld-transform
+ * Transform a raw HIPs JSON-LD document (PreventionWeb API response or a dump of
+ * it on disk) into the snapshot format.
+ * Shared by the snapshot script and the in-browser live-API fallback, so both
+ * produce identical nodes, edges and meta.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+import { str, refId, toArray } from '../utils/jsonld.js';
+
+/** Canonical source of the HIPs dataset. */
+export const HIPS_API_URL = 'https://www.preventionweb.net/api/terms/hips';
+
+/**
+ * Extract hazard nodes and causal edges from a raw JSON-LD document.
+ * Edges come from every `xkos:causes` entry, plus any `xkos:causedBy` entry
+ * naming a hazard in the graph that does not reciprocate it (type "causedBy").
+ * @param {Object|Object[]} raw - JSON-LD document with an @graph, or the graph array itself
+ * @param {Object} [options]
+ * @param {string} [options.source=HIPS_API_URL] - Recorded as meta.source
+ * @param {string} [options.fetchedAt] - ISO timestamp recorded as meta.fetchedAt (default: now)
+ * @returns {import('../types.js').SnapshotData}
+ */
+export function transformHipsJsonLd(raw, { source = HIPS_API_URL, fetchedAt = new Date().toISOString() } = {}) {
+  const graph = raw['@graph'] || raw;
+  if (!Array.isArray(graph)) throw new Error('Invalid JSON-LD: expected an @graph array');
+
+  const nodes = [];
+  const edges = [];
+  const typeMap = new Map();
+  const clusterMap = new Map();
+
+  for (const item of graph) {
+    const id = item['@id'];
+    const types = toArray(item['@type']);
+
+    // Skip non-Concept items (ConceptScheme, Collection, etc.)
+    if (!types.includes('skos:Concept')) continue;
+
+    // Determine hazard type and cluster from skos:broader
+    let typeId = null;
+    let typeName = null;
+    let clusterId = null;
+    let clusterName = null;
+
+    for (const b of toArray(item['skos:broader'])) {
+      if (typeof b !== 'object') continue;
+      const bId = b['@id'];
+      const bDctType = str(b['dct:type']);
+      const bLabel = str(b['skos:prefLabel']);
+
+      if (bDctType === 'type') {
+        typeId = bId;
+        typeName = bLabel;
+      } else if (bDctType === 'cluster') {
+        clusterId = bId;
+        clusterName = bLabel;
+      }
+    }
+
+    // Parse scope notes
+    const scopeNotes = {};
+    for (const note of toArray(item['skos:scopeNote'])) {
+      const noteType = str(note?.['dct:type']);
+      const noteValue = str(note);
+      if (noteType && noteValue) {
+        scopeNotes[noteType] = noteValue;
+      }
+    }
+
+    // Parse causes/causedBy
+    const causes = toArray(item['xkos:causes']).map(refId).filter(Boolean);
+    const causedBy = toArray(item['xkos:causedBy']).map(refId).filter(Boolean);
+
+    // Parse link fields
+    const getLinks = (field) => toArray(item[field]).map(v => refId(v) || str(v)).filter(Boolean);
+
+    // Track types and clusters
+    if (typeId && typeName) typeMap.set(typeId, typeName);
+    if (clusterId && clusterName) clusterMap.set(clusterId, { name: clusterName, typeId });
+
+    nodes.push({
+      id,
+      label: str(item['skos:prefLabel']),
+      identifier: str(item['dct:identifier']),
+      definition: str(item['skos:definition']),
+      altLabels: toArray(item['skos:altLabel']).map(str).filter(Boolean),
+      typeId,
+      typeName,
+      clusterId,
+      clusterName,
+      scopeNotes,
+      causes,
+      causedBy,
+      sources: getLinks('dct:source'),
+      quotedFrom: getLinks('prov:wasQuotedFrom'),
+      references: getLinks('dct:references'),
+      influencedBy: getLinks('prov:wasInfluencedBy'),
+      conformsTo: getLinks('dct:conformsTo'),
+      hasPart: getLinks('dct:hasPart'),
+      related: getLinks('skos:related'),
+      versionInfo: str(item['owl:versionInfo']),
+      rights: str(item['dct:rights']),
+    });
+
+    // Create edges from causes
+    for (const target of causes) {
+      edges.push({ source: id, target, type: 'causes' });
+    }
+  }
+
+  // Keep relationships attested only by the target's causedBy (no matching causes).
+  // Only sources that are hazards in this snapshot; a causedBy list can name
+  // the same source more than once, so emit one edge per pair
+  const causesById = new Map(nodes.map(n => [n.id, new Set(n.causes)]));
+  const emitted = new Set();
+  for (const node of nodes) {
+    for (const sourceId of node.causedBy) {
+      if (!causesById.has(sourceId) || causesById.get(sourceId).has(node.id)) continue;
+      const key = `${sourceId}\t${node.id}`;
+      if (emitted.has(key)) continue;
+      emitted.add(key);
+      edges.push({ source: sourceId, target: node.id, type: 'causedBy' });
+    }
+  }
+
+  return {
+    meta: {
+      source,
+      fetchedAt,
+      nodeCount: nodes.length,
+      edgeCount: edges.length,
+      types: Object.fromEntries(typeMap),
+      clusters: Object.fromEntries(clusterMap),
+    },
+    nodes,
+    edges,
+  };
+}
@@ -0,0 +1,208 @@
+/**
+ * @module data/link-prediction
+ * Candidate causal links for curators to review.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * Three signals are combined into one score in [0, 1]:
+ * - Unreciprocated: the link already exists but only one endpoint declares it
+ *   (inferred or target-attested). Most one-sided links are artefacts of
+ *   node-by-node curation (docs/methodology-causal-asymmetry.md), so these
+ *   are the cheapest corrections: add the link to the side that lacks it.
+ * - Mediators: hazards w with u → w → v. Counted as common neighbours and
+ *   weighted by Adamic-Adar, Σ 1 / ln(degree(w)), so a shared mediator with
+ *   few links says more than a hub everything passes through. Scaled so the
+ *   strongest pair in the network scores 1.
+ * - Mentions: one hazard names the other in its scope notes. A mention under
+ *   "drivers" points the link at the note's hazard, under "impacts" away
+ *   from it; other sections support either direction.
+ *
+ * A pair u → v becomes a candidate when the link is not declared by both
+ * sides and it is unreciprocated, has enough mediators, or is mentioned.
+ */
+import { buildAdjacencyIndex } from '../views/cascade/cascade-data.js';
+import { DECLARED, INFERRED, PROVENANCE_LABELS } from './edge-provenance.js';
+import { findMentions, SECTION_DIRECTIONS } from './mentions.js';
+import { toCsv } from './csv.js';
+
+/** Weight of each signal in the combined score; they sum to 1. */
+export const LINK_SIGNAL_WEIGHTS = {
+  unreciprocated: 0.4,
+  adamicAdar: 0.4,
+  mention: 0.2,
+};
+
+/** Mediators needed before an unlinked pair is suggested on structure alone. */
+export const MIN_COMMON_NEIGHBOURS = 2;
+
+/**
+ * Suggestion kinds: complete a one-sided link, or add a link that does not
+ * exist at all.
+ */
+export const SUGGESTION_KINDS = ['reciprocate', 'new'];
+
+/**
+ * Score candidate links, best first.
+ * @param {import('../types.js').SnapshotData} data
+ * @param {Object} [options]
+ * @param {'reciprocate'|'new'} [options.kind] - Only suggestions of this kind
+ * @param {number} [options.minCommonNeighbours=MIN_COMMON_NEIGHBOURS]
+ * @returns {import('../types.js').LinkSuggestion[]}
+ */
+export function suggestLinks(data, { kind, minCommonNeighbours = MIN_COMMON_NEIGHBOURS } = {}) {
+  const { effectsIndex, triggersIndex } = buildAdjacencyIndex(data);
+
+  // Links naming IDs that are not hazards in the snapshot cannot be acted on
+  const hazardIds = new Set(data.nodes.map(n => n.id));
+  for (const index of [effectsIndex, triggersIndex]) {
+    for (const [id, links] of index) {
+      if (hazardIds.has(id)) index.set(id, links.filter(l => hazardIds.has(l.id)));
+      else index.delete(id);
+    }
+  }
+
+  /** Link provenance by "source\ttarget" */
+  const existing = new Map();
+  for (const [source, effects] of effectsIndex) {
+    for (const e of effects) existing.set(`${source}\t${e.id}`, e.provenance);
+  }
+
+  const degree = new Map();
+  for (const node of data.nodes) {
+    const neighbours = new Set([
+      ...(effectsIndex.get(node.id) || []).map(e => e.id),
+      ...(triggersIndex.get(node.id) || []).map(e => e.id),
+    ]);
+    neighbours.delete(node.id);
+    degree.set(node.id, neighbours.size);
+  }
+
+  /** @type {Map<string, {source: string, target: string, mediators: Set<string>, mentions: Object[]}>} */
+  const pairs = new Map();
+  const pairFor = (source, target) => {
+    const key = `${source}\t${target}`;
+    if (!pairs.has(key)) pairs.set(key, { source, target, mediators: new Set(), mentions: [] });
+    return pairs.get(key);
+  };
+
+  for (const [key, provenance] of existing) {
+    if (provenance === DECLARED) continue;
+    const [source, target] = key.split('\t');
+    if (source !== target) pairFor(source, target);
+  }
+
+  // Mediators: walk u → w → v over the effects index
+  const mediatorsOf = new Map();
+  for (const [u, effects] of effectsIndex) {
+    for (const { id: w } of effects) {
+      if (w === u) continue;
+      for (const { id: v } of effectsIndex.get(w) || []) {
+        if (v === u || v === w || existing.get(`${u}\t${v}`) === DECLARED) continue;
+        const key = `${u}\t${v}`;
+        if (!mediatorsOf.has(key)) mediatorsOf.set(key, new Set());
+        mediatorsOf.get(key).add(w);
+      }
+    }
+  }
+  for (const [key, mediators] of mediatorsOf) {
+    const [source, target] = key.split('\t');
+    if (mediators.size >= minCommonNeighbours || pairs.has(key)) {
+      pairFor(source, target).mediators = mediators;
+    }
+  }
+
+  for (const mention of findMentions(data.nodes)) {
+    const direction = SECTION_DIRECTIONS[mention.section];
+    const record = { hazardId: mention.sourceId, section: mention.section, term: mention.term };
+    const forward = [mention.sourceId, mention.targetId];
+    const backward = [mention.targetId, mention.sourceId];
+    const orientations = direction === 'in' ? [backward] : direction === 'out' ? [forward] : [forward, backward];
+    const open = orientations.filter(([s, t]) => existing.get(`${s}\t${t}`) !== DECLARED);
+    // An undirected mention adds a pair of its own only when neither direction is suggested yet
+    const targets = direction ? open : open.filter(([s, t]) => pairs.has(`${s}\t${t}`));
+    if (!direction && !targets.length && open.length) targets.push(open[0]);
+    for (const [source, target] of targets) {
+      const { mentions } = pairFor(source, target);
+      // One record per note section, however many of its sentences name the hazard
+      if (!mentions.some(m => m.hazardId === record.hazardId && m.section === record.section)) mentions.push(record);
+    }
+  }
+
+  const adamicAdarOf = (mediators) => {
+    let sum = 0;
+    for (const w of mediators) sum += 1 / Math.log(Math.max(degree.get(w) || 0, 2));
+    return sum;
+  };
+  let maxAdamicAdar = 0;
+  for (const pair of pairs.values()) {
+    pair.adamicAdar = adamicAdarOf(pair.mediators);
+    maxAdamicAdar = Math.max(maxAdamicAdar, pair.adamicAdar);
+  }
+
+  const suggestions = [];
+  for (const pair of pairs.values()) {
+    const provenance = existing.get(`${pair.source}\t${pair.target}`) || null;
+    const suggestionKind = provenance ? 'reciprocate' : 'new';
+    if (kind && suggestionKind !== kind) continue;
+
+    const structural = maxAdamicAdar > 0 ? pair.adamicAdar / maxAdamicAdar : 0;
+    const score = (provenance ? LINK_SIGNAL_WEIGHTS.unreciprocated : 0)
+      + LINK_SIGNAL_WEIGHTS.adamicAdar * structural
+      + (pair.mentions.length ? LINK_SIGNAL_WEIGHTS.mention : 0);
+
+    suggestions.push({
+      source: pair.source,
+      target: pair.target,
+      kind: suggestionKind,
+      score,
+      provenance,
+      // An inferred link is missing from the target's causedBy; a target-attested one from the source's causes
+      missingFrom: !provenance ? 'both' : provenance === INFERRED ? 'target' : 'source',
+      reverseExists: existing.has(`${pair.target}\t${pair.source}`),
+      mediators: [...pair.mediators].sort((a, b) => (degree.get(a) || 0) - (degree.get(b) || 0)),
+      adamicAdar: pair.adamicAdar,
+      mentions: pair.mentions,
+    });
+  }
+
+  return suggestions.sort((a, b) =>
+    b.score - a.score
+    || b.mediators.length - a.mediators.length
+    || a.source.localeCompare(b.source)
+    || a.target.localeCompare(b.target));
+}
+
+/**
+ * What a curator should change to accept a suggestion.
+ * @param {import('../types.js').LinkSuggestion} s
+ * @param {(id: string) => string} label - Hazard ID -> display label
+ * @returns {string}
+ */
+export function suggestionAction(s, label) {
+  if (s.missingFrom === 'target') return `Add ${label(s.source)} to causedBy of ${label(s.target)}`;
+  if (s.missingFrom === 'source') return `Add ${label(s.target)} to causes of ${label(s.source)}`;
+  return `Add ${label(s.target)} to causes of ${label(s.source)}, and ${label(s.source)} to causedBy of ${label(s.target)}`;
+}
+
+/**
+ * The review list as CSV, one suggestion per row in rank order.
+ * @param {import('../types.js').LinkSuggestion[]} suggestions
+ * @param {Map<string, Object>} nodeById - Hazard ID -> snapshot node
+ * @returns {string}
+ */
+export function linkSuggestionsToCsv(suggestions, nodeById) {
+  const label = id => nodeById.get(id)?.label || id;
+  const identifier = id => nodeById.get(id)?.identifier || '';
+  const rows = [[
+    'rank', 'source_id', 'source_identifier', 'source_label', 'target_id', 'target_identifier', 'target_label',
+    'kind', 'action', 'existing_link', 'reverse_link_exists', 'score',
+    'common_neighbours', 'adamic_adar', 'via', 'mentioned_in',
+  ]];
+  suggestions.forEach((s, i) => rows.push([
+    i + 1, s.source, identifier(s.source), label(s.source), s.target, identifier(s.target), label(s.target),
+    s.kind, suggestionAction(s, label), s.provenance ? PROVENANCE_LABELS[s.provenance] : '',
+    s.reverseExists ? 'yes' : 'no', s.score.toFixed(3),
+    s.mediators.length, s.adamicAdar.toFixed(3), s.mediators.map(label).join('; '),
+    s.mentions.map(m => `${label(m.hazardId)} (${m.section})`).join('; '),
+  ]));
+  return toCsv(rows);
+}
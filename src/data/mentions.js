@@ -0,0 +1,175 @@
+/**
+ * @module data/mentions
+ * Find other hazards named in a hazard's scope notes — textual mentions that
+ * may stand for a causal link nobody recorded.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * A hazard is matched by its label and its altLabels, as whole words and
+ * ignoring case. A parenthetical in the label is also an alias: "Gravitational
+ * Mass Movement (‘Landslide’)" matches "Gravitational Mass Movement" and
+ * "Landslide"; in an altLabel only an acronym is ("Early mortality syndrome
+ * (EMS)"). Acronyms match with their capitals only, so "AIDS" is not "aids".
+ * Single-word altLabels other than acronyms are skipped: many are generic
+ * terms ("Outbreak", "Settlement", "Viruses" for Malware). So are altLabels
+ * tagged with another language ("Rage (fr)"), and names shared by several
+ * hazards ("Human"), since they cannot say which one is meant.
+ */
+
+/** Names shorter than this are too ambiguous to match in free text (acronyms excepted). */
+const MIN_NAME_LENGTH = 4;
+
+/** Acronyms shorter than this are skipped. */
+const MIN_ACRONYM_LENGTH = 3;
+
+/**
+ * Names that are also everyday words in another sense ("lead to"); these
+ * only match with the label's capitalisation.
+ */
+const CASE_SENSITIVE_NAMES = new Set(['lead']);
+
+/** Placeholder altLabels in the source data, not names. */
+const PLACEHOLDER_NAMES = new Set(['not identified', 'not found']);
+
+/** Trailing language tag on an altLabel, e.g. "(fr)" or "(Italian)". */
+const LANGUAGE_TAG = /\s*\(([a-z]{2}|[A-Z][a-z]+ian)\)\s*$/;
+
+/**
+ * Which way a scope note section implies the causal link points:
+ * 'in' = the mentioned hazard causes the note's hazard, 'out' = the reverse.
+ * Sections not listed give no direction.
+ */
+export const SECTION_DIRECTIONS = {
+  drivers: 'in',
+  impacts: 'out',
+};
+
+/**
+ * Escape a string for use inside a regular expression.
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether a name is an acronym such as "MERS" or "DR-TB".
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isAcronym(name) {
+  return /^[A-Z][A-Z0-9-]*[A-Z0-9]$/.test(name) && /[A-Z].*[A-Z]/.test(name);
+}
+
+/**
+ * Names a hazard can be mentioned by.
+ * @param {Object} node - Hazard node
+ * @returns {string[]} Distinct names, longest first
+ */
+export function hazardNames(node) {
+  const names = new Set();
+  const add = (name, keepParenthetical) => {
+    const paren = name.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+    if (!paren) {
+      names.add(name);
+      return;
+    }
+    names.add(paren[1].trim());
+    const alias = paren[2].replace(/[‘’'"“”]/g, '').trim();
+    if (keepParenthetical(alias)) names.add(alias);
+  };
+
+  const label = (node.label || '').trim();
+  if (label) add(label, () => true);
+  for (const alt of node.altLabels || []) {
+    const tag = alt.match(LANGUAGE_TAG);
+    if (tag && tag[1] !== 'en') continue;
+    const name = alt.replace(LANGUAGE_TAG, '').trim();
+    if (/\s/.test(name) || isAcronym(name)) add(name, isAcronym);
+  }
+
+  return [...names]
+    .filter(name => !PLACEHOLDER_NAMES.has(name.toLowerCase()))
+    .filter(name => name.length >= MIN_NAME_LENGTH || (isAcronym(name) && name.length >= MIN_ACRONYM_LENGTH))
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Split text into sentences at ., ! or ? followed by a space and a capital,
+ * digit or opening quote/bracket.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9“"‘'(])/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find hazards mentioned in each hazard's scope notes. A hazard mentioning
+ * itself is ignored. Each sentence naming a hazard is reported once per
+ * hazard, with the first wording found.
+ * @param {Object[]} nodes - Snapshot hazards
+ * @returns {import('../types.js').Mention[]} In hazard, then note, then sentence order
+ */
+export function findMentions(nodes) {
+  const namesById = new Map(nodes.map(node => [node.id, hazardNames(node)]));
+  const owners = new Map();
+  for (const names of namesById.values()) {
+    for (const name of names) owners.set(name.toLowerCase(), (owners.get(name.toLowerCase()) || 0) + 1);
+  }
+
+  const matchers = [];
+  for (const [id, names] of namesById) {
+    const patterns = names
+      .filter(name => owners.get(name.toLowerCase()) === 1)
+      .map(name => {
+        const exact = isAcronym(name) || CASE_SENSITIVE_NAMES.has(name.toLowerCase());
+        return new RegExp(`(?<![\\w-])${escapeRegExp(name)}(?![\\w-])`, exact ? 'g' : 'gi');
+      });
+    if (patterns.length) matchers.push({ id, patterns });
+  }
+
+  const mentions = [];
+  for (const node of nodes) {
+    const notes = node.scopeNotes && typeof node.scopeNotes === 'object' ? node.scopeNotes : {};
+    for (const [section, text] of Object.entries(notes)) {
+      if (typeof text !== 'string' || !text) continue;
+      for (const sentence of splitSentences(text)) {
+        const seen = new Set();
+        for (const span of matchSpans(sentence, matchers)) {
+          if (span.id === node.id || seen.has(span.id)) continue;
+          seen.add(span.id);
+          mentions.push({ sourceId: node.id, targetId: span.id, section, sentence, term: span.term });
+        }
+      }
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Every name occurrence in a text, keeping the longest where names overlap so
+ * "Coastal Flooding" is not also read as "Flooding".
+ * @param {string} text
+ * @param {Array<{id: string, patterns: RegExp[]}>} matchers
+ * @returns {Array<{id: string, term: string, start: number, end: number}>} In text order
+ */
+function matchSpans(text, matchers) {
+  const spans = [];
+  for (const { id, patterns } of matchers) {
+    for (const pattern of patterns) {
+      for (const m of text.matchAll(pattern)) {
+        spans.push({ id, term: m[0], start: m.index, end: m.index + m[0].length });
+      }
+    }
+  }
+  spans.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+  const kept = [];
+  for (const span of spans) {
+    if (!kept.some(k => span.start < k.end && k.start < span.end)) kept.push(span);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
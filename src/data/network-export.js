@@ -0,0 +1,219 @@
+/**
+ * @module data/network-export
+ * Serialize a snapshot (or a filtered subset of it) for network analysis tools:
+ * GraphML, GEXF (Gephi) and Cytoscape.js JSON (Cytoscape Desktop).
+ * Nodes carry type, cluster, identifier, degree and centrality; edges carry the
+ * declared flag, provenance and whether they cross hazard types.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+import { DECLARED } from './edge-provenance.js';
+
+/** Node attribute columns, in output order. Types use GraphML names. */
+const NODE_ATTRIBUTES = [
+  { key: 'label', type: 'string' },
+  { key: 'identifier', type: 'string' },
+  { key: 'type', type: 'string' },
+  { key: 'cluster', type: 'string' },
+  { key: 'degree', type: 'int' },
+  { key: 'inDegree', type: 'int' },
+  { key: 'outDegree', type: 'int' },
+  { key: 'betweenness', type: 'double' },
+  { key: 'pageRank', type: 'double' },
+  { key: 'closeness', type: 'double' },
+];
+
+/** Edge attribute columns, in output order. */
+const EDGE_ATTRIBUTES = [
+  { key: 'declared', type: 'boolean' },
+  { key: 'provenance', type: 'string' },
+  { key: 'crossType', type: 'boolean' },
+];
+
+/** GraphML attribute type → GEXF attribute type. */
+const GEXF_TYPES = { string: 'string', int: 'integer', double: 'double', boolean: 'boolean' };
+
+/**
+ * Flatten a subset into attribute rows shared by every format.
+ * Degree is counted within the exported subset; centrality comes from the
+ * computeCentrality() results for the full or filtered network.
+ * @param {{nodes: Object[], edges: Array<{source: string, target: string, provenance: string}>}} subset
+ *   Output of filterSnapshot()
+ * @param {Map<string, import('../types.js').CentralityMetrics>} [centrality]
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}}
+ */
+export function buildNetworkTable(subset, centrality = new Map()) {
+  const inDegree = new Map();
+  const outDegree = new Map();
+  for (const edge of subset.edges) {
+    outDegree.set(edge.source, (outDegree.get(edge.source) || 0) + 1);
+    inDegree.set(edge.target, (inDegree.get(edge.target) || 0) + 1);
+  }
+
+  const typeOf = new Map();
+  const nodes = subset.nodes.map(node => {
+    typeOf.set(node.id, node.typeName);
+    const m = centrality.get(node.id);
+    const inD = inDegree.get(node.id) || 0;
+    const outD = outDegree.get(node.id) || 0;
+    return {
+      id: node.id,
+      label: node.label || node.id,
+      identifier: node.identifier || '',
+      type: node.typeName || '',
+      cluster: node.clusterName || '',
+      degree: inD + outD,
+      inDegree: inD,
+      outDegree: outD,
+      betweenness: m?.betweenness,
+      pageRank: m?.pageRank,
+      closeness: m?.closeness,
+    };
+  });
+
+  const edges = subset.edges.map((edge, i) => ({
+    id: `e${i}`,
+    source: edge.source,
+    target: edge.target,
+    declared: edge.provenance === DECLARED,
+    provenance: edge.provenance,
+    crossType: typeOf.get(edge.source) !== typeOf.get(edge.target),
+  }));
+
+  return { nodes, edges };
+}
+
+/**
+ * Escape text for XML attribute values and character data.
+ * @param {*} value
+ * @returns {string}
+ */
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline/CR are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// ─── GraphML ───────────────────────────────────────────────────────
+
+/**
+ * Serialize to GraphML (directed).
+ * @param {Object} subset - Output of filterSnapshot()
+ * @param {{centrality?: Map}} [context]
+ * @returns {string}
+ */
+export function toGraphML(subset, { centrality } = {}) {
+  const table = buildNetworkTable(subset, centrality);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+  ];
+  for (const a of NODE_ATTRIBUTES) {
+    out.push(`  <key id="${a.key}" for="node" attr.name="${a.key}" attr.type="${a.type}"/>`);
+  }
+  for (const a of EDGE_ATTRIBUTES) {
+    out.push(`  <key id="${a.key}" for="edge" attr.name="${a.key}" attr.type="${a.type}"/>`);
+  }
+  out.push('  <graph id="hips" edgedefault="directed">');
+
+  const data = (row, attrs) => attrs
+    .filter(a => row[a.key] !== undefined)
+    .map(a => `<data key="${a.key}">${xml(row[a.key])}</data>`)
+    .join('');
+
+  for (const node of table.nodes) {
+    out.push(`    <node id="${xml(node.id)}">${data(node, NODE_ATTRIBUTES)}</node>`);
+  }
+  for (const edge of table.edges) {
+    out.push(`    <edge id="${edge.id}" source="${xml(edge.source)}" target="${xml(edge.target)}">${data(edge, EDGE_ATTRIBUTES)}</edge>`);
+  }
+  out.push('  </graph>', '</graphml>');
+  return out.join('\n') + '\n';
+}
+
+// ─── GEXF ──────────────────────────────────────────────────────────
+
+/**
+ * Serialize to GEXF 1.3 (static, directed), the native Gephi format.
+ * The label attribute becomes the GEXF node label rather than a column.
+ * @param {Object} subset - Output of filterSnapshot()
+ * @param {{centrality?: Map}} [context]
+ * @returns {string}
+ */
+export function toGEXF(subset, { centrality } = {}) {
+  const table = buildNetworkTable(subset, centrality);
+  const nodeAttrs = NODE_ATTRIBUTES.filter(a => a.key !== 'label');
+  const date = (subset.meta?.fetchedAt || new Date().toISOString()).slice(0, 10);
+
+  const declare = (attrs) => attrs
+    .map((a, i) => `      <attribute id="${i}" title="${a.key}" type="${GEXF_TYPES[a.type]}"/>`);
+  const values = (row, attrs) => {
+    const cells = attrs
+      .map((a, i) => (row[a.key] === undefined ? '' : `<attvalue for="${i}" value="${xml(row[a.key])}"/>`))
+      .join('');
+    return cells ? `<attvalues>${cells}</attvalues>` : '';
+  };
+
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${date}">`,
+    '    <creator>HIPs Multi-Hazard Explorer</creator>',
+    '    <description>Causal links between UNDRR/ISC Hazard Information Profiles</description>',
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    '    <attributes class="node">',
+    ...declare(nodeAttrs),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...declare(EDGE_ATTRIBUTES),
+    '    </attributes>',
+    '    <nodes>',
+  ];
+  for (const node of table.nodes) {
+    out.push(`      <node id="${xml(node.id)}" label="${xml(node.label)}">${values(node, nodeAttrs)}</node>`);
+  }
+  out.push('    </nodes>', '    <edges>');
+  for (const edge of table.edges) {
+    out.push(`      <edge id="${edge.id}" source="${xml(edge.source)}" target="${xml(edge.target)}">${values(edge, EDGE_ATTRIBUTES)}</edge>`);
+  }
+  out.push('    </edges>', '  </graph>', '</gexf>');
+  return out.join('\n') + '\n';
+}
+
+// ─── Cytoscape.js JSON ─────────────────────────────────────────────
+
+/**
+ * Serialize to Cytoscape.js JSON (.cyjs), which Cytoscape Desktop imports as a
+ * network. The node label is also written as `name`, the column Cytoscape
+ * Desktop shows by default.
+ * @param {Object} subset - Output of filterSnapshot()
+ * @param {{centrality?: Map}} [context]
+ * @returns {string}
+ */
+export function toCytoscapeJson(subset, { centrality } = {}) {
+  const table = buildNetworkTable(subset, centrality);
+  const doc = {
+    format_version: '1.0',
+    generated_by: 'HIPs Multi-Hazard Explorer',
+    target_cytoscapejs_version: '~3.0',
+    data: { name: 'HIPs causal network', fetchedAt: subset.meta?.fetchedAt || null },
+    elements: {
+      nodes: table.nodes.map(node => ({ data: { ...node, name: node.label } })),
+      edges: table.edges.map(edge => ({ data: edge })),
+    },
+  };
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+/** Export formats: menu label, file extension, MIME type and serializer. */
+export const NETWORK_FORMATS = {
+  graphml: { label: 'GraphML', extension: 'graphml', mime: 'application/xml', serialize: toGraphML },
+  gexf: { label: 'GEXF (Gephi)', extension: 'gexf', mime: 'application/xml', serialize: toGEXF },
+  cyjs: { label: 'Cytoscape.js JSON', extension: 'cyjs', mime: 'application/json', serialize: toCytoscapeJson },
+};
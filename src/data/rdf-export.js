@@ -0,0 +1,307 @@
+/**
+ * @module data/rdf-export
+ * Serialize a snapshot (or a filtered subset of it) back to RDF: Turtle,
+ * N-Triples and compacted JSON-LD.
+ * Uses the same SKOS/XKOS/DCT/PROV predicates the snapshot is read from, so the
+ * output loads into a triple store or Protégé alongside the original HIPs data.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+import { DECLARED, INFERRED, TARGET_ONLY } from './edge-provenance.js';
+
+/** Namespace prefixes used in every serialization. */
+export const PREFIXES = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  skos: 'http://www.w3.org/2004/02/skos/core#',
+  xkos: 'http://rdf-vocabulary.ddialliance.org/xkos#',
+  dct: 'http://purl.org/dc/terms/',
+  prov: 'http://www.w3.org/ns/prov#',
+  owl: 'http://www.w3.org/2002/07/owl#',
+};
+
+/** Language tag for text fields (the snapshot stores the English values only). */
+const LANG = 'en';
+
+/** Snapshot link fields and the predicates they were read from. */
+const LINK_FIELDS = [
+  ['sources', 'dct:source'],
+  ['quotedFrom', 'prov:wasQuotedFrom'],
+  ['references', 'dct:references'],
+  ['influencedBy', 'prov:wasInfluencedBy'],
+  ['conformsTo', 'dct:conformsTo'],
+  ['hasPart', 'dct:hasPart'],
+  ['related', 'skos:related'],
+];
+
+const iri = (value) => ({ iri: value });
+const text = (value, lang = LANG) => ({ literal: value, lang });
+const plain = (value) => ({ literal: value });
+
+/**
+ * Link values are a mix of URIs and free-text citations; only real URIs become IRIs.
+ * @param {string} value
+ * @returns {{iri: string}|{literal: string}}
+ */
+function linkTerm(value) {
+  return /^(https?|ftp|urn|mailto):\S+$/i.test(value) ? iri(value) : plain(value);
+}
+
+/**
+ * Work out which side attests each kept edge, so the output mirrors the source
+ * data: declared edges appear as both xkos:causes and xkos:causedBy, inferred
+ * edges only as xkos:causes, target-attested edges only as xkos:causedBy.
+ * @param {Array<{source: string, target: string, provenance: string}>} edges
+ * @returns {{causes: Map<string, string[]>, causedBy: Map<string, string[]>}}
+ */
+function collectAttestations(edges) {
+  const causes = new Map();
+  const causedBy = new Map();
+  const add = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+  };
+  for (const edge of edges) {
+    if (edge.provenance === DECLARED || edge.provenance === INFERRED) add(causes, edge.source, edge.target);
+    if (edge.provenance === DECLARED || edge.provenance === TARGET_ONLY) add(causedBy, edge.target, edge.source);
+  }
+  return { causes, causedBy };
+}
+
+/**
+ * Build the format-neutral description of the graph: one resource per hazard
+ * type, cluster and hazard, each with an ordered list of [predicate, term] pairs.
+ * A term is `{iri}`, `{literal, lang?}` or `{props}` (a blank node).
+ * @param {{nodes: Object[], edges: Array<{source: string, target: string, provenance: string}>}} subset
+ *   Output of filterSnapshot()
+ * @returns {Array<{id: string, props: Array<[string, Object]>}>}
+ */
+export function buildRdfResources(subset) {
+  const types = new Map();
+  const clusters = new Map();
+  for (const node of subset.nodes) {
+    if (node.typeId && !types.has(node.typeId)) types.set(node.typeId, node.typeName);
+    if (node.clusterId && !clusters.has(node.clusterId)) {
+      clusters.set(node.clusterId, { name: node.clusterName, typeId: node.typeId });
+    }
+  }
+
+  const resources = [];
+
+  for (const [id, name] of types) {
+    resources.push({
+      id,
+      props: [['rdf:type', iri('skos:Concept')], ['skos:prefLabel', text(name)], ['dct:type', plain('type')]],
+    });
+  }
+
+  for (const [id, { name, typeId }] of clusters) {
+    const props = [['rdf:type', iri('skos:Concept')], ['skos:prefLabel', text(name)], ['dct:type', plain('cluster')]];
+    if (typeId) props.push(['skos:broader', iri(typeId)]);
+    resources.push({ id, props });
+  }
+
+  const { causes, causedBy } = collectAttestations(subset.edges);
+
+  for (const node of subset.nodes) {
+    const props = [['rdf:type', iri('skos:Concept')]];
+    if (node.label) props.push(['skos:prefLabel', text(node.label)]);
+    if (node.identifier) props.push(['dct:identifier', plain(node.identifier)]);
+    if (node.definition) props.push(['skos:definition', text(node.definition)]);
+    for (const alt of node.altLabels || []) props.push(['skos:altLabel', text(alt)]);
+    if (node.typeId) props.push(['skos:broader', iri(node.typeId)]);
+    if (node.clusterId) props.push(['skos:broader', iri(node.clusterId)]);
+    for (const target of causes.get(node.id) || []) props.push(['xkos:causes', iri(target)]);
+    for (const source of causedBy.get(node.id) || []) props.push(['xkos:causedBy', iri(source)]);
+    for (const [key, value] of Object.entries(node.scopeNotes || {})) {
+      props.push(['skos:scopeNote', { props: [['dct:type', plain(key)], ['rdf:value', text(value)]] }]);
+    }
+    for (const [field, predicate] of LINK_FIELDS) {
+      for (const value of node[field] || []) props.push([predicate, linkTerm(value)]);
+    }
+    if (node.versionInfo) props.push(['owl:versionInfo', plain(node.versionInfo)]);
+    if (node.rights) props.push(['dct:rights', plain(node.rights)]);
+    resources.push({ id: node.id, props });
+  }
+
+  return resources;
+}
+
+// ─── Shared term encoding ──────────────────────────────────────────
+
+/**
+ * Expand a prefixed name ("skos:broader") to a full IRI.
+ * @param {string} name
+ * @returns {string}
+ */
+function expand(name) {
+  const i = name.indexOf(':');
+  const ns = PREFIXES[name.slice(0, i)];
+  return ns ? ns + name.slice(i + 1) : name;
+}
+
+/**
+ * Whether a name is already in prefixed form ("skos:Concept") rather than a full IRI.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isPrefixed(name) {
+  return name.slice(0, name.indexOf(':')) in PREFIXES;
+}
+
+/**
+ * Percent-encode characters that are not allowed inside an IRIREF.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeIri(value) {
+  return value.replace(/[\u0000- <>"{}|^`\\]/g,
+    ch => '%' + ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+/**
+ * Escape a string for a double-quoted N-Triples/Turtle literal.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLiteral(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+/**
+ * Encode a literal term.
+ * @param {{literal: string, lang?: string}} term
+ * @returns {string}
+ */
+function literalString(term) {
+  const quoted = `"${escapeLiteral(term.literal)}"`;
+  return term.lang ? `${quoted}@${term.lang}` : quoted;
+}
+
+/**
+ * Provenance line for the comment header of the text formats.
+ * @param {{meta?: Object, nodes: Object[], edges: Object[]}} subset
+ * @returns {string}
+ */
+function headerComment(subset) {
+  const fetched = subset.meta?.fetchedAt ? `, data fetched ${subset.meta.fetchedAt}` : '';
+  return `# HIPs Multi-Hazard Explorer export: ${subset.nodes.length} hazards, ${subset.edges.length} causal links${fetched}`;
+}
+
+// ─── N-Triples ─────────────────────────────────────────────────────
+
+/**
+ * Serialize to N-Triples. Blank nodes are labelled _:b0, _:b1, ... in document order.
+ * @param {Object} subset - Output of filterSnapshot()
+ * @returns {string}
+ */
+export function toNTriples(subset) {
+  const lines = [headerComment(subset)];
+  let blank = 0;
+
+  const term = (t) => {
+    if (t.iri) return `<${escapeIri(expand(t.iri))}>`;
+    return literalString(t);
+  };
+
+  const emit = (subject, props) => {
+    for (const [predicate, object] of props) {
+      if (object.props) {
+        const label = `_:b${blank++}`;
+        lines.push(`${subject} <${expand(predicate)}> ${label} .`);
+        emit(label, object.props);
+      } else {
+        lines.push(`${subject} <${expand(predicate)}> ${term(object)} .`);
+      }
+    }
+  };
+
+  for (const resource of buildRdfResources(subset)) {
+    emit(`<${escapeIri(resource.id)}>`, resource.props);
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ─── Turtle ────────────────────────────────────────────────────────
+
+/**
+ * Serialize to Turtle, one subject block per resource, with scope notes as
+ * inline blank nodes.
+ * @param {Object} subset - Output of filterSnapshot()
+ * @returns {string}
+ */
+export function toTurtle(subset) {
+  const out = [headerComment(subset), ''];
+  for (const [prefix, ns] of Object.entries(PREFIXES)) out.push(`@prefix ${prefix}: <${ns}> .`);
+  out.push('');
+
+  const term = (t, indent) => {
+    if (t.props) return `[\n${predicateList(t.props, indent + '    ')}\n${indent}]`;
+    if (t.iri) return isPrefixed(t.iri) ? t.iri : `<${escapeIri(t.iri)}>`;
+    return literalString(t);
+  };
+
+  // Group repeated predicates into object lists: "p o1, o2 ;"
+  const predicateList = (props, indent) => {
+    const grouped = new Map();
+    for (const [predicate, object] of props) {
+      if (!grouped.has(predicate)) grouped.set(predicate, []);
+      grouped.get(predicate).push(object);
+    }
+    return [...grouped].map(([predicate, objects]) => {
+      const name = predicate === 'rdf:type' ? 'a' : predicate;
+      return `${indent}${name} ${objects.map(o => term(o, indent)).join(', ')}`;
+    }).join(' ;\n');
+  };
+
+  for (const resource of buildRdfResources(subset)) {
+    out.push(`<${escapeIri(resource.id)}>`);
+    out.push(`${predicateList(resource.props, '    ')} .`);
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+// ─── JSON-LD ───────────────────────────────────────────────────────
+
+/**
+ * Serialize to compacted JSON-LD: prefixed keys, a @context with the
+ * namespaces, and one @graph entry per resource.
+ * @param {Object} subset - Output of filterSnapshot()
+ * @returns {string} Pretty-printed JSON
+ */
+export function toJsonLd(subset) {
+  const value = (t) => {
+    if (t.props) return nodeObject(t.props);
+    if (t.iri) return { '@id': t.iri };
+    return t.lang ? { '@language': t.lang, '@value': t.literal } : t.literal;
+  };
+
+  const nodeObject = (props, id) => {
+    const obj = id ? { '@id': id } : {};
+    for (const [predicate, object] of props) {
+      const key = predicate === 'rdf:type' ? '@type' : predicate;
+      const v = predicate === 'rdf:type' ? object.iri : value(object);
+      if (!(key in obj)) obj[key] = v;
+      else if (Array.isArray(obj[key])) obj[key].push(v);
+      else obj[key] = [obj[key], v];
+    }
+    return obj;
+  };
+
+  const doc = {
+    '@context': { ...PREFIXES },
+    '@graph': buildRdfResources(subset).map(r => nodeObject(r.props, r.id)),
+  };
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+/** Export formats: menu label, file extension, MIME type and serializer. */
+export const RDF_FORMATS = {
+  turtle: { label: 'Turtle', extension: 'ttl', mime: 'text/turtle', serialize: toTurtle },
+  ntriples: { label: 'N-Triples', extension: 'nt', mime: 'application/n-triples', serialize: toNTriples },
+  jsonld: { label: 'JSON-LD', extension: 'jsonld', mime: 'application/ld+json', serialize: toJsonLd },
+};
@@ -0,0 +1,60 @@
+/**
+ * @module data/reachability
+ * Downstream impact reach and upstream exposure: how much of the network a
+ * hazard can transitively cause, and how much can transitively cause it.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+import { buildAdjacency, kHopNeighbourhood } from './graph-queries.js';
+
+/**
+ * Breadth-first closure in one direction, summarised by hop and by type.
+ * @param {Map<string, Set<string>>} adjacency - Directed adjacency
+ * @param {string} id - Start hazard
+ * @param {Map<string, string>} typeOf - Hazard ID -> type name
+ * @returns {{ size: number, byHop: number[], byType: Object<string, number> }}
+ */
+function closure(adjacency, id, typeOf) {
+  const distances = kHopNeighbourhood(adjacency, id, Infinity);
+  distances.delete(id);
+
+  const byHop = [];
+  const byType = {};
+  for (const [other, hop] of distances) {
+    byHop[hop - 1] = (byHop[hop - 1] || 0) + 1;
+    const type = typeOf.get(other) || 'Unknown';
+    byType[type] = (byType[type] || 0) + 1;
+  }
+  return { size: distances.size, byHop: Array.from(byHop, n => n || 0), byType };
+}
+
+/**
+ * Compute reachability for every hazard.
+ * Shares are of the other hazards in the network (N − 1).
+ * @param {Array<{id: string, typeName?: string}>} nodes
+ * @param {Array<{source: string, target: string}>} edges
+ * @returns {Map<string, import('../types.js').ReachStats>}
+ */
+export function computeReachability(nodes, edges) {
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const typeOf = new Map(nodes.map(n => [n.id, n.typeName]));
+  const downstreamAdj = buildAdjacency(edges, 'out', nodeIds);
+  const upstreamAdj = buildAdjacency(edges, 'in', nodeIds);
+  const others = Math.max(1, nodes.length - 1);
+
+  const result = new Map();
+  for (const { id } of nodes) {
+    const down = closure(downstreamAdj, id, typeOf);
+    const up = closure(upstreamAdj, id, typeOf);
+    result.set(id, {
+      downstream: down.size,
+      upstream: up.size,
+      downstreamShare: down.size / others,
+      upstreamShare: up.size / others,
+      downstreamByHop: down.byHop,
+      upstreamByHop: up.byHop,
+      downstreamByType: down.byType,
+      upstreamByType: up.byType,
+    });
+  }
+  return result;
+}
@@ -0,0 +1,193 @@
+/**
+ * @module data/relationships
+ * The three relationship layers a hazard record can carry, resolved to links
+ * between hazards.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * - causal:      `xkos:causes` / `xkos:causedBy`, directed cause → effect
+ * - associative: `skos:related`, symmetric; one link per pair, whichever side lists it
+ * - partitive:   `dct:hasPart`, directed whole → part
+ *
+ * Associative and partitive values are matched to hazards by ID or by
+ * identifier. Values that match no hazard (external URIs, document anchors)
+ * are counted as unresolved rather than dropped silently, since in current
+ * snapshots they are the norm.
+ */
+import { createProvenanceLookup, DECLARED } from './edge-provenance.js';
+
+export const CAUSAL = 'causal';
+export const RELATED = 'related';
+export const HAS_PART = 'hasPart';
+
+/**
+ * Layer definitions, in display order. `fields` are the hazard fields the
+ * layer is read from; `color` styles the layer's links in both views (causal
+ * links keep their type colors).
+ */
+export const RELATIONSHIP_LAYERS = {
+  [CAUSAL]: {
+    label: 'Causal',
+    property: 'xkos:causes / xkos:causedBy',
+    fields: ['causes', 'causedBy'],
+    symmetric: false,
+    color: null,
+  },
+  [RELATED]: {
+    label: 'Associative',
+    property: 'skos:related',
+    fields: ['related'],
+    symmetric: true,
+    color: '#4DD0E1',
+  },
+  [HAS_PART]: {
+    label: 'Partitive',
+    property: 'dct:hasPart',
+    fields: ['hasPart'],
+    symmetric: false,
+    color: '#FFB74D',
+  },
+};
+
+/** Layers drawn on top of the causal links rather than in their place. */
+export const OVERLAY_LAYERS = [RELATED, HAS_PART];
+
+/** Unresolved values listed per layer in the stats, most frequent first. */
+const TOP_UNRESOLVED = 3;
+
+/**
+ * Build a resolver from a link value to a hazard ID: the ID itself, the
+ * identifier in any case ("BI0109"), or an IRI in the hazards' own namespace
+ * ending in the identifier. IRIs elsewhere never resolve, even when their
+ * last segment happens to equal an identifier.
+ * @param {Object[]} nodes - Snapshot hazards
+ * @returns {(value: string) => string|null}
+ */
+export function createHazardResolver(nodes) {
+  const byKey = new Map();
+  const namespaces = new Set();
+  for (const node of nodes) {
+    if (node.identifier) byKey.set(node.identifier.toLowerCase(), node.id);
+    namespaces.add(splitIri(node.id).namespace);
+  }
+  for (const node of nodes) byKey.set(node.id, node.id);
+
+  return (value) => {
+    if (typeof value !== 'string' || !value) return null;
+    if (byKey.has(value)) return byKey.get(value);
+    const lower = value.toLowerCase();
+    if (byKey.has(lower)) return byKey.get(lower);
+    const { namespace, tail } = splitIri(lower.replace(/[/#]+$/, ''));
+    return namespaces.has(namespace) ? byKey.get(tail) ?? null : null;
+  };
+}
+
+/**
+ * Split an IRI after its last `/` or `#`, ignoring case and http/https.
+ * @param {string} iri
+ * @returns {{namespace: string, tail: string}}
+ */
+function splitIri(iri) {
+  const bare = iri.toLowerCase().replace(/^https?:/, '');
+  const cut = Math.max(bare.lastIndexOf('/'), bare.lastIndexOf('#')) + 1;
+  return { namespace: bare.slice(0, cut), tail: bare.slice(cut) };
+}
+
+/**
+ * Links of one layer between hazards in the snapshot.
+ * Causal links come from the snapshot edges between hazards in the snapshot;
+ * `reciprocated` is true when both endpoints declare them. Associative links are listed once per pair and are
+ * reciprocated when both hazards list each other. Partitive links have no
+ * inverse in the snapshot, so `reciprocated` is always false.
+ * @param {import('../types.js').SnapshotData} data
+ * @param {'causal'|'related'|'hasPart'} layer
+ * @returns {{edges: import('../types.js').RelationshipEdge[], unresolved: string[]}}
+ *   Links, and every value that named no hazard (with repeats)
+ */
+export function buildRelationshipEdges(data, layer) {
+  const def = RELATIONSHIP_LAYERS[layer];
+  if (!def) throw new Error(`Unknown relationship layer: ${layer}`);
+  const resolve = createHazardResolver(data.nodes);
+
+  const unresolved = [];
+  for (const node of data.nodes) {
+    for (const field of def.fields) {
+      for (const value of node[field] || []) {
+        if (!resolve(value)) unresolved.push(value);
+      }
+    }
+  }
+
+  const links = new Map();
+  if (layer === CAUSAL) {
+    const provenanceOf = createProvenanceLookup(data.nodes);
+    const nodeIds = new Set(data.nodes.map(n => n.id));
+    for (const { source, target } of data.edges) {
+      if (!nodeIds.has(source) || !nodeIds.has(target)) continue;
+      const key = `${source}\t${target}`;
+      if (links.has(key)) continue;
+      links.set(key, { source, target, layer, reciprocated: provenanceOf(source, target) === DECLARED });
+    }
+    return { edges: [...links.values()], unresolved };
+  }
+
+  for (const node of data.nodes) {
+    for (const field of def.fields) {
+      for (const value of node[field] || []) {
+        const target = resolve(value);
+        if (!target || target === node.id) continue;
+        const key = def.symmetric ? [node.id, target].sort().join('\t') : `${node.id}\t${target}`;
+        const existing = links.get(key);
+        if (!existing) {
+          links.set(key, { source: node.id, target, layer, reciprocated: false });
+        } else if (def.symmetric && existing.source !== node.id) {
+          existing.reciprocated = true;
+        }
+      }
+    }
+  }
+  return { edges: [...links.values()], unresolved };
+}
+
+/**
+ * Per-layer statistics for the insights panel.
+ * @param {import('../types.js').SnapshotData} data
+ * @returns {Object<string, import('../types.js').RelationshipLayerStats>} Keyed by layer
+ */
+export function relationshipStats(data) {
+  const typeOf = new Map(data.nodes.map(n => [n.id, n.typeName]));
+  const stats = {};
+
+  for (const [layer, def] of Object.entries(RELATIONSHIP_LAYERS)) {
+    const { edges, unresolved } = buildRelationshipEdges(data, layer);
+    const hazardIds = new Set();
+    let crossType = 0;
+    let reciprocated = 0;
+    for (const e of edges) {
+      hazardIds.add(e.source);
+      hazardIds.add(e.target);
+      if (typeOf.get(e.source) !== typeOf.get(e.target)) crossType++;
+      if (e.reciprocated) reciprocated++;
+    }
+
+    const counts = new Map();
+    for (const value of unresolved) counts.set(value, (counts.get(value) || 0) + 1);
+    const topUnresolved = [...counts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, TOP_UNRESOLVED)
+      .map(([value, count]) => ({ value, count }));
+
+    stats[layer] = {
+      layer,
+      label: def.label,
+      property: def.property,
+      linkCount: edges.length,
+      hazardIds: [...hazardIds],
+      crossTypeRate: edges.length ? crossType / edges.length : 0,
+      // Partitive links have no inverse to reciprocate them
+      reciprocationRate: layer === HAS_PART ? null : (edges.length ? reciprocated / edges.length : 0),
+      unresolvedCount: unresolved.length,
+      topUnresolved,
+    };
+  }
+  return stats;
+}
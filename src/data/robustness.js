@@ -0,0 +1,173 @@
+/**
+ * @module data/robustness
+ * Node-removal robustness: how the causal network degrades as hazards are
+ * removed (mitigated) one at a time, and which single hazards are "cuts"
+ * whose removal disconnects the most other hazard pairs.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * Each state of the network is measured by:
+ * - reachable pairs: ordered pairs (a, b) of remaining hazards where a can
+ *   transitively cause b;
+ * - largest SCC: the biggest set of hazards that can all reach each other;
+ * - average path length: mean shortest-path length over reachable pairs.
+ */
+import { buildAdjacency } from './graph-queries.js';
+import { stronglyConnectedComponents } from './cycles.js';
+
+/** Default number of removal steps in a degradation curve. */
+export const DEFAULT_REMOVAL_STEPS = 20;
+
+/**
+ * Directed adjacency over known hazards, without self-loops, indexed by
+ * position in data.nodes so the many BFS passes can use typed arrays.
+ * @param {Object} data - Snapshot data with nodes, edges
+ * @returns {{ ids: string[], indexOf: Map<string, number>, successors: number[][] }}
+ */
+function buildGraph(data) {
+  const ids = data.nodes.map(n => n.id);
+  const indexOf = new Map(ids.map((id, i) => [id, i]));
+  const edges = data.edges.filter(e => e.source !== e.target);
+  const adjacency = buildAdjacency(edges, 'out', new Set(ids));
+  const successors = ids.map(id => [...(adjacency.get(id) || [])].map(t => indexOf.get(t)));
+  return { ids, indexOf, successors };
+}
+
+/**
+ * Measure the network with some hazards removed.
+ * @param {{ ids: string[], successors: number[][] }} graph
+ * @param {Uint8Array} removed - 1 for removed hazards, by index
+ * @returns {{ reachablePairs: number, largestScc: number, avgPathLength: number,
+ *   reach: Int32Array, exposure: Int32Array }} reach/exposure: per hazard index,
+ *   how many others it reaches / is reached from
+ */
+function measure({ ids, successors }, removed) {
+  const n = ids.length;
+  const seen = new Int32Array(n).fill(-1);
+  const distance = new Int32Array(n);
+  const queue = new Int32Array(n);
+  const reach = new Int32Array(n);
+  const exposure = new Int32Array(n);
+  let reachablePairs = 0;
+  let distanceSum = 0;
+
+  for (let s = 0; s < n; s++) {
+    if (removed[s]) continue;
+    seen[s] = s;
+    distance[s] = 0;
+    queue[0] = s;
+    let tail = 1;
+    for (let head = 0; head < tail; head++) {
+      const u = queue[head];
+      for (const w of successors[u]) {
+        if (removed[w] || seen[w] === s) continue;
+        seen[w] = s;
+        distance[w] = distance[u] + 1;
+        distanceSum += distance[w];
+        exposure[w]++;
+        queue[tail++] = w;
+      }
+    }
+    reach[s] = tail - 1;
+    reachablePairs += tail - 1;
+  }
+
+  const alive = new Map();
+  successors.forEach((list, i) => {
+    if (!removed[i]) alive.set(ids[i], list.filter(w => !removed[w]).map(w => ids[w]));
+  });
+
+  return {
+    reachablePairs,
+    largestScc: stronglyConnectedComponents(alive)[0]?.length || 0,
+    avgPathLength: reachablePairs ? distanceSum / reachablePairs : 0,
+    reach,
+    exposure,
+  };
+}
+
+/**
+ * Order hazards for a targeted attack: highest value of a centrality metric first.
+ * @param {Map<string, Object>} metrics - From computeCentrality()
+ * @param {string} metric - e.g. 'betweenness', 'pageRank', 'downstream'
+ * @param {number} count
+ * @returns {string[]} Hazard IDs
+ */
+export function removalOrder(metrics, metric, count) {
+  return [...metrics.entries()]
+    .sort((a, b) => a[1][`${metric}Rank`] - b[1][`${metric}Rank`])
+    .slice(0, count)
+    .map(([id]) => id);
+}
+
+/**
+ * Degradation curve: remove hazards in order and measure after each removal.
+ * @param {Object} data - Snapshot data with nodes, edges
+ * @param {string[]} order - Hazard IDs in removal order
+ * @returns {import('../types.js').RobustnessStep[]} One step per removal, preceded by the intact network
+ */
+export function degradationCurve(data, order) {
+  const graph = buildGraph(data);
+  const n = graph.ids.length;
+  const totalPairs = Math.max(1, n * (n - 1));
+  const removed = new Uint8Array(n);
+  let removedCount = 0;
+
+  const step = (removedId) => {
+    const { reachablePairs, largestScc, avgPathLength } = measure(graph, removed);
+    return {
+      removed: removedCount,
+      removedId,
+      reachablePairs,
+      reachableShare: reachablePairs / totalPairs,
+      largestScc,
+      avgPathLength,
+    };
+  };
+
+  const steps = [step(null)];
+  for (const id of order) {
+    const i = graph.indexOf.get(id);
+    if (i === undefined || removed[i]) continue;
+    removed[i] = 1;
+    removedCount++;
+    steps.push(step(id));
+  }
+  return steps;
+}
+
+/**
+ * Rank single hazards by how many pairs of *other* hazards lose their causal
+ * connection when that hazard is removed. Pairs involving the hazard itself
+ * are not counted, so a hazard with many links of its own but plenty of
+ * bypasses scores low. Only hazards with both causes and effects can cut
+ * anything, so only those are tested.
+ * @param {Object} data - Snapshot data with nodes, edges
+ * @returns {import('../types.js').CutHazard[]} Hazards with a non-zero cut, most critical first
+ */
+export function findCutHazards(data) {
+  const graph = buildGraph(data);
+  const n = graph.ids.length;
+  const removed = new Uint8Array(n);
+  const base = measure(graph, removed);
+  const hasCause = new Uint8Array(n);
+  for (const list of graph.successors) for (const t of list) hasCause[t] = 1;
+
+  const cuts = [];
+  for (let i = 0; i < n; i++) {
+    if (!graph.successors[i].length || !hasCause[i]) continue;
+    removed[i] = 1;
+    const after = measure(graph, removed);
+    removed[i] = 0;
+    const ownPairs = base.reach[i] + base.exposure[i];
+    const disconnected = base.reachablePairs - ownPairs - after.reachablePairs;
+    if (disconnected <= 0) continue;
+    cuts.push({
+      id: graph.ids[i],
+      disconnectedPairs: disconnected,
+      disconnectedShare: disconnected / Math.max(1, base.reachablePairs - ownPairs),
+      largestSccAfter: after.largestScc,
+      avgPathLengthAfter: after.avgPathLength,
+    });
+  }
+  return cuts.sort((a, b) => b.disconnectedPairs - a.disconnectedPairs);
+}
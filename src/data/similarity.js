@@ -0,0 +1,245 @@
+/**
+ * @module data/similarity
+ * Hazard-to-hazard similarity for "similar hazards" recommendations.
+ * Pure computation — works in both Node.js and browser contexts.
+ *
+ * Four signals are combined into one score in [0, 1]:
+ * - Shared triggers: Jaccard overlap of the hazards that cause each one.
+ * - Shared effects: Jaccard overlap of the hazards each one causes.
+ * - SimRank: hazards are similar when they are caused by similar hazards,
+ *   which also catches overlap one or more steps upstream. Scaled so the
+ *   most similar pair in the network scores 1.
+ * - Text: TF-IDF cosine similarity of the definition and scope notes.
+ *
+ * Each match carries the signals that contributed, so the reason for a
+ * recommendation can be shown, and whether the pair is already directly
+ * linked — unlinked pairs with high structural similarity are candidates for
+ * missing causal links; pairs with near-identical text may be duplicates.
+ */
+
+/** Weight of each signal in the combined score; they sum to 1. */
+export const SIMILARITY_WEIGHTS = {
+  triggers: 0.25,
+  effects: 0.25,
+  simrank: 0.2,
+  text: 0.3,
+};
+
+/** Similar hazards kept per hazard. */
+export const DEFAULT_SIMILAR_LIMIT = 10;
+
+/** A signal at or above this value is reported as a reason for the match. */
+export const REASON_THRESHOLD = 0.15;
+
+/** Text similarity at or above this marks a possible duplicate profile. */
+export const NEAR_DUPLICATE_TEXT = 0.6;
+
+/** SimRank decay factor and number of iterations. */
+const SIMRANK_DECAY = 0.8;
+const SIMRANK_ITERATIONS = 5;
+
+/** Shared terms listed in a text reason. */
+const MAX_SHARED_TERMS = 5;
+
+/** Common English words left out of the text comparison. */
+const STOPWORDS = new Set(`
+  a about above after again against all also an and any are as at be because been before being below
+  between both but by can could did do does doing down during each either etc few for from further had
+  has have having he her here hers him his how however i if in into is it its itself may might more most
+  much must no nor not of off often on once only or other our out over own same she should so some such
+  than that the their them then there these they this those through to too under until up upon us use
+  used using very was we were what when where which while who whom why will with within without would you
+  adapted including include includes e g i.e eg ie known well one two three per many
+`.split(/\s+/).filter(Boolean));
+
+/**
+ * Lower-case word tokens with stopwords, numbers and very short words removed.
+ * A trailing plural "s" is dropped so "floods" and "flood" match (but not
+ * from words ending in -ss, -us or -is, e.g. "virus", "analysis").
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z][a-z-]+/g) || [])
+    .map(t => t.replace(/^-+|-+$/g, ''))
+    .filter(t => t.length > 2 && !STOPWORDS.has(t))
+    .map(t => (t.length > 4 && /[^sui]s$/.test(t) ? t.slice(0, -1) : t));
+}
+
+/**
+ * Definition plus every scope note, as one string.
+ * @param {Object} node
+ * @returns {string}
+ */
+function hazardText(node) {
+  const notes = node.scopeNotes && typeof node.scopeNotes === 'object' ? Object.values(node.scopeNotes) : [];
+  return [node.definition, ...notes].filter(v => typeof v === 'string').join(' ');
+}
+
+/**
+ * Unit-length TF-IDF vectors, one per document. Terms use sublinear term
+ * frequency (1 + ln tf) and smoothed inverse document frequency.
+ * @param {string[][]} docs - Tokens per document
+ * @returns {Array<Map<string, number>>}
+ */
+function tfidfVectors(docs) {
+  const df = new Map();
+  for (const tokens of docs) {
+    for (const term of new Set(tokens)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = docs.length;
+  return docs.map(tokens => {
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    const vec = new Map();
+    let norm = 0;
+    for (const [term, count] of tf) {
+      const w = (1 + Math.log(count)) * Math.log((1 + n) / (1 + df.get(term)));
+      if (w <= 0) continue;
+      vec.set(term, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm);
+    for (const [term, w] of vec) vec.set(term, w / norm);
+    return vec;
+  });
+}
+
+/**
+ * Cosine similarity of two unit vectors, with the terms contributing most.
+ * @param {Map<string, number>} a
+ * @param {Map<string, number>} b
+ * @returns {{ score: number, terms: string[] }}
+ */
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  const shared = [];
+  let score = 0;
+  for (const [term, w] of small) {
+    const v = large.get(term);
+    if (v === undefined) continue;
+    score += w * v;
+    shared.push([term, w * v]);
+  }
+  shared.sort((x, y) => y[1] - x[1]);
+  return { score, terms: shared.slice(0, MAX_SHARED_TERMS).map(([term]) => term) };
+}
+
+/**
+ * Jaccard overlap of two sets, with the shared members.
+ * @param {Set<number>} a
+ * @param {Set<number>} b
+ * @returns {{ score: number, shared: number[] }}
+ */
+function jaccard(a, b) {
+  if (!a.size || !b.size) return { score: 0, shared: [] };
+  const shared = [...a].filter(x => b.has(x));
+  return { score: shared.length / (a.size + b.size - shared.length), shared };
+}
+
+/**
+ * SimRank over incoming links: s(a, b) = C / (|I(a)| |I(b)|) Σ s(i, j) for
+ * i in I(a), j in I(b), with s(a, a) = 1.
+ * @param {number[][]} pred - Distinct predecessors per node index
+ * @returns {Float64Array} Row-major n × n similarity matrix
+ */
+function simRank(pred) {
+  const n = pred.length;
+  let sim = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) sim[i * n + i] = 1;
+
+  for (let iter = 0; iter < SIMRANK_ITERATIONS; iter++) {
+    const next = new Float64Array(n * n);
+    for (let a = 0; a < n; a++) {
+      next[a * n + a] = 1;
+      const ia = pred[a];
+      if (!ia.length) continue;
+      for (let b = a + 1; b < n; b++) {
+        const ib = pred[b];
+        if (!ib.length) continue;
+        let sum = 0;
+        for (const i of ia) {
+          const row = i * n;
+          for (const j of ib) sum += sim[row + j];
+        }
+        const s = (SIMRANK_DECAY * sum) / (ia.length * ib.length);
+        next[a * n + b] = s;
+        next[b * n + a] = s;
+      }
+    }
+    sim = next;
+  }
+  return sim;
+}
+
+/**
+ * Score every hazard pair and keep each hazard's most similar hazards.
+ * @param {import('../types.js').SnapshotData} data
+ * @param {Object} [options]
+ * @param {number} [options.limit=DEFAULT_SIMILAR_LIMIT] - Matches kept per hazard
+ * @returns {Map<string, import('../types.js').SimilarHazard[]>} Hazard ID -> matches, best first
+ */
+export function computeSimilarity(data, { limit = DEFAULT_SIMILAR_LIMIT } = {}) {
+  const ids = data.nodes.map(n => n.id);
+  const n = ids.length;
+  const index = new Map(ids.map((id, i) => [id, i]));
+
+  const succ = ids.map(() => new Set());
+  const pred = ids.map(() => new Set());
+  for (const e of data.edges) {
+    const u = index.get(e.source);
+    const v = index.get(e.target);
+    if (u === undefined || v === undefined || u === v) continue;
+    succ[u].add(v);
+    pred[v].add(u);
+  }
+
+  const simrank = simRank(pred.map(s => [...s]));
+  let simrankMax = 0;
+  for (let a = 0; a < n; a++) {
+    for (let b = a + 1; b < n; b++) simrankMax = Math.max(simrankMax, simrank[a * n + b]);
+  }
+
+  const vectors = tfidfVectors(data.nodes.map(node => tokenize(hazardText(node))));
+
+  const candidates = ids.map(() => []);
+  for (let a = 0; a < n; a++) {
+    for (let b = a + 1; b < n; b++) {
+      const triggers = jaccard(pred[a], pred[b]);
+      const effects = jaccard(succ[a], succ[b]);
+      const structural = simrankMax > 0 ? simrank[a * n + b] / simrankMax : 0;
+      const text = cosine(vectors[a], vectors[b]);
+
+      const score = SIMILARITY_WEIGHTS.triggers * triggers.score
+        + SIMILARITY_WEIGHTS.effects * effects.score
+        + SIMILARITY_WEIGHTS.simrank * structural
+        + SIMILARITY_WEIGHTS.text * text.score;
+      if (score <= 0) continue;
+
+      const reasons = [];
+      if (triggers.score >= REASON_THRESHOLD) {
+        reasons.push({ kind: 'triggers', score: triggers.score, shared: triggers.shared.map(i => ids[i]) });
+      }
+      if (effects.score >= REASON_THRESHOLD) {
+        reasons.push({ kind: 'effects', score: effects.score, shared: effects.shared.map(i => ids[i]) });
+      }
+      if (structural >= REASON_THRESHOLD) reasons.push({ kind: 'simrank', score: structural });
+      if (text.score >= REASON_THRESHOLD) reasons.push({ kind: 'text', score: text.score, terms: text.terms });
+      reasons.sort((x, y) => SIMILARITY_WEIGHTS[y.kind] * y.score - SIMILARITY_WEIGHTS[x.kind] * x.score);
+
+      const match = {
+        score,
+        reasons,
+        linked: succ[a].has(b) || succ[b].has(a),
+        nearDuplicate: text.score >= NEAR_DUPLICATE_TEXT,
+      };
+      candidates[a].push({ id: ids[b], ...match });
+      candidates[b].push({ id: ids[a], ...match });
+    }
+  }
+
+  return new Map(ids.map((id, i) => [
+    id,
+    candidates[i].sort((x, y) => y.score - x.score).slice(0, limit),
+  ]));
+}
@@ -0,0 +1,225 @@
+/**
+ * @module data/snapshot-diff
+ * Compare two HIPs snapshots and describe what changed between them.
+ * Pure computation — no DOM dependencies. Works in both Node.js (snapshot script)
+ * and browser (what-changed panel) contexts.
+ */
+import { createProvenanceLookup, DECLARED, PROVENANCE_LABELS } from './edge-provenance.js';
+
+/**
+ * Build a lookup of "source->target" -> edge with its provenance for a snapshot.
+ * @param {Object} data - Snapshot data with nodes and edges
+ * @returns {Map<string, {source: string, target: string, provenance: string}>}
+ */
+function indexEdges(data) {
+  const provenanceOf = createProvenanceLookup(data.nodes);
+  const index = new Map();
+  for (const edge of data.edges) {
+    const provenance = provenanceOf(edge.source, edge.target);
+    index.set(`${edge.source}->${edge.target}`, { source: edge.source, target: edge.target, provenance });
+  }
+  return index;
+}
+
+/**
+ * Short descriptor for a hazard, used in every change record.
+ * @param {Object} node - Snapshot node
+ * @returns {{id: string, identifier: string, label: string, typeName: string}}
+ */
+function describe(node) {
+  return {
+    id: node.id,
+    identifier: node.identifier || '',
+    label: node.label || node.id,
+    typeName: node.typeName || '',
+  };
+}
+
+/**
+ * Compare the scope notes of two versions of the same hazard.
+ * @param {Object<string, string>} [before]
+ * @param {Object<string, string>} [after]
+ * @returns {Array<{key: string, change: 'added'|'removed'|'changed'}>}
+ */
+function diffScopeNotes(before = {}, after = {}) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const key of [...keys].sort()) {
+    const a = before[key];
+    const b = after[key];
+    if (a === b) continue;
+    if (!a) changes.push({ key, change: 'added' });
+    else if (!b) changes.push({ key, change: 'removed' });
+    else changes.push({ key, change: 'changed' });
+  }
+  return changes;
+}
+
+/**
+ * Compare two snapshots. Hazards are matched by their @id URI.
+ * @param {Object} previous - Older snapshot ({ meta, nodes, edges })
+ * @param {Object} next - Newer snapshot ({ meta, nodes, edges })
+ * @returns {import('../types.js').SnapshotDiff}
+ */
+export function diffSnapshots(previous, next) {
+  const prevById = new Map(previous.nodes.map(n => [n.id, n]));
+  const nextById = new Map(next.nodes.map(n => [n.id, n]));
+  const labelOf = (id) => nextById.get(id)?.label || prevById.get(id)?.label || id;
+
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  const moved = [];
+  const definitionChanged = [];
+  const scopeNotesChanged = [];
+
+  for (const node of next.nodes) {
+    const old = prevById.get(node.id);
+    if (!old) {
+      added.push(describe(node));
+      continue;
+    }
+
+    if ((old.label || '') !== (node.label || '')) {
+      renamed.push({ ...describe(node), from: old.label || '', to: node.label || '' });
+    }
+
+    if (old.typeId !== node.typeId || old.clusterId !== node.clusterId) {
+      moved.push({
+        ...describe(node),
+        fromType: old.typeName || '',
+        toType: node.typeName || '',
+        fromCluster: old.clusterName || '',
+        toCluster: node.clusterName || '',
+      });
+    }
+
+    if ((old.definition || '') !== (node.definition || '')) {
+      definitionChanged.push({ ...describe(node), from: old.definition || '', to: node.definition || '' });
+    }
+
+    const noteChanges = diffScopeNotes(old.scopeNotes, node.scopeNotes);
+    if (noteChanges.length) {
+      scopeNotesChanged.push({ ...describe(node), notes: noteChanges });
+    }
+  }
+
+  for (const node of previous.nodes) {
+    if (!nextById.has(node.id)) removed.push(describe(node));
+  }
+
+  // Causal edges
+  const prevEdges = indexEdges(previous);
+  const nextEdges = indexEdges(next);
+  const edgesAdded = [];
+  const edgesRemoved = [];
+  const provenanceChanged = [];
+
+  const edgeRecord = (e) => ({
+    source: e.source,
+    target: e.target,
+    sourceLabel: labelOf(e.source),
+    targetLabel: labelOf(e.target),
+    declared: e.provenance === DECLARED,
+    provenance: e.provenance,
+  });
+
+  for (const [key, edge] of nextEdges) {
+    const old = prevEdges.get(key);
+    if (!old) {
+      edgesAdded.push(edgeRecord(edge));
+    } else if (old.provenance !== edge.provenance) {
+      provenanceChanged.push({ ...edgeRecord(edge), previousProvenance: old.provenance });
+    }
+  }
+  for (const [key, edge] of prevEdges) {
+    if (!nextEdges.has(key)) edgesRemoved.push(edgeRecord(edge));
+  }
+
+  const summary = {
+    added: added.length,
+    removed: removed.length,
+    renamed: renamed.length,
+    moved: moved.length,
+    definitionChanged: definitionChanged.length,
+    scopeNotesChanged: scopeNotesChanged.length,
+    edgesAdded: edgesAdded.length,
+    edgesRemoved: edgesRemoved.length,
+    provenanceChanged: provenanceChanged.length,
+  };
+  summary.total = Object.values(summary).reduce((s, v) => s + v, 0);
+
+  return {
+    from: snapshotInfo(previous),
+    to: snapshotInfo(next),
+    added,
+    removed,
+    renamed,
+    moved,
+    definitionChanged,
+    scopeNotesChanged,
+    edgesAdded,
+    edgesRemoved,
+    provenanceChanged,
+    summary,
+  };
+}
+
+/**
+ * Identifying metadata for one side of a diff.
+ * @param {Object} data - Snapshot data
+ * @returns {{fetchedAt: string|null, nodeCount: number, edgeCount: number}}
+ */
+function snapshotInfo(data) {
+  return {
+    fetchedAt: data.meta?.fetchedAt || null,
+    nodeCount: data.nodes.length,
+    edgeCount: data.edges.length,
+  };
+}
+
+/**
+ * Render a diff as a Markdown changelog (used by the snapshot CLI).
+ * @param {import('../types.js').SnapshotDiff} diff
+ * @returns {string}
+ */
+export function formatChangelog(diff) {
+  const lines = [];
+  const from = diff.from.fetchedAt || 'unknown';
+  const to = diff.to.fetchedAt || 'unknown';
+  lines.push(`# HIPs snapshot changes`, '', `${from} → ${to}`, '');
+
+  if (diff.summary.total === 0) {
+    lines.push('No changes.');
+    return lines.join('\n');
+  }
+
+  const hazard = (h) => `${h.label}${h.identifier ? ` (${h.identifier})` : ''}`;
+  const edge = (e) => `${e.sourceLabel} → ${e.targetLabel}${e.declared ? '' : ` (${PROVENANCE_LABELS[e.provenance]})`}`;
+
+  const section = (title, items, fmt) => {
+    if (!items.length) return;
+    lines.push(`## ${title} (${items.length})`, '');
+    for (const item of items) lines.push(`- ${fmt(item)}`);
+    lines.push('');
+  };
+
+  section('Hazards added', diff.added, h => `${hazard(h)} — ${h.typeName || 'Unknown'}`);
+  section('Hazards removed', diff.removed, hazard);
+  section('Labels renamed', diff.renamed, h => `${h.identifier || h.id}: "${h.from}" → "${h.to}"`);
+  section('Type/cluster moves', diff.moved, h => {
+    const parts = [];
+    if (h.fromType !== h.toType) parts.push(`type ${h.fromType || '—'} → ${h.toType || '—'}`);
+    if (h.fromCluster !== h.toCluster) parts.push(`cluster ${h.fromCluster || '—'} → ${h.toCluster || '—'}`);
+    return `${hazard(h)}: ${parts.join(', ')}`;
+  });
+  section('Definitions edited', diff.definitionChanged, hazard);
+  section('Scope notes edited', diff.scopeNotesChanged,
+    h => `${hazard(h)}: ${h.notes.map(n => `${n.key} ${n.change}`).join(', ')}`);
+  section('Causal links gained', diff.edgesAdded, edge);
+  section('Causal links lost', diff.edgesRemoved, edge);
+  section('Declared/inferred status changes', diff.provenanceChanged,
+    e => `${e.sourceLabel} → ${e.targetLabel}: ${PROVENANCE_LABELS[e.previousProvenance]} → ${PROVENANCE_LABELS[e.provenance]}`);
+
+  return lines.join('\n').trimEnd();
+}
@@ -0,0 +1,32 @@
+/**
+ * @module data/subset
+ * Restrict a snapshot to the part of the graph the user is currently looking at.
+ * Pure computation — works in both Node.js and browser contexts.
+ */
+import { createProvenanceLookup, DECLARED } from './edge-provenance.js';
+
+/**
+ * Apply the sidebar filters (hidden hazard types, declared-only) to a snapshot.
+ * Edges whose endpoints are hidden or unknown are dropped, and every kept edge
+ * is annotated with its provenance so serializers don't need to recompute it.
+ * @param {import('../types.js').SnapshotData} data - Full snapshot
+ * @param {Object} [options]
+ * @param {Set<string>} [options.hiddenTypes] - Type names to exclude
+ * @param {boolean} [options.declaredOnly=false] - Keep only reciprocated edges
+ * @returns {{meta: Object, nodes: Object[], edges: Array<{source: string, target: string, type: string, provenance: string}>}}
+ */
+export function filterSnapshot(data, { hiddenTypes = new Set(), declaredOnly = false } = {}) {
+  const nodes = data.nodes.filter(n => !hiddenTypes.has(n.typeName));
+  const nodeIds = new Set(nodes.map(n => n.id));
+  const provenanceOf = createProvenanceLookup(data.nodes);
+
+  const edges = [];
+  for (const edge of data.edges) {
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) continue;
+    const provenance = provenanceOf(edge.source, edge.target);
+    if (declaredOnly && provenance !== DECLARED) continue;
+    edges.push({ ...edge, provenance });
+  }
+
+  return { meta: data.meta, nodes, edges };
+}
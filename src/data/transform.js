@@ -4,6 +4,7 @@
  * Supports compound node grouping by Type > Cluster > Hazard.
  */
 import { getTypeDef } from './hazard-types.js';
+import { createProvenanceLookup, DECLARED } from './edge-provenance.js';
 
 /**
  * @param {Object} data - Snapshot data with nodes, edges, meta
@@ -91,18 +92,14 @@ export function transformToElements(data, grouping = 'type') {
     nodeDataMap.set(node.id, node);
   }
 
-  // Build causedBy lookup for reciprocation check
-  const causedBySet = new Map();
-  for (const node of data.nodes) {
-    causedBySet.set(node.id, new Set(node.causedBy || []));
-  }
+  const provenanceOf = createProvenanceLookup(data.nodes);
 
   // Create edges (only for valid node pairs)
-  // Mark each edge as declared (target acknowledges source in causedBy) or inferred
+  // Mark each edge with its provenance: declared (both endpoints attest it),
+  // inferred (source's causes only) or target-only (target's causedBy only)
   for (const edge of data.edges) {
     if (!validNodeIds.has(edge.source) || !validNodeIds.has(edge.target)) continue;
-    const targetCausedBy = causedBySet.get(edge.target);
-    const declared = targetCausedBy ? targetCausedBy.has(edge.source) : false;
+    const provenance = provenanceOf(edge.source, edge.target);
     elements.push({
       group: 'edges',
       data: {
@@ -110,7 +107,8 @@ export function transformToElements(data, grouping = 'type') {
         source: edge.source,
         target: edge.target,
         edgeType: edge.type,
-        declared,
+        declared: provenance === DECLARED,
+        provenance,
       },
     });
   }
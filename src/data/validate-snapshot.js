@@ -0,0 +1,145 @@
+/**
+ * @module data/validate-snapshot
+ * Schema and data-quality checks for the snapshot format described in types.js.
+ * Errors mean the snapshot is structurally broken (the app would misbehave);
+ * warnings are upstream data-quality issues the app tolerates.
+ * Pure computation — works in both Node.js (snapshot CLI) and browser (Data quality panel).
+ */
+
+/** Node fields that hold source citations (URLs or in-document "#fragment" anchors). */
+const SOURCE_FIELDS = ['sources', 'quotedFrom', 'references', 'influencedBy', 'conformsTo'];
+
+/** Every check, in report order. */
+export const CHECKS = [
+  { code: 'structure', severity: 'error', title: 'Snapshot structure' },
+  { code: 'missing-id', severity: 'error', title: 'Hazards without an ID' },
+  { code: 'duplicate-id', severity: 'error', title: 'Duplicate hazard IDs' },
+  { code: 'incomplete-edge', severity: 'error', title: 'Edges without source or target' },
+  { code: 'unknown-endpoint', severity: 'warning', title: 'Links to unknown hazards' },
+  { code: 'self-loop', severity: 'warning', title: 'Self-loops' },
+  { code: 'duplicate-edge', severity: 'warning', title: 'Duplicate links' },
+  { code: 'missing-type', severity: 'warning', title: 'Hazards without a type' },
+  { code: 'missing-cluster', severity: 'warning', title: 'Hazards without a cluster' },
+  { code: 'empty-definition', severity: 'warning', title: 'Empty definitions' },
+  { code: 'malformed-url', severity: 'warning', title: 'Malformed source URLs' },
+  { code: 'meta-mismatch', severity: 'warning', title: 'Metadata counts out of date' },
+];
+
+/**
+ * A citation is fine if it is an in-document anchor or a well-formed
+ * lowercase http(s) URL with a host.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isWellFormedSource(value) {
+  if (value.startsWith('#')) return value.length > 1;
+  if (!/^https?:\/\/[^\s/]+\.[^\s]+$/.test(value)) return false;
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a snapshot and collect every issue found.
+ * @param {import('../types.js').SnapshotData} data
+ * @returns {import('../types.js').ValidationReport}
+ */
+export function validateSnapshot(data) {
+  const issues = new Map(CHECKS.map(c => [c.code, []]));
+  const add = (code, issue) => issues.get(code).push(issue);
+
+  if (!data || !Array.isArray(data.nodes)) add('structure', { message: 'Missing nodes array' });
+  if (!data || !Array.isArray(data.edges)) add('structure', { message: 'Missing edges array' });
+  if (!data?.meta) add('structure', { message: 'Missing meta object' });
+
+  const nodes = Array.isArray(data?.nodes) ? data.nodes : [];
+  const edges = Array.isArray(data?.edges) ? data.edges : [];
+
+  // Nodes
+  const labelOf = new Map();
+  for (const [index, node] of nodes.entries()) {
+    if (!node?.id) {
+      add('missing-id', { message: `Node #${index} (${node?.label || 'no label'}) has no id` });
+      continue;
+    }
+    if (labelOf.has(node.id)) {
+      add('duplicate-id', { nodeId: node.id, message: `${node.id} appears more than once` });
+      continue;
+    }
+    labelOf.set(node.id, node.label || node.id);
+
+    const name = node.label || node.id;
+    if (!node.typeId || !node.typeName) add('missing-type', { nodeId: node.id, message: name });
+    if (!node.clusterId || !node.clusterName) add('missing-cluster', { nodeId: node.id, message: name });
+    if (!node.definition?.trim()) add('empty-definition', { nodeId: node.id, message: name });
+
+    for (const field of SOURCE_FIELDS) {
+      for (const value of node[field] || []) {
+        if (!isWellFormedSource(value)) {
+          add('malformed-url', { nodeId: node.id, field, value, message: `${name} (${field}): ${value}` });
+        }
+      }
+    }
+  }
+
+  // Edges
+  const seen = new Set();
+  for (const [index, edge] of edges.entries()) {
+    if (!edge?.source || !edge?.target) {
+      add('incomplete-edge', { message: `Edge #${index} is missing its source or target` });
+      continue;
+    }
+    const { source, target } = edge;
+    const describe = () => `${labelOf.get(source) || source} → ${labelOf.get(target) || target}`;
+
+    const unknown = [source, target].filter(id => !labelOf.has(id));
+    if (unknown.length) {
+      add('unknown-endpoint', { source, target, message: `${describe()} (unknown: ${unknown.join(', ')})` });
+    }
+    if (source === target) add('self-loop', { source, target, nodeId: source, message: describe() });
+
+    const key = `${source}->${target}`;
+    if (seen.has(key)) add('duplicate-edge', { source, target, message: describe() });
+    seen.add(key);
+  }
+
+  // Metadata
+  if (data?.meta) {
+    if (data.meta.nodeCount !== undefined && data.meta.nodeCount !== nodes.length) {
+      add('meta-mismatch', { message: `meta.nodeCount is ${data.meta.nodeCount}, found ${nodes.length} nodes` });
+    }
+    if (data.meta.edgeCount !== undefined && data.meta.edgeCount !== edges.length) {
+      add('meta-mismatch', { message: `meta.edgeCount is ${data.meta.edgeCount}, found ${edges.length} edges` });
+    }
+  }
+
+  const checks = CHECKS.map(c => ({ ...c, issues: issues.get(c.code) }));
+  const count = (severity) => checks
+    .filter(c => c.severity === severity)
+    .reduce((sum, c) => sum + c.issues.length, 0);
+  const errors = count('error');
+
+  return { ok: errors === 0, errors, warnings: count('warning'), checks };
+}
+
+/**
+ * Render a report as plain text for the command line.
+ * @param {import('../types.js').ValidationReport} report
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Issues listed per check before truncating
+ * @returns {string}
+ */
+export function formatValidationReport(report, { limit = 10 } = {}) {
+  const lines = [`Data quality: ${report.errors} error(s), ${report.warnings} warning(s)`];
+  for (const check of report.checks) {
+    if (!check.issues.length) continue;
+    const tag = check.severity === 'error' ? 'ERROR' : 'warn ';
+    lines.push(`  ${tag} ${check.title} (${check.issues.length})`);
+    for (const issue of check.issues.slice(0, limit)) lines.push(`        - ${issue.message}`);
+    if (check.issues.length > limit) lines.push(`        … ${check.issues.length - limit} more`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,119 @@
+/**
+ * @module engine/engine-methods
+ * The graph engine's method table: the headless Cytoscape instance and every
+ * query the app runs against it. Loaded by the worker (engine/graph-worker),
+ * or on the main thread when workers are unavailable.
+ * Arguments and results must survive structured cloning: plain objects,
+ * arrays, Maps and Sets only.
+ */
+import cytoscape from 'cytoscape';
+import { transformToElements } from '../data/transform.js';
+import { createCentralityCache } from '../data/centrality.js';
+import { findShortestPath, findKShortestPaths, findSimplePaths } from '../data/graph-queries.js';
+import { computeInsights } from '../data/insights.js';
+import { computeFlowMatrix, computeClusterFlowMatrix } from '../data/flow-matrix.js';
+import { computeSimilarity } from '../data/similarity.js';
+import { suggestLinks } from '../data/link-prediction.js';
+import { findMentions } from '../data/mentions.js';
+import { findFeedbackLoops } from '../data/cycles.js';
+import { detectCommunities } from '../data/communities.js';
+import { simulateCascade } from '../data/cascade-simulation.js';
+import { degradationCurve, findCutHazards } from '../data/robustness.js';
+import { buildAdjacencyIndex } from '../views/cascade/cascade-data.js';
+
+/**
+ * Build the method table for one snapshot.
+ * @param {import('../types.js').SnapshotData} data
+ * @returns {Object<string, Function>} Method name -> implementation
+ */
+export function createEngineMethods(data) {
+  const cy = cytoscape({
+    headless: true,
+    elements: transformToElements(data, 'type').elements,
+  });
+  const centrality = createCentralityCache(cy);
+  let effectsIndex = null;
+
+  return {
+    /**
+     * @param {import('../types.js').CentralityFilter} [filter]
+     * @returns {Map<string, import('../types.js').CentralityMetrics>}
+     */
+    centrality: (filter) => centrality.get(filter),
+
+    /**
+     * @param {string} sourceId
+     * @param {string} targetId
+     * @param {import('../types.js').PathConstraints} [constraints]
+     * @returns {import('../types.js').CausalPath|null}
+     */
+    shortestPath: (sourceId, targetId, constraints) => findShortestPath(cy, sourceId, targetId, constraints),
+
+    /**
+     * @param {string} sourceId
+     * @param {string} targetId
+     * @param {number} k
+     * @param {import('../types.js').PathConstraints} [constraints]
+     * @returns {import('../types.js').CausalPath[]}
+     */
+    kShortestPaths: (sourceId, targetId, k, constraints) => findKShortestPaths(cy, sourceId, targetId, k, constraints),
+
+    /**
+     * @param {string} sourceId
+     * @param {string} targetId
+     * @param {{maxLength?: number, limit?: number}} options
+     * @param {import('../types.js').PathConstraints} [constraints]
+     * @returns {{paths: import('../types.js').CausalPath[], truncated: boolean}}
+     */
+    simplePaths: (sourceId, targetId, options, constraints) => findSimplePaths(cy, sourceId, targetId, options, constraints),
+
+    /** @returns {Object} Network insights, see computeInsights() */
+    insights: () => computeInsights(data),
+
+    /** @returns {Map<string, import('../types.js').SimilarHazard[]>} Most similar hazards per hazard */
+    similarity: () => computeSimilarity(data),
+
+    /** @returns {import('../types.js').LinkSuggestion[]} Candidate links for curator review, best first */
+    linkSuggestions: () => suggestLinks(data),
+
+    /** @returns {import('../types.js').Mention[]} Hazards named in each hazard's scope notes */
+    mentions: () => findMentions(data.nodes),
+
+    /**
+     * @param {'type'|'cluster'} [level='type']
+     * @returns {Object} computeFlowMatrix() or computeClusterFlowMatrix() result
+     */
+    flowMatrix: (level = 'type') => (level === 'cluster' ? computeClusterFlowMatrix(data) : computeFlowMatrix(data)),
+
+    /**
+     * @param {{maxLength?: number, declaredOnly?: boolean}} [options]
+     * @returns {import('../types.js').LoopAnalysis}
+     */
+    feedbackLoops: (options) => findFeedbackLoops(data, options),
+
+    /**
+     * @param {{resolution?: number}} [options]
+     * @returns {import('../types.js').CommunityAnalysis}
+     */
+    communities: (options) => detectCommunities(data, options),
+
+    /**
+     * @param {string[]} seeds
+     * @param {Object} [options] - See simulateCascade()
+     * @returns {import('../types.js').CascadeSimulation}
+     */
+    cascadeSimulation: (seeds, options) => {
+      effectsIndex ??= buildAdjacencyIndex(data).effectsIndex;
+      return simulateCascade(effectsIndex, seeds, options);
+    },
+
+    /**
+     * @param {string[]} order - Hazard IDs in removal order
+     * @returns {import('../types.js').RobustnessStep[]}
+     */
+    degradationCurve: (order) => degradationCurve(data, order),
+
+    /** @returns {import('../types.js').CutHazard[]} */
+    cutHazards: () => findCutHazards(data),
+  };
+}
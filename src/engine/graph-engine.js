@@ -0,0 +1,104 @@
+/**
+ * @module engine/graph-engine
+ * Promise-based client for the graph engine. Graph algorithms (centrality,
+ * path finding, insights, flow matrix, similarity, link suggestions,
+ * scope-note mentions, feedback loops, communities, cascade simulation,
+ * robustness) run in a Web Worker so the UI stays responsive while they
+ * compute; calls are queued and answered in order.
+ * Where workers are unavailable, or the worker fails to load or start, the
+ * same methods run on the main thread, loaded on first use.
+ */
+
+/**
+ * Start the graph engine for a snapshot. The worker builds its own headless
+ * Cytoscape instance from the data, so the first call also waits for that.
+ * @param {import('../types.js').SnapshotData} data
+ * @returns {import('../types.js').GraphEngine}
+ */
+export function createGraphEngine(data) {
+  const call = typeof Worker === 'undefined' ? inThread(data) : inWorker(data);
+
+  return {
+    centrality: (filter) => call('centrality', filter),
+    shortestPath: (sourceId, targetId, constraints) => call('shortestPath', sourceId, targetId, constraints),
+    kShortestPaths: (sourceId, targetId, k, constraints) => call('kShortestPaths', sourceId, targetId, k, constraints),
+    simplePaths: (sourceId, targetId, options, constraints) => call('simplePaths', sourceId, targetId, options, constraints),
+    insights: () => call('insights'),
+    similarity: () => call('similarity'),
+    linkSuggestions: () => call('linkSuggestions'),
+    mentions: () => call('mentions'),
+    flowMatrix: (level) => call('flowMatrix', level),
+    feedbackLoops: (options) => call('feedbackLoops', options),
+    communities: (options) => call('communities', options),
+    cascadeSimulation: (seeds, options) => call('cascadeSimulation', seeds, options),
+    degradationCurve: (order) => call('degradationCurve', order),
+    cutHazards: () => call('cutHazards'),
+  };
+}
+
+/**
+ * Caller that posts to a module worker and matches replies by ID.
+ * If the worker itself fails (e.g. it cannot load), it is shut down and
+ * pending and later calls run on the main thread instead.
+ * @param {Object} data
+ * @returns {(method: string, ...args: any[]) => Promise<any>}
+ */
+function inWorker(data) {
+  let worker;
+  try {
+    worker = new Worker(new URL('./graph-worker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    console.warn('Graph engine worker unavailable, running on the main thread:', err.message);
+    return inThread(data);
+  }
+  const pending = new Map();
+  let nextId = 0;
+  let fallback = null;
+
+  worker.onmessage = ({ data: { id, result, error } }) => {
+    const call = pending.get(id);
+    if (!call) return;
+    pending.delete(id);
+    if (error !== undefined) call.reject(new Error(error));
+    else call.resolve(result);
+  };
+
+  worker.onerror = (e) => {
+    e.preventDefault();
+    console.warn(`Graph engine worker failed (${e.message || 'worker error'}), running on the main thread`);
+    worker.terminate();
+    fallback = inThread(data);
+    for (const { method, args, resolve, reject } of pending.values()) {
+      fallback(method, ...args).then(resolve, reject);
+    }
+    pending.clear();
+  };
+
+  worker.postMessage({ type: 'init', data });
+
+  return (method, ...args) => {
+    if (fallback) return fallback(method, ...args);
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { method, args, resolve, reject });
+      worker.postMessage({ id, method, args });
+    });
+  };
+}
+
+/**
+ * Caller that runs the engine methods on the main thread.
+ * @param {Object} data
+ * @returns {(method: string, ...args: any[]) => Promise<any>}
+ */
+function inThread(data) {
+  let methods = null;
+  return async (method, ...args) => {
+    if (!methods) {
+      const { createEngineMethods } = await import('./engine-methods.js');
+      methods ??= createEngineMethods(data);
+    }
+    if (!methods[method]) throw new Error(`Unknown engine method: ${method}`);
+    return methods[method](...args);
+  };
+}
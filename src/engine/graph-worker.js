@@ -0,0 +1,27 @@
+/**
+ * @module engine/graph-worker
+ * Web Worker entry for the graph engine. The first message carries the
+ * snapshot; every later message is a call answered with its result or error.
+ *
+ * Protocol (see engine/graph-engine for the client):
+ * - in:  `{ type: 'init', data }` then `{ id, method, args }`
+ * - out: `{ id, result }` or `{ id, error: string }`
+ */
+import { createEngineMethods } from './engine-methods.js';
+
+let methods = null;
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'init') {
+    methods = createEngineMethods(message.data);
+    return;
+  }
+
+  const { id, method, args } = message;
+  try {
+    if (!methods?.[method]) throw new Error(`Unknown engine method: ${method}`);
+    self.postMessage({ id, result: methods[method](...args) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
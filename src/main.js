@@ -3,30 +3,60 @@
  * Main entry point — orchestrates data loading, view init, and UI wiring.
  * Creates the event bus and connects all modules.
  * Uses the view manager (D3 edge bundling / cascade) instead of Cytoscape for visualization.
- * Keeps Cytoscape headless for graph algorithms (centrality, pathfinding).
+ * Graph algorithms (centrality, path finding, insights, flow matrix,
+ * similarity) run in the graph engine worker; their panels fill in as results
+ * arrive.
  */
-import { fetchHipsData } from './data/fetch-hips.js';
+import { fetchHipsData, needsRevalidation, revalidate } from './data/fetch-hips.js';
 import { transformToElements } from './data/transform.js';
 import { createViewManager } from './views/view-manager.js';
 import { initSidebar, initCentralityRanking, connectViewManager } from './ui/sidebar.js';
-import { initDetailPanel, setCentralityData } from './ui/detail-panel.js';
+import { initDetailPanel, setCentralityData, setSimilarityData, setMentionData } from './ui/detail-panel.js';
 import { initSearch } from './ui/search.js';
 import { initToolbar } from './ui/toolbar.js';
 import { initLegend } from './ui/legend.js';
-import { computeInsights } from './data/insights.js';
 import { initInsights } from './ui/insights.js';
-import { computeCentrality } from './data/centrality.js';
+import { isFiltered } from './data/centrality-measures.js';
+import { createGraphEngine } from './engine/graph-engine.js';
 import { initPathFinder } from './ui/path-finder.js';
 import { initFlowMatrix } from './ui/flow-matrix.js';
+import { initLoops } from './ui/loops.js';
+import { initCommunities } from './ui/communities.js';
+import { initSimulation } from './ui/simulation.js';
+import { initRobustness } from './ui/robustness.js';
+import { initChangelog } from './ui/changelog.js';
+import { initExportMenu } from './ui/export-menu.js';
+import { validateSnapshot } from './data/validate-snapshot.js';
+import { initDataQuality } from './ui/data-quality.js';
+import { initLinkReview } from './ui/link-review.js';
+import { initDataVersions } from './ui/data-versions.js';
+import { showUpdateBanner, showAppUpdateBanner } from './ui/update-banner.js';
 import { createBus } from './utils/bus.js';
 import { parseUrl, createUrlSync, applyUrlState } from './utils/url-state.js';
+import { registerServiceWorker } from './utils/sw-register.js';
 
-// Headless Cytoscape for graph algorithms
-import cytoscape from 'cytoscape';
+/** sessionStorage flag: the page was reloaded from an update banner, so skip the start screen. */
+const RESUME_KEY = 'hips-resume';
+
+/**
+ * Read and clear the resume flag set before an update reload.
+ * @returns {boolean}
+ */
+function consumeResumeFlag() {
+  try {
+    const resume = sessionStorage.getItem(RESUME_KEY) === '1';
+    sessionStorage.removeItem(RESUME_KEY);
+    return resume;
+  } catch {
+    return false;
+  }
+}
 
 async function main() {
   const bus = createBus();
   const loading = document.getElementById('loading-overlay');
+  const resumed = consumeResumeFlag();
+  let urlSync = null;
 
   try {
     // 1. Fetch data
@@ -35,14 +65,11 @@ async function main() {
     // 1b. Parse URL state (before any UI init)
     const urlState = parseUrl(data.nodes);
 
-    // 2. Build Cytoscape elements for headless graph algorithms
-    const { elements, nodeDataMap } = transformToElements(data, 'type');
+    // 2. Node data for the detail panel and search
+    const { nodeDataMap } = transformToElements(data, 'type');
 
-    // 3. Create headless Cytoscape instance for algorithms (centrality, pathfinding)
-    const headlessCy = cytoscape({
-      headless: true,
-      elements,
-    });
+    // 3. Start the graph engine worker (headless Cytoscape for centrality, path finding)
+    const engine = createGraphEngine(data);
 
     // 4. Initialize UI components (before views, so listeners are ready)
     initSidebar(data, bus);
@@ -50,16 +77,65 @@ async function main() {
     initSearch(data.nodes, bus);
     initLegend(data.nodes, bus);
 
-    // 5. Compute network insights & centrality
-    const insights = computeInsights(data);
-    initInsights(insights, data, bus);
-    initPathFinder(bus, () => headlessCy);
+    // 5. Network insights & centrality, computed in the background
+    initInsights(engine.insights(), data, bus);
+    initPathFinder(bus, engine, data.nodes);
     initCentralityRanking(bus);
-    initFlowMatrix(data, bus);
+    initFlowMatrix(engine.flowMatrix(), engine.flowMatrix('cluster'), data, bus);
+    engine.similarity()
+      .then(setSimilarityData)
+      .catch(err => console.error('Similarity computation failed:', err));
+    engine.mentions()
+      .then((mentions) => {
+        setMentionData(mentions);
+        bus.emit('mentions:computed', { mentions });
+      })
+      .catch(err => console.error('Scope-note mention search failed:', err));
+    initLoops(engine, data, bus);
+    initCommunities(engine, bus);
+    initSimulation(engine, data, bus);
+    initRobustness(engine, data, bus);
+    initChangelog(data._version?.changes || null, bus);
+    initExportMenu(data, bus);
+    initDataQuality(validateSnapshot(data), bus);
+    initLinkReview(engine.linkSuggestions(), data, bus);
 
-    const centralityMetrics = computeCentrality(headlessCy);
-    setCentralityData(centralityMetrics);
-    bus.emit('centrality:computed', { metrics: centralityMetrics, nodeDataMap });
+    // Centrality for the full graph, and for the sidebar filters once any
+    // are set. Changes in the same tick are coalesced, and only the latest
+    // request is published.
+    const centralityFilter = { hiddenTypes: new Set(), declaredOnly: false };
+    let centralityRequest = 0;
+    let centralityTimer = null;
+    const publishCentrality = async () => {
+      const request = ++centralityRequest;
+      const filter = { ...centralityFilter };
+      bus.emit('centrality:computing', { filter });
+      try {
+        const [metrics, filteredMetrics] = await Promise.all([
+          engine.centrality(),
+          isFiltered(filter) ? engine.centrality(filter) : null,
+        ]);
+        if (request !== centralityRequest) return;
+        setCentralityData(metrics, filteredMetrics);
+        bus.emit('centrality:computed', { metrics, filteredMetrics, filter, nodeDataMap });
+      } catch (err) {
+        console.error('Centrality computation failed:', err);
+      }
+    };
+    const scheduleCentrality = () => {
+      clearTimeout(centralityTimer);
+      centralityTimer = setTimeout(publishCentrality, 0);
+    };
+    bus.on('filter:types', ({ hiddenTypes }) => {
+      centralityFilter.hiddenTypes = new Set(hiddenTypes);
+      scheduleCentrality();
+    });
+    bus.on('edges:toggle', ({ declaredOnly }) => {
+      if (declaredOnly === centralityFilter.declaredOnly) return;
+      centralityFilter.declaredOnly = declaredOnly;
+      scheduleCentrality();
+    });
+    publishCentrality();
 
     // 6. Wire header action buttons
     const copyBtn = document.getElementById('btn-copy-link');
@@ -76,32 +152,26 @@ async function main() {
       });
     }
 
-    // 7. Update footer with snapshot info and data freshness
-    const info = document.getElementById('snapshot-info');
-    if (data.meta) {
-      const date = data.meta.fetchedAt
-        ? new Date(data.meta.fetchedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
-        : 'unknown';
-      let sourceLabel;
-      if (data._source === 'cache' || data._source === 'stale-cache') {
-        const ts = parseInt(localStorage.getItem('hips-data-ts'), 10);
-        const ageMs = ts ? Date.now() - ts : 0;
-        const ageMins = Math.floor(ageMs / 60000);
-        const ageStr = ageMins < 1 ? 'just now'
-          : ageMins < 60 ? `${ageMins}m ago`
-          : `${Math.floor(ageMins / 60)}h ${ageMins % 60}m ago`;
-        sourceLabel = `Cached ${ageStr}`;
-      } else {
-        const labels = { snapshot: 'Snapshot', api: 'Live API' };
-        sourceLabel = labels[data._source] || 'Snapshot';
-      }
-      info.textContent = `${data.meta.nodeCount || data.nodes.length} hazards · Data: ${date} (${sourceLabel})`;
+    // 7. Footer: loaded data version, with the cached-versions popover
+    initDataVersions(data, reloadInPlace);
+
+    // 7b. Check the network in the background; offer newer data without interrupting
+    if (needsRevalidation(data)) {
+      revalidate(data).then(result => {
+        if (result?.changes) showUpdateBanner(result.changes, () => result.accept().then(reloadInPlace));
+      }).catch(err => console.warn('Background revalidation failed:', err));
     }
 
+    // 7c. Offline support; a newly deployed build is offered the same way
+    registerServiceWorker(activate => {
+      showAppUpdateBanner(() => activate().then(reloadInPlace));
+    });
+
     // 8. Decide: start screen or direct load
-    const hasUrlState = urlState.declared || urlState.view || urlState.node
+    const hasUrlState = resumed || urlState.declared || urlState.view || urlState.node
                       || urlState.hiddenTypes || urlState.hops
-                      || urlState.edges === false || urlState.tension;
+                      || urlState.edges === false || urlState.tension || urlState.arrange
+                      || urlState.related || urlState.hasPart || urlState.mentions;
 
     if (hasUrlState) {
       // URL params present — skip start screen, go directly to view
@@ -149,7 +219,7 @@ async function main() {
       initToolbar(viewManager);
 
       // Start URL sync
-      const urlSync = createUrlSync(bus, data.nodes, urlState);
+      urlSync = createUrlSync(bus, data.nodes, urlState);
 
       // Handle node focus (from detail panel causal links or search)
       bus.on('node:focus', ({ id }) => {
@@ -168,6 +238,22 @@ async function main() {
       }
     }
 
+    /**
+     * Reload to pick up newly cached data or a new app build. The URL
+     * (selection, filters, view) is written immediately so the pending debounce
+     * does not lose the latest state, and the start screen is skipped on the
+     * way back in.
+     */
+    function reloadInPlace() {
+      urlSync?.flush();
+      try {
+        sessionStorage.setItem(RESUME_KEY, '1');
+      } catch {
+        // Storage unavailable — the start screen shows if the URL has no state
+      }
+      window.location.reload();
+    }
+
   } catch (err) {
     console.error('Failed to initialize:', err);
     loading.querySelector('p').textContent = `Error loading data: ${err.message}`;
@@ -0,0 +1,95 @@
+/**
+ * @module service-worker
+ * Offline support. Precaches the app shell (HTML, every built JS/CSS chunk,
+ * including the lazily loaded cascade view) and the public files (snapshot
+ * data, manifest, icons), so the explorer opens with no network once it has
+ * been visited.
+ *
+ * Not bundled with the app: scripts/vite-plugin-service-worker.js fills in the
+ * precache list and cache version at build time and emits it as sw.js.
+ *
+ * Each build gets its own cache. A new worker waits until the page asks it to
+ * take over (update banner) or every tab has closed, so an open page keeps
+ * loading chunks from the build it started with instead of failing on chunk
+ * hashes that the new deploy removed.
+ */
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_PATHS = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = `hips-precache-${CACHE_VERSION}`;
+
+/** Paths served network-first (fresh when online, cached copy when offline). */
+const NETWORK_FIRST_PATHS = ['data/hips.json'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_PATHS.map(scopeUrl)))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('hips-precache-') && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || !url.href.startsWith(self.registration.scope)) return;
+
+  // App navigations (any query string) get the precached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(cacheFirst(scopeUrl('index.html'), request));
+    return;
+  }
+
+  const path = url.href.slice(self.registration.scope.length).split(/[?#]/)[0];
+  if (NETWORK_FIRST_PATHS.includes(path)) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(cacheFirst(request, request));
+  }
+});
+
+/**
+ * Serve from the cache, falling back to the network.
+ * @param {Request|string} key - Cache key to look up
+ * @param {Request} request - Request to send when the key is not cached
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(key, request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(key, { ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+/**
+ * Fetch from the network and refresh the cached copy; serve the cached copy
+ * when offline.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
@@ -24,6 +24,8 @@
  * @property {string[]} [references] - Reference URLs
  * @property {string[]} [influencedBy] - Influenced-by URLs
  * @property {string[]} [conformsTo] - Conforms-to URLs
+ * @property {string[]} [hasPart] - Parts of this hazard (dct:hasPart): hazard IDs or external references
+ * @property {string[]} [related] - Associated hazards (skos:related): hazard IDs or external references
  * @property {string} [versionInfo] - Version string
  * @property {string} [rights] - License/rights string
  */
@@ -33,17 +35,20 @@
  * @typedef {Object} CausalEdge
  * @property {string} source - Source hazard node ID
  * @property {string} target - Target hazard node ID
- * @property {string} type - Edge type (always "causes")
+ * @property {'causes'|'causedBy'} type - Predicate the edge was built from: "causes" for every
+ *   xkos:causes entry, "causedBy" for xkos:causedBy entries the source does not reciprocate
  */
 
 /**
  * The full snapshot data structure loaded from hips.json or the API.
  * @typedef {Object} SnapshotData
  * @property {Object} meta - Metadata about the snapshot
- * @property {string} meta.source - API URL the data was fetched from
- * @property {string} meta.fetchedAt - ISO timestamp of fetch
+ * @property {string} meta.source - API URL the data comes from (also for snapshots built from a saved dump)
+ * @property {string} meta.fetchedAt - ISO timestamp of fetch (pinned with --fetched-at for offline builds)
  * @property {number} meta.nodeCount - Number of hazard nodes
  * @property {number} meta.edgeCount - Number of causal edges
+ * @property {Object<string, string>} [meta.types] - Type URI -> type name
+ * @property {Object<string, {name: string, typeId: string}>} [meta.clusters] - Cluster URI -> name and parent type
  * @property {HazardNode[]} nodes - Array of hazard nodes
  * @property {CausalEdge[]} edges - Array of causal edges
  */
@@ -64,6 +69,8 @@
  * @property {string} [data.source] - Source node ID (edges only)
  * @property {string} [data.target] - Target node ID (edges only)
  * @property {string} [data.parent] - Parent compound node ID
+ * @property {boolean} [data.declared] - Whether both endpoints attest the edge (edges only)
+ * @property {'declared'|'inferred'|'target-only'} [data.provenance] - Which endpoints attest the edge (edges only)
  * @property {string} [data.label] - Display label
  * @property {boolean} [data.isCompound] - Whether this is a compound (group) node
  */
@@ -80,6 +87,9 @@
  * @property {string[]} inferredOnlyNodes - IDs of nodes connected only by inferred edges
  * @property {number} reciprocationRate - Fraction of edges that are reciprocated
  * @property {string[]} inferredEdgeNodeIds - IDs of nodes connected by inferred edges
+ * @property {number} targetOnlyEdgeCount - Number of edges attested only by the target's causedBy
+ * @property {number} targetOnlyRate - Fraction of edges attested only by the target
+ * @property {string[]} targetOnlyEdgeNodeIds - IDs of nodes connected by target-only edges
  * @property {number} crossTypeRatio - Fraction of edges crossing type boundaries
  * @property {string[]} crossTypeNodeIds - IDs of nodes with cross-type edges
  * @property {{name: string, edgeCount: number}} topType - Most connected hazard type
@@ -87,6 +97,32 @@
  * @property {{name: string, density: number, nodeIds: string[]}} densestCluster - Densest cluster
  * @property {number} referenceCoverage - Fraction of nodes with external references
  * @property {string[]} unreferencedNodes - IDs of nodes without references
+ * @property {{cycleCount: number, maxLength: number, truncated: boolean, componentCount: number, largestComponent: string[]}} feedbackLoops - Causal cycles up to the default length, and the strongly connected components containing them
+ * @property {{count: number, modularity: number, clusterNmi: number, outlierIds: string[]}} communities - Louvain communities and their agreement with editorial clusters
+ * @property {Object<string, RelationshipLayerStats>} relationshipLayers - Causal, associative and partitive layer statistics, keyed by layer
+ */
+
+/**
+ * A link in one relationship layer, from buildRelationshipEdges().
+ * @typedef {Object} RelationshipEdge
+ * @property {string} source - Cause, listing hazard (associative) or whole (partitive)
+ * @property {string} target - Effect, listed hazard or part
+ * @property {'causal'|'related'|'hasPart'} layer
+ * @property {boolean} reciprocated - Declared by both endpoints (causal) or listed by both hazards (associative)
+ */
+
+/**
+ * Statistics for one relationship layer, from relationshipStats().
+ * @typedef {Object} RelationshipLayerStats
+ * @property {'causal'|'related'|'hasPart'} layer
+ * @property {string} label - Display name (Causal, Associative, Partitive)
+ * @property {string} property - RDF property the layer is read from
+ * @property {number} linkCount - Links between hazards in the snapshot
+ * @property {string[]} hazardIds - Hazards with at least one link in the layer
+ * @property {number} crossTypeRate - Fraction of links between hazards of different types
+ * @property {number|null} reciprocationRate - Fraction of links attested by both hazards; null for partitive links
+ * @property {number} unresolvedCount - Values that named no hazard in the snapshot
+ * @property {Array<{value: string, count: number}>} topUnresolved - Most frequent unresolved values
  */
 
 /**
@@ -94,8 +130,235 @@
  * @typedef {Object} CentralityMetrics
  * @property {number} betweenness - Betweenness centrality score
  * @property {number} pageRank - PageRank score
- * @property {number} closeness - Closeness centrality score
+ * @property {number} closeness - Closeness centrality score (reachable / total distance)
+ * @property {number} harmonic - Mean of 1 / distance to every other node (unreachable = 0)
+ * @property {number} hub - HITS hub score (unit length over all nodes)
+ * @property {number} authority - HITS authority score (unit length over all nodes)
+ * @property {number} inDegree - Distinct direct causes / (N − 1)
+ * @property {number} outDegree - Distinct direct effects / (N − 1)
+ * @property {number} katz - Katz centrality over incoming links (unit length over all nodes)
  * @property {number} betweennessRank - Rank by betweenness (1 = highest)
  * @property {number} pageRankRank - Rank by PageRank (1 = highest)
  * @property {number} closenessRank - Rank by closeness (1 = highest)
+ * @property {number} harmonicRank
+ * @property {number} hubRank
+ * @property {number} authorityRank
+ * @property {number} inDegreeRank
+ * @property {number} outDegreeRank
+ * @property {number} katzRank
+ */
+
+/**
+ * Sidebar filter state that centrality can be recomputed for.
+ * @typedef {Object} CentralityFilter
+ * @property {Set<string>} [hiddenTypes] - Hazard type names left out
+ * @property {boolean} [declaredOnly=false] - Only links declared by both sides
+ */
+
+/**
+ * One signal behind a similarity match, from computeSimilarity().
+ * @typedef {Object} SimilarityReason
+ * @property {'triggers'|'effects'|'simrank'|'text'} kind
+ * @property {number} score - Signal value in [0, 1]
+ * @property {string[]} [shared] - Shared trigger or effect hazard IDs (triggers, effects)
+ * @property {string[]} [terms] - Terms contributing most to the text match (text)
+ */
+
+/**
+ * A hazard similar to another, from computeSimilarity().
+ * @typedef {Object} SimilarHazard
+ * @property {string} id - The similar hazard
+ * @property {number} score - Weighted combination of the signals, in [0, 1]
+ * @property {SimilarityReason[]} reasons - Signals above the reporting threshold, strongest first
+ * @property {boolean} linked - Whether either hazard directly causes the other
+ * @property {boolean} nearDuplicate - Definitions and scope notes are nearly identical
+ */
+
+/**
+ * Another hazard named in a hazard's scope notes, from findMentions().
+ * @typedef {Object} Mention
+ * @property {string} sourceId - Hazard whose scope note names the other
+ * @property {string} targetId - Hazard named
+ * @property {string} section - Scope note section key (e.g. 'drivers', 'impacts')
+ * @property {string} sentence - Sentence of the note that names the hazard
+ * @property {string} term - Wording matched in the sentence
+ */
+
+/**
+ * A causal link proposed for curator review, from suggestLinks().
+ * @typedef {Object} LinkSuggestion
+ * @property {string} source - Proposed cause
+ * @property {string} target - Proposed effect
+ * @property {'reciprocate'|'new'} kind - Complete a one-sided link, or add a missing one
+ * @property {number} score - Weighted combination of the signals, in [0, 1]
+ * @property {'inferred'|'target-only'|null} provenance - Existing one-sided link, if any
+ * @property {'source'|'target'|'both'} missingFrom - Hazard record(s) the link must be added to
+ * @property {boolean} reverseExists - The target already causes the source
+ * @property {string[]} mediators - Hazards w with source → w → target, fewest links first
+ * @property {number} adamicAdar - Σ 1 / ln(degree) over the mediators
+ * @property {Array<{hazardId: string, section: string, term: string}>} mentions - Scope notes naming the other hazard
+ */
+
+/**
+ * Graph engine client from createGraphEngine(). Every method resolves once
+ * the worker has answered; errors thrown there reject with the same message.
+ * @typedef {Object} GraphEngine
+ * @property {(filter?: CentralityFilter) => Promise<Map<string, CentralityMetrics>>} centrality
+ * @property {(sourceId: string, targetId: string, constraints?: PathConstraints) => Promise<CausalPath|null>} shortestPath
+ * @property {(sourceId: string, targetId: string, k: number, constraints?: PathConstraints) => Promise<CausalPath[]>} kShortestPaths
+ * @property {(sourceId: string, targetId: string, options: {maxLength?: number, limit?: number}, constraints?: PathConstraints) => Promise<{paths: CausalPath[], truncated: boolean}>} simplePaths
+ * @property {() => Promise<Object>} insights - See computeInsights()
+ * @property {() => Promise<Map<string, SimilarHazard[]>>} similarity - Most similar hazards per hazard
+ * @property {() => Promise<LinkSuggestion[]>} linkSuggestions - Candidate links for curator review, best first
+ * @property {() => Promise<Mention[]>} mentions - Hazards named in each hazard's scope notes
+ * @property {(level?: 'type'|'cluster') => Promise<Object>} flowMatrix - Type-to-type counts (typeNames, matrix, edgeMap),
+ *   or cluster-to-cluster counts (typeNames, clusters, matrix, edgeMap with link provenance)
+ * @property {(options?: {maxLength?: number, declaredOnly?: boolean}) => Promise<LoopAnalysis>} feedbackLoops
+ * @property {(options?: {resolution?: number}) => Promise<CommunityAnalysis>} communities
+ * @property {(seeds: string[], options?: Object) => Promise<CascadeSimulation>} cascadeSimulation - See simulateCascade()
+ * @property {(order: string[]) => Promise<RobustnessStep[]>} degradationCurve - Network state after each removal
+ * @property {() => Promise<CutHazard[]>} cutHazards - Hazards whose removal disconnects others
+ */
+
+/**
+ * Changes between two snapshots, produced by diffSnapshots().
+ * Hazard records carry { id, identifier, label, typeName }; edge records carry
+ * { source, target, sourceLabel, targetLabel, declared, provenance }.
+ * @typedef {Object} SnapshotDiff
+ * @property {{fetchedAt: string|null, nodeCount: number, edgeCount: number}} from - Older snapshot info
+ * @property {{fetchedAt: string|null, nodeCount: number, edgeCount: number}} to - Newer snapshot info
+ * @property {Object[]} added - Hazards only in the newer snapshot
+ * @property {Object[]} removed - Hazards only in the older snapshot
+ * @property {Object[]} renamed - Hazards whose label changed (with from/to)
+ * @property {Object[]} moved - Hazards whose type or cluster changed (fromType/toType, fromCluster/toCluster)
+ * @property {Object[]} definitionChanged - Hazards whose definition text changed (with from/to)
+ * @property {Object[]} scopeNotesChanged - Hazards with added/removed/changed scope notes (notes: [{key, change}])
+ * @property {Object[]} edgesAdded - Causal edges gained
+ * @property {Object[]} edgesRemoved - Causal edges lost
+ * @property {Object[]} provenanceChanged - Edges whose declared/inferred/target-only status changed (previousProvenance → provenance)
+ * @property {Object<string, number>} summary - Count per category plus total
+ * @property {string} [recordedAt] - ISO timestamp of when the app recorded the diff (in-app only)
+ */
+
+/**
+ * A dataset version stored in the IndexedDB cache (metadata only; the data
+ * itself lives in a separate object store).
+ * @typedef {Object} CachedVersion
+ * @property {number} id - Auto-incremented version number
+ * @property {number} storedAt - Epoch ms when this version was first cached
+ * @property {number} checkedAt - Epoch ms when the network last returned this same content
+ * @property {'api'|'snapshot'|'legacy'} source - Where the data was loaded from ("legacy" = migrated localStorage cache)
+ * @property {string|null} fetchedAt - The dataset's own meta.fetchedAt
+ * @property {number} nodeCount - Number of hazard nodes
+ * @property {number} edgeCount - Number of causal edges
+ * @property {string} hash - Content hash of nodes and edges (see hashSnapshot)
+ * @property {SnapshotDiff|null} changes - Differences from the previous version, if any
+ */
+
+/**
+ * Result of validateSnapshot(). Every check is listed, including those that passed.
+ * Issues carry a message plus, where relevant, nodeId, source/target, field and value.
+ * @typedef {Object} ValidationReport
+ * @property {boolean} ok - True when there are no errors (warnings allowed)
+ * @property {number} errors - Total issues from error-severity checks
+ * @property {number} warnings - Total issues from warning-severity checks
+ * @property {Array<{code: string, severity: 'error'|'warning', title: string, issues: Object[]}>} checks
+ */
+
+/**
+ * Feedback loops found by findFeedbackLoops().
+ * @typedef {Object} LoopAnalysis
+ * @property {number} maxLength - Longest cycle enumerated, in links
+ * @property {boolean} declaredOnly - Whether only declared links were followed
+ * @property {boolean} truncated - True when enumeration stopped at MAX_CYCLES
+ * @property {Array<{nodeIds: string[]}>} components - Strongly connected components with more than one hazard, largest first
+ * @property {Array<{nodeIds: string[], length: number, edges: Array<{source: string, target: string, provenance: string}>}>} cycles - Elementary cycles, shortest first
+ */
+
+/**
+ * Causal communities found by detectCommunities(), compared with the Type/Cluster hierarchy.
+ * @typedef {Object} CommunityAnalysis
+ * @property {number} resolution - Louvain resolution used
+ * @property {number} modularity - Modularity of the partition
+ * @property {Array<{index: number, label: string, nodeIds: string[], dominantCluster: string, clusterPurity: number, dominantType: string, typePurity: number}>} communities - Largest first
+ * @property {Map<string, number>} membership - Hazard ID -> community index (linked hazards only)
+ * @property {string[]} unconnected - Hazards with no causal links (not assigned)
+ * @property {{type: {nmi: number, ari: number}, cluster: {nmi: number, ari: number}}} agreement - Agreement with the editorial types and clusters
+ * @property {Array<{id: string, label: string, typeName: string, clusterName: string, community: number, clusterCommunity: number}>} outliers - Hazards outside the community that holds most of their cluster
+ */
+
+/**
+ * A causal link on a path, with its provenance.
+ * @typedef {Object} PathEdge
+ * @property {string} source
+ * @property {string} target
+ * @property {'declared'|'inferred'|'target-only'} provenance
+ */
+
+/**
+ * A directed causal path between two hazards.
+ * @typedef {Object} CausalPath
+ * @property {string[]} nodeIds - Hazard IDs from source to target
+ * @property {number} hops - Number of links
+ * @property {number} cost - Sum of link costs (equal to hops unless inferred links are weighted)
+ * @property {PathEdge[]} edges - Links in order
+ */
+
+/**
+ * Constraints for the path queries in data/graph-queries.
+ * @typedef {Object} PathConstraints
+ * @property {Iterable<string>} [excludeTypes] - Hazard type names to route around
+ * @property {Iterable<string>} [excludeNodes] - Hazard IDs to route around
+ * @property {string[]} [waypoints] - Hazard IDs the path must pass through, in order
+ * @property {boolean} [declaredOnly=false] - Only follow links declared by both sides
+ * @property {number} [inferredWeight=1] - Cost of a link not declared by both sides (declared links cost 1)
+ */
+
+/**
+ * Reachability of one hazard, from computeReachability().
+ * @typedef {Object} ReachStats
+ * @property {number} downstream - Hazards it can transitively cause
+ * @property {number} upstream - Hazards that can transitively cause it
+ * @property {number} downstreamShare - downstream / (N − 1)
+ * @property {number} upstreamShare - upstream / (N − 1)
+ * @property {number[]} downstreamByHop - Newly reached hazards at hop 1, 2, …
+ * @property {number[]} upstreamByHop - Newly reached triggers at hop 1, 2, …
+ * @property {Object<string, number>} downstreamByType - Downstream hazards per type name
+ * @property {Object<string, number>} upstreamByType - Upstream hazards per type name
+ */
+
+/**
+ * Monte Carlo cascade simulation result, from simulateCascade().
+ * @typedef {Object} CascadeSimulation
+ * @property {'independent'|'threshold'} model
+ * @property {string[]} seeds - Hazards active at step 0
+ * @property {number} runs
+ * @property {Object<string, number>} probabilities - Link provenance -> activation probability used
+ * @property {Map<string, number>} activation - Hazard ID -> share of runs it activated in (seeds are 1);
+ *   hazards never activated are absent
+ * @property {Map<string, number>} meanStep - Hazard ID -> mean step it activated at, when it did
+ * @property {number} meanSize - Mean hazards activated per run, excluding seeds
+ * @property {number} medianSize
+ * @property {number} maxSize
+ */
+
+/**
+ * Network state after a removal step, from degradationCurve().
+ * @typedef {Object} RobustnessStep
+ * @property {number} removed - Hazards removed so far (0 for the intact network)
+ * @property {string|null} removedId - Hazard removed at this step
+ * @property {number} reachablePairs - Ordered pairs of remaining hazards where the first can cause the second
+ * @property {number} reachableShare - reachablePairs / (N × (N − 1)) of the intact network
+ * @property {number} largestScc - Size of the largest strongly connected component
+ * @property {number} avgPathLength - Mean shortest-path length over reachable pairs
+ */
+
+/**
+ * A hazard whose removal disconnects other hazards, from findCutHazards().
+ * @typedef {Object} CutHazard
+ * @property {string} id
+ * @property {number} disconnectedPairs - Pairs of other hazards no longer causally connected
+ * @property {number} disconnectedShare - Share of the other hazards' reachable pairs lost
+ * @property {number} largestSccAfter - Largest SCC with the hazard removed
+ * @property {number} avgPathLengthAfter - Average path length with the hazard removed
  */
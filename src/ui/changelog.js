@@ -0,0 +1,172 @@
+/**
+ * @module ui/changelog
+ * "What changed" floating panel: lists the differences between the data the user
+ * saw on their last visit (previous cached copy) and the data loaded now.
+ * Hazards focus the graph on click; causal links highlight the edge.
+ * @emits node:focus
+ * @emits flow:highlight
+ */
+import { esc, setupDrag } from '../utils/dom.js';
+import { PROVENANCE_LABELS } from '../data/edge-provenance.js';
+
+/** Sections in display order: diff key, heading, row kind, and optional detail text. */
+const SECTIONS = [
+  { key: 'added', title: 'Hazards added', kind: 'hazard' },
+  { key: 'removed', title: 'Hazards removed', kind: 'removed' },
+  { key: 'renamed', title: 'Renamed', kind: 'hazard', detail: h => `was “${h.from}”` },
+  {
+    key: 'moved', title: 'Moved type/cluster', kind: 'hazard',
+    detail: h => h.fromType !== h.toType ? `${h.fromType} → ${h.toType}` : `${h.fromCluster} → ${h.toCluster}`,
+  },
+  { key: 'definitionChanged', title: 'Definition edited', kind: 'hazard' },
+  {
+    key: 'scopeNotesChanged', title: 'Scope notes edited', kind: 'hazard',
+    detail: h => h.notes.map(n => `${n.key} ${n.change}`).join(', '),
+  },
+  { key: 'edgesAdded', title: 'Causal links gained', kind: 'edge' },
+  { key: 'edgesRemoved', title: 'Causal links lost', kind: 'removed-edge' },
+  {
+    key: 'provenanceChanged', title: 'Declared/inferred changes', kind: 'edge',
+    detail: e => `${PROVENANCE_LABELS[e.previousProvenance]} → ${PROVENANCE_LABELS[e.provenance]}`,
+  },
+];
+
+/**
+ * Initialize the changelog panel and its header button.
+ * @param {import('../types.js').SnapshotDiff|null} diff - Recorded changes, or null
+ * @param {Object} bus - Event bus
+ */
+export function initChangelog(diff, bus) {
+  const btn = document.getElementById('btn-changes');
+  if (!btn) return;
+
+  const panel = document.createElement('div');
+  panel.id = 'changes-panel';
+  panel.className = 'changes-panel hidden';
+  panel.innerHTML = `
+    <div class="changes-titlebar">
+      <span class="changes-title">What changed since last visit</span>
+      <button class="changes-close" title="Close">&times;</button>
+    </div>
+    <div class="changes-body">${buildBodyHtml(diff)}</div>
+  `;
+  document.body.appendChild(panel);
+
+  if (diff?.summary?.total) {
+    btn.classList.add('has-changes');
+    btn.title = `${diff.summary.total} change${diff.summary.total !== 1 ? 's' : ''} in the hazard data`;
+  }
+
+  let activeRow = null;
+
+  function clearActive() {
+    if (!activeRow) return;
+    activeRow.classList.remove('active');
+    activeRow = null;
+    bus.emit('flow:highlight', { edges: [], clear: true });
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clearActive();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.changes-close').addEventListener('click', close);
+
+  panel.querySelectorAll('.changes-link[data-node-id]').forEach(el => {
+    el.addEventListener('click', () => {
+      clearActive();
+      bus.emit('node:focus', { id: el.dataset.nodeId });
+    });
+  });
+
+  panel.querySelectorAll('.changes-link[data-source]').forEach(el => {
+    el.addEventListener('click', () => {
+      if (activeRow === el) {
+        clearActive();
+        return;
+      }
+      clearActive();
+      el.classList.add('active');
+      activeRow = el;
+      bus.emit('flow:highlight', { edges: [{ source: el.dataset.source, target: el.dataset.target }] });
+    });
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.changes-titlebar'));
+}
+
+/**
+ * Build the panel body: date range, then one list per non-empty change category.
+ * @param {import('../types.js').SnapshotDiff|null} diff
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(diff) {
+  if (!diff?.summary?.total) {
+    return '<p class="changes-empty">No changes to the hazard data since your last visit.</p>';
+  }
+
+  let html = `<p class="changes-range">Data from ${esc(formatDate(diff.from.fetchedAt))} → ${esc(formatDate(diff.to.fetchedAt))}</p>`;
+
+  for (const section of SECTIONS) {
+    const items = diff[section.key] || [];
+    if (!items.length) continue;
+    html += `
+      <div class="changes-section">
+        <h3>${esc(section.title)} <span class="changes-count">${items.length}</span></h3>
+        <ul class="changes-list">
+          ${items.map(item => buildRowHtml(section, item)).join('')}
+        </ul>
+      </div>
+    `;
+  }
+  return html;
+}
+
+/**
+ * Build one list row for a hazard or edge change record.
+ * @param {Object} section - Section definition from SECTIONS
+ * @param {Object} item - Change record
+ * @returns {string} HTML string
+ */
+function buildRowHtml(section, item) {
+  const detail = section.detail ? `<span class="changes-detail">${esc(section.detail(item))}</span>` : '';
+
+  if (section.kind === 'hazard') {
+    return `<li><button class="changes-link" data-node-id="${esc(item.id)}">${esc(item.label)}</button>${detail}</li>`;
+  }
+  if (section.kind === 'removed') {
+    return `<li><span class="changes-gone">${esc(item.label)}</span>${detail}</li>`;
+  }
+
+  const text = `${esc(item.sourceLabel)} → ${esc(item.targetLabel)}`;
+  const inferred = item.declared ? '' : ` <span class="causal-inferred">(${esc(PROVENANCE_LABELS[item.provenance])})</span>`;
+  if (section.kind === 'removed-edge') {
+    return `<li><span class="changes-gone">${text}</span>${inferred}${detail}</li>`;
+  }
+  return `<li><button class="changes-link" data-source="${esc(item.source)}" data-target="${esc(item.target)}">${text}</button>${inferred}${detail}</li>`;
+}
+
+/**
+ * Format an ISO timestamp as a short date for the range line.
+ * @param {string|null} iso
+ * @returns {string}
+ */
+function formatDate(iso) {
+  if (!iso) return 'unknown';
+  return new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
@@ -0,0 +1,187 @@
+/**
+ * @module ui/communities
+ * "Communities" floating panel: causal communities from detectCommunities(),
+ * computed by the graph engine and compared with the editorial Type/Cluster
+ * hierarchy.
+ * Shows modularity and agreement scores (NMI/ARI), each community with its
+ * dominant cluster, and the hazards that sit outside the community holding
+ * most of their cluster.
+ * Clicking a community highlights its hazards; clicking an outlier focuses it.
+ * @emits insight:highlight
+ * @emits node:focus
+ */
+import { DEFAULT_RESOLUTION } from '../data/communities.js';
+import { getTypeDef } from '../data/hazard-types.js';
+import { esc, setupDrag } from '../utils/dom.js';
+
+/** Resolutions offered in the selector. Higher values split into more, smaller communities. */
+const RESOLUTION_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+/**
+ * Initialize the communities panel and its header button.
+ * @param {import('../types.js').GraphEngine} engine
+ * @param {Object} bus - Event bus
+ */
+export function initCommunities(engine, bus) {
+  const btn = document.getElementById('btn-communities');
+  if (!btn) return;
+
+  let resolution = DEFAULT_RESOLUTION;
+  let analysis = null;
+  let loading = false;
+  let request = 0;
+  let activeRow = null;
+
+  const panel = document.createElement('div');
+  panel.id = 'communities-panel';
+  panel.className = 'communities-panel hidden';
+  panel.innerHTML = `
+    <div class="communities-titlebar">
+      <span class="communities-title">Causal communities</span>
+      <button class="communities-close" title="Close">&times;</button>
+    </div>
+    <div class="communities-controls">
+      <label>Resolution
+        <select class="communities-resolution">
+          ${RESOLUTION_OPTIONS.map(r => `<option value="${r}"${r === resolution ? ' selected' : ''}>${r}</option>`).join('')}
+        </select>
+      </label>
+    </div>
+    <div class="communities-body"></div>
+  `;
+  document.body.appendChild(panel);
+
+  const body = panel.querySelector('.communities-body');
+
+  function clearActive() {
+    if (!activeRow) return;
+    activeRow.classList.remove('active');
+    activeRow = null;
+    bus.emit('insight:highlight', { clear: true });
+  }
+
+  /** Detect communities at the current resolution; a newer request supersedes this one. */
+  async function load() {
+    const current = ++request;
+    loading = true;
+    clearActive();
+    body.innerHTML = '<p class="communities-summary">Detecting communities…</p>';
+    try {
+      const result = await engine.communities({ resolution });
+      if (current !== request) return;
+      analysis = result;
+      render();
+    } catch (err) {
+      if (current === request) body.innerHTML = `<p class="communities-summary">Could not detect communities: ${esc(err.message)}</p>`;
+    } finally {
+      if (current === request) loading = false;
+    }
+  }
+
+  function render() {
+    clearActive();
+    body.innerHTML = buildBodyHtml(analysis);
+
+    body.querySelectorAll('.communities-community').forEach(el => {
+      el.addEventListener('click', () => {
+        if (activeRow === el) {
+          clearActive();
+          return;
+        }
+        clearActive();
+        el.classList.add('active');
+        activeRow = el;
+        const { nodeIds } = analysis.communities[Number(el.dataset.index)];
+        bus.emit('insight:highlight', { nodeIds });
+      });
+    });
+
+    body.querySelectorAll('.communities-outlier').forEach(el => {
+      el.addEventListener('click', () => {
+        clearActive();
+        bus.emit('node:focus', { id: el.dataset.id });
+      });
+    });
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clearActive();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+      if (!analysis && !loading) load();
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.communities-close').addEventListener('click', close);
+
+  panel.querySelector('.communities-resolution').addEventListener('change', (e) => {
+    resolution = Number(e.target.value);
+    analysis = null;
+    load();
+  });
+
+  bus.on('node:selected', () => {
+    activeRow?.classList.remove('active');
+    activeRow = null; // the selection replaced any community highlight
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.communities-titlebar'));
+}
+
+/**
+ * Build the panel body: agreement summary, community list, then outliers.
+ * @param {import('../types.js').CommunityAnalysis} analysis
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(analysis) {
+  const { communities, agreement, outliers, unconnected, modularity } = analysis;
+  if (!communities.length) {
+    return '<p class="communities-summary">No causal links to group.</p>';
+  }
+
+  const pct = (x) => `${Math.round(x * 100)}%`;
+  let html = `<p class="communities-summary">${communities.length} communities · modularity ${modularity.toFixed(2)}${unconnected.length ? ` · ${unconnected.length} hazards without causal links left out` : ''}</p>`;
+
+  html += `<table class="communities-agreement">
+    <thead><tr><th>Agreement with</th><th title="Normalised mutual information: 1 = same grouping, 0 = unrelated">NMI</th><th title="Adjusted Rand index: 1 = same grouping, 0 = no better than chance">ARI</th></tr></thead>
+    <tbody>
+      <tr><td>Types</td><td>${agreement.type.nmi.toFixed(2)}</td><td>${agreement.type.ari.toFixed(2)}</td></tr>
+      <tr><td>Clusters</td><td>${agreement.cluster.nmi.toFixed(2)}</td><td>${agreement.cluster.ari.toFixed(2)}</td></tr>
+    </tbody>
+  </table>`;
+
+  html += '<div class="communities-heading">Communities <span class="communities-hint">(dominant cluster and share)</span></div><ul class="communities-list">';
+  for (const c of communities) {
+    const title = `Mostly ${c.dominantType} (${pct(c.typePurity)} of its hazards)`;
+    html += `<li><button class="communities-row communities-community" data-index="${c.index}" title="${esc(title)}">
+      <span class="communities-size">${c.nodeIds.length}</span>${esc(c.label)} <span class="communities-purity">${pct(c.clusterPurity)}</span>
+    </button></li>`;
+  }
+  html += '</ul>';
+
+  html += `<div class="communities-heading">Outside their cluster <span class="communities-count">${outliers.length}</span></div>`;
+  if (!outliers.length) {
+    return html + '<p class="communities-summary">Every linked hazard sits with most of its cluster.</p>';
+  }
+  html += '<ul class="communities-list">';
+  for (const o of outliers) {
+    const typeDef = getTypeDef(o.typeName);
+    html += `<li><button class="communities-row communities-outlier" data-id="${esc(o.id)}" title="${esc(o.clusterName || '')}: mostly C${o.clusterCommunity + 1}">
+      <span class="communities-swatch" style="background:${typeDef.color}"></span>${esc(o.label)}
+      <span class="communities-move">C${o.clusterCommunity + 1} → C${o.community + 1}</span>
+    </button></li>`;
+  }
+  return html + '</ul>';
+}
@@ -20,11 +20,44 @@ export const MAX_SEARCH_RESULTS = 20;
 /** Number of top-ranked nodes shown in the sidebar centrality list. */
 export const TOP_N_CENTRALITY = 20;
 
+// ─── Detail Panel ────────────────────────────────────────────────────
+/** Similar hazards listed; past the first few, matches rest on weak overlaps. */
+export const MAX_SIMILAR_SHOWN = 6;
+
 // ─── Flow Matrix ─────────────────────────────────────────────────────
 /** Duration (ms) to show the "Copied!" confirmation on CSV copy button. */
 export const COPY_CONFIRMATION_MS = 2000;
 /** RGB components for the flow matrix heatmap color (blue accent). */
 export const FLOW_HEATMAP_RGB = '91, 156, 245';
+/** Column count from which the matrix switches to compact cells and truncated labels (the 38 clusters, not the 8 types). */
+export const FLOW_DENSE_MIN_COLUMNS = 12;
+
+// ─── Data Quality Panel ──────────────────────────────────────────────
+/** Issues listed per check before truncating; keeps the panel responsive on badly broken data. */
+export const MAX_QUALITY_ISSUES_SHOWN = 100;
+
+// ─── Loops Panel ─────────────────────────────────────────────────────
+/** Loops listed before truncating; long max lengths yield thousands of cycles. */
+export const MAX_LOOPS_SHOWN = 200;
+
+// ─── Simulation Panel ────────────────────────────────────────────────
+/** Hazards listed by activation probability; high link probabilities reach most of the network. */
+export const MAX_SIMULATION_ROWS = 100;
+
+// ─── Robustness Panel ────────────────────────────────────────────────
+/** Cut hazards listed; beyond the first few dozen the disconnected pairs are negligible. */
+export const MAX_CUT_HAZARDS_SHOWN = 25;
+/** Degradation chart size (px), sized to the panel's default width. */
+export const ROBUSTNESS_CHART_WIDTH = 400;
+export const ROBUSTNESS_CHART_HEIGHT = 160;
+
+// ─── Link Review Panel ───────────────────────────────────────────────
+/** Suggestions listed; the full ranked list goes into the CSV download. */
+export const MAX_LINK_SUGGESTIONS_SHOWN = 150;
+
+// ─── Path Finder ─────────────────────────────────────────────────────
+/** Paths listed in the sidebar; all-paths searches can return hundreds. */
+export const MAX_PATHS_SHOWN = 100;
 
 // ─── Insights Panel ─────────────────────────────────────────────────
 /** Stagger delay (ms) between each insight card's count-up animation start. */
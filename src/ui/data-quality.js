@@ -0,0 +1,138 @@
+/**
+ * @module ui/data-quality
+ * "Data quality" floating panel: shows the validateSnapshot() report for the
+ * loaded data, one collapsible section per check.
+ * Hazard issues focus the graph on click; link issues highlight the edge.
+ * @emits node:focus
+ * @emits flow:highlight
+ */
+import { esc, setupDrag } from '../utils/dom.js';
+import { MAX_QUALITY_ISSUES_SHOWN } from './constants.js';
+
+/**
+ * Initialize the data-quality panel and its header button.
+ * @param {import('../types.js').ValidationReport} report - Validation report for the loaded snapshot
+ * @param {Object} bus - Event bus
+ */
+export function initDataQuality(report, bus) {
+  const btn = document.getElementById('btn-quality');
+  if (!btn) return;
+
+  const panel = document.createElement('div');
+  panel.id = 'quality-panel';
+  panel.className = 'quality-panel hidden';
+  panel.innerHTML = `
+    <div class="quality-titlebar">
+      <span class="quality-title">Data quality</span>
+      <button class="quality-close" title="Close">&times;</button>
+    </div>
+    <div class="quality-body">${buildBodyHtml(report)}</div>
+  `;
+  document.body.appendChild(panel);
+
+  if (report.errors) btn.classList.add('has-errors');
+  else if (report.warnings) btn.classList.add('has-warnings');
+  btn.title = `${report.errors} error${report.errors !== 1 ? 's' : ''}, ${report.warnings} warning${report.warnings !== 1 ? 's' : ''}`;
+
+  let activeRow = null;
+
+  function clearActive() {
+    if (!activeRow) return;
+    activeRow.classList.remove('active');
+    activeRow = null;
+    bus.emit('flow:highlight', { edges: [], clear: true });
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clearActive();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.quality-close').addEventListener('click', close);
+
+  panel.querySelectorAll('.quality-link[data-node-id]').forEach(el => {
+    el.addEventListener('click', () => {
+      clearActive();
+      bus.emit('node:focus', { id: el.dataset.nodeId });
+    });
+  });
+
+  panel.querySelectorAll('.quality-link[data-source]').forEach(el => {
+    el.addEventListener('click', () => {
+      if (activeRow === el) {
+        clearActive();
+        return;
+      }
+      clearActive();
+      el.classList.add('active');
+      activeRow = el;
+      bus.emit('flow:highlight', { edges: [{ source: el.dataset.source, target: el.dataset.target }] });
+    });
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.quality-titlebar'));
+}
+
+/**
+ * Build the panel body: overall summary, then one section per check.
+ * Failing checks are collapsible lists; passing checks are a single line.
+ * @param {import('../types.js').ValidationReport} report
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(report) {
+  const summary = report.errors || report.warnings
+    ? `${report.errors} error${report.errors !== 1 ? 's' : ''} · ${report.warnings} warning${report.warnings !== 1 ? 's' : ''}`
+    : 'All checks passed';
+  let html = `<p class="quality-summary">${esc(summary)}</p>`;
+
+  for (const check of report.checks) {
+    const count = check.issues.length;
+    if (!count) {
+      html += `<div class="quality-check quality-pass">&#10003; ${esc(check.title)}</div>`;
+      continue;
+    }
+    const shown = check.issues.slice(0, MAX_QUALITY_ISSUES_SHOWN);
+    const more = count - shown.length;
+    html += `
+      <details class="quality-check quality-${check.severity}"${check.severity === 'error' ? ' open' : ''}>
+        <summary>${esc(check.title)} <span class="quality-count">${count}</span></summary>
+        <ul class="quality-list">
+          ${shown.map(issue => buildIssueHtml(check, issue)).join('')}
+          ${more > 0 ? `<li class="quality-more">… ${more} more</li>` : ''}
+        </ul>
+      </details>
+    `;
+  }
+  return html;
+}
+
+/**
+ * Build one issue row: clickable when it points at a hazard or a drawable link.
+ * @param {Object} check - Check entry from the report
+ * @param {Object} issue - Issue record
+ * @returns {string} HTML string
+ */
+function buildIssueHtml(check, issue) {
+  const text = esc(issue.message);
+  if (issue.source && issue.target && check.code !== 'unknown-endpoint') {
+    return `<li><button class="quality-link" data-source="${esc(issue.source)}" data-target="${esc(issue.target)}">${text}</button></li>`;
+  }
+  if (issue.nodeId) {
+    return `<li><button class="quality-link" data-node-id="${esc(issue.nodeId)}">${text}</button></li>`;
+  }
+  return `<li><span class="quality-text">${text}</span></li>`;
+}
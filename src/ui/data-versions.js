@@ -0,0 +1,147 @@
+/**
+ * @module ui/data-versions
+ * Footer data-freshness label and cached-versions popover.
+ * Shows exactly which data version is loaded (date, source, cache age) and lets
+ * the user pin an older cached version (roll back) or return to the latest.
+ * Changing the pin reloads the page; URL state carries the current view across.
+ */
+import { listVersions, setPinnedVersionId } from '../data/data-cache.js';
+import { esc } from '../utils/dom.js';
+
+/** Display names for version and load sources. */
+const SOURCE_LABELS = {
+  api: 'Live API',
+  snapshot: 'Snapshot',
+  legacy: 'Earlier cache',
+  cache: 'Cached',
+  'stale-cache': 'Cached, refreshing',
+  pinned: 'Pinned',
+};
+
+/**
+ * Format a timestamp as a short date, optionally with time.
+ * @param {string|number|null} value - ISO string or epoch ms
+ * @param {boolean} [withTime=false]
+ * @returns {string}
+ */
+function formatDate(value, withTime = false) {
+  if (!value) return 'unknown';
+  const options = { day: 'numeric', month: 'short', year: 'numeric' };
+  if (withTime) Object.assign(options, { hour: '2-digit', minute: '2-digit' });
+  return new Date(value).toLocaleString('en-GB', options);
+}
+
+/**
+ * Format the time since a timestamp ("just now", "12m ago", "3h 5m ago", "4d ago").
+ * @param {number} ts - Epoch ms
+ * @returns {string}
+ */
+function formatAge(ts) {
+  const mins = Math.floor((Date.now() - ts) / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 24 * 60) return `${Math.floor(mins / 60)}h ${mins % 60}m ago`;
+  return `${Math.floor(mins / (24 * 60))}d ago`;
+}
+
+/**
+ * Render the footer label and wire up the versions popover.
+ * @param {Object} data - Loaded dataset, annotated with _source and _version by fetchHipsData()
+ * @param {() => void} reload - Reloads the page, keeping the URL state (main's reloadInPlace)
+ */
+export function initDataVersions(data, reload) {
+  const info = document.getElementById('snapshot-info');
+  if (!info || !data.meta) return;
+
+  const version = data._version;
+  const loadedVia = SOURCE_LABELS[data._source] || 'Snapshot';
+  const origin = version ? SOURCE_LABELS[version.source] || version.source : null;
+  const cachedAgo = version && (data._source === 'cache' || data._source === 'stale-cache' || data._source === 'pinned')
+    ? ` ${formatAge(version.storedAt)}` : '';
+  const sourceLabel = origin && origin !== loadedVia ? `${loadedVia}${cachedAgo} · from ${origin}` : `${loadedVia}${cachedAgo}`;
+
+  info.textContent = `${data.meta.nodeCount || data.nodes.length} hazards · Data: ${formatDate(data.meta.fetchedAt)} (${sourceLabel})`;
+  if (!version) return;
+
+  const btn = document.createElement('button');
+  btn.id = 'btn-versions';
+  btn.className = 'versions-btn';
+  btn.textContent = `v${version.id}`;
+  btn.title = `Cached data version #${version.id} · hash ${version.hash}`;
+  btn.setAttribute('aria-haspopup', 'dialog');
+  info.append(' ', btn);
+
+  const popover = document.createElement('div');
+  popover.id = 'versions-popover';
+  popover.className = 'versions-popover hidden';
+  document.body.appendChild(popover);
+
+  async function open() {
+    const versions = await listVersions();
+    popover.innerHTML = buildPopoverHtml(versions, version.id, data._source === 'pinned');
+    popover.classList.remove('hidden');
+    btn.classList.add('active');
+
+    popover.querySelectorAll('[data-pin]').forEach(el => {
+      el.addEventListener('click', () => {
+        setPinnedVersionId(el.dataset.pin === 'latest' ? null : Number(el.dataset.pin));
+        reload();
+      });
+    });
+  }
+
+  function close() {
+    popover.classList.add('hidden');
+    btn.classList.remove('active');
+  }
+
+  btn.addEventListener('click', () => {
+    if (popover.classList.contains('hidden')) open();
+    else close();
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!popover.classList.contains('hidden') && !popover.contains(e.target) && e.target !== btn) close();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !popover.classList.contains('hidden')) close();
+  });
+}
+
+/**
+ * Build the versions list: one row per cached version with its provenance and
+ * a pin (roll back) action, plus a "use latest" action when pinned.
+ * @param {import('../types.js').CachedVersion[]} versions - Newest first
+ * @param {number} loadedId - Version currently displayed
+ * @param {boolean} isPinned - Whether the loaded version is pinned
+ * @returns {string} HTML string
+ */
+function buildPopoverHtml(versions, loadedId, isPinned) {
+  const status = isPinned
+    ? `Pinned to v${loadedId}. New data is not loaded until you unpin.`
+    : 'Loading the latest version. Pin a version to keep using it.';
+  let html = `<div class="versions-header"><span>Cached data versions</span>${
+    isPinned ? '<button class="versions-action" data-pin="latest">Use latest</button>' : ''
+  }</div><p class="versions-status">${esc(status)}</p><ul class="versions-list">`;
+
+  for (const v of versions) {
+    const current = v.id === loadedId;
+    const action = current
+      ? '<span class="versions-current">loaded</span>'
+      : `<button class="versions-action" data-pin="${v.id}">Pin</button>`;
+    html += `
+      <li class="${current ? 'current' : ''}">
+        <div class="versions-row">
+          <strong>v${v.id}</strong>
+          <span>${esc(formatDate(v.fetchedAt))}</span>
+          ${action}
+        </div>
+        <div class="versions-meta">
+          ${esc(SOURCE_LABELS[v.source] || v.source)} · stored ${esc(formatDate(v.storedAt, true))} ·
+          ${v.nodeCount} hazards, ${v.edgeCount} links · #${esc(v.hash)}
+        </div>
+      </li>`;
+  }
+  return html + '</ul>';
+}
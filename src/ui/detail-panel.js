@@ -1,7 +1,8 @@
 /**
  * @module ui/detail-panel
  * Detail panel: shows full info for a selected hazard node.
- * Displays metadata badges, definition, scope notes, causal links, and sources.
+ * Displays metadata badges, definition, scope notes, causal links, hazards
+ * named in scope notes (text mentions), similar hazards, and sources.
  * @listens node:selected
  * @listens node:deselected
  * @listens grouping:change
@@ -9,16 +10,28 @@
  * @emits khop:change
  */
 import { getTypeDef } from '../data/hazard-types.js';
+import { CENTRALITY_MEASURES } from '../data/centrality-measures.js';
 import { esc } from '../utils/dom.js';
+import { MAX_SIMILAR_SHOWN } from './constants.js';
 
 let nodeDataMap = null;
 let bus = null;
-/** @type {Map<string, Set<string>>} targetId -> Set of sourceIds that declare "I cause targetId" */
+/** @type {Map<string, Set<string>>} targetId -> Set of sourceIds with an edge into targetId */
 let incomingByTarget = null;
+/** @type {Map<string, Set<string>>} sourceId -> Set of targetIds with an edge from sourceId */
+let outgoingBySource = null;
 let currentHops = 1;
 let currentNodeId = null;
 /** @type {Map<string, object>|null} centrality metrics map */
 let centralityData = null;
+/** @type {Map<string, object>|null} centrality metrics for the filtered graph, null when unfiltered */
+let filteredCentralityData = null;
+/** @type {Map<string, import('../types.js').SimilarHazard[]>|null} most similar hazards per hazard */
+let similarityData = null;
+/** @type {Map<string, import('../types.js').Mention[]>|null} hazard ID -> mentions in its own scope notes */
+let mentionsBySource = null;
+/** @type {Map<string, import('../types.js').Mention[]>|null} hazard ID -> mentions of it in other hazards' notes */
+let mentionsByTarget = null;
 
 /** Maps scope note type keys (from the API's dct:type) to human-readable labels. */
 const SCOPE_NOTE_LABELS = {
@@ -43,11 +56,15 @@ export function initDetailPanel(dataMap, edges, eventBus) {
   nodeDataMap = dataMap;
   bus = eventBus;
 
-  // Build reverse edge lookup: for each target, which sources declare "I cause target"
+  // Build edge lookups in both directions. Edges come from sources' causes and from
+  // targets' causedBy, so these reveal links this node's own arrays don't list.
   incomingByTarget = new Map();
+  outgoingBySource = new Map();
   for (const e of edges) {
     if (!incomingByTarget.has(e.target)) incomingByTarget.set(e.target, new Set());
     incomingByTarget.get(e.target).add(e.source);
+    if (!outgoingBySource.has(e.source)) outgoingBySource.set(e.source, new Set());
+    outgoingBySource.get(e.source).add(e.target);
   }
 
   bus.on('node:selected', ({ id }) => {
@@ -69,11 +86,53 @@ export function initDetailPanel(dataMap, edges, eventBus) {
 }
 
 /**
- * Set centrality metrics data for display in detail panel.
- * @param {Map<string, object>} metrics
+ * Set centrality metrics data for display in detail panel. With filtered
+ * metrics, both are shown side by side; an open panel re-renders.
+ * @param {Map<string, object>} metrics - Full network
+ * @param {Map<string, object>|null} [filteredMetrics=null] - Graph under the current sidebar filters
  */
-export function setCentralityData(metrics) {
+export function setCentralityData(metrics, filteredMetrics = null) {
   centralityData = metrics;
+  filteredCentralityData = filteredMetrics;
+  if (currentNodeId) showDetail(currentNodeId);
+}
+
+/**
+ * Set similar-hazard matches for display in detail panel; an open panel re-renders.
+ * @param {Map<string, import('../types.js').SimilarHazard[]>} similarity
+ */
+export function setSimilarityData(similarity) {
+  similarityData = similarity;
+  if (currentNodeId) showDetail(currentNodeId);
+}
+
+/**
+ * Set scope-note mentions for display in detail panel; an open panel re-renders.
+ * @param {import('../types.js').Mention[]} mentions
+ */
+export function setMentionData(mentions) {
+  mentionsBySource = new Map();
+  mentionsByTarget = new Map();
+  for (const m of mentions) {
+    if (!mentionsBySource.has(m.sourceId)) mentionsBySource.set(m.sourceId, []);
+    mentionsBySource.get(m.sourceId).push(m);
+    if (!mentionsByTarget.has(m.targetId)) mentionsByTarget.set(m.targetId, []);
+    mentionsByTarget.get(m.targetId).push(m);
+  }
+  if (currentNodeId) showDetail(currentNodeId);
+}
+
+/**
+ * Rank change badge: positive when the hazard ranks higher in the filtered graph.
+ * @param {number} fullRank
+ * @param {number} filteredRank
+ * @returns {string} HTML string
+ */
+function rankDeltaHtml(fullRank, filteredRank) {
+  const delta = fullRank - filteredRank;
+  if (delta === 0) return '<span class="centrality-delta" title="Same rank as in the full network">=</span>';
+  const dir = delta > 0 ? 'up' : 'down';
+  return `<span class="centrality-delta ${dir}" title="${Math.abs(delta)} place${Math.abs(delta) === 1 ? '' : 's'} ${delta > 0 ? 'higher' : 'lower'} than in the full network">${delta > 0 ? '▲' : '▼'}${Math.abs(delta)}</span>`;
 }
 
 /**
@@ -123,25 +182,84 @@ function buildCentralityHtml(data) {
   if (!centralityData) return '';
   const metrics = centralityData.get(data.id);
   if (!metrics) return '';
-  return `
-    <div class="centrality-section">
-      <h3>Centrality <span class="info-tip" aria-label="What is centrality?">?<span class="info-tip-content">Centrality measures how important a hazard is within the network based on its connections and position.</span></span></h3>
-      <div class="centrality-metrics">
+  const filtered = filteredCentralityData?.get(data.id);
+  const rows = CENTRALITY_MEASURES.map(({ key, label, description }) => {
+    const name = `<span class="centrality-name">${label} <span class="info-tip" aria-label="What is ${label.toLowerCase()}?">?<span class="info-tip-content">${description}</span></span></span>`;
+    if (!filtered) {
+      return `
         <div class="centrality-metric">
-          <span class="centrality-name">Betweenness <span class="info-tip" aria-label="What is betweenness?">?<span class="info-tip-content">How often this hazard lies on the shortest path between other hazards. High values indicate key bridges in causal chains.</span></span></span>
-          <span class="centrality-value">${metrics.betweenness.toFixed(4)}</span>
-          <span class="centrality-rank">#${metrics.betweennessRank}</span>
-        </div>
+          ${name}
+          <span class="centrality-value">${metrics[key].toFixed(4)}</span>
+          <span class="centrality-rank">#${metrics[`${key}Rank`]}</span>
+        </div>`;
+    }
+    return `
         <div class="centrality-metric">
-          <span class="centrality-name">PageRank <span class="info-tip" aria-label="What is PageRank?">?<span class="info-tip-content">Importance based on being caused by other important hazards. High values mean many significant triggers.</span></span></span>
-          <span class="centrality-value">${metrics.pageRank.toFixed(4)}</span>
-          <span class="centrality-rank">#${metrics.pageRankRank}</span>
-        </div>
+          ${name}
+          <span class="centrality-value">${filtered[key].toFixed(4)}</span>
+          <span class="centrality-rank">#${filtered[`${key}Rank`]}</span>
+          ${rankDeltaHtml(metrics[`${key}Rank`], filtered[`${key}Rank`])}
+          <span class="centrality-full" title="Full network">${metrics[key].toFixed(4)} #${metrics[`${key}Rank`]}</span>
+        </div>`;
+  }).join('');
+
+  let note = '';
+  if (filtered) {
+    note = `
+      <div class="centrality-compare-head"><span>Filtered</span><span>Full network</span></div>`;
+  } else if (filteredCentralityData) {
+    note = `
+      <p class="centrality-note">This hazard is hidden by the current filters; full-network values shown.</p>`;
+  }
+  return `
+    <div class="centrality-section">
+      <h3>Centrality <span class="info-tip" aria-label="What is centrality?">?<span class="info-tip-content">Centrality measures how important a hazard is within the network based on its connections and position. While types are hidden or only declared links are shown, values are recomputed for that filtered graph and compared with the full network; ranks run over the hazards still shown.</span></span></h3>${note}
+      <div class="centrality-metrics">${rows}
+      </div>
+    </div>
+  `;
+}
+
+/** Reach directions shown in the detail panel: [field prefix, label, tooltip]. */
+const REACH_DIRECTIONS = [
+  ['downstream', 'Downstream', 'Hazards this one can transitively cause, by following causal links forward.'],
+  ['upstream', 'Upstream', 'Hazards that can transitively cause this one, by following causal links backward.'],
+];
+
+/**
+ * Build the reach section: downstream and upstream closure sizes, with
+ * breakdowns by hop count and by hazard type.
+ * @param {object} data - Node data
+ * @returns {string} HTML string or empty string
+ */
+function buildReachHtml(data) {
+  if (!centralityData) return '';
+  const filtered = filteredCentralityData?.get(data.id);
+  const metrics = filtered || centralityData.get(data.id);
+  if (!metrics || metrics.downstream === undefined) return '';
+
+  const rows = REACH_DIRECTIONS.map(([key, name, tip]) => {
+    const count = metrics[key];
+    const share = (metrics[key + 'Share'] * 100).toFixed(1);
+    const hops = metrics[key + 'ByHop'].map((n, i) => `<span class="reach-hop" title="${n} at ${i + 1} hop${i ? 's' : ''}">${i + 1}: ${n}</span>`).join('');
+    const segments = Object.entries(metrics[key + 'ByType'])
+      .sort((a, b) => b[1] - a[1])
+      .map(([typeName, n]) => `<span class="reach-type-segment" style="width:${(n / count) * 100}%;background:${getTypeDef(typeName).color}" title="${esc(typeName)}: ${n}"></span>`)
+      .join('');
+    return `
         <div class="centrality-metric">
-          <span class="centrality-name">Closeness <span class="info-tip" aria-label="What is closeness?">?<span class="info-tip-content">How quickly this hazard can reach all others via causal links. High values mean fewer steps to the rest of the network.</span></span></span>
-          <span class="centrality-value">${metrics.closeness.toFixed(4)}</span>
-          <span class="centrality-rank">#${metrics.closenessRank}</span>
+          <span class="centrality-name">${name} <span class="info-tip" aria-label="What is ${name.toLowerCase()} reach?">?<span class="info-tip-content">${tip}</span></span></span>
+          <span class="centrality-value">${count} <span class="reach-share">(${share}%)</span></span>
+          <span class="centrality-rank">#${metrics[key + 'Rank']}</span>
         </div>
+        ${count ? `<div class="reach-hops" title="Newly reached hazards per hop">${hops}</div>
+        <div class="reach-type-bar">${segments}</div>` : ''}`;
+  }).join('');
+
+  return `
+    <div class="centrality-section reach-section">
+      <h3>Reach${filtered ? ' <span class="reach-filtered">filtered</span>' : ''} <span class="info-tip" aria-label="What is reach?">?<span class="info-tip-content">How much of the network lies downstream (impact) and upstream (exposure) of this hazard, as a count and a share of all other hazards.</span></span></h3>
+      <div class="centrality-metrics">${rows}
       </div>
     </div>
   `;
@@ -173,28 +291,31 @@ function buildScopeNotesHtml(data) {
 }
 
 /**
- * Build the "Causes" list section.
+ * Build the "Causes" list section with declared + target-attested merge.
+ * Target-attested effects list this node in their causedBy without this node
+ * listing them in its causes.
  * @param {object} data - Node data
  * @returns {string} HTML string or empty string
  */
 function buildCausesHtml(data) {
-  if (!data.causes?.length) return '';
-  return `
-    <div class="detail-section">
-      <h3>Causes (${data.causes.length})</h3>
-      <ul class="causal-list">
-        ${data.causes.map(id => {
-          const target = nodeDataMap.get(id);
-          const label = target?.label || id;
-          return `<li><button class="causal-link causes" data-node-id="${esc(id)}">${esc(label)}</button></li>`;
-        }).join('')}
-      </ul>
-    </div>
-  `;
+  const declaredSet = new Set(data.causes || []);
+  const outgoingTargets = outgoingBySource?.get(data.id) || new Set();
+  const targetOnlyIds = [...outgoingTargets].filter(id => !declaredSet.has(id));
+
+  return buildCausalSectionHtml({
+    title: 'Causes',
+    linkClass: 'causes',
+    declaredIds: data.causes || [],
+    extraIds: targetOnlyIds,
+    extraLabel: 'target-attested',
+    extraClass: 'target-only',
+  });
 }
 
 /**
  * Build the "Caused By" list section with declared + inferred merge.
+ * Inferred triggers list this node in their causes without this node
+ * listing them in its causedBy.
  * @param {object} data - Node data
  * @returns {string} HTML string or empty string
  */
@@ -202,35 +323,173 @@ function buildCausedByHtml(data) {
   const declaredSet = new Set(data.causedBy || []);
   const incomingSources = incomingByTarget?.get(data.id) || new Set();
   const inferredIds = [...incomingSources].filter(id => !declaredSet.has(id));
-  const declaredCount = declaredSet.size;
-  const inferredCount = inferredIds.length;
-  const totalCausedBy = declaredCount + inferredCount;
 
-  if (totalCausedBy === 0) return '';
+  return buildCausalSectionHtml({
+    title: 'Caused By',
+    linkClass: 'caused-by',
+    declaredIds: data.causedBy || [],
+    extraIds: inferredIds,
+    extraLabel: 'inferred',
+    extraClass: 'inferred',
+  });
+}
+
+/**
+ * A mention sentence with the matched wording marked.
+ * @param {import('../types.js').Mention} m
+ * @returns {string} HTML string
+ */
+function mentionSentenceHtml(m) {
+  const at = m.sentence.indexOf(m.term);
+  const section = `<span class="mention-note">${esc(SCOPE_NOTE_LABELS[m.section] || m.section)}</span>`;
+  if (at === -1) return `${section} ${esc(m.sentence)}`;
+  return `${section} ${esc(m.sentence.slice(0, at))}<mark>${esc(m.term)}</mark>${esc(m.sentence.slice(at + m.term.length))}`;
+}
+
+/**
+ * One list of text mentions, a hazard per item with the sentences naming it.
+ * @param {import('../types.js').Mention[]} mentions
+ * @param {'sourceId'|'targetId'} otherKey - Field holding the other hazard
+ * @param {string} selfId - The hazard shown in the panel
+ * @returns {string} HTML string
+ */
+function buildMentionListHtml(mentions, otherKey, selfId) {
+  const byHazard = new Map();
+  for (const m of mentions) {
+    if (!byHazard.has(m[otherKey])) byHazard.set(m[otherKey], []);
+    byHazard.get(m[otherKey]).push(m);
+  }
+  const labelOf = (id) => nodeDataMap.get(id)?.label || id;
+  return [...byHazard.keys()]
+    .sort((a, b) => labelOf(a).localeCompare(labelOf(b)))
+    .map(id => {
+      const linked = outgoingBySource?.get(selfId)?.has(id) || outgoingBySource?.get(id)?.has(selfId);
+      const tag = linked ? '' : '<span class="similar-tag" title="Neither hazard lists the other as a cause or effect">not linked</span>';
+      return `<li>
+          <button class="causal-link mention" data-node-id="${esc(id)}">${esc(labelOf(id))}</button>${tag}
+          <ul class="mention-sentences">${byHazard.get(id).map(m => `<li>${mentionSentenceHtml(m)}</li>`).join('')}</ul>
+        </li>`;
+    }).join('');
+}
+
+/**
+ * Build the "Text mentions" section: hazards this hazard's scope notes name,
+ * and hazards whose scope notes name it, each with the sentences. Mentions
+ * without a causal link either way are tagged for curators.
+ * @param {object} data - Node data
+ * @returns {string} HTML string or empty string
+ */
+function buildMentionsHtml(data) {
+  const names = mentionsBySource?.get(data.id) || [];
+  const namedBy = mentionsByTarget?.get(data.id) || [];
+  if (!names.length && !namedBy.length) return '';
+
+  const count = (list, key) => new Set(list.map(m => m[key])).size;
+  const headerParts = [];
+  if (names.length) headerParts.push(`${count(names, 'targetId')} named`);
+  if (namedBy.length) headerParts.push(`${count(namedBy, 'sourceId')} naming it`);
+
+  return `
+    <div class="detail-section mentions-section">
+      <h3>Text mentions (${headerParts.join(' + ')}) <span class="info-tip" aria-label="What are text mentions?">?<span class="info-tip-content">Hazards named by label or alternative label in scope notes. A mention is not a declared causal link, but an unlinked one may point to a missing link.</span></span></h3>
+      ${names.length ? `<div class="mentions-subhead">Named in this hazard's scope notes</div>
+      <ul class="causal-list">${buildMentionListHtml(names, 'targetId', data.id)}</ul>` : ''}
+      ${namedBy.length ? `<div class="mentions-subhead">Scope notes naming this hazard</div>
+      <ul class="causal-list">${buildMentionListHtml(namedBy, 'sourceId', data.id)}</ul>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * One line of text explaining a similarity signal.
+ * @param {import('../types.js').SimilarityReason} reason
+ * @returns {string} Plain text
+ */
+function similarityReasonText(reason) {
+  switch (reason.kind) {
+    case 'triggers': return `${reason.shared.length} shared trigger${reason.shared.length === 1 ? '' : 's'}`;
+    case 'effects': return `${reason.shared.length} shared effect${reason.shared.length === 1 ? '' : 's'}`;
+    case 'simrank': return 'caused by similar hazards';
+    case 'text': return `similar wording (${reason.terms.join(', ')})`;
+    default: return reason.kind;
+  }
+}
+
+/**
+ * Build the "Similar hazards" section: the best structural and text matches,
+ * each with its reasons. Unlinked matches and possible duplicates are tagged
+ * for curators.
+ * @param {object} data - Node data
+ * @returns {string} HTML string or empty string
+ */
+function buildSimilarHtml(data) {
+  const matches = similarityData?.get(data.id)?.slice(0, MAX_SIMILAR_SHOWN);
+  if (!matches?.length) return '';
+
+  const items = matches.map(m => {
+    const label = nodeDataMap.get(m.id)?.label || m.id;
+    const tags = [
+      m.nearDuplicate ? '<span class="similar-tag duplicate" title="Definitions and scope notes are nearly identical">possible duplicate</span>' : '',
+      m.linked ? '' : '<span class="similar-tag" title="Neither hazard lists the other as a cause or effect">not linked</span>',
+    ].join('');
+    const reasons = m.reasons.map(similarityReasonText).join(' · ');
+    const sharedIds = m.reasons.flatMap(r => r.shared || []);
+    const title = sharedIds.length
+      ? `Shared: ${[...new Set(sharedIds)].map(id => nodeDataMap.get(id)?.label || id).join(', ')}`
+      : '';
+    return `<li>
+          <button class="causal-link similar" data-node-id="${esc(m.id)}">${esc(label)}</button>
+          <span class="similar-score">${Math.round(m.score * 100)}%</span>${tags}
+          ${reasons ? `<div class="similar-reasons" title="${esc(title)}">${esc(reasons)}</div>` : ''}
+        </li>`;
+  }).join('');
+
+  return `
+    <div class="detail-section similar-section">
+      <h3>Similar hazards <span class="info-tip" aria-label="How is similarity scored?">?<span class="info-tip-content">Scored from shared triggers and effects (Jaccard), being caused by similar hazards (SimRank), and similar wording in the definition and scope notes (TF-IDF). Unlinked matches may point to missing causal links.</span></span></h3>
+      <ul class="causal-list">
+        ${items}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Build a causal list section: the node's own declared links first, then links
+ * attested only by the other endpoint (sorted by label and tagged).
+ * @param {object} opts
+ * @param {string} opts.title - Section heading
+ * @param {string} opts.linkClass - Direction class ('causes' or 'caused-by')
+ * @param {string[]} opts.declaredIds - IDs from this node's own array
+ * @param {string[]} opts.extraIds - IDs attested only by the other endpoint
+ * @param {string} opts.extraLabel - Tag text for extra links
+ * @param {string} opts.extraClass - CSS class for extra links
+ * @returns {string} HTML string or empty string
+ */
+function buildCausalSectionHtml({ title, linkClass, declaredIds, extraIds, extraLabel, extraClass }) {
+  if (declaredIds.length + extraIds.length === 0) return '';
 
   const headerParts = [];
-  if (declaredCount) headerParts.push(`${declaredCount} declared`);
-  if (inferredCount) headerParts.push(`${inferredCount} inferred`);
+  if (declaredIds.length) headerParts.push(`${declaredIds.length} declared`);
+  if (extraIds.length) headerParts.push(`${extraIds.length} ${extraLabel}`);
 
   return `
     <div class="detail-section">
-      <h3>Caused By (${headerParts.join(' + ')})</h3>
+      <h3>${title} (${headerParts.join(' + ')})</h3>
       <ul class="causal-list">
-        ${(data.causedBy || []).map(id => {
-          const source = nodeDataMap.get(id);
-          const label = source?.label || id;
-          return `<li><button class="causal-link caused-by" data-node-id="${esc(id)}">${esc(label)}</button></li>`;
+        ${declaredIds.map(id => {
+          const label = nodeDataMap.get(id)?.label || id;
+          return `<li><button class="causal-link ${linkClass}" data-node-id="${esc(id)}">${esc(label)}</button></li>`;
         }).join('')}
-        ${inferredIds
+        ${extraIds
           .sort((a, b) => {
             const la = nodeDataMap.get(a)?.label || a;
             const lb = nodeDataMap.get(b)?.label || b;
             return la.localeCompare(lb);
           })
           .map(id => {
-            const source = nodeDataMap.get(id);
-            const label = source?.label || id;
-            return `<li><button class="causal-link caused-by inferred" data-node-id="${esc(id)}">${esc(label)}</button> <span class="causal-inferred">(inferred)</span></li>`;
+            const label = nodeDataMap.get(id)?.label || id;
+            return `<li><button class="causal-link ${linkClass} ${extraClass}" data-node-id="${esc(id)}">${esc(label)}</button> <span class="causal-${extraClass}">(${extraLabel})</span></li>`;
           }).join('')}
       </ul>
     </div>
@@ -304,9 +563,12 @@ function showDetail(nodeId) {
     buildHeaderHtml(data, typeDef, typeSlug, currentHops),
     buildAltLabelsHtml(data),
     buildCentralityHtml(data),
+    buildReachHtml(data),
     buildScopeNotesHtml(data),
     buildCausesHtml(data),
     buildCausedByHtml(data),
+    buildMentionsHtml(data),
+    buildSimilarHtml(data),
     buildSourcesHtml(data),
   ].filter(Boolean).join('');
 
@@ -370,7 +632,12 @@ export function _reset() {
   nodeDataMap = null;
   bus = null;
   incomingByTarget = null;
+  outgoingBySource = null;
   currentHops = 1;
   currentNodeId = null;
   centralityData = null;
+  filteredCentralityData = null;
+  similarityData = null;
+  mentionsBySource = null;
+  mentionsByTarget = null;
 }
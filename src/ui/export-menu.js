@@ -0,0 +1,127 @@
+/**
+ * @module ui/export-menu
+ * Header "Export" dropdown: downloads the loaded snapshot, or the subset left
+ * by the current sidebar filters (hidden types, declared-only), as RDF or as a
+ * network file for Gephi / Cytoscape Desktop.
+ * @listens filter:types
+ * @listens edges:toggle
+ * @listens centrality:computed
+ */
+import { filterSnapshot } from '../data/subset.js';
+import { RDF_FORMATS } from '../data/rdf-export.js';
+import { NETWORK_FORMATS } from '../data/network-export.js';
+import { esc, downloadFile } from '../utils/dom.js';
+
+/** Format groups in menu order. Each format has label, extension, mime and serialize(subset, context). */
+const GROUPS = [
+  { title: 'RDF', formats: RDF_FORMATS },
+  { title: 'Network analysis', formats: NETWORK_FORMATS },
+];
+
+/**
+ * Initialize the export button and dropdown.
+ * @param {import('../types.js').SnapshotData} data - Full snapshot
+ * @param {Object} bus - Event bus
+ */
+export function initExportMenu(data, bus) {
+  const btn = document.getElementById('btn-export');
+  if (!btn) return;
+
+  let hiddenTypes = new Set();
+  let declaredOnly = false;
+  let centrality = new Map();
+  let filteredCentrality = null;
+
+  const menu = document.createElement('div');
+  menu.id = 'export-menu';
+  menu.className = 'export-menu hidden';
+  menu.setAttribute('role', 'menu');
+  menu.innerHTML = `
+    <div class="export-scope">
+      <label><input type="radio" name="export-scope" value="filtered" checked /> Current filters</label>
+      <label><input type="radio" name="export-scope" value="full" /> Full snapshot</label>
+      <span class="export-summary"></span>
+    </div>
+    ${GROUPS.map(group => `
+      <div class="export-group">
+        <h3>${esc(group.title)}</h3>
+        ${Object.entries(group.formats).map(([key, f]) => `
+          <button class="export-item" role="menuitem" data-format="${esc(key)}">
+            ${esc(f.label)} <span class="export-ext">.${esc(f.extension)}</span>
+          </button>`).join('')}
+      </div>`).join('')}
+  `;
+  btn.parentElement.appendChild(menu);
+
+  const formats = Object.assign({}, ...GROUPS.map(g => g.formats));
+  const summary = menu.querySelector('.export-summary');
+
+  function isFiltered() {
+    return menu.querySelector('input[name="export-scope"]:checked').value === 'filtered';
+  }
+
+  function currentSubset() {
+    return isFiltered() ? filterSnapshot(data, { hiddenTypes, declaredOnly }) : filterSnapshot(data);
+  }
+
+  // Centrality of the filtered network, when the sidebar filters hide anything
+  function currentCentrality() {
+    return (isFiltered() && filteredCentrality) || centrality;
+  }
+
+  function updateSummary() {
+    const subset = currentSubset();
+    summary.textContent = `${subset.nodes.length} hazards · ${subset.edges.length} causal links`;
+  }
+
+  function close() {
+    menu.classList.add('hidden');
+    btn.classList.remove('active');
+  }
+
+  btn.addEventListener('click', () => {
+    if (menu.classList.contains('hidden')) {
+      updateSummary();
+      menu.classList.remove('hidden');
+      btn.classList.add('active');
+    } else {
+      close();
+    }
+  });
+
+  menu.querySelectorAll('input[name="export-scope"]').forEach(input => {
+    input.addEventListener('change', updateSummary);
+  });
+
+  menu.querySelectorAll('.export-item').forEach(item => {
+    item.addEventListener('click', () => {
+      const format = formats[item.dataset.format];
+      const date = (data.meta?.fetchedAt || '').slice(0, 10) || 'snapshot';
+      const suffix = isFiltered() && (hiddenTypes.size || declaredOnly) ? '-filtered' : '';
+      downloadFile(`hips-${date}${suffix}.${format.extension}`, format.serialize(currentSubset(), { centrality: currentCentrality() }), format.mime);
+      close();
+    });
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!menu.classList.contains('hidden') && !menu.contains(e.target) && e.target !== btn) close();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !menu.classList.contains('hidden')) close();
+  });
+
+  bus.on('filter:types', ({ hiddenTypes: types }) => {
+    hiddenTypes = new Set(types);
+  });
+
+  // Hiding all edges is a display setting; exports always include the links
+  bus.on('edges:toggle', ({ declaredOnly: declared }) => {
+    declaredOnly = declared;
+  });
+
+  bus.on('centrality:computed', ({ metrics, filteredMetrics }) => {
+    centrality = metrics;
+    filteredCentrality = filteredMetrics;
+  });
+}
@@ -1,162 +1,367 @@
 /**
  * @module ui/flow-matrix
- * Flow Matrix floating panel: 8x8 heatmap of cross-type causal edge counts.
+ * Flow Matrix floating panel: heatmap of causal edge counts between hazard
+ * types (8×8) or clusters (38×38).
  * Draggable, resizable, stays open while interacting with the graph.
- * Clicking a cell highlights those edges on the graph.
+ * Clicking a cell highlights those edges on the graph and drills down: a type
+ * cell opens the sub-matrix of its clusters, a cluster cell lists the hazard
+ * pairs. Rows and columns can be ordered by total, by hierarchy (type, then
+ * cluster) or by seriation; every level copies or downloads as CSV.
+ * The matrices are filled in once the graph engine has computed them.
  * @emits flow:highlight
  */
-import { computeFlowMatrix } from '../data/flow-matrix.js';
 import { getTypeDef } from '../data/hazard-types.js';
-import { esc, setupDrag } from '../utils/dom.js';
-import { COPY_CONFIRMATION_MS, FLOW_HEATMAP_RGB } from './constants.js';
+import { orderFlowMatrix, flowMatrixToCsv, flowPairsToCsv } from '../data/flow-matrix.js';
+import { PROVENANCE_LABELS } from '../data/edge-provenance.js';
+import { esc, setupDrag, downloadFile } from '../utils/dom.js';
+import { COPY_CONFIRMATION_MS, FLOW_HEATMAP_RGB, FLOW_DENSE_MIN_COLUMNS } from './constants.js';
+
+/** Row/column order options: [value, label]. */
+const ORDERS = [
+  ['hierarchy', 'Hierarchy'],
+  ['total', 'Total'],
+  ['seriation', 'Seriation'],
+];
 
 /**
  * Initialize the flow matrix panel and footer button.
+ * @param {Promise<{typeNames: string[], matrix: number[][], edgeMap: Map}>} typeFlowReady - Resolves to computeFlowMatrix() results
+ * @param {Promise<{clusters: Array<{name: string, typeName: string}>, matrix: number[][], edgeMap: Map}>} clusterFlowReady - Resolves to computeClusterFlowMatrix() results
  * @param {object} data - Snapshot data
  * @param {object} bus - Event bus
  */
-export function initFlowMatrix(data, bus) {
+export function initFlowMatrix(typeFlowReady, clusterFlowReady, data, bus) {
   const btn = document.getElementById('btn-flow-matrix');
   const panel = document.getElementById('flow-panel');
   if (!btn || !panel) return;
 
-  const { typeNames, matrix, edgeMap } = computeFlowMatrix(data);
-
-  // Build short names for column headers
-  const shortNames = typeNames.map(name => {
-    const def = getTypeDef(name);
-    return def.short || name;
-  });
+  const nodeById = new Map(data.nodes.map(n => [n.id, n]));
+  const body = panel.querySelector('#flow-body');
+  body.innerHTML = '<p class="flow-status">Computing flow matrix…</p>';
 
-  // Find max value for heatmap scaling
-  const maxVal = Math.max(1, ...matrix.flat());
+  let typeFlow = null;
+  let clusterFlow = null;
+  let level = 'type'; // top level: 'type' or 'cluster'
+  let order = 'hierarchy';
+  // Drill-down below the top level: { kind: 'clusters', rowType, colType } then { kind: 'pairs', rowCluster, colCluster }
+  let trail = [];
+  let highlighting = false;
+  let activeRow = null;
 
-  // Compute row and column totals
-  const rowTotals = matrix.map(row => row.reduce((s, v) => s + v, 0));
-  const colTotals = typeNames.map((_, ci) => matrix.reduce((s, row) => s + row[ci], 0));
+  typeFlowReady.then(
+    flow => {
+      typeFlow = flow;
+      render();
+    },
+    err => { body.innerHTML = `<p class="flow-status">Could not compute the flow matrix: ${esc(err.message)}</p>`; },
+  );
+  clusterFlowReady.then(
+    flow => {
+      clusterFlow = flow;
+      if (typeFlow) render();
+    },
+    err => console.error('Cluster flow matrix failed:', err),
+  );
 
-  // Build table HTML
-  let tableHtml = '<table class="flow-table">';
+  function highlight(edges) {
+    highlighting = true;
+    bus.emit('flow:highlight', { edges });
+  }
 
-  // Header row with rotated labels
-  tableHtml += '<tr><th class="flow-corner"></th>';
-  for (let ci = 0; ci < typeNames.length; ci++) {
-    const color = getTypeDef(typeNames[ci]).color;
-    tableHtml += `<th class="flow-col-header"><div class="flow-col-label"><span class="flow-swatch" style="background:${color}"></span>${esc(shortNames[ci])}</div></th>`;
+  function clearHighlight() {
+    activeRow = null;
+    if (!highlighting) return;
+    highlighting = false;
+    bus.emit('flow:highlight', { edges: [], clear: true });
   }
-  tableHtml += '<th class="flow-total-header">Total</th></tr>';
 
-  // Data rows
-  for (let ri = 0; ri < typeNames.length; ri++) {
-    const color = getTypeDef(typeNames[ri]).color;
-    tableHtml += `<tr><th class="flow-row-header"><span class="flow-swatch" style="background:${color}"></span>${esc(shortNames[ri])}</th>`;
-    for (let ci = 0; ci < typeNames.length; ci++) {
-      const val = matrix[ri][ci];
-      const intensity = val / maxVal;
-      const isDiag = ri === ci;
-      const cellClass = isDiag ? 'flow-cell flow-diag' : 'flow-cell';
-      const bg = val > 0 ? `rgba(${FLOW_HEATMAP_RGB}, ${(intensity * 0.8 + 0.1).toFixed(2)})` : 'transparent';
-      tableHtml += `<td class="${cellClass}" data-row="${ri}" data-col="${ci}" style="background:${bg}">${val || ''}</td>`;
+  /**
+   * What the current level shows: a matrix with its labels and drill-down,
+   * or the hazard pairs behind one cluster cell.
+   */
+  function currentView() {
+    const step = trail[trail.length - 1];
+
+    if (step?.kind === 'pairs') {
+      const edges = [...(clusterFlow.edgeMap.get(`${step.rowCluster},${step.colCluster}`) || [])];
+      const label = id => nodeById.get(id)?.label || id;
+      edges.sort((a, b) => label(a.source).localeCompare(label(b.source)) || label(a.target).localeCompare(label(b.target)));
+      return { kind: 'pairs', edges, from: clusterFlow.clusters[step.rowCluster], to: clusterFlow.clusters[step.colCluster] };
+    }
+
+    if (step?.kind === 'clusters' || level === 'cluster') {
+      const inType = (typeName) => clusterFlow.clusters
+        .map((c, i) => (typeName === undefined || c.typeName === typeName ? i : -1))
+        .filter(i => i >= 0);
+      const rowIdx = inType(step?.rowType);
+      const colIdx = inType(step?.colType);
+      return matrixView({
+        names: clusterFlow.clusters.map(c => c.name),
+        typeOf: i => clusterFlow.clusters[i].typeName,
+        full: clusterFlow.matrix,
+        edgeMap: clusterFlow.edgeMap,
+        rowIdx,
+        colIdx,
+        sameGroups: step ? step.rowType === step.colType : true,
+        drill: (ri, ci) => ({ kind: 'pairs', rowCluster: ri, colCluster: ci }),
+      });
     }
-    tableHtml += `<td class="flow-total">${rowTotals[ri]}</td></tr>`;
+
+    const all = typeFlow.typeNames.map((_, i) => i);
+    return matrixView({
+      names: typeFlow.typeNames.map(name => getTypeDef(name).short || name),
+      typeOf: i => typeFlow.typeNames[i],
+      full: typeFlow.matrix,
+      edgeMap: typeFlow.edgeMap,
+      rowIdx: all,
+      colIdx: all,
+      sameGroups: true,
+      drill: clusterFlow ? (ri, ci) => ({ kind: 'clusters', rowType: typeFlow.typeNames[ri], colType: typeFlow.typeNames[ci] }) : null,
+    });
   }
 
-  // Column totals row
-  tableHtml += '<tr><th class="flow-total-header">Total</th>';
-  for (let ci = 0; ci < typeNames.length; ci++) {
-    tableHtml += `<td class="flow-total">${colTotals[ci]}</td>`;
+  /**
+   * Restrict a full matrix to some rows and columns and put them in the
+   * selected order. Rows and columns of the result index back into the full
+   * matrix through `rows` and `cols`.
+   */
+  function matrixView({ names, typeOf, full, edgeMap, rowIdx, colIdx, sameGroups, drill }) {
+    const sub = rowIdx.map(ri => colIdx.map(ci => full[ri][ci]));
+    const ordered = orderFlowMatrix(sub, order, sameGroups);
+    const rows = ordered.rows.map(i => rowIdx[i]);
+    const cols = ordered.cols.map(i => colIdx[i]);
+    return {
+      kind: 'matrix',
+      rows,
+      cols,
+      names,
+      typeOf,
+      matrix: rows.map(ri => cols.map(ci => full[ri][ci])),
+      edgesAt: (ri, ci) => edgeMap.get(`${ri},${ci}`) || [],
+      drill,
+    };
   }
-  const grandTotal = rowTotals.reduce((s, v) => s + v, 0);
-  tableHtml += `<td class="flow-total flow-grand-total">${grandTotal}</td></tr>`;
-  tableHtml += '</table>';
-
-  // Build CSV string
-  const csvRows = [];
-  csvRows.push(['Source \\ Target', ...shortNames, 'Total'].join(','));
-  for (let ri = 0; ri < typeNames.length; ri++) {
-    csvRows.push([shortNames[ri], ...matrix[ri], rowTotals[ri]].join(','));
+
+  /** Breadcrumb labels, one per level from the top. */
+  function crumbs() {
+    const list = [level === 'cluster' ? 'All clusters' : 'All types'];
+    for (const step of trail) {
+      if (step.kind === 'clusters') {
+        list.push(`${getTypeDef(step.rowType).short || step.rowType} → ${getTypeDef(step.colType).short || step.colType}`);
+      } else {
+        list.push(`${clusterFlow.clusters[step.rowCluster].name} → ${clusterFlow.clusters[step.colCluster].name}`);
+      }
+    }
+    return list;
   }
-  csvRows.push(['Total', ...colTotals, grandTotal].join(','));
-  const csvString = csvRows.join('\n');
 
-  // Populate panel body
-  const body = panel.querySelector('#flow-body');
-  body.innerHTML = `<div class="flow-toolbar"><button class="flow-copy-btn" id="flow-copy-csv">Copy as CSV</button></div>` + tableHtml;
-
-  // Copy CSV handler
-  body.querySelector('#flow-copy-csv').addEventListener('click', (e) => {
-    const copyBtn = e.currentTarget;
-    navigator.clipboard.writeText(csvString).then(() => {
-      copyBtn.textContent = 'Copied!';
-      copyBtn.classList.add('copied');
-      setTimeout(() => {
-        copyBtn.textContent = 'Copy as CSV';
-        copyBtn.classList.remove('copied');
-      }, COPY_CONFIRMATION_MS);
-    });
-  });
+  /** File name for the current level's CSV. */
+  function csvFileName() {
+    const slug = s => s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const date = new Date().toISOString().slice(0, 10);
+    const step = trail[trail.length - 1];
+    let what = level === 'cluster' ? 'clusters' : 'types';
+    if (step?.kind === 'clusters') what = `clusters-${slug(step.rowType)}-to-${slug(step.colType)}`;
+    if (step?.kind === 'pairs') {
+      what = `pairs-${slug(clusterFlow.clusters[step.rowCluster].name)}-to-${slug(clusterFlow.clusters[step.colCluster].name)}`;
+    }
+    return `hips-flow-${what}-${date}.csv`;
+  }
 
-  // Track active cell
-  let activeCell = null;
-
-  // Cell click handlers
-  body.querySelectorAll('.flow-cell').forEach(td => {
-    td.addEventListener('click', () => {
-      const ri = td.dataset.row;
-      const ci = td.dataset.col;
-      const key = `${ri},${ci}`;
-      const edges = edgeMap.get(key);
-
-      if (activeCell === td) {
-        td.classList.remove('active');
-        activeCell = null;
-        bus.emit('flow:highlight', { edges: [], clear: true });
-        return;
-      }
+  function render() {
+    if (!typeFlow) return;
+    activeRow = null;
+    const view = currentView();
+    const names = crumbs();
+    const csv = view.kind === 'pairs'
+      ? flowPairsToCsv(view.edges, nodeById)
+      : flowMatrixToCsv(view.rows.map(i => view.names[i]), view.cols.map(i => view.names[i]), view.matrix);
 
-      if (activeCell) activeCell.classList.remove('active');
+    body.innerHTML = `
+      <div class="flow-toolbar">
+        <label>Level
+          <select class="flow-level">
+            <option value="type"${level === 'type' ? ' selected' : ''}>Types</option>
+            <option value="cluster"${level === 'cluster' ? ' selected' : ''}${clusterFlow ? '' : ' disabled'}>Clusters</option>
+          </select>
+        </label>
+        <label>Order
+          <select class="flow-order"${view.kind === 'pairs' ? ' disabled' : ''}>
+            ${ORDERS.map(([value, label]) => `<option value="${value}"${value === order ? ' selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </label>
+        <span class="flow-toolbar-spacer"></span>
+        <button class="flow-copy-btn" id="flow-copy-csv">Copy as CSV</button>
+        <button class="flow-copy-btn" id="flow-download-csv">Download CSV</button>
+      </div>
+      <nav class="flow-breadcrumb">${names.map((name, i) => (i < names.length - 1
+        ? `<button class="flow-crumb" data-depth="${i}">${esc(name)}</button><span class="flow-crumb-sep">›</span>`
+        : `<span class="flow-crumb current">${esc(name)}</span>`)).join('')}</nav>
+      ${view.kind === 'pairs' ? buildPairsHtml(view, nodeById) : buildMatrixHtml(view)}
+    `;
 
-      if (!edges || edges.length === 0) {
-        activeCell = null;
-        return;
-      }
+    body.querySelector('.flow-level').addEventListener('change', (e) => {
+      level = e.target.value;
+      trail = [];
+      clearHighlight();
+      render();
+    });
+    body.querySelector('.flow-order').addEventListener('change', (e) => {
+      order = e.target.value;
+      render();
+    });
+    body.querySelectorAll('.flow-crumb[data-depth]').forEach(el => {
+      el.addEventListener('click', () => {
+        trail = trail.slice(0, Number(el.dataset.depth));
+        clearHighlight();
+        render();
+      });
+    });
 
-      td.classList.add('active');
-      activeCell = td;
-      bus.emit('flow:highlight', { edges });
+    // Copy CSV handler
+    body.querySelector('#flow-copy-csv').addEventListener('click', (e) => {
+      const copyBtn = e.currentTarget;
+      navigator.clipboard.writeText(csv).then(() => {
+        copyBtn.textContent = 'Copied!';
+        copyBtn.classList.add('copied');
+        setTimeout(() => {
+          copyBtn.textContent = 'Copy as CSV';
+          copyBtn.classList.remove('copied');
+        }, COPY_CONFIRMATION_MS);
+      });
+    });
+    body.querySelector('#flow-download-csv').addEventListener('click', () => {
+      downloadFile(csvFileName(), csv, 'text/csv');
     });
-  });
 
-  // Toggle panel
-  btn.addEventListener('click', () => {
-    const isHidden = panel.classList.toggle('hidden');
-    btn.classList.toggle('active', !isHidden);
-  });
+    if (view.kind === 'pairs') {
+      body.querySelectorAll('.flow-pair').forEach(tr => {
+        tr.addEventListener('click', () => {
+          if (activeRow) activeRow.classList.remove('active');
+          // Clicking the active pair again goes back to the whole cell
+          if (activeRow === tr) {
+            activeRow = null;
+            highlight(view.edges);
+            return;
+          }
+          tr.classList.add('active');
+          activeRow = tr;
+          highlight([view.edges[Number(tr.dataset.index)]]);
+        });
+      });
+      return;
+    }
 
-  // Close button
-  panel.querySelector('#flow-panel-close').addEventListener('click', () => {
+    // Cell click handlers: highlight the cell's edges and drill down
+    body.querySelectorAll('.flow-cell').forEach(td => {
+      td.addEventListener('click', () => {
+        const ri = view.rows[Number(td.dataset.row)];
+        const ci = view.cols[Number(td.dataset.col)];
+        const edges = view.edgesAt(ri, ci);
+        if (!edges.length) return;
+        highlight(edges);
+        if (!view.drill) {
+          body.querySelectorAll('.flow-cell.active').forEach(el => el.classList.remove('active'));
+          td.classList.add('active');
+          return;
+        }
+        trail = [...trail, view.drill(ri, ci)];
+        render();
+      });
+    });
+  }
+
+  function close() {
     panel.classList.add('hidden');
     btn.classList.remove('active');
-    if (activeCell) {
-      activeCell.classList.remove('active');
-      activeCell = null;
-      bus.emit('flow:highlight', { edges: [], clear: true });
+    clearHighlight();
+    body.querySelectorAll('.flow-cell.active, .flow-pair.active').forEach(el => el.classList.remove('active'));
+  }
+
+  // Toggle panel
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+    } else {
+      close();
     }
   });
 
+  // Close button
+  panel.querySelector('#flow-panel-close').addEventListener('click', close);
+
   // ESC to close
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
-      panel.classList.add('hidden');
-      btn.classList.remove('active');
-      if (activeCell) {
-        activeCell.classList.remove('active');
-        activeCell = null;
-        bus.emit('flow:highlight', { edges: [], clear: true });
-      }
-    }
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
   });
 
   // Drag behavior on title bar
   setupDrag(panel, panel.querySelector('#flow-titlebar'));
 }
+
+/**
+ * Build the heatmap table with row and column totals.
+ * @param {object} view - From matrixView()
+ * @returns {string} HTML string
+ */
+function buildMatrixHtml(view) {
+  const { rows, cols, names, typeOf, matrix } = view;
+  const swatch = i => `<span class="flow-swatch" style="background:${getTypeDef(typeOf(i)).color}"></span>`;
+  const title = i => (names[i] === typeOf(i) ? names[i] : `${names[i]} (${typeOf(i)})`);
+
+  // Find max value for heatmap scaling
+  const maxVal = Math.max(1, ...matrix.flat());
+
+  // Compute row and column totals
+  const rowTotals = matrix.map(row => row.reduce((s, v) => s + v, 0));
+  const colTotals = cols.map((_, c) => matrix.reduce((s, row) => s + row[c], 0));
+  const dense = cols.length >= FLOW_DENSE_MIN_COLUMNS;
+
+  let html = `<table class="flow-table${dense ? ' flow-table-dense' : ''}">`;
+
+  // Header row with rotated labels
+  html += '<tr><th class="flow-corner"></th>';
+  for (const ci of cols) {
+    html += `<th class="flow-col-header" title="${esc(title(ci))}"><div class="flow-col-label">${swatch(ci)}<span class="flow-label-text">${esc(names[ci])}</span></div></th>`;
+  }
+  html += '<th class="flow-total-header">Total</th></tr>';
+
+  // Data rows
+  rows.forEach((ri, r) => {
+    html += `<tr><th class="flow-row-header" title="${esc(title(ri))}">${swatch(ri)}<span class="flow-label-text">${esc(names[ri])}</span></th>`;
+    cols.forEach((ci, c) => {
+      const val = matrix[r][c];
+      const intensity = val / maxVal;
+      const cellClass = ri === ci ? 'flow-cell flow-diag' : 'flow-cell';
+      const bg = val > 0 ? `rgba(${FLOW_HEATMAP_RGB}, ${(intensity * 0.8 + 0.1).toFixed(2)})` : 'transparent';
+      html += `<td class="${cellClass}${val ? '' : ' empty'}" data-row="${r}" data-col="${c}" style="background:${bg}" title="${esc(`${title(ri)} → ${title(ci)}: ${val}`)}">${val || ''}</td>`;
+    });
+    html += `<td class="flow-total">${rowTotals[r]}</td></tr>`;
+  });
+
+  // Column totals row
+  html += '<tr><th class="flow-total-header">Total</th>';
+  for (const total of colTotals) html += `<td class="flow-total">${total}</td>`;
+  const grandTotal = rowTotals.reduce((s, v) => s + v, 0);
+  html += `<td class="flow-total flow-grand-total">${grandTotal}</td></tr>`;
+  html += '</table>';
+  return html;
+}
+
+/**
+ * Build the list of hazard pairs behind one cluster cell.
+ * @param {{edges: Array<{source: string, target: string, provenance: string}>, from: object, to: object}} view
+ * @param {Map<string, Object>} nodeById
+ * @returns {string} HTML string
+ */
+function buildPairsHtml({ edges, from, to }, nodeById) {
+  const label = id => nodeById.get(id)?.label || id;
+  let html = `<p class="flow-status">${edges.length} causal link${edges.length !== 1 ? 's' : ''} from ${esc(from.name)} (${esc(from.typeName)}) to ${esc(to.name)} (${esc(to.typeName)}). Click a pair to highlight it alone.</p>`;
+  html += '<table class="flow-pairs"><tr><th>Cause</th><th>Effect</th><th>Link</th></tr>';
+  edges.forEach((e, i) => {
+    html += `<tr class="flow-pair" data-index="${i}"><td>${esc(label(e.source))}</td><td>${esc(label(e.target))}</td><td class="flow-pair-link">${esc(PROVENANCE_LABELS[e.provenance] || '')}</td></tr>`;
+  });
+  html += '</table>';
+  return html;
+}
@@ -1,13 +1,16 @@
 /**
  * @module ui/insights
- * Insights floating panel with 9 network-statistics cards.
+ * Insights floating panel with network-statistics cards.
  * Each card shows a computed metric and highlights relevant nodes on click.
+ * The panel opens straight away; cards appear once the graph engine has
+ * computed the insights.
  * @emits insight:highlight
  * @emits node:focus
  * @listens node:selected
  */
 import { esc, setupDrag } from '../utils/dom.js';
 import { INSIGHT_STAGGER_MS, INSIGHT_ANIMATION_MS } from './constants.js';
+import { CAUSAL, RELATED, HAS_PART } from '../data/relationships.js';
 
 let bus = null;
 let drawerEl = null;
@@ -55,6 +58,20 @@ const CARDS = [
       return { nodeIds: ins.isolatedNodes };
     },
   },
+  {
+    id: 'feedback-loops',
+    category: 'Network Structure',
+    label: 'Feedback loops',
+    subtitle: (ins) => ins.feedbackLoops.componentCount
+      ? `≤${ins.feedbackLoops.maxLength} links · largest loop system ${ins.feedbackLoops.largestComponent.length} hazards`
+      : 'no causal cycles',
+    value: (ins) => ins.feedbackLoops.cycleCount.toLocaleString(),
+    numeric: (ins) => ins.feedbackLoops.cycleCount,
+    format: 'int',
+    click(ins) {
+      return { nodeIds: ins.feedbackLoops.largestComponent };
+    },
+  },
   // Cross-Domain Patterns
   {
     id: 'cross-type',
@@ -92,6 +109,18 @@ const CARDS = [
       return { nodeIds: ins.densestCluster.nodeIds };
     },
   },
+  {
+    id: 'communities',
+    category: 'Cross-Domain',
+    label: 'Causal communities',
+    subtitle: (ins) => `NMI ${ins.communities.clusterNmi.toFixed(2)} vs clusters · ${ins.communities.outlierIds.length} outside their cluster`,
+    value: (ins) => ins.communities.count,
+    numeric: (ins) => ins.communities.count,
+    format: 'int',
+    click(ins) {
+      return { nodeIds: ins.communities.outlierIds };
+    },
+  },
   // Data Quality
   {
     id: 'reciprocation',
@@ -105,11 +134,23 @@ const CARDS = [
       return { nodeIds: ins.inferredEdgeNodeIds, edgeFilter: 'inferred' };
     },
   },
+  {
+    id: 'target-only',
+    category: 'Data Quality',
+    label: 'Target-attested links',
+    subtitle: (ins) => `${ins.targetOnlyEdgeCount} listed only in causedBy`,
+    value: (ins) => Math.round(ins.targetOnlyRate * 100) + '%',
+    numeric: (ins) => ins.targetOnlyRate * 100,
+    format: 'percent',
+    click(ins) {
+      return { nodeIds: ins.targetOnlyEdgeNodeIds, edgeFilter: 'target-only' };
+    },
+  },
   {
     id: 'inferred-only',
     category: 'Data Quality',
     label: 'Inferred-only nodes',
-    subtitle: 'connected solely by others\' declarations',
+    subtitle: 'connected solely by one-sided links',
     value: (ins) => ins.inferredOnlyNodes.length,
     numeric: (ins) => ins.inferredOnlyNodes.length,
     format: 'int',
@@ -129,34 +170,102 @@ const CARDS = [
       return { nodeIds: ins.unreferencedNodes };
     },
   },
+  // Relationship Layers
+  layerCard(CAUSAL, 'Causal links'),
+  layerCard(RELATED, 'Associative links'),
+  layerCard(HAS_PART, 'Partitive links'),
 ];
 
+/**
+ * Card for one relationship layer: its link count, with coverage and
+ * consistency in the subtitle. Clicking highlights the hazards it links.
+ * @param {string} layer - Key into insights.relationshipLayers
+ * @param {string} label
+ * @returns {Object} Card definition
+ */
+function layerCard(layer, label) {
+  return {
+    id: `layer-${layer}`,
+    category: 'Relationship Layers',
+    label,
+    subtitle(ins) {
+      const s = ins.relationshipLayers[layer];
+      if (!s.linkCount) {
+        return s.unresolvedCount
+          ? `${s.property} · ${s.unresolvedCount.toLocaleString()} refs, none to a hazard`
+          : `${s.property} · not recorded`;
+      }
+      const parts = [`${s.hazardIds.length} hazards`, `${Math.round(s.crossTypeRate * 100)}% cross-type`];
+      if (s.reciprocationRate !== null) parts.push(`${Math.round(s.reciprocationRate * 100)}% reciprocated`);
+      if (s.unresolvedCount) parts.push(`${s.unresolvedCount} unresolved`);
+      return parts.join(' · ');
+    },
+    value: (ins) => ins.relationshipLayers[layer].linkCount.toLocaleString(),
+    numeric: (ins) => ins.relationshipLayers[layer].linkCount,
+    format: 'int',
+    click(ins) {
+      const { hazardIds } = ins.relationshipLayers[layer];
+      return hazardIds.length ? { nodeIds: hazardIds } : null;
+    },
+  };
+}
+
 /**
  * Initialize the insights panel.
- * @param {Object} insights - Computed insights from computeInsights()
+ * @param {Promise<Object>} insightsReady - Resolves to computeInsights() results
  * @param {Object} data - Raw snapshot data (unused but available for future cards)
  * @param {Object} eventBus - Event bus
  */
-export function initInsights(insights, data, eventBus) {
+export function initInsights(insightsReady, data, eventBus) {
   bus = eventBus;
 
   // Build floating panel
   drawerEl = document.createElement('div');
   drawerEl.id = 'insights-panel';
   drawerEl.className = 'insights-panel hidden';
-  drawerEl.innerHTML = buildPanelHTML(insights);
+  drawerEl.innerHTML = buildPanelHTML();
   document.body.appendChild(drawerEl);
 
   // Toggle button
   const toggleBtn = document.getElementById('btn-insights');
   if (toggleBtn) {
-    toggleBtn.addEventListener('click', () => togglePanel(insights));
+    toggleBtn.addEventListener('click', () => togglePanel());
   }
 
   // Close button inside panel
   drawerEl.querySelector('.insights-close').addEventListener('click', () => closePanel());
 
-  // Card click handlers
+  insightsReady.then(
+    insights => showCards(insights),
+    err => {
+      drawerEl.querySelector('.insights-panel-body').innerHTML = `<p class="insights-status">Could not compute insights: ${esc(err.message)}</p>`;
+    },
+  );
+
+  // ESC to close
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !drawerEl.classList.contains('hidden')) {
+      closePanel();
+    }
+  });
+
+  // Clear insight highlights when a graph node is selected
+  bus.on('node:selected', () => {
+    clearActive();
+  });
+
+  // Drag behavior on title bar
+  setupDrag(drawerEl, drawerEl.querySelector('.insights-titlebar'));
+}
+
+/**
+ * Fill the panel with the insight cards and wire their click handlers.
+ * Animates straight away when the panel is already open.
+ * @param {Object} insights - Computed insight metrics
+ */
+function showCards(insights) {
+  drawerEl.querySelector('.insights-panel-body').innerHTML = buildGridHTML(insights);
+
   drawerEl.querySelectorAll('.insight-card').forEach((cardEl) => {
     const cardId = cardEl.dataset.cardId;
     const cardDef = CARDS.find((c) => c.id === cardId);
@@ -179,36 +288,35 @@ export function initInsights(insights, data, eventBus) {
     });
   });
 
-  // ESC to close
-  document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && !drawerEl.classList.contains('hidden')) {
-      closePanel();
-    }
-  });
-
-  // Clear insight highlights when a graph node is selected
-  bus.on('node:selected', () => {
-    clearActive();
-  });
-
-  // Drag behavior on title bar
-  setupDrag(drawerEl, drawerEl.querySelector('.insights-titlebar'));
+  if (!drawerEl.classList.contains('hidden')) {
+    hasAnimated = true;
+    animateCountUp();
+  }
 }
 
 /**
- * Build the full panel HTML including title bar, grid, and all cards.
- * @param {Object} insights - Computed insight metrics
+ * Build the panel shell: title bar and a body that waits for the cards.
  * @returns {string} Panel inner HTML
  */
-function buildPanelHTML(insights) {
-  let html = `
+function buildPanelHTML() {
+  return `
     <div class="insights-titlebar">
       <span class="insights-title">Network Insights</span>
       <button class="insights-close" title="Close">&times;</button>
     </div>
     <div class="insights-panel-body">
-    <div class="insights-grid">
+      <p class="insights-status">Computing network statistics…</p>
+    </div>
   `;
+}
+
+/**
+ * Build the card grid, grouped by category.
+ * @param {Object} insights - Computed insight metrics
+ * @returns {string} Grid HTML
+ */
+function buildGridHTML(insights) {
+  let html = '<div class="insights-grid">';
 
   let currentCategory = '';
   for (const card of CARDS) {
@@ -226,24 +334,24 @@ function buildPanelHTML(insights) {
     `;
   }
 
-  html += `</div></div>`;
+  html += '</div>';
   return html;
 }
 
 /** Toggle the insights panel open or closed. */
-function togglePanel(insights) {
+function togglePanel() {
   if (!drawerEl.classList.contains('hidden')) {
     closePanel();
   } else {
-    openPanel(insights);
+    openPanel();
   }
 }
 
-/** Open the insights panel and trigger count-up animation on first open. */
-function openPanel(insights) {
+/** Open the insights panel and trigger count-up animation on first open once the cards are in. */
+function openPanel() {
   drawerEl.classList.remove('hidden');
   document.getElementById('btn-insights')?.classList.add('active');
-  if (!hasAnimated) {
+  if (!hasAnimated && drawerEl.querySelector('.insight-card')) {
     hasAnimated = true;
     animateCountUp();
   }
@@ -53,6 +53,16 @@ export function initLegend(nodes, bus) {
     inferredLabel.textContent = 'Inferred causal link';
     inferredItem.append(inferredLine, inferredLabel);
     container.appendChild(inferredItem);
+
+    // Target-attested edge
+    const targetOnlyItem = document.createElement('div');
+    targetOnlyItem.className = 'legend-item';
+    const targetOnlyLine = document.createElement('span');
+    targetOnlyLine.className = 'legend-edge legend-edge-target-only';
+    const targetOnlyLabel = document.createElement('span');
+    targetOnlyLabel.textContent = 'Target-attested causal link';
+    targetOnlyItem.append(targetOnlyLine, targetOnlyLabel);
+    container.appendChild(targetOnlyItem);
   }
 
   renderLegend();
@@ -0,0 +1,194 @@
+/**
+ * @module ui/link-review
+ * "Link review" floating panel: candidate causal links from suggestLinks(),
+ * ranked for curators, with the full list downloadable as CSV to send back
+ * to the HIPs maintainers.
+ * Suggestions are filtered by kind (complete a one-sided link, or add a new
+ * one). Clicking a suggestion highlights both hazards and the hazards that
+ * mediate between them.
+ * @emits insight:highlight
+ */
+import { linkSuggestionsToCsv, suggestionAction } from '../data/link-prediction.js';
+import { PROVENANCE_LABELS } from '../data/edge-provenance.js';
+import { esc, setupDrag, downloadFile } from '../utils/dom.js';
+import { MAX_LINK_SUGGESTIONS_SHOWN } from './constants.js';
+
+/** Kind filter options: [value, label]. */
+const KINDS = [
+  ['', 'All suggestions'],
+  ['reciprocate', 'One-sided links'],
+  ['new', 'New links'],
+];
+
+/**
+ * Initialize the link review panel and its header button.
+ * @param {Promise<import('../types.js').LinkSuggestion[]>} suggestionsPromise - From the graph engine
+ * @param {Object} data - Snapshot data
+ * @param {Object} bus - Event bus
+ */
+export function initLinkReview(suggestionsPromise, data, bus) {
+  const btn = document.getElementById('btn-link-review');
+  if (!btn) return;
+
+  const nodeById = new Map(data.nodes.map(n => [n.id, n]));
+  let suggestions = null;
+  let failed = false;
+  let kind = '';
+  let activeRow = null;
+
+  const panel = document.createElement('div');
+  panel.id = 'links-panel';
+  panel.className = 'links-panel hidden';
+  panel.innerHTML = `
+    <div class="links-titlebar">
+      <span class="links-title">Link review</span>
+      <button class="links-close" title="Close">&times;</button>
+    </div>
+    <div class="links-controls">
+      <label>Show
+        <select class="links-kind">
+          ${KINDS.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <button class="links-download" disabled>Download CSV</button>
+    </div>
+    <div class="links-body"></div>
+  `;
+  document.body.appendChild(panel);
+
+  const body = panel.querySelector('.links-body');
+  const downloadBtn = panel.querySelector('.links-download');
+
+  const visible = () => (kind ? suggestions.filter(s => s.kind === kind) : suggestions);
+
+  function clearActive() {
+    if (!activeRow) return;
+    activeRow.classList.remove('active');
+    activeRow = null;
+    bus.emit('insight:highlight', { clear: true });
+  }
+
+  function render() {
+    clearActive();
+    if (failed) {
+      body.innerHTML = '<p class="links-summary">Link suggestions could not be computed.</p>';
+      return;
+    }
+    if (!suggestions) {
+      body.innerHTML = '<p class="links-summary">Scoring candidate links…</p>';
+      return;
+    }
+    const shown = visible();
+    downloadBtn.disabled = !shown.length;
+    body.innerHTML = buildBodyHtml(shown, nodeById);
+
+    body.querySelectorAll('.links-row').forEach(el => {
+      el.addEventListener('click', () => {
+        if (activeRow === el) {
+          clearActive();
+          return;
+        }
+        clearActive();
+        el.classList.add('active');
+        activeRow = el;
+        const s = shown[Number(el.dataset.index)];
+        bus.emit('insight:highlight', { nodeIds: [s.source, s.target, ...s.mediators] });
+      });
+    });
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clearActive();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+      render();
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.links-close').addEventListener('click', close);
+
+  panel.querySelector('.links-kind').addEventListener('change', (e) => {
+    kind = e.target.value;
+    render();
+  });
+
+  downloadBtn.addEventListener('click', () => {
+    const date = new Date().toISOString().slice(0, 10);
+    const suffix = kind ? `-${kind}` : '';
+    downloadFile(`hips-link-suggestions-${date}${suffix}.csv`, linkSuggestionsToCsv(visible(), nodeById), 'text/csv');
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.links-titlebar'));
+
+  suggestionsPromise
+    .then((result) => {
+      suggestions = result;
+    })
+    .catch((err) => {
+      console.error('Link suggestions failed:', err);
+      failed = true;
+    })
+    .finally(() => {
+      if (!panel.classList.contains('hidden')) render();
+    });
+}
+
+/**
+ * Why a link is suggested, as short phrases.
+ * @param {import('../types.js').LinkSuggestion} s
+ * @param {(id: string) => string} label
+ * @returns {string[]}
+ */
+function reasonPhrases(s, label) {
+  const reasons = [];
+  if (s.provenance) reasons.push(`already ${PROVENANCE_LABELS[s.provenance]}`);
+  if (s.mediators.length) {
+    reasons.push(`${s.mediators.length} mediator${s.mediators.length !== 1 ? 's' : ''} (Adamic-Adar ${s.adamicAdar.toFixed(2)})`);
+  }
+  for (const m of s.mentions) reasons.push(`named in ${label(m.hazardId)}'s ${m.section} note`);
+  if (s.reverseExists) reasons.push('reverse link exists');
+  return reasons;
+}
+
+/**
+ * Build the panel body: a summary, then the ranked suggestions.
+ * @param {import('../types.js').LinkSuggestion[]} suggestions - Filtered, best first
+ * @param {Map<string, Object>} nodeById
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(suggestions, nodeById) {
+  if (!suggestions.length) return '<p class="links-summary">No candidate links.</p>';
+  const label = (id) => nodeById.get(id)?.label || id;
+  const oneSided = suggestions.filter(s => s.kind === 'reciprocate').length;
+
+  let html = `<p class="links-summary">${suggestions.length.toLocaleString()} candidate link${suggestions.length !== 1 ? 's' : ''}: ${oneSided.toLocaleString()} declared by only one side, ${(suggestions.length - oneSided).toLocaleString()} not recorded at all. The CSV lists every one.</p>`;
+  html += '<ol class="links-list">';
+  suggestions.slice(0, MAX_LINK_SUGGESTIONS_SHOWN).forEach((s, i) => {
+    const via = s.mediators.length ? ` title="Via ${esc(s.mediators.map(label).join(', '))}"` : '';
+    html += `<li><button class="links-row links-${s.kind}" data-index="${i}"${via}>
+      <span class="links-pair">
+        <span class="links-label">${esc(label(s.source))} → ${esc(label(s.target))}</span>
+        <span class="links-score">${s.score.toFixed(2)}</span>
+      </span>
+      <span class="links-action">${esc(suggestionAction(s, label))}</span>
+      <span class="links-reasons">${esc(reasonPhrases(s, label).join(' · '))}</span>
+    </button></li>`;
+  });
+  html += '</ol>';
+  if (suggestions.length > MAX_LINK_SUGGESTIONS_SHOWN) {
+    html += `<p class="links-more">… ${(suggestions.length - MAX_LINK_SUGGESTIONS_SHOWN).toLocaleString()} more in the CSV</p>`;
+  }
+  return html;
+}
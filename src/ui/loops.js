@@ -0,0 +1,226 @@
+/**
+ * @module ui/loops
+ * "Loops" floating panel: causal feedback loops from findFeedbackLoops(),
+ * computed by the graph engine.
+ * Lists the loop systems (strongly connected components) and each elementary
+ * cycle up to a chosen length, optionally only declared links or only loops
+ * through the selected hazard.
+ * Clicking a loop highlights its hazards and links; clicking a loop system
+ * highlights its hazards.
+ * @emits flow:highlight
+ * @emits insight:highlight
+ * @listens node:selected
+ * @listens node:deselected
+ */
+import { DEFAULT_MAX_CYCLE_LENGTH } from '../data/cycles.js';
+import { PROVENANCE_LABELS, DECLARED } from '../data/edge-provenance.js';
+import { esc, setupDrag } from '../utils/dom.js';
+import { MAX_LOOPS_SHOWN } from './constants.js';
+
+/** Cycle lengths offered in the max-length selector. */
+const LENGTH_OPTIONS = [2, 3, 4, 5, 6];
+
+/**
+ * Initialize the loops panel and its header button.
+ * @param {import('../types.js').GraphEngine} engine
+ * @param {Object} data - Snapshot data
+ * @param {Object} bus - Event bus
+ */
+export function initLoops(engine, data, bus) {
+  const btn = document.getElementById('btn-loops');
+  if (!btn) return;
+
+  const labelOf = new Map(data.nodes.map(n => [n.id, n.label]));
+  const options = { maxLength: DEFAULT_MAX_CYCLE_LENGTH, declaredOnly: false };
+  let analysis = null;
+  let loading = false;
+  let request = 0;
+  let selectedId = null;
+  let activeRow = null;
+
+  const panel = document.createElement('div');
+  panel.id = 'loops-panel';
+  panel.className = 'loops-panel hidden';
+  panel.innerHTML = `
+    <div class="loops-titlebar">
+      <span class="loops-title">Feedback loops</span>
+      <button class="loops-close" title="Close">&times;</button>
+    </div>
+    <div class="loops-controls">
+      <label>Max length
+        <select class="loops-length">
+          ${LENGTH_OPTIONS.map(n => `<option value="${n}"${n === options.maxLength ? ' selected' : ''}>${n} links</option>`).join('')}
+        </select>
+      </label>
+      <label><input type="checkbox" class="loops-declared" /> Declared only</label>
+      <label title="Select a hazard in the graph first">
+        <input type="checkbox" class="loops-selected" disabled /> Through selected hazard
+      </label>
+    </div>
+    <div class="loops-body"></div>
+  `;
+  document.body.appendChild(panel);
+
+  const body = panel.querySelector('.loops-body');
+  const selectedToggle = panel.querySelector('.loops-selected');
+
+  function clearActive() {
+    if (!activeRow) return;
+    activeRow.classList.remove('active');
+    activeRow = null;
+    bus.emit('flow:highlight', { edges: [], clear: true });
+  }
+
+  /** Find loops for the current options; a newer request supersedes this one. */
+  async function load() {
+    const current = ++request;
+    loading = true;
+    clearActive();
+    body.innerHTML = '<p class="loops-summary">Finding feedback loops…</p>';
+    try {
+      const result = await engine.feedbackLoops({ ...options });
+      if (current !== request) return;
+      analysis = result;
+      render();
+    } catch (err) {
+      if (current === request) body.innerHTML = `<p class="loops-note">Could not find feedback loops: ${esc(err.message)}</p>`;
+    } finally {
+      if (current === request) loading = false;
+    }
+  }
+
+  function render() {
+    clearActive();
+    const throughId = selectedToggle.checked ? selectedId : null;
+    body.innerHTML = buildBodyHtml(analysis, throughId, labelOf);
+
+    body.querySelectorAll('.loops-system').forEach(el => {
+      el.addEventListener('click', () => select(el, () => {
+        const { nodeIds } = analysis.components[Number(el.dataset.index)];
+        bus.emit('insight:highlight', { nodeIds });
+      }));
+    });
+
+    body.querySelectorAll('.loops-cycle').forEach(el => {
+      el.addEventListener('click', () => select(el, () => {
+        const cycle = analysis.cycles[Number(el.dataset.index)];
+        bus.emit('flow:highlight', { edges: cycle.edges });
+      }));
+    });
+  }
+
+  /** Toggle a row active and run its highlight. */
+  function select(el, highlight) {
+    if (activeRow === el) {
+      clearActive();
+      return;
+    }
+    clearActive();
+    el.classList.add('active');
+    activeRow = el;
+    highlight();
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clearActive();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+      if (!analysis && !loading) load();
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.loops-close').addEventListener('click', close);
+
+  panel.querySelector('.loops-length').addEventListener('change', (e) => {
+    options.maxLength = Number(e.target.value);
+    analysis = null;
+    load();
+  });
+
+  panel.querySelector('.loops-declared').addEventListener('change', (e) => {
+    options.declaredOnly = e.target.checked;
+    analysis = null;
+    load();
+  });
+
+  selectedToggle.addEventListener('change', () => {
+    if (analysis) render();
+  });
+
+  bus.on('node:selected', ({ id }) => {
+    selectedId = id;
+    selectedToggle.disabled = false;
+    activeRow = null; // the selection replaced any loop highlight
+    if (selectedToggle.checked && analysis) render();
+  });
+
+  bus.on('node:deselected', () => {
+    selectedId = null;
+    selectedToggle.disabled = true;
+    if (selectedToggle.checked) {
+      selectedToggle.checked = false;
+      if (analysis) render();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.loops-titlebar'));
+}
+
+/**
+ * Build the panel body: summary, loop systems, then the cycle list.
+ * @param {import('../types.js').LoopAnalysis} analysis
+ * @param {string|null} throughId - Only list cycles through this hazard
+ * @param {Map<string, string>} labelOf - Hazard ID -> label
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(analysis, throughId, labelOf) {
+  const { cycles, components, maxLength, truncated } = analysis;
+  if (!cycles.length) {
+    return `<p class="loops-summary">No causal loops of up to ${maxLength} links.</p>`;
+  }
+
+  const indexed = cycles.map((cycle, index) => ({ cycle, index }));
+  const listed = throughId ? indexed.filter(({ cycle }) => cycle.nodeIds.includes(throughId)) : indexed;
+  const shown = listed.slice(0, MAX_LOOPS_SHOWN);
+
+  let html = `<p class="loops-summary">${cycles.length.toLocaleString()}${truncated ? '+' : ''} loop${cycles.length !== 1 ? 's' : ''} of up to ${maxLength} links in ${components.length} loop system${components.length !== 1 ? 's' : ''}</p>`;
+  if (truncated) {
+    html += '<p class="loops-note">Enumeration stopped early; lower the max length to see every loop.</p>';
+  }
+
+  html += '<div class="loops-heading">Loop systems <span class="loops-hint">(hazards that can all reach each other)</span></div><ul class="loops-list">';
+  components.forEach((c, i) => {
+    html += `<li><button class="loops-row loops-system" data-index="${i}">System ${i + 1} · ${c.nodeIds.length} hazards</button></li>`;
+  });
+  html += '</ul>';
+
+  const heading = throughId ? `Loops through ${esc(labelOf.get(throughId) || throughId)}` : 'Loops';
+  html += `<div class="loops-heading">${heading} <span class="loops-count">${listed.length}</span></div><ul class="loops-list">`;
+  for (const { cycle, index } of shown) {
+    const names = [...cycle.nodeIds, cycle.nodeIds[0]].map(id => esc(labelOf.get(id) || id)).join(' → ');
+    const oneSided = cycle.edges.filter(e => e.provenance !== DECLARED);
+    const title = oneSided.length
+      ? `${oneSided.length} link${oneSided.length !== 1 ? 's' : ''} not declared by both sides (${[...new Set(oneSided.map(e => PROVENANCE_LABELS[e.provenance]))].join(', ')})`
+      : 'All links declared by both sides';
+    html += `<li><button class="loops-row loops-cycle${oneSided.length ? ' loops-one-sided' : ''}" data-index="${index}" title="${esc(title)}"><span class="loops-length-badge">${cycle.length}</span>${names}</button></li>`;
+  }
+  if (listed.length > shown.length) {
+    html += `<li class="loops-more">… ${listed.length - shown.length} more</li>`;
+  }
+  if (!listed.length) {
+    html += '<li class="loops-more">No loops through this hazard.</li>';
+  }
+  return html + '</ul>';
+}
@@ -1,15 +1,35 @@
 /**
  * @module ui/path-finder
- * Shortest Path Finder: select two nodes to find and highlight
- * the shortest directed causal path between them.
- * Uses headless Cytoscape for Dijkstra computation,
- * emits highlight events for the active view to render.
+ * Causal Path Finder: select two nodes to find the directed causal paths
+ * between them — the shortest path, the k shortest paths (Yen), or every
+ * path up to a maximum length. Results are listed by rank with hop counts
+ * and declared/inferred composition; the selected path is highlighted in
+ * the active view (web or cascade).
+ * Constraints — avoided types and hazards, waypoints, declared links only and
+ * a higher cost for inferred links — follow the sidebar's type filter and
+ * declared-only toggle by default and can be changed here.
+ * Searches run in the graph engine worker; a search still running is
+ * superseded by a newer one.
  * @emits pathfinder:mode
  * @emits pathfinder:clear
  * @emits pathfinder:result
+ * @emits path:highlight
  * @listens pathfinder:select
  * @listens pathfinder:clear
+ * @listens filter:types
+ * @listens edges:toggle
  */
+import { DEFAULT_K_PATHS, DEFAULT_MAX_PATH_LENGTH } from '../data/graph-queries.js';
+import { PROVENANCE_LABELS } from '../data/edge-provenance.js';
+import { HAZARD_TYPES } from '../data/hazard-types.js';
+import { esc } from '../utils/dom.js';
+import { MAX_PATHS_SHOWN } from './constants.js';
+
+/** Per-mode limit input: unit label and default value. Shortest-path mode has none. */
+const MODE_LIMITS = {
+  'k-shortest': { unit: 'paths', value: DEFAULT_K_PATHS },
+  all: { unit: 'links', value: DEFAULT_MAX_PATH_LENGTH },
+};
 
 let pathfinderActive = false;
 let source = null;
@@ -18,9 +38,10 @@ let target = null;
 /**
  * Initialize the path finder module.
  * @param {object} bus - Event bus
- * @param {Function} getCy - Function returning the headless Cytoscape instance
+ * @param {import('../types.js').GraphEngine} engine - Graph engine running the searches
+ * @param {Object[]} nodes - Snapshot hazards, for labels
  */
-export function initPathFinder(bus, getCy) {
+export function initPathFinder(bus, engine, nodes) {
   const section = document.getElementById('pathfinder-section');
   if (!section) return;
 
@@ -29,6 +50,110 @@ export function initPathFinder(bus, getCy) {
   const targetInput = section.querySelector('#pathfinder-target');
   const status = section.querySelector('#pathfinder-status');
   const clearBtn = section.querySelector('#pathfinder-clear');
+  const modeSelect = section.querySelector('#pathfinder-mode');
+  const limitLabel = section.querySelector('#pathfinder-limit-label');
+  const limitInput = section.querySelector('#pathfinder-limit');
+  const limitUnit = section.querySelector('#pathfinder-limit-unit');
+  const resultsList = section.querySelector('#pathfinder-results');
+
+  const labelById = new Map(nodes.map(n => [n.id, n.label]));
+
+  /** Paths from the last search, in rank order. */
+  let paths = [];
+  /** Incremented per search, so results of a superseded search are dropped. */
+  let searchId = 0;
+
+  // ---- Constraints ----
+  const constraintCount = section.querySelector('#pathfinder-constraint-count');
+  const avoidTypesEl = section.querySelector('#pathfinder-avoid-types');
+  const declaredToggle = section.querySelector('#pathfinder-declared');
+  const weightSelect = section.querySelector('#pathfinder-inferred-weight');
+  const waypointList = section.querySelector('#pathfinder-waypoints');
+  const avoidNodeList = section.querySelector('#pathfinder-avoid-nodes');
+
+  /** Hazards picked as waypoints (in order) and hazards to avoid: { id, label }. */
+  const picked = { via: [], avoid: [] };
+  /** Which list the next clicked hazard goes to, or null for source/target. */
+  let pickMode = null;
+
+  for (const [typeName, typeDef] of Object.entries(HAZARD_TYPES)) {
+    const label = document.createElement('label');
+    label.className = 'pathfinder-type';
+    label.title = typeName;
+    label.innerHTML = `<input type="checkbox" data-type-name="${esc(typeName)}" /><span class="type-swatch" style="background:${typeDef.color}"></span>${esc(typeDef.short)}`;
+    avoidTypesEl.appendChild(label);
+  }
+  const typeBoxes = [...avoidTypesEl.querySelectorAll('input')];
+
+  /** Assemble the PathConstraints for the current settings. */
+  function currentConstraints() {
+    return {
+      excludeTypes: typeBoxes.filter(cb => cb.checked).map(cb => cb.dataset.typeName),
+      excludeNodes: picked.avoid.map(n => n.id),
+      waypoints: picked.via.map(n => n.id),
+      declaredOnly: declaredToggle.checked,
+      inferredWeight: Number(weightSelect.value),
+    };
+  }
+
+  function renderConstraints() {
+    for (const [kind, list] of [['via', waypointList], ['avoid', avoidNodeList]]) {
+      list.innerHTML = picked[kind].map((n, i) =>
+        `<li class="pathfinder-chip">${esc(n.label)}<button data-kind="${kind}" data-index="${i}" title="Remove" aria-label="Remove ${esc(n.label)}">&times;</button></li>`
+      ).join('');
+    }
+    const active = countConstraints(currentConstraints());
+    constraintCount.textContent = active ? `(${active})` : '';
+  }
+
+  function constraintsChanged() {
+    renderConstraints();
+    runSearch();
+  }
+
+  typeBoxes.forEach(cb => cb.addEventListener('change', constraintsChanged));
+  declaredToggle.addEventListener('change', constraintsChanged);
+  weightSelect.addEventListener('change', constraintsChanged);
+
+  section.querySelectorAll('.pathfinder-pick').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!pathfinderActive) toggleBtn.click();
+      pickMode = btn.dataset.pick;
+      status.textContent = pickMode === 'via' ? 'Click a hazard to route through…' : 'Click a hazard to avoid…';
+    });
+  });
+
+  section.querySelector('.pathfinder-constraints').addEventListener('click', (e) => {
+    const remove = e.target.closest('.pathfinder-chip button');
+    if (!remove) return;
+    picked[remove.dataset.kind].splice(Number(remove.dataset.index), 1);
+    constraintsChanged();
+  });
+
+  // Default to the sidebar's filters: hidden types are avoided, and the
+  // declared-only toggle carries over. The search waits a tick so its
+  // highlight lands after the view has rebuilt for the same change.
+  bus.on('filter:types', ({ hiddenTypes }) => {
+    typeBoxes.forEach(cb => { cb.checked = hiddenTypes.has(cb.dataset.typeName); });
+    queueMicrotask(constraintsChanged);
+  });
+
+  bus.on('edges:toggle', ({ declaredOnly }) => {
+    declaredToggle.checked = declaredOnly;
+    queueMicrotask(constraintsChanged);
+  });
+
+  modeSelect.addEventListener('change', () => {
+    const limit = MODE_LIMITS[modeSelect.value];
+    limitLabel.classList.toggle('hidden', !limit);
+    if (limit) {
+      limitInput.value = limit.value;
+      limitUnit.textContent = limit.unit;
+    }
+    runSearch();
+  });
+
+  limitInput.addEventListener('change', () => runSearch());
 
   toggleBtn.addEventListener('click', () => {
     pathfinderActive = !pathfinderActive;
@@ -51,6 +176,15 @@ export function initPathFinder(bus, getCy) {
   bus.on('pathfinder:select', ({ id, label }) => {
     if (!pathfinderActive) return;
 
+    if (pickMode) {
+      const kind = pickMode;
+      pickMode = null;
+      if (!picked[kind].some(n => n.id === id)) picked[kind].push({ id, label });
+      status.textContent = !source ? 'Click a source node…' : !target ? 'Click a target node...' : '';
+      constraintsChanged();
+      return;
+    }
+
     if (!source) {
       source = { id, label };
       sourceInput.value = label;
@@ -58,62 +192,119 @@ export function initPathFinder(bus, getCy) {
     } else if (!target) {
       target = { id, label };
       targetInput.value = label;
-      runDijkstra(getCy());
+      runSearch();
     }
   });
 
   bus.on('pathfinder:clear', () => {
-    // Clear highlight via insight:highlight clear
-    bus.emit('insight:highlight', { clear: true });
+    bus.emit('path:highlight', { clear: true });
   });
 
   function resetState() {
+    searchId++;
     source = null;
     target = null;
     sourceInput.value = '';
     targetInput.value = '';
     status.textContent = '';
+    paths = [];
+    resultsList.innerHTML = '';
+    pickMode = null;
+    picked.via = [];
+    picked.avoid = [];
+    renderConstraints();
   }
 
-  function runDijkstra(cy) {
-    if (!cy || !source || !target) return;
+  /** Find paths for the current mode, list them and highlight the first. */
+  async function runSearch() {
+    if (!source || !target) return;
 
-    const sourceNode = cy.getElementById(source.id);
-    const targetNode = cy.getElementById(target.id);
-    if (sourceNode.empty() || targetNode.empty()) {
-      status.textContent = 'Node not found in current view.';
+    const id = ++searchId;
+    const limit = Math.max(1, Math.round(Number(limitInput.value)) || 1);
+    const constraints = currentConstraints();
+    let truncated = false;
+    status.textContent = 'Searching…';
+    try {
+      if (modeSelect.value === 'k-shortest') {
+        paths = await engine.kShortestPaths(source.id, target.id, limit, constraints);
+      } else if (modeSelect.value === 'all') {
+        ({ paths, truncated } = await engine.simplePaths(source.id, target.id, { maxLength: limit }, constraints));
+      } else {
+        const shortest = await engine.shortestPath(source.id, target.id, constraints);
+        paths = shortest ? [shortest] : [];
+      }
+    } catch (err) {
+      if (id !== searchId) return;
+      status.textContent = err.message.startsWith('Unknown hazard') ? 'Node not found in current view.' : err.message;
+      resultsList.innerHTML = '';
+      bus.emit('path:highlight', { clear: true });
       return;
     }
+    if (id !== searchId) return;
 
-    const elements = cy.elements().filter('[!isCompound]');
-    const dijkstra = elements.dijkstra({
-      root: sourceNode,
-      directed: true,
-      weight: () => 1,
-    });
+    bus.emit('pathfinder:result', { paths });
+    resultsList.innerHTML = buildResultsHtml(paths, (nodeId) => labelById.get(nodeId) || nodeId);
 
-    const dist = dijkstra.distanceTo(targetNode);
-    if (dist === Infinity || !isFinite(dist)) {
-      status.textContent = 'No directed path found.';
-      bus.emit('pathfinder:result', { path: null, distance: Infinity });
+    if (!paths.length) {
+      const constrained = countConstraints(constraints) ? ' with these constraints' : '';
+      status.textContent = modeSelect.value === 'all'
+        ? `No directed path of up to ${limit} links${constrained}.`
+        : `No directed path found${constrained}.`;
+      bus.emit('path:highlight', { clear: true });
       return;
     }
 
-    const path = dijkstra.pathTo(targetNode);
-    status.textContent = `Path: ${Math.round(dist)} hop${dist !== 1 ? 's' : ''}`;
+    if (modeSelect.value === 'shortest') {
+      status.textContent = `Path: ${paths[0].hops} hop${paths[0].hops !== 1 ? 's' : ''}`;
+    } else {
+      status.textContent = `${paths.length}${truncated ? '+' : ''} path${paths.length !== 1 ? 's' : ''}`
+        + (paths.length > MAX_PATHS_SHOWN ? `, first ${MAX_PATHS_SHOWN} shown` : '');
+    }
+    selectPath(0);
+  }
 
-    // Collect path node IDs for highlighting in the active view
-    const pathNodeIds = [];
-    path.forEach(ele => {
-      if (ele.isNode()) {
-        pathNodeIds.push(ele.id());
-      }
+  /** Mark a listed path active and highlight it in the active view. */
+  function selectPath(index) {
+    resultsList.querySelectorAll('.pathfinder-result').forEach(el => {
+      el.classList.toggle('active', Number(el.dataset.index) === index);
     });
-
-    // Highlight path nodes in the active view
-    bus.emit('insight:highlight', { nodeIds: pathNodeIds });
-    bus.emit('pathfinder:result', { path, distance: dist });
+    bus.emit('path:highlight', { nodeIds: paths[index].nodeIds });
   }
+
+  resultsList.addEventListener('click', (e) => {
+    const row = e.target.closest('.pathfinder-result');
+    if (row) selectPath(Number(row.dataset.index));
+  });
+}
+
+/**
+ * Number of constraints that differ from an unconstrained search.
+ * @param {import('../types.js').PathConstraints} c
+ * @returns {number}
+ */
+function countConstraints(c) {
+  return c.excludeTypes.length + c.excludeNodes.length + c.waypoints.length
+    + (c.declaredOnly ? 1 : 0) + (c.inferredWeight !== 1 ? 1 : 0);
+}
+
+/**
+ * Build the ranked path list.
+ * @param {import('../types.js').CausalPath[]} paths
+ * @param {(id: string) => string} labelOf
+ * @returns {string} HTML string
+ */
+function buildResultsHtml(paths, labelOf) {
+  return paths.slice(0, MAX_PATHS_SHOWN).map((path, i) => {
+    const counts = new Map();
+    for (const e of path.edges) counts.set(e.provenance, (counts.get(e.provenance) || 0) + 1);
+    const composition = [...counts].map(([p, n]) => `${n} ${PROVENANCE_LABELS[p]}`).join(' · ');
+    const chain = path.nodeIds.map(id => esc(labelOf(id))).join(' → ');
+    return `<li><button class="pathfinder-result" data-index="${i}" title="${chain}">
+      <span class="pathfinder-rank">${i + 1}</span>${path.hops} hop${path.hops !== 1 ? 's' : ''}
+      <span class="pathfinder-composition">${esc(composition)}</span>
+      <span class="pathfinder-chain">${chain}</span>
+    </button></li>`;
+  }).join('');
 }
 
 /**
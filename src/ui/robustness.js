@@ -0,0 +1,306 @@
+/**
+ * @module ui/robustness
+ * "Robustness" floating panel: how the causal network fragments as hazards
+ * are removed (mitigated) one at a time, from degradationCurve() and
+ * findCutHazards(), computed by the graph engine.
+ * Removal order is targeted by a centrality metric from computeCentrality()
+ * or chosen by the user. The panel plots reachable pairs, largest SCC and
+ * average path length against hazards removed, lists each step, and lists
+ * the single hazards whose removal disconnects the most other pairs.
+ * Clicking a step highlights the hazards removed so far; clicking a cut
+ * hazard focuses it.
+ * @emits insight:highlight
+ * @emits node:focus
+ * @listens centrality:computed
+ * @listens node:selected
+ * @listens node:deselected
+ */
+import { removalOrder, DEFAULT_REMOVAL_STEPS } from '../data/robustness.js';
+import { CENTRALITY_MEASURES } from '../data/centrality-measures.js';
+import { getTypeDef } from '../data/hazard-types.js';
+import { esc, setupDrag } from '../utils/dom.js';
+import { MAX_CUT_HAZARDS_SHOWN, ROBUSTNESS_CHART_WIDTH, ROBUSTNESS_CHART_HEIGHT } from './constants.js';
+
+/** Removal strategies: centrality metric keys, plus 'chosen' for a user-picked order. */
+const STRATEGIES = [
+  ...CENTRALITY_MEASURES.map(({ key, label }) => [key, `Highest ${label} first`]),
+  ['downstream', 'Widest downstream reach first'],
+  ['upstream', 'Widest upstream exposure first'],
+  ['chosen', 'Hazards I choose, in order'],
+];
+
+/** Step counts offered for targeted removal. */
+const STEP_OPTIONS = [10, 20, 40];
+
+/** Plotted series: [step field, legend label, CSS modifier]. */
+const SERIES = [
+  ['reachablePairs', 'Reachable pairs', 'pairs'],
+  ['largestScc', 'Largest SCC', 'scc'],
+  ['avgPathLength', 'Avg path length', 'length'],
+];
+
+/**
+ * Initialize the robustness panel and its header button.
+ * @param {import('../types.js').GraphEngine} engine
+ * @param {Object} data - Snapshot data
+ * @param {Object} bus - Event bus
+ */
+export function initRobustness(engine, data, bus) {
+  const btn = document.getElementById('btn-robustness');
+  if (!btn) return;
+
+  const nodeById = new Map(data.nodes.map(n => [n.id, n]));
+  let metrics = null;
+  let strategy = STRATEGIES[0][0];
+  let stepCount = DEFAULT_REMOVAL_STEPS;
+  const chosen = [];
+  let selectedId = null;
+  let steps = null;
+  let cutsReady = null; // cut hazards do not depend on the strategy, so they are fetched once
+  let request = 0;
+  let activeRow = null;
+
+  const panel = document.createElement('div');
+  panel.id = 'robustness-panel';
+  panel.className = 'robustness-panel hidden';
+  panel.innerHTML = `
+    <div class="robustness-titlebar">
+      <span class="robustness-title">Network robustness</span>
+      <button class="robustness-close" title="Close">&times;</button>
+    </div>
+    <div class="robustness-controls">
+      <label>Remove
+        <select class="robustness-strategy">
+          ${STRATEGIES.map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="robustness-steps-label">Steps
+        <select class="robustness-steps">
+          ${STEP_OPTIONS.map(n => `<option value="${n}"${n === stepCount ? ' selected' : ''}>${n}</option>`).join('')}
+        </select>
+      </label>
+      <div class="robustness-chosen-row hidden">
+        <ul class="robustness-chosen"></ul>
+        <button class="robustness-add" title="Select a hazard in the graph first" disabled>+ Selected hazard</button>
+      </div>
+    </div>
+    <div class="robustness-body"></div>
+  `;
+  document.body.appendChild(panel);
+
+  const body = panel.querySelector('.robustness-body');
+  const chosenRow = panel.querySelector('.robustness-chosen-row');
+  const chosenList = panel.querySelector('.robustness-chosen');
+  const addBtn = panel.querySelector('.robustness-add');
+  const stepsLabel = panel.querySelector('.robustness-steps-label');
+
+  function clearActive() {
+    if (!activeRow) return;
+    activeRow.classList.remove('active');
+    activeRow = null;
+    bus.emit('insight:highlight', { clear: true });
+  }
+
+  function renderChosen() {
+    chosenList.innerHTML = chosen.map((id, i) => `
+      <li class="robustness-chip">${i + 1}. ${esc(nodeById.get(id)?.label || id)}<button data-id="${esc(id)}" title="Remove from the list">&times;</button></li>
+    `).join('');
+    chosenList.querySelectorAll('button').forEach(el => {
+      el.addEventListener('click', () => {
+        chosen.splice(chosen.indexOf(el.dataset.id), 1);
+        renderChosen();
+        render();
+      });
+    });
+    addBtn.disabled = !selectedId || chosen.includes(selectedId);
+  }
+
+  async function render() {
+    const current = ++request;
+    clearActive();
+    const isChosen = strategy === 'chosen';
+    chosenRow.classList.toggle('hidden', !isChosen);
+    stepsLabel.classList.toggle('hidden', isChosen);
+
+    if (!isChosen && !metrics) {
+      body.innerHTML = '<p class="robustness-summary">Centrality is still being computed…</p>';
+      return;
+    }
+    const order = isChosen ? [...chosen] : removalOrder(metrics, strategy, stepCount);
+    body.innerHTML = '<p class="robustness-summary">Measuring the network…</p>';
+    cutsReady ??= engine.cutHazards();
+    let cuts;
+    try {
+      const [curve, cutList] = await Promise.all([engine.degradationCurve(order), cutsReady]);
+      if (current !== request) return;
+      steps = curve;
+      cuts = cutList;
+    } catch (err) {
+      if (current !== request) return;
+      cutsReady = null;
+      body.innerHTML = `<p class="robustness-summary">Could not measure robustness: ${esc(err.message)}</p>`;
+      return;
+    }
+    body.innerHTML = buildBodyHtml(steps, cuts, nodeById, isChosen);
+
+    body.querySelectorAll('.robustness-step').forEach(el => {
+      el.addEventListener('click', () => {
+        if (activeRow === el) {
+          clearActive();
+          return;
+        }
+        clearActive();
+        el.classList.add('active');
+        activeRow = el;
+        const upTo = Number(el.dataset.step);
+        bus.emit('insight:highlight', { nodeIds: steps.slice(1, upTo + 1).map(s => s.removedId) });
+      });
+    });
+
+    body.querySelectorAll('.robustness-cut').forEach(el => {
+      el.addEventListener('click', () => {
+        clearActive();
+        bus.emit('node:focus', { id: el.dataset.id });
+      });
+    });
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clearActive();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+      render();
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.robustness-close').addEventListener('click', close);
+
+  panel.querySelector('.robustness-strategy').addEventListener('change', (e) => {
+    strategy = e.target.value;
+    render();
+  });
+
+  panel.querySelector('.robustness-steps').addEventListener('change', (e) => {
+    stepCount = Number(e.target.value);
+    render();
+  });
+
+  addBtn.addEventListener('click', () => {
+    if (selectedId && !chosen.includes(selectedId)) chosen.push(selectedId);
+    renderChosen();
+    render();
+  });
+
+  bus.on('centrality:computed', ({ metrics: m }) => {
+    metrics = m;
+    if (!panel.classList.contains('hidden')) render();
+  });
+
+  bus.on('node:selected', ({ id }) => {
+    selectedId = id;
+    addBtn.disabled = chosen.includes(id);
+    activeRow?.classList.remove('active');
+    activeRow = null; // the selection replaced any step highlight
+  });
+
+  bus.on('node:deselected', () => {
+    selectedId = null;
+    addBtn.disabled = true;
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.robustness-titlebar'));
+}
+
+/**
+ * SVG line chart of each series as a percentage of the intact network.
+ * @param {import('../types.js').RobustnessStep[]} steps
+ * @returns {string} SVG markup
+ */
+function buildChartSvg(steps) {
+  const w = ROBUSTNESS_CHART_WIDTH;
+  const h = ROBUSTNESS_CHART_HEIGHT;
+  const pad = { top: 8, right: 8, bottom: 20, left: 34 };
+  const base = steps[0];
+  const relative = (key, s) => (base[key] ? (s[key] / base[key]) * 100 : 0);
+  const yMax = Math.max(100, ...SERIES.flatMap(([key]) => steps.map(s => relative(key, s))));
+  const xMax = Math.max(1, steps.length - 1);
+  const x = (i) => pad.left + (i / xMax) * (w - pad.left - pad.right);
+  const y = (v) => pad.top + (1 - v / yMax) * (h - pad.top - pad.bottom);
+
+  let svg = `<svg class="robustness-chart" viewBox="0 0 ${w} ${h}" width="${w}" height="${h}">`;
+  for (const tick of [0, 50, 100]) {
+    svg += `<line class="robustness-grid" x1="${pad.left}" x2="${w - pad.right}" y1="${y(tick)}" y2="${y(tick)}" />`;
+    svg += `<text class="robustness-axis" x="${pad.left - 4}" y="${y(tick)}" dy="0.35em" text-anchor="end">${tick}%</text>`;
+  }
+  svg += `<text class="robustness-axis" x="${pad.left}" y="${h - 4}">0</text>`;
+  svg += `<text class="robustness-axis" x="${w - pad.right}" y="${h - 4}" text-anchor="end">${xMax} removed</text>`;
+
+  for (const [key, label, modifier] of SERIES) {
+    const points = steps.map((s, i) => `${x(i).toFixed(1)},${y(relative(key, s)).toFixed(1)}`).join(' ');
+    svg += `<polyline class="robustness-line robustness-line-${modifier}" points="${points}"><title>${label}</title></polyline>`;
+  }
+  return svg + '</svg>';
+}
+
+/**
+ * Build the panel body: chart and legend, removal steps, then cut hazards.
+ * @param {import('../types.js').RobustnessStep[]} steps
+ * @param {import('../types.js').CutHazard[]} cuts
+ * @param {Map<string, Object>} nodeById
+ * @param {boolean} isChosen - Removal order was picked by the user
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(steps, cuts, nodeById, isChosen) {
+  const label = (id) => esc(nodeById.get(id)?.label || id);
+  const base = steps[0];
+  const last = steps[steps.length - 1];
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  let html = '';
+
+  if (steps.length === 1) {
+    html += `<p class="robustness-summary">${isChosen ? 'Select hazards in the graph and add them to remove them in order.' : 'Nothing to remove.'}</p>`;
+  } else {
+    html += `<p class="robustness-summary">Removing ${last.removed} hazard${last.removed !== 1 ? 's' : ''} leaves ${pct(last.reachablePairs / Math.max(1, base.reachablePairs))} of the reachable pairs; the largest loop system shrinks from ${base.largestScc} to ${last.largestScc} hazards.</p>`;
+    html += buildChartSvg(steps);
+    html += `<div class="robustness-legend">${SERIES.map(([, name, modifier]) => `<span><i class="robustness-key robustness-line-${modifier}"></i>${name}</span>`).join('')}<span class="robustness-hint">% of the intact network</span></div>`;
+
+    html += '<div class="robustness-heading">Removal steps</div><ol class="robustness-list">';
+    steps.slice(1).forEach((s, i) => {
+      html += `<li><button class="robustness-row robustness-step" data-step="${i + 1}" title="Highlight the hazards removed so far">
+        <span class="robustness-label">${label(s.removedId)}</span>
+        <span class="robustness-stat">${pct(s.reachableShare)} pairs · SCC ${s.largestScc} · ${s.avgPathLength.toFixed(2)} hops</span>
+      </button></li>`;
+    });
+    html += '</ol>';
+  }
+
+  html += `<div class="robustness-heading">Cut hazards <span class="robustness-hint">(pairs of other hazards disconnected when removed alone)</span></div>`;
+  if (!cuts.length) {
+    return html + '<p class="robustness-summary">No single hazard disconnects any other pair.</p>';
+  }
+  html += '<ul class="robustness-list">';
+  for (const c of cuts.slice(0, MAX_CUT_HAZARDS_SHOWN)) {
+    const node = nodeById.get(c.id);
+    html += `<li><button class="robustness-row robustness-cut" data-id="${esc(c.id)}" title="${(c.disconnectedShare * 100).toFixed(1)}% of the other hazards' reachable pairs; largest SCC ${c.largestSccAfter} after removal">
+      <span class="robustness-swatch" style="background:${getTypeDef(node?.typeName).color}"></span>
+      <span class="robustness-label">${label(c.id)}</span>
+      <span class="robustness-stat">${c.disconnectedPairs.toLocaleString()}</span>
+    </button></li>`;
+  }
+  if (cuts.length > MAX_CUT_HAZARDS_SHOWN) {
+    html += `<li class="robustness-more">… ${cuts.length - MAX_CUT_HAZARDS_SHOWN} more</li>`;
+  }
+  return html + '</ul>';
+}
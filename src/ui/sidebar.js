@@ -1,14 +1,22 @@
 /**
  * @module ui/sidebar
- * Sidebar: view switcher, type filter checkboxes, bundling tension, edge toggle, centrality ranking.
+ * Sidebar: view switcher, type filter checkboxes, bundling tension and arrangement,
+ * edge toggle, relationship layer toggles, text-mention layer toggle,
+ * centrality ranking.
  * @emits filter:types
  * @emits edges:toggle
+ * @emits relationships:toggle
+ * @emits mentions:toggle
  * @emits node:focus
  * @emits cascade:open
+ * @listens centrality:computing
  * @listens centrality:computed
+ * @listens mentions:computed
  */
 import { HAZARD_TYPES, getTypeDef } from '../data/hazard-types.js';
+import { CENTRALITY_MEASURES, isFiltered } from '../data/centrality-measures.js';
 import { esc } from '../utils/dom.js';
+import { buildRelationshipEdges, RELATIONSHIP_LAYERS, CAUSAL, RELATED, HAS_PART } from '../data/relationships.js';
 import { TOP_N_CENTRALITY } from './constants.js';
 
 /** @type {object|null} View manager reference, set during init */
@@ -22,7 +30,10 @@ let viewManagerRef = null;
 export function initSidebar(data, bus) {
   initTypeFilters(data, bus);
   initEdgeToggle(bus);
+  initRelationshipToggles(data, bus);
+  initMentionsToggle(bus);
   initTensionSlider(bus);
+  initArrangeSelect(bus);
   initViewSwitcher(bus);
 }
 
@@ -113,6 +124,79 @@ function initEdgeToggle(bus) {
   });
 }
 
+/**
+ * Bind the associative and partitive layer checkboxes. Together with the
+ * causal-link toggle they select the layers both views show, emitted as
+ * 'relationships:toggle'. A layer with no links between hazards is disabled,
+ * its tooltip saying where its references point instead.
+ */
+function initRelationshipToggles(data, bus) {
+  const causalToggle = document.getElementById('edge-toggle');
+  const toggles = {
+    [RELATED]: document.getElementById('edge-related-toggle'),
+    [HAS_PART]: document.getElementById('edge-haspart-toggle'),
+  };
+  const labels = {
+    [RELATED]: document.getElementById('edge-related-label'),
+    [HAS_PART]: document.getElementById('edge-haspart-label'),
+  };
+  if (!causalToggle || !toggles[RELATED] || !toggles[HAS_PART]) return;
+
+  for (const [layer, toggle] of Object.entries(toggles)) {
+    const { edges, unresolved } = buildRelationshipEdges(data, layer);
+    const { property } = RELATIONSHIP_LAYERS[layer];
+    toggle.disabled = edges.length === 0;
+    labels[layer].classList.toggle('disabled', edges.length === 0);
+    labels[layer].title = edges.length
+      ? `${edges.length} ${property} link${edges.length !== 1 ? 's' : ''} between hazards`
+      : `No ${property} value in this data names a hazard${unresolved.length ? ` (${unresolved.length} point elsewhere)` : ''}`;
+  }
+
+  function emitLayers() {
+    const layers = [];
+    if (causalToggle.checked) layers.push(CAUSAL);
+    for (const [layer, toggle] of Object.entries(toggles)) {
+      if (toggle.checked) layers.push(layer);
+    }
+    bus.emit('relationships:toggle', { layers });
+  }
+
+  causalToggle.addEventListener('change', emitLayers);
+  for (const toggle of Object.values(toggles)) toggle.addEventListener('change', emitLayers);
+}
+
+/**
+ * Bind the text-mention layer checkbox, enabled once the scope notes have
+ * been searched and found to name other hazards.
+ */
+function initMentionsToggle(bus) {
+  const toggle = document.getElementById('edge-mentions-toggle');
+  const label = document.getElementById('edge-mentions-label');
+  if (!toggle) return;
+  let mentions = [];
+
+  bus.on('mentions:computed', ({ mentions: found }) => {
+    mentions = found;
+    const pairs = new Set(found.map(m => `${m.sourceId}->${m.targetId}`)).size;
+    toggle.dataset.searched = 'true';
+    toggle.disabled = pairs === 0;
+    label.classList.toggle('disabled', pairs === 0);
+    label.title = pairs
+      ? `${pairs} hazard pair${pairs !== 1 ? 's' : ''} named in scope notes`
+      : 'No scope note in this data names another hazard';
+
+    // Ticked while the search ran (restored from the URL): show the layer now
+    if (toggle.checked) {
+      toggle.checked = pairs > 0;
+      bus.emit('mentions:toggle', { visible: toggle.checked, mentions });
+    }
+  });
+
+  toggle.addEventListener('change', () => {
+    bus.emit('mentions:toggle', { visible: toggle.checked, mentions });
+  });
+}
+
 /** Initialize the bundling tension slider. */
 function initTensionSlider(bus) {
   const slider = document.getElementById('tension-slider');
@@ -130,6 +214,20 @@ function initTensionSlider(bus) {
   });
 }
 
+/** Initialize the ring arrangement selector (hazard type or causal community). */
+function initArrangeSelect(bus) {
+  const select = document.getElementById('arrange-select');
+  if (!select) return;
+
+  select.addEventListener('change', () => {
+    if (viewManagerRef) {
+      const view = viewManagerRef.getActiveView();
+      if (view?.setArrangement) view.setArrangement(select.value);
+    }
+    bus.emit('url:arrange', { arrange: select.value });
+  });
+}
+
 /** Initialize view switcher buttons. */
 function initViewSwitcher(bus) {
   const buttons = document.querySelectorAll('.view-btn');
@@ -158,6 +256,10 @@ function initViewSwitcher(bus) {
 
 /**
  * Initialize centrality ranking section in the sidebar.
+ * The list has three sortable columns: the metric chosen in the select,
+ * downstream reach and upstream exposure. Clicking a column header sorts by it.
+ * While sidebar filters are active the list ranks the filtered graph. A status
+ * line shows while metrics are being computed.
  * @param {object} bus - Event bus
  */
 export function initCentralityRanking(bus) {
@@ -167,6 +269,12 @@ export function initCentralityRanking(bus) {
   const header = section.querySelector('h2');
   const listContainer = section.querySelector('.centrality-list');
   const select = section.querySelector('#centrality-metric-select');
+  const columns = section.querySelectorAll('.centrality-column');
+  const status = section.querySelector('.centrality-status');
+
+  select.innerHTML = CENTRALITY_MEASURES
+    .map(({ key, label, description }) => `<option value="${key}" title="${esc(description)}">${label}</option>`)
+    .join('');
 
   let collapsed = true;
   listContainer.classList.add('hidden');
@@ -179,19 +287,43 @@ export function initCentralityRanking(bus) {
 
   let currentMetrics = null;
   let currentNodeDataMap = null;
+  /** @type {'metric'|'downstream'|'upstream'} */
+  let sortColumn = 'metric';
+
+  // The list stays in place while a recomputation runs; the status line says what it shows
+  bus.on('centrality:computing', ({ filter }) => {
+    if (!currentMetrics) return;
+    status.textContent = isFiltered(filter) ? 'Recomputing for the current filters…' : 'Recomputing…';
+    status.classList.remove('hidden');
+  });
 
-  bus.on('centrality:computed', ({ metrics, nodeDataMap }) => {
-    currentMetrics = metrics;
+  bus.on('centrality:computed', ({ metrics, filteredMetrics, nodeDataMap }) => {
+    currentMetrics = filteredMetrics || metrics;
     currentNodeDataMap = nodeDataMap;
+    status.textContent = 'Ranked within the filtered graph';
+    status.classList.toggle('hidden', !filteredMetrics);
     renderList();
   });
 
-  select.addEventListener('change', renderList);
+  select.addEventListener('change', () => {
+    sortColumn = 'metric';
+    renderList();
+  });
+
+  columns.forEach(btn => {
+    btn.addEventListener('click', () => {
+      sortColumn = btn.dataset.sort;
+      renderList();
+    });
+  });
 
   function renderList() {
     if (!currentMetrics) return;
     const metricKey = select.value;
-    const rankKey = metricKey + 'Rank';
+    const sortKey = sortColumn === 'metric' ? metricKey : sortColumn;
+    const rankKey = sortKey + 'Rank';
+
+    columns.forEach(btn => btn.classList.toggle('active', btn.dataset.sort === sortColumn));
 
     const sorted = [...currentMetrics.entries()]
       .sort((a, b) => a[1][rankKey] - b[1][rankKey])
@@ -210,6 +342,8 @@ export function initCentralityRanking(bus) {
         <span class="centrality-item-swatch" style="background:${color}"></span>
         <span class="centrality-item-label">${esc(label)}</span>
         <span class="centrality-item-value">${value}</span>
+        <span class="centrality-item-value centrality-item-reach" title="${(m.downstreamShare * 100).toFixed(1)}% of the network downstream">${m.downstream}</span>
+        <span class="centrality-item-value centrality-item-reach" title="${(m.upstreamShare * 100).toFixed(1)}% of the network upstream">${m.upstream}</span>
       </li>`;
     }).join('');
 
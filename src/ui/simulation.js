@@ -0,0 +1,234 @@
+/**
+ * @module ui/simulation
+ * "Simulate" floating panel: Monte Carlo cascade propagation from
+ * simulateCascade(), run by the graph engine. Pick seed hazards (the
+ * selected hazard by default), a diffusion model, link probabilities per
+ * provenance and a run count, then list the hazards most likely to follow.
+ * Results are shown in the views as a heat overlay (web) and node shading
+ * (cascade); clicking a hazard focuses it.
+ * @emits simulation:heat
+ * @emits node:focus
+ * @listens node:selected
+ * @listens node:deselected
+ */
+import { DEFAULT_EDGE_PROBABILITIES, DEFAULT_RUNS } from '../data/cascade-simulation.js';
+import { PROVENANCE_LABELS } from '../data/edge-provenance.js';
+import { getTypeDef } from '../data/hazard-types.js';
+import { esc, setupDrag } from '../utils/dom.js';
+import { MAX_SIMULATION_ROWS } from './constants.js';
+
+/** Run counts offered in the selector. */
+const RUNS_OPTIONS = [200, 1000, 5000];
+
+/**
+ * Initialize the simulation panel and its header button.
+ * @param {import('../types.js').GraphEngine} engine
+ * @param {Object} data - Snapshot data
+ * @param {Object} bus - Event bus
+ */
+export function initSimulation(engine, data, bus) {
+  const btn = document.getElementById('btn-simulate');
+  if (!btn) return;
+
+  const nodeById = new Map(data.nodes.map(n => [n.id, n]));
+  const seeds = [];
+  let selectedId = null;
+  let result = null;
+  let running = false;
+  let request = 0;
+
+  const panel = document.createElement('div');
+  panel.id = 'simulation-panel';
+  panel.className = 'simulation-panel hidden';
+  panel.innerHTML = `
+    <div class="simulation-titlebar">
+      <span class="simulation-title">Cascade simulation</span>
+      <button class="simulation-close" title="Close">&times;</button>
+    </div>
+    <div class="simulation-controls">
+      <div class="simulation-seeds-row">
+        <span>Seeds</span>
+        <ul class="simulation-seeds"></ul>
+        <button class="simulation-add-seed" title="Select a hazard in the graph first" disabled>+ Selected hazard</button>
+      </div>
+      <label>Model
+        <select class="simulation-model">
+          <option value="independent" title="Each newly active hazard gets one chance to trigger each of its effects">Independent cascade</option>
+          <option value="threshold" title="A hazard triggers once enough of its causes are active">Linear threshold</option>
+        </select>
+      </label>
+      <label>Runs
+        <select class="simulation-runs">
+          ${RUNS_OPTIONS.map(n => `<option value="${n}"${n === DEFAULT_RUNS ? ' selected' : ''}>${n.toLocaleString()}</option>`).join('')}
+        </select>
+      </label>
+      <div class="simulation-probabilities" title="Chance that a link passes the cascade on, by how the link is recorded">
+        <span>Link probability</span>
+        ${Object.entries(DEFAULT_EDGE_PROBABILITIES).map(([provenance, p]) => `
+          <label>${esc(PROVENANCE_LABELS[provenance])}
+            <input type="number" class="simulation-probability" data-provenance="${provenance}" min="0" max="1" step="0.05" value="${p}" />
+          </label>`).join('')}
+      </div>
+      <div class="simulation-actions">
+        <button class="simulation-run" disabled>Run</button>
+        <button class="simulation-clear" disabled>Clear</button>
+      </div>
+    </div>
+    <div class="simulation-body">
+      <p class="simulation-summary">Add one or more seed hazards, then run.</p>
+    </div>
+  `;
+  document.body.appendChild(panel);
+
+  const body = panel.querySelector('.simulation-body');
+  const seedList = panel.querySelector('.simulation-seeds');
+  const addSeedBtn = panel.querySelector('.simulation-add-seed');
+  const runBtn = panel.querySelector('.simulation-run');
+  const clearBtn = panel.querySelector('.simulation-clear');
+
+  function renderSeeds() {
+    seedList.innerHTML = seeds.map(id => `
+      <li class="simulation-seed">${esc(nodeById.get(id)?.label || id)}<button data-id="${esc(id)}" title="Remove seed">&times;</button></li>
+    `).join('');
+    seedList.querySelectorAll('button').forEach(el => {
+      el.addEventListener('click', () => {
+        seeds.splice(seeds.indexOf(el.dataset.id), 1);
+        renderSeeds();
+      });
+    });
+    runBtn.disabled = running || !seeds.length;
+    addSeedBtn.disabled = !selectedId || seeds.includes(selectedId);
+  }
+
+  /** While a run is in flight, Run is disabled and Clear cancels it. */
+  function setRunning(on) {
+    running = on;
+    runBtn.disabled = on || !seeds.length;
+    clearBtn.disabled = !on && !result;
+  }
+
+  async function run() {
+    const current = ++request;
+    const probabilities = {};
+    panel.querySelectorAll('.simulation-probability').forEach(input => {
+      probabilities[input.dataset.provenance] = Number(input.value);
+    });
+    setRunning(true);
+    body.innerHTML = '<p class="simulation-summary">Simulating…</p>';
+
+    let simulated;
+    try {
+      simulated = await engine.cascadeSimulation([...seeds], {
+        model: panel.querySelector('.simulation-model').value,
+        runs: Number(panel.querySelector('.simulation-runs').value),
+        probabilities,
+      });
+    } catch (err) {
+      if (current !== request) return;
+      setRunning(false);
+      clear();
+      body.innerHTML = `<p class="simulation-note">${esc(err.message)}</p>`;
+      return;
+    }
+    if (current !== request) return;
+    result = simulated;
+    setRunning(false);
+
+    body.innerHTML = buildBodyHtml(result, nodeById);
+    body.querySelectorAll('.simulation-row').forEach(el => {
+      el.addEventListener('click', () => bus.emit('node:focus', { id: el.dataset.id }));
+    });
+    clearBtn.disabled = false;
+    bus.emit('simulation:heat', { activation: result.activation });
+  }
+
+  function clear() {
+    if (running) {
+      request++; // drop the run in flight
+      setRunning(false);
+    } else if (!result) {
+      return;
+    }
+    result = null;
+    clearBtn.disabled = true;
+    body.innerHTML = '<p class="simulation-summary">Add one or more seed hazards, then run.</p>';
+    bus.emit('simulation:heat', { clear: true });
+  }
+
+  function close() {
+    panel.classList.add('hidden');
+    btn.classList.remove('active');
+    clear();
+  }
+
+  btn.addEventListener('click', () => {
+    if (panel.classList.contains('hidden')) {
+      panel.classList.remove('hidden');
+      btn.classList.add('active');
+      if (!seeds.length && selectedId) seeds.push(selectedId);
+      renderSeeds();
+    } else {
+      close();
+    }
+  });
+
+  panel.querySelector('.simulation-close').addEventListener('click', close);
+  addSeedBtn.addEventListener('click', () => {
+    if (selectedId && !seeds.includes(selectedId)) seeds.push(selectedId);
+    renderSeeds();
+  });
+  runBtn.addEventListener('click', run);
+  clearBtn.addEventListener('click', clear);
+
+  bus.on('node:selected', ({ id }) => {
+    selectedId = id;
+    addSeedBtn.disabled = seeds.includes(id);
+  });
+
+  bus.on('node:deselected', () => {
+    selectedId = null;
+    addSeedBtn.disabled = true;
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) close();
+  });
+
+  setupDrag(panel, panel.querySelector('.simulation-titlebar'));
+}
+
+/**
+ * Build the panel body: cascade size summary, then hazards by activation probability.
+ * @param {import('../types.js').CascadeSimulation} result
+ * @param {Map<string, Object>} nodeById
+ * @returns {string} HTML string
+ */
+function buildBodyHtml(result, nodeById) {
+  const { runs, seeds, activation, meanStep, meanSize, medianSize, maxSize } = result;
+  const others = Math.max(1, nodeById.size - seeds.length);
+  const followers = [...activation]
+    .filter(([id]) => !seeds.includes(id))
+    .sort((a, b) => b[1] - a[1]);
+  const shown = followers.slice(0, MAX_SIMULATION_ROWS);
+
+  let html = `<p class="simulation-summary">${runs.toLocaleString()} runs · on average ${meanSize.toFixed(1)} hazards follow (${((meanSize / others) * 100).toFixed(1)}% of the network) · median ${medianSize}, max ${maxSize}</p>`;
+  if (!followers.length) {
+    return html + '<p class="simulation-summary">Nothing followed in any run.</p>';
+  }
+
+  html += `<div class="simulation-heading">Likely to follow <span class="simulation-count">${followers.length}</span></div><ul class="simulation-list">`;
+  for (const [id, p] of shown) {
+    const node = nodeById.get(id);
+    const pct = `${Math.round(p * 100)}%`;
+    html += `<li><button class="simulation-row" data-id="${esc(id)}" title="Activated in ${pct} of runs, on average at step ${meanStep.get(id).toFixed(1)}">
+      <span class="simulation-swatch" style="background:${getTypeDef(node?.typeName).color}"></span>
+      <span class="simulation-label">${esc(node?.label || id)}</span>
+      <span class="simulation-bar"><span style="width:${p * 100}%"></span></span>
+      <span class="simulation-pct">${pct}</span>
+    </button></li>`;
+  }
+  if (followers.length > shown.length) {
+    html += `<li class="simulation-more">… ${followers.length - shown.length} more</li>`;
+  }
+  return html + '</ul>';
+}
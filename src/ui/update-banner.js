@@ -0,0 +1,79 @@
+/**
+ * @module ui/update-banner
+ * Non-blocking update banner with "Reload views" and "Dismiss" actions.
+ * Shown when the background revalidation finds data that differs from what is
+ * on screen (with a summary of the differences), or when a new build of the
+ * app has been downloaded by the service worker.
+ */
+import { esc } from '../utils/dom.js';
+
+/** Diff summary keys shown in the banner, with singular/plural nouns. */
+const SUMMARY_PARTS = [
+  ['added', 'hazard added', 'hazards added'],
+  ['removed', 'hazard removed', 'hazards removed'],
+  ['edgesAdded', 'link gained', 'links gained'],
+  ['edgesRemoved', 'link lost', 'links lost'],
+];
+
+/**
+ * Offer newly fetched hazard data.
+ * @param {import('../types.js').SnapshotDiff|null} changes - Differences from the loaded data
+ * @param {() => void} onReload - Called when the user accepts the new data
+ */
+export function showUpdateBanner(changes, onReload) {
+  renderBanner('Updated hazard data available.', summarize(changes), onReload);
+}
+
+/**
+ * Offer a newly downloaded version of the app itself.
+ * @param {() => void} onReload - Called when the user accepts the new version
+ */
+export function showAppUpdateBanner(onReload) {
+  renderBanner('A new version of the explorer is available.', 'Your selection and view are kept.', onReload);
+}
+
+/**
+ * Render the banner. Only one banner exists at a time; a new one replaces it.
+ * @param {string} title
+ * @param {string} detail
+ * @param {() => void} onReload
+ */
+function renderBanner(title, detail, onReload) {
+  document.getElementById('update-banner')?.remove();
+
+  const banner = document.createElement('div');
+  banner.id = 'update-banner';
+  banner.className = 'update-banner';
+  banner.setAttribute('role', 'status');
+  banner.innerHTML = `
+    <span class="update-banner-text">
+      <strong>${esc(title)}</strong>
+      ${esc(detail)}
+    </span>
+    <button class="update-banner-reload">Reload views</button>
+    <button class="update-banner-dismiss" title="Keep the current version">Dismiss</button>
+  `;
+  document.body.appendChild(banner);
+
+  banner.querySelector('.update-banner-reload').addEventListener('click', () => {
+    banner.remove();
+    onReload();
+  });
+  banner.querySelector('.update-banner-dismiss').addEventListener('click', () => banner.remove());
+}
+
+/**
+ * One-line summary of the main differences ("3 hazards added, 12 links gained").
+ * @param {import('../types.js').SnapshotDiff|null} changes
+ * @returns {string}
+ */
+function summarize(changes) {
+  const summary = changes?.summary;
+  if (!summary?.total) return 'Your selection and view are kept.';
+  const parts = SUMMARY_PARTS
+    .filter(([key]) => summary[key])
+    .map(([key, one, many]) => `${summary[key]} ${summary[key] === 1 ? one : many}`);
+  const edited = summary.total - SUMMARY_PARTS.reduce((s, [key]) => s + summary[key], 0);
+  if (edited) parts.push(`${edited} other edit${edited !== 1 ? 's' : ''}`);
+  return `${parts.join(', ')}. Your selection and view are kept.`;
+}
@@ -5,7 +5,7 @@
  * ## Event Catalog
  *
  * ### Filtering & Grouping
- * - `filter:types` — Published by: sidebar. Subscribers: graph.
+ * - `filter:types` — Published by: sidebar. Subscribers: graph, export-menu, path-finder, main.
  *   Payload: `{ hiddenTypes: Set<string> }`
  * - `grouping:request` — Published by: sidebar. Subscribers: main.
  *   Payload: `{ mode: 'type'|'cluster'|'flat' }`
@@ -13,19 +13,25 @@
  *   Payload: `{ mode: string, elements: Array }`
  *
  * ### Edge Visibility
- * - `edges:toggle` — Published by: sidebar. Subscribers: graph.
+ * - `edges:toggle` — Published by: sidebar. Subscribers: graph, export-menu, path-finder, main.
  *   Payload: `{ visible: boolean, declaredOnly: boolean }`
+ * - `relationships:toggle` — Published by: sidebar. Subscribers: graph, main.
+ *   Payload: `{ layers: Array<'causal'|'related'|'hasPart'> }` (relationship layers shown in both views)
+ * - `mentions:toggle` — Published by: sidebar. Subscribers: graph, main.
+ *   Payload: `{ visible: boolean, mentions: Array<Mention> }` (scope-note mention layer in the edge-bundling view)
+ * - `mentions:computed` — Published by: main. Subscribers: sidebar.
+ *   Payload: `{ mentions: Array<Mention> }`
  *
  * ### Layout
  * - `layout:change` — Published by: sidebar. Subscribers: graph, hyperspace-layout, legend.
  *   Payload: `{ name: string }`
  *
  * ### Node Selection
- * - `node:selected` — Published by: interactions. Subscribers: detail-panel, insights.
+ * - `node:selected` — Published by: interactions. Subscribers: detail-panel, insights, loops, communities, simulation, robustness.
  *   Payload: `{ id: string }`
- * - `node:deselected` — Published by: interactions. Subscribers: detail-panel.
+ * - `node:deselected` — Published by: interactions. Subscribers: detail-panel, loops, simulation, robustness.
  *   Payload: (none)
- * - `node:focus` — Published by: detail-panel, search, sidebar. Subscribers: main.
+ * - `node:focus` — Published by: detail-panel, search, sidebar, changelog, data-quality, communities, simulation, robustness. Subscribers: main.
  *   Payload: `{ id: string }`
  *
  * ### K-Hop Neighborhood
@@ -33,8 +39,12 @@
  *   Payload: `{ nodeId: string, hops: number }`
  *
  * ### Centrality
- * - `centrality:computed` — Published by: main. Subscribers: sidebar.
- *   Payload: `{ metrics: Map, nodeDataMap: Map }`
+ * - `centrality:computing` — Published by: main. Subscribers: sidebar.
+ *   Payload: `{ filter: CentralityFilter }` (the graph engine has started on this filter state)
+ * - `centrality:computed` — Published by: main. Subscribers: sidebar, export-menu, robustness.
+ *   Payload: `{ metrics: Map, filteredMetrics: Map|null, filter: CentralityFilter, nodeDataMap: Map }`
+ *   (`metrics` is always the full network; `filteredMetrics` is set while the sidebar filters hide anything.
+ *   Re-published whenever those filters change.)
  *
  * ### Path Finder
  * - `pathfinder:mode` — Published by: path-finder. Subscribers: (unused).
@@ -42,15 +52,19 @@
  * - `pathfinder:select` — Published by: interactions. Subscribers: path-finder.
  *   Payload: `{ id: string, label: string }`
  * - `pathfinder:result` — Published by: path-finder. Subscribers: (unused).
- *   Payload: `{ path: Collection|null, distance: number }`
+ *   Payload: `{ paths: Array<CausalPath> }` (empty when there is no directed path)
  * - `pathfinder:clear` — Published by: path-finder. Subscribers: path-finder.
  *   Payload: (empty object)
  *
  * ### Highlights
- * - `flow:highlight` — Published by: flow-matrix. Subscribers: graph.
+ * - `path:highlight` — Published by: path-finder. Subscribers: graph.
+ *   Payload: `{ nodeIds?: string[], clear?: boolean }` (hazards in path order)
+ * - `flow:highlight` — Published by: flow-matrix, changelog, data-quality, loops. Subscribers: graph.
  *   Payload: `{ edges: Array, clear?: boolean }`
- * - `insight:highlight` — Published by: insights. Subscribers: graph.
+ * - `insight:highlight` — Published by: insights, loops, communities, robustness, link-review. Subscribers: graph.
  *   Payload: `{ nodeIds?: Array, edgeFilter?: string, clear?: boolean }`
+ * - `simulation:heat` — Published by: simulation. Subscribers: graph (all views, including inactive ones).
+ *   Payload: `{ activation?: Map<string, number>, clear?: boolean }` (hazard ID -> activation probability)
  * - `hyperroute:highlight` — Published by: legend, hyperspace-layout. Subscribers: graph.
  *   Payload: `{ route: object|null, routeIdx: number }`
  * - `hyperspace:routes` — Published by: graph. Subscribers: legend.
@@ -67,3 +67,20 @@ export function getEl(id, context = document) {
   }
   return el;
 }
+
+/**
+ * Offer a string to the user as a file download.
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mime - MIME type
+ */
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
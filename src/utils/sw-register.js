@@ -0,0 +1,43 @@
+/**
+ * @module utils/sw-register
+ * Registers the offline service worker (production builds only) and reports
+ * when a newer build has been downloaded and is waiting to take over.
+ */
+
+/**
+ * Register sw.js for the app's base path.
+ * @param {(activate: () => Promise<void>) => void} onUpdate - Called when a new
+ *   build is waiting; `activate()` hands control to it and resolves once the
+ *   page is controlled by the new worker (reload then to use the new build)
+ */
+export function registerServiceWorker(onUpdate) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const base = import.meta.env.BASE_URL;
+  navigator.serviceWorker.register(`${base}sw.js`, { scope: base }).then(reg => {
+    // An update only matters when an older worker already controls the page
+    const offer = (worker) => {
+      if (navigator.serviceWorker.controller) onUpdate(() => activate(worker));
+    };
+
+    if (reg.waiting) offer(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed') offer(worker);
+      });
+    });
+  }).catch(err => console.warn('Service worker registration failed:', err));
+}
+
+/**
+ * Tell a waiting worker to activate.
+ * @param {ServiceWorker} worker
+ * @returns {Promise<void>} Resolves when the new worker controls the page
+ */
+function activate(worker) {
+  return new Promise(resolve => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => resolve(), { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+}
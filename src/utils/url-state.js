@@ -5,6 +5,7 @@
  */
 
 import { HAZARD_TYPES } from '../data/hazard-types.js';
+import { RELATED, HAS_PART } from '../data/relationships.js';
 
 /** Map full type names to short URL slugs. */
 const TYPE_TO_SLUG = {
@@ -32,8 +33,18 @@ const DEFAULTS = {
   edges: true,
   declared: false,
   tension: 0.85,
+  arrange: 'type',
+  related: false,
+  hasPart: false,
+  mentions: false,
 };
 
+/** Overlay relationship layers: URL param and sidebar checkbox for each. */
+const LAYER_PARAMS = [
+  { key: 'related', layer: RELATED, param: 'related', toggleId: 'edge-related-toggle' },
+  { key: 'hasPart', layer: HAS_PART, param: 'haspart', toggleId: 'edge-haspart-toggle' },
+];
+
 /**
  * Parse the current URL search params into a state object.
  * @param {Array} nodes - Array of node objects (with .id and .identifier)
@@ -86,6 +97,17 @@ export function parseUrl(nodes) {
   const tension = parseFloat(params.get('tension'));
   if (!isNaN(tension) && tension >= 0 && tension <= 1) state.tension = tension;
 
+  // arrange
+  if (params.get('arrange') === 'community') state.arrange = 'community';
+
+  // related, haspart
+  for (const { key, param } of LAYER_PARAMS) {
+    if (params.get(param) === '1') state[key] = true;
+  }
+
+  // mentions
+  if (params.get('mentions') === '1') state.mentions = true;
+
   return state;
 }
 
@@ -94,7 +116,7 @@ export function parseUrl(nodes) {
  * @param {object} bus - Event bus
  * @param {Array} nodes - Array of node objects
  * @param {object} [initialState] - Parsed URL state to seed internal state from
- * @returns {{ resetUrl: string }}
+ * @returns {{ resetUrl: string, flush: () => void }}
  */
 export function createUrlSync(bus, nodes, initialState = {}) {
   // Build fullId -> identifier lookup
@@ -117,6 +139,10 @@ export function createUrlSync(bus, nodes, initialState = {}) {
     tension: initialState.tension !== undefined
       ? initialState.tension
       : DEFAULTS.tension,
+    arrange: initialState.arrange || DEFAULTS.arrange,
+    related: initialState.related || DEFAULTS.related,
+    hasPart: initialState.hasPart || DEFAULTS.hasPart,
+    mentions: initialState.mentions || DEFAULTS.mentions,
   };
 
   let debounceTimer = null;
@@ -153,6 +179,13 @@ export function createUrlSync(bus, nodes, initialState = {}) {
       params.set('tension', state.tension.toFixed(2));
     }
 
+    if (state.arrange !== DEFAULTS.arrange) params.set('arrange', state.arrange);
+
+    for (const { key, param } of LAYER_PARAMS) {
+      if (state[key]) params.set(param, '1');
+    }
+    if (state.mentions) params.set('mentions', '1');
+
     const qs = params.toString();
     const url = window.location.pathname + (qs ? '?' + qs : '');
     history.replaceState(null, '', url);
@@ -186,6 +219,16 @@ export function createUrlSync(bus, nodes, initialState = {}) {
     scheduleWrite();
   });
 
+  bus.on('relationships:toggle', ({ layers }) => {
+    for (const { key, layer } of LAYER_PARAMS) state[key] = layers.includes(layer);
+    scheduleWrite();
+  });
+
+  bus.on('mentions:toggle', ({ visible }) => {
+    state.mentions = visible;
+    scheduleWrite();
+  });
+
   bus.on('url:view', ({ view }) => {
     state.view = view;
     scheduleWrite();
@@ -196,6 +239,11 @@ export function createUrlSync(bus, nodes, initialState = {}) {
     scheduleWrite();
   });
 
+  bus.on('url:arrange', ({ arrange }) => {
+    state.arrange = arrange;
+    scheduleWrite();
+  });
+
   bus.on('cascade:open', ({ rootId }) => {
     state.view = 'cascade';
     if (rootId) state.node = rootId;
@@ -203,7 +251,14 @@ export function createUrlSync(bus, nodes, initialState = {}) {
   });
 
   const resetUrl = window.location.pathname;
-  return { resetUrl };
+
+  /** Write any pending change immediately (e.g. before a page reload). */
+  function flush() {
+    clearTimeout(debounceTimer);
+    writeUrl();
+  }
+
+  return { resetUrl, flush };
 }
 
 /**
@@ -252,6 +307,27 @@ export function applyUrlState(state, bus, viewManager) {
     }
   }
 
+  // 2a. Apply the associative and partitive layers (boxes for layers with no
+  //     links in this data stay disabled and unticked)
+  const layerToggles = LAYER_PARAMS
+    .filter(({ key }) => state[key])
+    .map(({ toggleId }) => document.getElementById(toggleId))
+    .filter(toggle => toggle && !toggle.disabled);
+  for (const toggle of layerToggles) toggle.checked = true;
+  // One change event is enough: the sidebar reads every layer box
+  if (layerToggles.length) layerToggles[0].dispatchEvent(new Event('change'));
+
+  // 2b. Apply the text-mention layer. The scope notes are searched in the
+  //     background; until that finishes the box stays disabled, and the
+  //     sidebar applies the tick once the mentions arrive.
+  if (state.mentions) {
+    const mentionsToggle = document.getElementById('edge-mentions-toggle');
+    if (mentionsToggle && !(mentionsToggle.disabled && mentionsToggle.dataset.searched)) {
+      mentionsToggle.checked = true;
+      if (!mentionsToggle.disabled) mentionsToggle.dispatchEvent(new Event('change'));
+    }
+  }
+
   // 3. Apply tension
   if (state.tension !== undefined) {
     const slider = document.getElementById('tension-slider');
@@ -264,6 +340,13 @@ export function applyUrlState(state, bus, viewManager) {
     }
   }
 
+  // 3b. Apply ring arrangement
+  if (state.arrange) {
+    const select = document.getElementById('arrange-select');
+    if (select) select.value = state.arrange;
+    viewManager.getActiveView()?.setArrangement?.(state.arrange);
+  }
+
   // 4. Switch view if needed (before selecting node)
   if (state.view === 'cascade') {
     viewManager.switchView('cascade', { rootId: state.node || null });
@@ -1,9 +1,12 @@
 /**
  * @module views/cascade/cascade-data
  * Adjacency index and lazy tree builder for the cascade explorer.
- * Builds effects (what it causes) and triggers (what causes it) indices.
+ * Builds effects (what it causes) and triggers (what causes it) indices, and
+ * the equivalent indices for associative and partitive links.
  */
 import { MAX_CHILDREN, MAX_DEPTH, MAX_NODES } from './constants.js';
+import { createProvenanceLookup, DECLARED } from '../../data/edge-provenance.js';
+import { buildRelationshipEdges, RELATIONSHIP_LAYERS } from '../../data/relationships.js';
 
 /**
  * Build adjacency indices from snapshot data.
@@ -16,52 +19,92 @@ export function buildAdjacencyIndex(data) {
     nodeById.set(node.id, node);
   }
 
-  // Build causedBy lookup for declared check
-  const causedBySet = new Map();
-  for (const node of data.nodes) {
-    causedBySet.set(node.id, new Set(node.causedBy || []));
-  }
+  // Classify each edge as declared / inferred / target-only
+  const provenanceOf = createProvenanceLookup(data.nodes);
 
-  // effectsIndex: nodeId -> Array<{ id, declared }>
+  // effectsIndex: nodeId -> Array<{ id, declared, provenance }>
   const effectsIndex = new Map();
-  // triggersIndex: nodeId -> Array<{ id, declared }>
+  // triggersIndex: nodeId -> Array<{ id, declared, provenance }>
   const triggersIndex = new Map();
 
   for (const edge of data.edges) {
-    const targetCausedBy = causedBySet.get(edge.target);
-    const declared = targetCausedBy ? targetCausedBy.has(edge.source) : false;
+    const provenance = provenanceOf(edge.source, edge.target);
+    const declared = provenance === DECLARED;
 
     // source causes target -> target is an effect of source
     if (!effectsIndex.has(edge.source)) effectsIndex.set(edge.source, []);
-    effectsIndex.get(edge.source).push({ id: edge.target, declared });
+    effectsIndex.get(edge.source).push({ id: edge.target, declared, provenance });
 
     // target is caused by source -> source is a trigger of target
     if (!triggersIndex.has(edge.target)) triggersIndex.set(edge.target, []);
-    triggersIndex.get(edge.target).push({ id: edge.source, declared });
+    triggersIndex.get(edge.target).push({ id: edge.source, declared, provenance });
   }
 
-  // Sort each list by connectionCount descending
-  for (const [, arr] of effectsIndex) {
-    arr.sort((a, b) => {
-      const aNode = nodeById.get(a.id);
-      const bNode = nodeById.get(b.id);
-      const aCc = (aNode?.causes?.length || 0) + (aNode?.causedBy?.length || 0);
-      const bCc = (bNode?.causes?.length || 0) + (bNode?.causedBy?.length || 0);
-      return bCc - aCc;
-    });
+  sortByConnections(effectsIndex, nodeById);
+  sortByConnections(triggersIndex, nodeById);
+
+  return { effectsIndex, triggersIndex, nodeById };
+}
+
+/**
+ * Sort each neighbour list by connectionCount descending.
+ * @param {Map<string, Array<{id: string}>>} index
+ * @param {Map} nodeById
+ */
+function sortByConnections(index, nodeById) {
+  const cc = (id) => {
+    const node = nodeById.get(id);
+    return (node?.causes?.length || 0) + (node?.causedBy?.length || 0);
+  };
+  for (const [, arr] of index) {
+    arr.sort((a, b) => cc(b.id) - cc(a.id));
   }
+}
+
+/**
+ * Build indices for an associative or partitive layer, shaped like
+ * buildAdjacencyIndex(). Partitive links put parts on the effects side and
+ * wholes on the triggers side; associative links are symmetric, so each
+ * related hazard appears on both sides.
+ * @param {object} data - Snapshot data
+ * @param {'related'|'hasPart'} layer
+ * @param {Map} nodeById - Node data map
+ * @returns {{ effectsIndex: Map, triggersIndex: Map }} Entries are { id, declared, provenance: null, layer }
+ */
+export function buildRelationshipIndex(data, layer, nodeById) {
+  const effectsIndex = new Map();
+  const triggersIndex = new Map();
+  const add = (index, from, to) => {
+    if (!index.has(from)) index.set(from, []);
+    index.get(from).push({ id: to, declared: false, provenance: null, layer });
+  };
 
-  for (const [, arr] of triggersIndex) {
-    arr.sort((a, b) => {
-      const aNode = nodeById.get(a.id);
-      const bNode = nodeById.get(b.id);
-      const aCc = (aNode?.causes?.length || 0) + (aNode?.causedBy?.length || 0);
-      const bCc = (bNode?.causes?.length || 0) + (bNode?.causedBy?.length || 0);
-      return bCc - aCc;
-    });
+  for (const edge of buildRelationshipEdges(data, layer).edges) {
+    add(effectsIndex, edge.source, edge.target);
+    add(triggersIndex, edge.target, edge.source);
+    if (RELATIONSHIP_LAYERS[layer].symmetric) {
+      add(effectsIndex, edge.target, edge.source);
+      add(triggersIndex, edge.source, edge.target);
+    }
   }
 
-  return { effectsIndex, triggersIndex, nodeById };
+  sortByConnections(effectsIndex, nodeById);
+  sortByConnections(triggersIndex, nodeById);
+  return { effectsIndex, triggersIndex };
+}
+
+/**
+ * Concatenate the neighbour lists of several indices, in the order given.
+ * @param {Map[]} indices
+ * @returns {Map}
+ */
+export function mergeIndices(indices) {
+  if (indices.length === 1) return indices[0];
+  const merged = new Map();
+  for (const index of indices) {
+    for (const [id, arr] of index) merged.set(id, [...(merged.get(id) || []), ...arr]);
+  }
+  return merged;
 }
 
 /**
@@ -71,9 +114,14 @@ export function buildAdjacencyIndex(data) {
  * @param {string} rootId - Root node ID
  * @param {number} maxDepth - Maximum depth to expand
  * @param {Set<string>} visited - Already visited node IDs (for cycle detection)
- * @returns {object} Tree node { id, label, typeName, color, connectionCount, children, ghost, truncated, totalChildren }
+ * @param {{provenance: string|null, layer?: string}|null} [link] - Index entry of the edge linking this
+ *   node to its parent; `layer` is set for associative and partitive links
+ * @param {string[]|null} [pinnedPath] - Rest of a highlighted path after this node. Its hazards
+ *   are listed first and always expanded, so the whole path is in the tree regardless of depth
+ *   or truncation; null when this node is not on the path
+ * @returns {object} Tree node { id, label, typeName, color, connectionCount, provenance, layer, onPath, children, ghost, truncated, totalChildren }
  */
-export function buildCascadeTree(index, nodeById, rootId, maxDepth = 1, visited = new Set()) {
+export function buildCascadeTree(index, nodeById, rootId, maxDepth = 1, visited = new Set(), link = null, pinnedPath = null) {
   const node = nodeById.get(rootId);
   if (!node) return null;
 
@@ -86,6 +134,9 @@ export function buildCascadeTree(index, nodeById, rootId, maxDepth = 1, visited
     typeName: node.typeName || 'Unknown',
     clusterName: node.clusterName || '',
     connectionCount: cc,
+    provenance: link?.provenance ?? null,
+    layer: link?.layer ?? null,
+    onPath: pinnedPath !== null,
     ghost: isGhost,
     children: [],
     truncated: 0,
@@ -93,20 +144,28 @@ export function buildCascadeTree(index, nodeById, rootId, maxDepth = 1, visited
     expanded: false,
   };
 
-  if (isGhost || maxDepth <= 0) return treeNode;
+  const nextOnPath = pinnedPath?.[0] ?? null;
+  if (isGhost || (maxDepth <= 0 && !nextOnPath)) return treeNode;
 
   visited.add(rootId);
   treeNode.expanded = true;
 
-  const neighbors = index.get(rootId) || [];
+  let neighbors = index.get(rootId) || [];
+  if (nextOnPath) {
+    neighbors = [
+      ...neighbors.filter(n => n.id === nextOnPath),
+      ...neighbors.filter(n => n.id !== nextOnPath),
+    ];
+  }
   treeNode.totalChildren = neighbors.length;
 
   // Truncate to MAX_CHILDREN
   const shown = neighbors.slice(0, MAX_CHILDREN);
   treeNode.truncated = Math.max(0, neighbors.length - MAX_CHILDREN);
 
-  for (const { id } of shown) {
-    const child = buildCascadeTree(index, nodeById, id, maxDepth - 1, visited);
+  for (const entry of shown) {
+    const childPath = entry.id === nextOnPath ? pinnedPath.slice(1) : null;
+    const child = buildCascadeTree(index, nodeById, entry.id, maxDepth - 1, visited, entry, childPath);
     if (child) treeNode.children.push(child);
   }
 
@@ -8,6 +8,8 @@ import { tree as d3Tree, hierarchy as d3Hierarchy } from 'd3-hierarchy';
 import { linkHorizontal } from 'd3-shape';
 import { zoom as d3Zoom, zoomIdentity } from 'd3-zoom';
 import { getTypeDef } from '../../data/hazard-types.js';
+import { INFERRED, TARGET_ONLY, PROVENANCE_LABELS } from '../../data/edge-provenance.js';
+import { RELATIONSHIP_LAYERS, RELATED } from '../../data/relationships.js';
 import { esc } from '../../utils/dom.js';
 import {
   NODE_WIDTH, NODE_HEIGHT, LEVEL_SPACING, NODE_SPACING,
@@ -21,9 +23,11 @@ import {
  * @param {object} triggersTree - Left-side tree (what causes it)
  * @param {object} rootNode - The root node data
  * @param {object} callbacks - { onNodeClick, onGhostClick, onExpand }
+ * @param {Map<string, number>|null} [heat] - Simulated activation probability per hazard;
+ *   when given, node capsules are shaded by it
  * @returns {object} Render API
  */
-export function renderCascade(svg, effectsTree, triggersTree, rootNode, callbacks) {
+export function renderCascade(svg, effectsTree, triggersTree, rootNode, callbacks, heat = null) {
   const svgSel = select(svg);
   svgSel.selectAll('*').remove();
 
@@ -31,7 +35,9 @@ export function renderCascade(svg, effectsTree, triggersTree, rootNode, callback
   const height = parseInt(svg.getAttribute('height')) || svg.parentElement?.clientHeight || 600;
 
   // Set up zoom
-  const g = svgSel.append('g').attr('class', 'cascade-main');
+  const g = svgSel.append('g')
+    .attr('class', 'cascade-main')
+    .classed('has-path', !!effectsTree?.onPath);
   const zoomBehavior = d3Zoom()
     .scaleExtent([0.3, 3])
     .on('zoom', (event) => {
@@ -50,7 +56,7 @@ export function renderCascade(svg, effectsTree, triggersTree, rootNode, callback
   if (effectsTree && effectsTree.children?.length > 0) {
     const effectsRoot = d3Hierarchy(effectsTree);
     treeLayout(effectsRoot);
-    renderSubtree(g, effectsRoot, 'effects', 1, callbacks);
+    renderSubtree(g, effectsRoot, 'effects', 1, callbacks, heat);
   }
 
   // ---- Render triggers (left side, mirrored) ----
@@ -59,7 +65,7 @@ export function renderCascade(svg, effectsTree, triggersTree, rootNode, callback
     treeLayout(triggersRoot);
     // Negate x (which is horizontal in our rotated layout) to mirror
     triggersRoot.each(d => { d.y = -d.y; });
-    renderSubtree(g, triggersRoot, 'triggers', -1, callbacks);
+    renderSubtree(g, triggersRoot, 'triggers', -1, callbacks, heat);
   }
 
   // ---- Render root node ----
@@ -77,7 +83,7 @@ export function renderCascade(svg, effectsTree, triggersTree, rootNode, callback
     .attr('height', NODE_HEIGHT)
     .attr('rx', NODE_HEIGHT / 2)
     .attr('fill', typeDef.color)
-    .attr('opacity', 0.9)
+    .attr('opacity', heat ? heatOpacity(heat, rootNode.id) : 0.9)
     .attr('stroke', '#fff')
     .attr('stroke-width', 2);
 
@@ -90,7 +96,7 @@ export function renderCascade(svg, effectsTree, triggersTree, rootNode, callback
     .text(truncateLabel(rootNode.label, 22));
 
   rootGroup.append('title')
-    .text(rootNode.label);
+    .text(rootNode.label + heatSuffix(heat, rootNode.id));
 
   rootGroup.style('cursor', 'pointer')
     .on('click', () => {
@@ -116,7 +122,7 @@ export function renderCascade(svg, effectsTree, triggersTree, rootNode, callback
 /**
  * Render one side of the cascade tree.
  */
-function renderSubtree(g, root, className, direction, callbacks) {
+function renderSubtree(g, root, className, direction, callbacks, heat) {
   const group = g.append('g').attr('class', `cascade-${className}`);
 
   // Draw links
@@ -125,7 +131,7 @@ function renderSubtree(g, root, className, direction, callbacks) {
     .data(links)
     .enter()
     .append('path')
-    .attr('class', `cascade-link cascade-link-${className}`)
+    .attr('class', d => `cascade-link cascade-link-${className}${d.target.data.onPath ? ' on-path' : ''}`)
     .attr('d', d => {
       return linkHorizontal()
         .x(n => n.y)
@@ -133,10 +139,14 @@ function renderSubtree(g, root, className, direction, callbacks) {
         ({ source: d.source, target: d.target });
     })
     .attr('fill', 'none')
-    .attr('stroke', d => d.target.data.ghost ? 'var(--text-dim)' : 'var(--edge-color)')
-    .attr('stroke-width', 1.5)
-    .attr('stroke-dasharray', d => d.target.data.ghost ? '4,4' : null)
-    .attr('opacity', 0.6);
+    .attr('stroke', d => {
+      if (d.target.data.onPath) return 'var(--selected-color)';
+      if (d.target.data.ghost) return 'var(--text-dim)';
+      return d.target.data.layer ? RELATIONSHIP_LAYERS[d.target.data.layer].color : 'var(--edge-color)';
+    })
+    .attr('stroke-width', d => d.target.data.onPath ? 3 : 1.5)
+    .attr('stroke-dasharray', d => linkDash(d.target.data))
+    .attr('opacity', d => d.target.data.onPath ? 1 : 0.6);
 
   // Draw nodes (skip root at depth 0, it's rendered separately)
   const nodes = root.descendants().filter(d => d.depth > 0);
@@ -144,7 +154,7 @@ function renderSubtree(g, root, className, direction, callbacks) {
     .data(nodes)
     .enter()
     .append('g')
-    .attr('class', d => `cascade-node cascade-node-${className}${d.data.ghost ? ' ghost' : ''}`)
+    .attr('class', d => `cascade-node cascade-node-${className}${d.data.ghost ? ' ghost' : ''}${d.data.onPath ? ' on-path' : ''}`)
     .attr('transform', d => `translate(${d.y}, ${d.x})`);
 
   // Node capsules
@@ -158,9 +168,15 @@ function renderSubtree(g, root, className, direction, callbacks) {
       const td = getTypeDef(d.data.typeName);
       return td.color;
     })
-    .attr('opacity', d => d.data.ghost ? 0.4 : 0.75)
-    .attr('stroke', d => d.data.ghost ? 'var(--text-dim)' : 'transparent')
-    .attr('stroke-width', d => d.data.ghost ? 1 : 0)
+    .attr('opacity', d => {
+      if (heat) return heatOpacity(heat, d.data.id);
+      return d.data.ghost ? 0.4 : 0.75;
+    })
+    .attr('stroke', d => {
+      if (d.data.onPath) return 'var(--selected-color)';
+      return d.data.ghost ? 'var(--text-dim)' : 'transparent';
+    })
+    .attr('stroke-width', d => (d.data.onPath ? 2 : d.data.ghost ? 1 : 0))
     .attr('stroke-dasharray', d => d.data.ghost ? '3,3' : null);
 
   // Labels
@@ -173,7 +189,12 @@ function renderSubtree(g, root, className, direction, callbacks) {
     .text(d => truncateLabel(d.data.label, 20));
 
   nodeGroups.append('title')
-    .text(d => `${d.data.label} (${d.data.typeName})`);
+    .text(d => {
+      const link = d.data.layer
+        ? ` · ${RELATIONSHIP_LAYERS[d.data.layer].label.toLowerCase()} link`
+        : d.data.provenance ? ` · ${PROVENANCE_LABELS[d.data.provenance]} link` : '';
+      return `${d.data.label} (${d.data.typeName})${link}${heatSuffix(heat, d.data.id)}`;
+    });
 
   // Connection count badge
   nodeGroups.append('circle')
@@ -235,6 +256,33 @@ function renderSubtree(g, root, className, direction, callbacks) {
   }
 }
 
+/**
+ * Capsule opacity for a simulated activation probability: faint when the
+ * hazard never activated, solid when it always did.
+ */
+function heatOpacity(heat, id) {
+  return 0.12 + 0.88 * (heat.get(id) || 0);
+}
+
+/** Tooltip suffix with the simulated activation probability. */
+function heatSuffix(heat, id) {
+  if (!heat) return '';
+  return ` · activated in ${Math.round((heat.get(id) || 0) * 100)}% of simulated runs`;
+}
+
+/**
+ * Dash pattern for the link into a tree node: ghosts and inferred links dashed,
+ * target-only links dotted, declared links solid. Associative links are finely
+ * dotted and partitive links solid, told apart from causal links by color.
+ */
+function linkDash(nodeData) {
+  if (nodeData.ghost) return '4,4';
+  if (nodeData.layer) return nodeData.layer === RELATED ? '2,2' : null;
+  if (nodeData.provenance === TARGET_ONLY) return '1,3';
+  if (nodeData.provenance === INFERRED) return '6,3';
+  return null;
+}
+
 function truncateLabel(label, max) {
   if (!label) return '';
   return label.length > max ? label.slice(0, max - 1) + '...' : label;
@@ -2,13 +2,24 @@
  * @module views/cascade/cascade
  * Main orchestrator for the cascade (causal chain) explorer view.
  * Shows a bidirectional expandable tree: effects rightward, triggers leftward.
+ * The tree follows the selected relationship layers: causal links, and/or
+ * associative links (both sides) and partitive links (parts rightward,
+ * wholes leftward).
  */
-import { buildAdjacencyIndex, buildCascadeTree } from './cascade-data.js';
+import { buildAdjacencyIndex, buildCascadeTree, buildRelationshipIndex, mergeIndices } from './cascade-data.js';
 import { renderCascade } from './cascade-render.js';
 import { DEFAULT_DEPTH, MAX_DEPTH } from './constants.js';
 import { getTypeDef } from '../../data/hazard-types.js';
 import { esc } from '../../utils/dom.js';
 import { isPathfinderActive } from '../../ui/path-finder.js';
+import { CAUSAL, RELATED, HAS_PART } from '../../data/relationships.js';
+
+/** What each side of the tree is called, per layer: [left, right]. */
+const DIRECTION_NAMES = {
+  [CAUSAL]: ['Triggers', 'Effects'],
+  [RELATED]: ['Related', 'Related'],
+  [HAS_PART]: ['Part of', 'Parts'],
+};
 
 /**
  * Pick suggested hazards for the empty state: most connected, diverse across types.
@@ -50,10 +61,39 @@ export function createCascadeView(container, data, bus) {
   let directionLabels = null;
   let currentRootId = null;
   let currentDepth = DEFAULT_DEPTH;
+  let pinnedPath = null; // highlighted path (hazard IDs), rooted at its source
+  let heat = null; // simulated activation probability per hazard
+  let layers = [CAUSAL]; // relationship layers the tree follows
   let active = false;
 
-  // Build adjacency indices once
+  // Build adjacency indices once; other layers' indices on first use
   const { effectsIndex, triggersIndex, nodeById } = buildAdjacencyIndex(data);
+  const layerIndices = new Map([[CAUSAL, { effectsIndex, triggersIndex }]]);
+
+  /**
+   * Effects and triggers indices for the selected layers, causal links first.
+   * @returns {{ effects: Map, triggers: Map }}
+   */
+  function currentIndices() {
+    const selected = [CAUSAL, RELATED, HAS_PART].filter(layer => layers.includes(layer));
+    for (const layer of selected) {
+      if (!layerIndices.has(layer)) layerIndices.set(layer, buildRelationshipIndex(data, layer, nodeById));
+    }
+    const parts = selected.map(layer => layerIndices.get(layer));
+    return {
+      effects: mergeIndices(parts.map(p => p.effectsIndex)),
+      triggers: mergeIndices(parts.map(p => p.triggersIndex)),
+    };
+  }
+
+  /** Name both sides of the tree after the selected layers. */
+  function updateDirectionLabels() {
+    if (!directionLabels) return;
+    const names = layers.map(layer => DIRECTION_NAMES[layer]).filter(Boolean);
+    const side = (i) => [...new Set(names.map(n => n[i]))].join(' · ') || 'No links shown';
+    directionLabels.querySelector('.cascade-dir-triggers').textContent = `\u2190 ${side(0)}`;
+    directionLabels.querySelector('.cascade-dir-effects').textContent = `${side(1)} \u2192`;
+  }
 
   // Pre-compute suggested hazards: most connected, one per type
   const suggestions = getSuggestions(data, effectsIndex, triggersIndex);
@@ -146,14 +186,19 @@ export function createCascadeView(container, data, bus) {
 
   function renderTree(rootId) {
     currentRootId = rootId;
+    if (pinnedPath && pinnedPath[0] !== rootId) pinnedPath = null;
     const rootNode = nodeById.get(rootId);
     if (!rootNode) return;
     if (directionLabels) directionLabels.classList.remove('hidden');
+    updateDirectionLabels();
 
     // Build trees for both directions using current depth
+    const { effects, triggers } = currentIndices();
     const visited = new Set();
-    const effectsTree = buildCascadeTree(effectsIndex, nodeById, rootId, currentDepth, new Set(visited));
-    const triggersTree = buildCascadeTree(triggersIndex, nodeById, rootId, currentDepth, new Set(visited));
+    const effectsTree = buildCascadeTree(
+      effects, nodeById, rootId, currentDepth, new Set(visited), null, pinnedPath ? pinnedPath.slice(1) : null,
+    );
+    const triggersTree = buildCascadeTree(triggers, nodeById, rootId, currentDepth, new Set(visited));
 
     renderer = renderCascade(svg, effectsTree, triggersTree, rootNode, {
       onNodeClick(id) {
@@ -183,7 +228,7 @@ export function createCascadeView(container, data, bus) {
         renderTree(id);
         bus.emit('node:selected', { id });
       },
-    });
+    }, heat);
   }
 
   // Listen for cascade:open events
@@ -237,7 +282,34 @@ export function createCascadeView(container, data, bus) {
 
     highlightNodes() { /* Not applicable to cascade */ },
     highlightEdges() { /* Not applicable to cascade */ },
-    clearHighlights() { /* Not applicable to cascade */ },
+
+    /** Re-root on the path's first hazard and trace the path through the effects tree. */
+    highlightPath(nodeIds) {
+      pinnedPath = nodeIds;
+      if (active && svg) renderTree(nodeIds[0]);
+    },
+
+    /**
+     * Follow these relationship layers; associative and partitive links join
+     * (or replace) the causal ones in the tree.
+     * @param {string[]} selected - Layer keys from RELATIONSHIP_LAYERS
+     */
+    setRelationshipLayers(selected) {
+      layers = selected;
+      if (active && currentRootId) renderTree(currentRootId);
+    },
+
+    /** Shade nodes by simulated activation probability; null to clear. */
+    setHeat(activation) {
+      heat = activation;
+      if (active && currentRootId) renderTree(currentRootId);
+    },
+
+    clearHighlights() {
+      if (!pinnedPath) return;
+      pinnedPath = null;
+      if (active && currentRootId) renderTree(currentRootId);
+    },
 
     zoomIn() { renderer?.zoomIn?.(); },
     zoomOut() { renderer?.zoomOut?.(); },
@@ -4,9 +4,10 @@
  * Uses d3.lineRadial + curveBundle for hierarchical edge bundling.
  */
 import { lineRadial, curveBundle } from 'd3-shape';
+import { DECLARED, TARGET_ONLY } from '../../data/edge-provenance.js';
 import {
-  EDGE_ALPHA_DECLARED, EDGE_ALPHA_INFERRED,
-  EDGE_ALPHA_DIM, EDGE_ALPHA_HIGHLIGHT,
+  EDGE_ALPHA_DECLARED, EDGE_ALPHA_INFERRED, EDGE_ALPHA_TARGET_ONLY,
+  EDGE_ALPHA_DIM, EDGE_ALPHA_HIGHLIGHT, OVERLAY_EDGE_STYLES,
   EDGE_WIDTH, EDGE_WIDTH_HIGHLIGHT,
 } from './constants.js';
 
@@ -15,7 +16,8 @@ import {
  * Each edge path is the list of nodes from source to target via their
  * lowest common ancestor (using node.path(other)).
  * @param {object} root - d3.hierarchy root
- * @param {Array} edges - Array of { source, target, declared }
+ * @param {Array} edges - Array of { source, target, declared, provenance, layer? }; `layer`
+ *   marks overlay edges ('mention', 'related', 'hasPart')
  * @returns {Array} Edge data with path control points
  */
 export function precomputeEdgePaths(root, edges) {
@@ -38,6 +40,8 @@ export function precomputeEdgePaths(root, edges) {
       source: edge.source,
       target: edge.target,
       declared: edge.declared,
+      provenance: edge.provenance,
+      layer: edge.layer || null,
       path,
     });
   }
@@ -45,6 +49,42 @@ export function precomputeEdgePaths(root, edges) {
   return edgePaths;
 }
 
+/**
+ * Line dash pattern for an edge: solid when declared, dashed when inferred,
+ * dotted when attested only by the target; overlay layers have their own.
+ * @param {{ provenance: string, layer: string|null }} edge
+ * @param {number} unit - Dash length in canvas units (already divided by zoom)
+ * @returns {number[]}
+ */
+function dashFor(edge, unit) {
+  if (edge.layer) return OVERLAY_EDGE_STYLES[edge.layer].dash.map(d => d * unit);
+  if (edge.provenance === DECLARED) return [];
+  if (edge.provenance === TARGET_ONLY) return [unit / 3, unit];
+  return [unit, unit];
+}
+
+/**
+ * Default (non-highlighted) alpha for an edge by provenance or overlay layer.
+ * @param {{ provenance: string, layer: string|null }} edge
+ * @returns {number}
+ */
+function alphaFor(edge) {
+  if (edge.layer) return OVERLAY_EDGE_STYLES[edge.layer].alpha;
+  if (edge.provenance === DECLARED) return EDGE_ALPHA_DECLARED;
+  if (edge.provenance === TARGET_ONLY) return EDGE_ALPHA_TARGET_ONLY;
+  return EDGE_ALPHA_INFERRED;
+}
+
+/**
+ * Stroke color for an edge: the source hazard's type color, or the overlay layer's color.
+ * @param {{ layer: string|null, path: Array }} edge
+ * @returns {string}
+ */
+function colorFor(edge) {
+  if (edge.layer) return OVERLAY_EDGE_STYLES[edge.layer].color;
+  return edge.path[0]?.data?.color || '#999';
+}
+
 /**
  * Create the canvas edge renderer.
  * @param {HTMLCanvasElement} canvas - Canvas element
@@ -119,15 +159,9 @@ export function createEdgeRenderer(canvas) {
         ctx.globalAlpha = EDGE_ALPHA_HIGHLIGHT;
         ctx.lineWidth = EDGE_WIDTH_HIGHLIGHT / transform.k;
 
-        // Color edges by source type
-        const sourceLeaf = edge.path[0];
-        ctx.strokeStyle = sourceLeaf?.data?.color || '#999';
+        ctx.strokeStyle = colorFor(edge);
 
-        if (!edge.declared) {
-          ctx.setLineDash([4 / transform.k, 4 / transform.k]);
-        } else {
-          ctx.setLineDash([]);
-        }
+        ctx.setLineDash(dashFor(edge, 4 / transform.k));
 
         ctx.beginPath();
         lineGen.context(ctx)(edge.path);
@@ -138,18 +172,11 @@ export function createEdgeRenderer(canvas) {
       // Normal rendering: all edges at their default alpha
       ctx.lineWidth = EDGE_WIDTH / transform.k;
       for (const edge of edgePaths) {
-        const alpha = edge.declared ? EDGE_ALPHA_DECLARED : EDGE_ALPHA_INFERRED;
-        ctx.globalAlpha = alpha;
-
-        // Color by source type
-        const sourceLeaf = edge.path[0];
-        ctx.strokeStyle = sourceLeaf?.data?.color || '#999';
-
-        if (!edge.declared) {
-          ctx.setLineDash([3 / transform.k, 3 / transform.k]);
-        } else {
-          ctx.setLineDash([]);
-        }
+        ctx.globalAlpha = alphaFor(edge);
+
+        ctx.strokeStyle = colorFor(edge);
+
+        ctx.setLineDash(dashFor(edge, 3 / transform.k));
 
         ctx.beginPath();
         lineGen.context(ctx)(edge.path);
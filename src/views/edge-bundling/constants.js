@@ -2,6 +2,7 @@
  * @module views/edge-bundling/constants
  * Dimensions, thresholds, and style constants for the radial edge bundling view.
  */
+import { RELATIONSHIP_LAYERS, RELATED, HAS_PART } from '../../data/relationships.js';
 
 /** Padding (px) between the outer ring and the SVG edge. */
 export const RING_PADDING = 120;
@@ -31,6 +32,29 @@ export const EDGE_ALPHA_DECLARED = 0.35;
 /** Default edge alpha for inferred edges. */
 export const EDGE_ALPHA_INFERRED = 0.15;
 
+/** Default edge alpha for target-only (causedBy-attested) edges. Dotted, so slightly stronger. */
+export const EDGE_ALPHA_TARGET_ONLY = 0.25;
+
+/** Default edge alpha for scope-note mentions (long dashes, neutral color). */
+export const EDGE_ALPHA_MENTION = 0.3;
+
+/** Color of scope-note mention edges, distinct from the type colors of causal links. */
+export const MENTION_EDGE_COLOR = '#CE93D8';
+
+/** Default edge alpha for associative and partitive links, drawn over the causal links. */
+export const EDGE_ALPHA_RELATIONSHIP = 0.45;
+
+/**
+ * Style of each overlay edge layer. Dash lengths are multiples of the dash
+ * unit; colors of the relationship layers come from RELATIONSHIP_LAYERS so
+ * both views agree.
+ */
+export const OVERLAY_EDGE_STYLES = {
+  mention: { color: MENTION_EDGE_COLOR, alpha: EDGE_ALPHA_MENTION, dash: [2, 1] },
+  [RELATED]: { color: RELATIONSHIP_LAYERS[RELATED].color, alpha: EDGE_ALPHA_RELATIONSHIP, dash: [0.5, 0.5] },
+  [HAS_PART]: { color: RELATIONSHIP_LAYERS[HAS_PART].color, alpha: EDGE_ALPHA_RELATIONSHIP, dash: [] },
+};
+
 /** Edge alpha when dimmed (background during highlight). */
 export const EDGE_ALPHA_DIM = 0.03;
 
@@ -72,6 +96,21 @@ export const TYPE_ORDER = [
   'Environmental',
 ];
 
+/** Arc colors for causal communities (neutral tones, so hazard dots keep their type colors). */
+export const COMMUNITY_ARC_COLORS = ['#90A4AE', '#B0BEC5', '#78909C', '#A1887F', '#9E9E9E', '#BCAAA4'];
+
+/** Arc color for hazards with no causal links when arranged by community. */
+export const UNLINKED_ARC_COLOR = '#4A4E5C';
+
+/** Color of the simulated-activation heat halos. */
+export const HEAT_COLOR = '#FF5722';
+
+/** Halo radius beyond the node (px) for a hazard activated in every run. */
+export const HEAT_HALO_MAX = 10;
+
+/** Halo opacity for a hazard activated in every run. */
+export const HEAT_MAX_OPACITY = 0.7;
+
 /** Label offset from node (px). */
 export const LABEL_OFFSET = 8;
 
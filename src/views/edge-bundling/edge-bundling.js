@@ -2,6 +2,8 @@
  * @module views/edge-bundling/edge-bundling
  * Main orchestrator for the radial hierarchical edge bundling view.
  * Manages canvas + SVG layers, coordinates data transform, layout, and interactions.
+ * Associative and partitive relationships, and scope-note mentions, can be
+ * overlaid as edge layers of their own, independent of the causal-link toggles.
  */
 import { buildHierarchy } from './transform.js';
 import { computeRadialLayout } from './layout.js';
@@ -10,6 +12,8 @@ import { createSvgOverlay } from './svg-overlay.js';
 import { setupInteractions } from './interactions.js';
 import { DEFAULT_TENSION, RING_PADDING } from './constants.js';
 import { isPathfinderActive } from '../../ui/path-finder.js';
+import { detectCommunities } from '../../data/communities.js';
+import { buildRelationshipEdges, OVERLAY_LAYERS } from '../../data/relationships.js';
 
 /**
  * Create and manage the edge bundling view.
@@ -25,6 +29,9 @@ export function createEdgeBundlingView(container, data, bus) {
   let svgOverlay = null;
   let interactions = null;
   let edgePaths = [];
+  const overlays = new Map(); // overlay layer ('mention', 'related', 'hasPart') -> edges { source, target, layer }, only while shown
+  let overlayPaths = [];
+  const relationshipEdges = new Map(); // relationship layer -> its edges, built on first use
   let adjacency = new Map();
   let nodeById = new Map();
   let leaves = [];
@@ -32,6 +39,9 @@ export function createEdgeBundlingView(container, data, bus) {
   let edgesVisible = true;
   let hiddenTypes = new Set();
   let declaredOnly = false;
+  let arrangement = 'type';
+  let communities = null;
+  let heat = null;
   let active = false;
 
   /**
@@ -72,15 +82,30 @@ export function createEdgeBundlingView(container, data, bus) {
     if (radius < 50) return;
 
     // Build hierarchy and layout
-    const hierarchy = buildHierarchy(data, hiddenTypes, { visible: edgesVisible, declaredOnly });
+    const hierarchy = buildHierarchy(
+      data, hiddenTypes, { visible: edgesVisible, declaredOnly },
+      arrangement === 'community' ? communities : null,
+    );
     adjacency = hierarchy.adjacency;
     nodeById = hierarchy.nodeById;
 
+    // Shown relationship layers count as neighbours too, so hovering follows them
+    for (const layer of OVERLAY_LAYERS) {
+      for (const edge of overlays.get(layer) || []) {
+        if (!nodeById.has(edge.source) || !nodeById.has(edge.target)) continue;
+        if (!adjacency.has(edge.source)) adjacency.set(edge.source, new Set());
+        if (!adjacency.has(edge.target)) adjacency.set(edge.target, new Set());
+        adjacency.get(edge.source).add(edge.target);
+        adjacency.get(edge.target).add(edge.source);
+      }
+    }
+
     const layoutData = computeRadialLayout(hierarchy.tree, radius);
     leaves = layoutData.leaves;
 
     // Pre-compute edge paths
     edgePaths = precomputeEdgePaths(layoutData.root, hierarchy.edges);
+    overlayPaths = precomputeEdgePaths(layoutData.root, [...overlays.values()].flat());
 
     // Destroy old interactions
     if (interactions) interactions.destroy();
@@ -92,6 +117,7 @@ export function createEdgeBundlingView(container, data, bus) {
     if (hiddenTypes.size > 0) {
       svgOverlay.filterTypes(hiddenTypes);
     }
+    if (heat) svgOverlay.setHeat(heat);
 
     // Set up interactions
     interactions = setupInteractions({
@@ -115,13 +141,14 @@ export function createEdgeBundlingView(container, data, bus) {
    */
   function redrawEdges(transform) {
     if (!edgeRenderer) return;
+    const paths = edgesVisible ? [...edgePaths, ...overlayPaths] : overlayPaths;
     edgeRenderer.draw(
-      edgePaths,
+      paths,
       tension,
       transform,
       interactions?.getHighlightedNodes?.() ?? null,
       interactions?.getHighlightedEdgeKeys?.() ?? null,
-      edgesVisible,
+      paths.length > 0,
     );
   }
 
@@ -171,6 +198,49 @@ export function createEdgeBundlingView(container, data, bus) {
       if (active) rebuild();
     },
 
+    /**
+     * Show or hide the scope-note mention layer: one dashed edge from each
+     * hazard to every hazard its scope notes name.
+     * @param {import('../../types.js').Mention[]|null} mentions - null to hide
+     */
+    setMentionLayer(mentions) {
+      const pairs = new Map();
+      for (const m of mentions || []) {
+        pairs.set(`${m.sourceId}->${m.targetId}`, { source: m.sourceId, target: m.targetId, layer: 'mention' });
+      }
+      if (pairs.size) overlays.set('mention', [...pairs.values()]);
+      else overlays.delete('mention');
+      if (active) rebuild();
+    },
+
+    /**
+     * Overlay the associative and partitive layers among those selected.
+     * Causal links follow the causal-link toggles instead.
+     * @param {string[]} layers - Layer keys from RELATIONSHIP_LAYERS
+     */
+    setRelationshipLayers(layers) {
+      for (const layer of OVERLAY_LAYERS) {
+        if (!layers.includes(layer)) {
+          overlays.delete(layer);
+          continue;
+        }
+        if (!relationshipEdges.has(layer)) relationshipEdges.set(layer, buildRelationshipEdges(data, layer).edges);
+        overlays.set(layer, relationshipEdges.get(layer));
+      }
+      if (active) rebuild();
+    },
+
+    /**
+     * Arrange the ring by hazard type or by detected causal community.
+     * @param {'type'|'community'} mode
+     */
+    setArrangement(mode) {
+      if (mode === arrangement) return;
+      arrangement = mode;
+      if (mode === 'community' && !communities) communities = detectCommunities(data);
+      if (active) rebuild();
+    },
+
     /** Highlight specific nodes (from insights, flow matrix, etc.). */
     highlightNodes(nodeIds) {
       if (interactions) interactions.highlight(nodeIds);
@@ -181,6 +251,21 @@ export function createEdgeBundlingView(container, data, bus) {
       if (interactions) interactions.highlightEdges(edgeKeys, nodeIds);
     },
 
+    /** Highlight a causal path (hazard IDs in order) and its links. */
+    highlightPath(nodeIds) {
+      const edgeKeys = new Set(nodeIds.slice(1).map((id, i) => `${nodeIds[i]}->${id}`));
+      if (interactions) interactions.highlightEdges(edgeKeys, new Set(nodeIds));
+    },
+
+    /**
+     * Show simulated activation probabilities as a heat overlay.
+     * @param {Map<string, number>|null} activation - null to clear
+     */
+    setHeat(activation) {
+      heat = activation;
+      if (svgOverlay) svgOverlay.setHeat(activation);
+    },
+
     /** Clear all highlights. */
     clearHighlights() {
       if (interactions) interactions.clearHighlights();
@@ -170,18 +170,18 @@ export function setupInteractions({
     // Skip highlight changes when a node is already selected
     if (selectedNodeId) return;
 
-    const typeName = d.typeName;
-    // Highlight all nodes of this type and their edges
-    const typeNodeIds = new Set();
+    const group = d.group;
+    // Highlight all nodes of this type (or community) and their edges
+    const groupNodeIds = new Set();
     for (const leaf of leaves) {
-      if (leaf.data.typeName === typeName) {
-        typeNodeIds.add(leaf.data.name);
+      if (leaf.data.group === group) {
+        groupNodeIds.add(leaf.data.name);
       }
     }
-    highlightedNodes = typeNodeIds;
+    highlightedNodes = groupNodeIds;
     highlightedEdgeKeys = null;
-    svgOverlay.highlightNodes(typeNodeIds);
-    svgOverlay.highlightTypeArcs(new Set([typeName]));
+    svgOverlay.highlightNodes(groupNodeIds);
+    svgOverlay.highlightTypeArcs(new Set([group]));
     redrawEdges(getTransformForCanvas());
   });
 
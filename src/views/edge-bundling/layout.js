@@ -1,15 +1,15 @@
 /**
  * @module views/edge-bundling/layout
  * Radial cluster layout using d3.cluster().
- * Positions leaves on the circumference with gaps between types and clusters.
- * Computes type arc segments and cluster sub-arcs from leaf positions.
+ * Positions leaves on the circumference with gaps between groups and clusters.
+ * Computes group (type or community) arc segments and cluster sub-arcs from leaf positions.
  */
 import { cluster as d3Cluster, hierarchy as d3Hierarchy } from 'd3-hierarchy';
 import { TYPE_GAP_MULTIPLIER, CLUSTER_GAP_MULTIPLIER } from './constants.js';
 
 /**
  * Compute the radial layout for the hierarchy tree.
- * @param {object} treeData - Raw tree object (root > type > cluster > hazard)
+ * @param {object} treeData - Raw tree object (root > group > cluster > hazard)
  * @param {number} radius - Radius of the circle for leaf placement
  * @returns {{ root: object, leaves: Array, typeArcs: Map, clusterArcs: Map }}
  */
@@ -47,12 +47,13 @@ export function computeRadialLayout(treeData, radius) {
       : 2;
     const padding = leafSpacing * 0.5;
 
-    typeArcs.set(typeNode.data.typeName, {
+    typeArcs.set(typeNode.data.group, {
       startAngle: minAngle - padding,
       endAngle: maxAngle + padding,
       centerAngle: (minAngle + maxAngle) / 2,
       color: typeNode.data.color,
       label: typeNode.data.label,
+      shortLabel: typeNode.data.shortLabel,
       nodeCount: typeLeaves.length,
     });
   }
@@ -72,7 +73,7 @@ export function computeRadialLayout(treeData, radius) {
         startAngle: minAngle,
         endAngle: maxAngle,
         centerAngle: (minAngle + maxAngle) / 2,
-        color: typeNode.data.color,
+        color: clusterNode.data.color,
         label: clusterNode.data.label,
         nodeCount: clusterLeaves.length,
       });
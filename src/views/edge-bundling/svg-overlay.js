@@ -5,11 +5,12 @@
  */
 import { select } from 'd3-selection';
 import { arc as d3Arc } from 'd3-shape';
-import { getTypeDef, HAZARD_TYPES } from '../../data/hazard-types.js';
+import { HAZARD_TYPES } from '../../data/hazard-types.js';
 import { polarToCartesian } from './layout.js';
 import {
   ARC_THICKNESS, ARC_NODE_GAP, TYPE_LABEL_OFFSET, LABEL_OFFSET,
   NODE_RADIUS_MIN, NODE_RADIUS_MAX, ISOLATED_RADIUS, ISOLATED_OPACITY,
+  HEAT_COLOR, HEAT_HALO_MAX, HEAT_MAX_OPACITY,
 } from './constants.js';
 
 /**
@@ -52,9 +53,9 @@ export function createSvgOverlay(svg, layoutData, radius) {
   const outerR = innerR + ARC_THICKNESS;
 
   const arcData = [];
-  for (const [typeName, arc] of typeArcs) {
+  for (const [group, arc] of typeArcs) {
     arcData.push({
-      typeName,
+      group,
       ...arc,
       startRad: ((arc.startAngle - 90) * Math.PI) / 180,
       endRad: ((arc.endAngle - 90) * Math.PI) / 180,
@@ -74,7 +75,7 @@ export function createSvgOverlay(svg, layoutData, radius) {
     }))
     .attr('fill', d => d.color)
     .attr('opacity', 0.8)
-    .attr('data-type', d => d.typeName);
+    .attr('data-group', d => d.group);
 
   // ---- Type labels ----
   const typeLabelGroup = g.append('g').attr('class', 'eb-type-labels');
@@ -98,10 +99,7 @@ export function createSvgOverlay(svg, layoutData, radius) {
     .attr('fill', d => d.color)
     .attr('font-size', '10px')
     .attr('font-weight', '600')
-    .text(d => {
-      const def = getTypeDef(d.typeName);
-      return def.short;
-    });
+    .text(d => d.shortLabel);
 
   // ---- Hazard nodes ----
   const nodeGroup = g.append('g').attr('class', 'eb-nodes');
@@ -117,7 +115,16 @@ export function createSvgOverlay(svg, layoutData, radius) {
     })
     .attr('data-id', d => d.data.name);
 
+  // Heat halos sit under each node's circle; empty until setHeat()
+  nodeEls.append('circle')
+    .attr('class', 'eb-heat-halo')
+    .attr('r', 0)
+    .attr('fill', HEAT_COLOR)
+    .attr('opacity', 0)
+    .attr('pointer-events', 'none');
+
   nodeEls.append('circle')
+    .attr('class', 'eb-node-dot')
     .attr('r', d => nodeRadius(d))
     .attr('fill', d => d.data.color)
     .attr('opacity', d => (d.data.connectionCount || 0) === 0 ? ISOLATED_OPACITY : 0.85)
@@ -189,7 +196,7 @@ export function createSvgOverlay(svg, layoutData, radius) {
     highlightNodes(highlightedIds) {
       if (!highlightedIds) {
         // Restore all
-        nodeEls.select('circle')
+        nodeEls.select('.eb-node-dot')
           .attr('opacity', d => (d.data.connectionCount || 0) === 0 ? ISOLATED_OPACITY : 0.85)
           .attr('stroke', '#fff')
           .attr('stroke-width', 0.5);
@@ -197,23 +204,36 @@ export function createSvgOverlay(svg, layoutData, radius) {
         return;
       }
 
-      nodeEls.select('circle')
+      nodeEls.select('.eb-node-dot')
         .attr('opacity', d => highlightedIds.has(d.data.name) ? 1 : 0.08)
         .attr('stroke', d => highlightedIds.has(d.data.name) ? '#fff' : 'transparent')
         .attr('stroke-width', d => highlightedIds.has(d.data.name) ? 1 : 0.5);
     },
 
     /**
-     * Highlight type arcs by name.
-     * @param {Set<string>|null} typeNames - null to clear
+     * Highlight group (type or community) arcs by key.
+     * @param {Set<string>|null} groups - null to clear
      */
-    highlightTypeArcs(typeNames) {
-      if (!typeNames) {
+    highlightTypeArcs(groups) {
+      if (!groups) {
         arcGroup.selectAll('.eb-type-arc').attr('opacity', 0.8);
         return;
       }
       arcGroup.selectAll('.eb-type-arc')
-        .attr('opacity', d => typeNames.has(d.typeName) ? 1 : 0.2);
+        .attr('opacity', d => groups.has(d.group) ? 1 : 0.2);
+    },
+
+    /**
+     * Draw simulated activation probabilities as halos around the nodes.
+     * @param {Map<string, number>|null} activation - Hazard ID -> probability; null to clear
+     */
+    setHeat(activation) {
+      nodeEls.select('.eb-heat-halo')
+        .attr('r', d => {
+          const p = activation?.get(d.data.name) || 0;
+          return p ? nodeRadius(d) + p * HEAT_HALO_MAX : 0;
+        })
+        .attr('opacity', d => (activation?.get(d.data.name) || 0) * HEAT_MAX_OPACITY);
     },
 
     /**
@@ -5,21 +5,27 @@
  *
  * Tree structure:
  *   root
- *     Type (8, ordered by TYPE_ORDER)
- *       Cluster (sorted alphabetically)
+ *     Group: Type (8, ordered by TYPE_ORDER), or causal community (largest
+ *            first, then hazards without causal links) when arranged by community
+ *       Cluster (by type order, then alphabetically)
  *         Hazard (sorted by connectionCount descending)
+ *
+ * Every group and hazard carries `group` (the arc it belongs to); hazards keep
+ * their type color in both arrangements.
  */
-import { TYPE_ORDER } from './constants.js';
+import { TYPE_ORDER, COMMUNITY_ARC_COLORS, UNLINKED_ARC_COLOR } from './constants.js';
 import { getTypeDef } from '../../data/hazard-types.js';
+import { createProvenanceLookup, DECLARED } from '../../data/edge-provenance.js';
 
 /**
  * Build the hierarchy tree and edge list from snapshot data.
  * @param {object} data - Snapshot data with nodes and edges arrays
  * @param {Set<string>} [hiddenTypes] - Set of type names to exclude
  * @param {{ visible: boolean, declaredOnly: boolean }} [edgeOpts] - Edge visibility options
+ * @param {import('../../types.js').CommunityAnalysis|null} [communities] - Arrange by these communities instead of by type
  * @returns {{ tree: object, edges: Array, nodeById: Map, adjacency: Map }}
  */
-export function buildHierarchy(data, hiddenTypes = new Set(), edgeOpts = { visible: true, declaredOnly: false }) {
+export function buildHierarchy(data, hiddenTypes = new Set(), edgeOpts = { visible: true, declaredOnly: false }, communities = null) {
   const nodeById = new Map();
   const connectionCount = new Map();
 
@@ -30,42 +36,69 @@ export function buildHierarchy(data, hiddenTypes = new Set(), edgeOpts = { visib
     nodeById.set(node.id, node);
   }
 
-  // Build causedBy lookup for declared/inferred check
-  const causedBySet = new Map();
-  for (const node of data.nodes) {
-    causedBySet.set(node.id, new Set(node.causedBy || []));
-  }
-
-  // Group nodes by type > cluster
-  const typeMap = new Map(); // typeName -> Map<clusterName, Array<node>>
-  for (const typeName of TYPE_ORDER) {
-    typeMap.set(typeName, new Map());
+  // Classify edges as declared / inferred / target-only
+  const provenanceOf = createProvenanceLookup(data.nodes);
+
+  // Top-level groups: types, or communities
+  const groups = new Map(); // group key -> { label, short, color, typeName?, clusters: Map }
+  let groupOf;
+  if (communities) {
+    communities.communities.forEach((c, i) => {
+      groups.set(`community:${i}`, {
+        label: c.label,
+        short: `C${i + 1}`,
+        color: COMMUNITY_ARC_COLORS[i % COMMUNITY_ARC_COLORS.length],
+        clusters: new Map(),
+      });
+    });
+    groups.set('community:none', { label: 'No causal links', short: 'Unlinked', color: UNLINKED_ARC_COLOR, clusters: new Map() });
+    groupOf = (node) => {
+      const i = communities.membership.get(node.id);
+      return i === undefined ? 'community:none' : `community:${i}`;
+    };
+  } else {
+    for (const typeName of TYPE_ORDER) {
+      const typeDef = getTypeDef(typeName);
+      groups.set(typeName, { label: typeName, short: typeDef.short, color: typeDef.color, typeName, clusters: new Map() });
+    }
+    groupOf = (node) => node.typeName || 'Unknown';
   }
 
+  // Group nodes by group > cluster
   for (const node of data.nodes) {
     const typeName = node.typeName || 'Unknown';
     if (hiddenTypes.has(typeName)) continue;
-    if (!typeMap.has(typeName)) typeMap.set(typeName, new Map());
+    const group = groupOf(node);
+    if (!groups.has(group)) {
+      const typeDef = getTypeDef(typeName);
+      groups.set(group, { label: typeName, short: typeDef.short, color: typeDef.color, typeName, clusters: new Map() });
+    }
 
     const clusterName = node.clusterName || 'Unclustered';
-    const clusterMap = typeMap.get(typeName);
-    if (!clusterMap.has(clusterName)) clusterMap.set(clusterName, []);
-    clusterMap.get(clusterName).push(node);
+    const clusterKey = `${typeName}:${clusterName}`;
+    const clusterMap = groups.get(group).clusters;
+    if (!clusterMap.has(clusterKey)) clusterMap.set(clusterKey, { typeName, clusterName, nodes: [] });
+    clusterMap.get(clusterKey).nodes.push(node);
   }
 
+  const typeRank = (typeName) => {
+    const i = TYPE_ORDER.indexOf(typeName);
+    return i === -1 ? TYPE_ORDER.length : i;
+  };
+
   // Build the tree object for d3.hierarchy
   const children = [];
-  for (const typeName of TYPE_ORDER) {
-    const clusterMap = typeMap.get(typeName);
-    if (!clusterMap || clusterMap.size === 0) continue;
+  for (const [group, info] of groups) {
+    if (info.clusters.size === 0) continue;
 
-    const typeDef = getTypeDef(typeName);
-    const clusterChildren = [];
+    // Sort clusters by type, then alphabetically
+    const sortedClusters = [...info.clusters.values()].sort((a, b) =>
+      typeRank(a.typeName) - typeRank(b.typeName) || a.clusterName.localeCompare(b.clusterName)
+    );
 
-    // Sort clusters alphabetically
-    const sortedClusters = [...clusterMap.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+    const clusterChildren = sortedClusters.map(({ typeName, clusterName, nodes }) => {
+      const typeDef = getTypeDef(typeName);
 
-    for (const [clusterName, nodes] of sortedClusters) {
       // Sort hazards by connectionCount descending
       const sorted = [...nodes].sort((a, b) =>
         (connectionCount.get(b.id) || 0) - (connectionCount.get(a.id) || 0)
@@ -76,32 +109,36 @@ export function buildHierarchy(data, hiddenTypes = new Set(), edgeOpts = { visib
         label: node.label,
         typeName,
         clusterName,
+        group,
         color: typeDef.color,
         connectionCount: connectionCount.get(node.id) || 0,
         identifier: node.identifier,
       }));
 
-      clusterChildren.push({
-        name: `cluster:${typeName}:${clusterName}`,
+      return {
+        name: communities ? `cluster:${group}:${typeName}:${clusterName}` : `cluster:${typeName}:${clusterName}`,
         label: clusterName,
         typeName,
+        group,
         color: typeDef.color,
         children: hazardChildren,
-      });
-    }
+      };
+    });
 
     children.push({
-      name: `type:${typeName}`,
-      label: typeName,
-      typeName,
-      color: typeDef.color,
+      name: communities ? group : `type:${group}`,
+      label: info.label,
+      shortLabel: info.short,
+      typeName: info.typeName,
+      group,
+      color: info.color,
       children: clusterChildren,
     });
   }
 
   const tree = { name: 'root', children };
 
-  // Build edge array with declared/inferred flag
+  // Build edge array with declared flag and provenance
   const validIds = new Set();
   for (const node of data.nodes) {
     if (!hiddenTypes.has(node.typeName)) validIds.add(node.id);
@@ -111,8 +148,8 @@ export function buildHierarchy(data, hiddenTypes = new Set(), edgeOpts = { visib
   for (const edge of data.edges) {
     if (!validIds.has(edge.source) || !validIds.has(edge.target)) continue;
 
-    const targetCausedBy = causedBySet.get(edge.target);
-    const declared = targetCausedBy ? targetCausedBy.has(edge.source) : false;
+    const provenance = provenanceOf(edge.source, edge.target);
+    const declared = provenance === DECLARED;
 
     if (edgeOpts.declaredOnly && !declared) continue;
 
@@ -120,6 +157,7 @@ export function buildHierarchy(data, hiddenTypes = new Set(), edgeOpts = { visib
       source: edge.source,
       target: edge.target,
       declared,
+      provenance,
     });
   }
 
@@ -4,6 +4,11 @@
  * Translates bus events into view-specific method calls.
  */
 import { createEdgeBundlingView } from './edge-bundling/edge-bundling.js';
+import { kHopNeighbourhood } from '../data/graph-queries.js';
+import { CAUSAL } from '../data/relationships.js';
+
+/** sessionStorage flag set while reloading to recover from a stale cascade chunk. */
+const CHUNK_RELOAD_KEY = 'hips-chunk-reload';
 
 /**
  * Create the view manager.
@@ -16,6 +21,8 @@ export function createViewManager(container, data, bus) {
   let activeViewName = 'web';
   let views = {};
   let cascadeModule = null;
+  let heat = null; // simulated activation probabilities, shown in every view
+  let layers = [CAUSAL]; // relationship layers shown, in every view
 
   // Create the edge bundling view
   views.web = createEdgeBundlingView(container, data, bus);
@@ -42,10 +49,22 @@ export function createViewManager(container, data, bus) {
       if (!views.cascade) {
         import('./cascade/cascade.js').then(mod => {
           views.cascade = mod.createCascadeView(container, data, bus);
+          if (heat) views.cascade.setHeat(heat);
+          views.cascade.setRelationshipLayers(layers);
           views.cascade.activate(opts);
           cascadeModule = mod;
-        }).catch(() => {
-          // Stale cached entry point referencing old chunk hash — reload to get fresh HTML
+          sessionStorage.removeItem(CHUNK_RELOAD_KEY);
+        }).catch((err) => {
+          // Stale entry point referencing an old chunk hash (no service worker
+          // holding the old build) — reload once to get fresh HTML. A second
+          // failure means the chunk is unreachable (e.g. offline), so stay put.
+          if (sessionStorage.getItem(CHUNK_RELOAD_KEY)) {
+            console.error('Cascade view could not be loaded:', err);
+            sessionStorage.removeItem(CHUNK_RELOAD_KEY);
+            switchView('web');
+            return;
+          }
+          sessionStorage.setItem(CHUNK_RELOAD_KEY, '1');
           window.location.reload();
         });
       } else {
@@ -105,6 +124,18 @@ export function createViewManager(container, data, bus) {
     }
   });
 
+  bus.on('path:highlight', ({ nodeIds, clear }) => {
+    const view = getActiveView();
+    if (!view) return;
+
+    if (clear) {
+      if (view.clearHighlights) view.clearHighlights();
+      return;
+    }
+
+    if (nodeIds && view.highlightPath) view.highlightPath(nodeIds);
+  });
+
   bus.on('flow:highlight', ({ edges: flowEdges, clear }) => {
     const view = getActiveView();
     if (!view) return;
@@ -125,6 +156,20 @@ export function createViewManager(container, data, bus) {
     }
   });
 
+  bus.on('simulation:heat', ({ activation, clear }) => {
+    heat = clear ? null : activation;
+    for (const view of Object.values(views)) view?.setHeat?.(heat);
+  });
+
+  bus.on('mentions:toggle', ({ visible, mentions }) => {
+    for (const view of Object.values(views)) view?.setMentionLayer?.(visible ? mentions : null);
+  });
+
+  bus.on('relationships:toggle', ({ layers: selected }) => {
+    layers = selected;
+    for (const view of Object.values(views)) view?.setRelationshipLayers?.(layers);
+  });
+
   bus.on('khop:change', ({ nodeId, hops }) => {
     const view = getActiveView();
 
@@ -137,24 +182,7 @@ export function createViewManager(container, data, bus) {
     // In edge bundling, highlight k-hop neighborhood
     if (!view?.getAdjacency) return;
 
-    const adj = view.getAdjacency();
-    const visited = new Set([nodeId]);
-    let frontier = new Set([nodeId]);
-
-    for (let i = 0; i < hops; i++) {
-      const next = new Set();
-      for (const id of frontier) {
-        const neighbors = adj.get(id) || new Set();
-        for (const nId of neighbors) {
-          if (!visited.has(nId)) {
-            visited.add(nId);
-            next.add(nId);
-          }
-        }
-      }
-      if (next.size === 0) break;
-      frontier = next;
-    }
+    const visited = new Set(kHopNeighbourhood(view.getAdjacency(), nodeId, hops).keys());
 
     if (view.highlightNodes) view.highlightNodes(visited);
   });
@@ -1,7 +1,11 @@
 import { defineConfig } from 'vite';
+import { serviceWorker } from './scripts/vite-plugin-service-worker.js';
 
 export default defineConfig({
   base: '/hips-multihazard/',
+  plugins: [
+    serviceWorker({ src: 'src/service-worker.js' }),
+  ],
   build: {
     outDir: 'dist',
     assetsInlineLimit: 0,